@@ -1,5 +1,5 @@
 const mongoose = require('mongoose');
-const { initializeGridFS } = require('../services/gridfsStorage');
+const storage = require('../services/storage');
 
 let isConnected = false;
 
@@ -25,8 +25,8 @@ const connectDatabase = async () => {
     isConnected = true;
     console.info(`✅ MongoDB connected: ${mongoose.connection.name}`);
     
-    // Initialize GridFS after successful connection
-    initializeGridFS();
+    // Initialize media storage after successful connection
+    await storage.initialize();
   } catch (error) {
     console.error('❌ MongoDB connection error:', error);
     throw error;
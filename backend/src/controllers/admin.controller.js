@@ -0,0 +1,133 @@
+const Video = require('../models/Video');
+const ProcessingJob = require('../models/ProcessingJob');
+const { AppError } = require('../middleware/errorHandler');
+const processingQueue = require('../services/processingQueue');
+
+const escapeRegExp = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Build the Video query for a requeue filter
+ * @param {Object} filter - { tenantId, ownerUserId, errorContains, failedSince }
+ * @returns {Object}
+ */
+const buildFailedVideoQuery = (filter = {}) => {
+  const query = { status: 'failed' };
+
+  if (filter.tenantId) query.tenantId = filter.tenantId;
+  if (filter.ownerUserId) query.ownerUserId = filter.ownerUserId;
+  if (filter.errorContains) {
+    query.processingError = { $regex: escapeRegExp(filter.errorContains), $options: 'i' };
+  }
+  if (filter.failedSince) query.updatedAt = { $gte: new Date(filter.failedSince) };
+
+  return query;
+};
+
+/**
+ * Get processing queue statistics
+ * GET /api/admin/processing/stats
+ * Requires authentication and admin role
+ */
+exports.getProcessingStats = async (req, res, next) => {
+  try {
+    const stats = await processingQueue.getStats();
+
+    res.json({
+      success: true,
+      data: { stats },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List processing jobs, newest first
+ * GET /api/admin/processing/jobs?status=dead
+ * Requires authentication and admin role
+ */
+exports.getProcessingJobs = async (req, res, next) => {
+  try {
+    const { status, limit = 50, skip = 0 } = req.query;
+    const query = status ? { status } : {};
+
+    const [jobs, total] = await Promise.all([
+      ProcessingJob.find(query)
+        .sort({ updatedAt: -1 })
+        .limit(parseInt(limit))
+        .skip(parseInt(skip))
+        .select('-__v')
+        .populate('videoId', 'title status ownerUserId tenantId'),
+      ProcessingJob.countDocuments(query),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        jobs,
+        pagination: {
+          total,
+          limit: parseInt(limit),
+          skip: parseInt(skip),
+          hasMore: parseInt(skip) + jobs.length < total,
+        },
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Re-enqueue failed videos, either by ID or by filter
+ * POST /api/admin/processing/requeue
+ * Body: { videoIds: [...] } or { filter: { tenantId, ownerUserId, errorContains, failedSince }, limit }
+ * Requires authentication and admin role
+ *
+ * Each requeued video gets a fresh job with a full set of attempts.
+ */
+exports.requeueVideos = async (req, res, next) => {
+  try {
+    const { videoIds, filter, limit = 100 } = req.body;
+    const skipped = [];
+    let videos;
+
+    if (videoIds) {
+      videos = await Video.find({ _id: { $in: videoIds } });
+
+      const found = new Map(videos.map(video => [video._id.toString(), video]));
+      for (const id of videoIds) {
+        const video = found.get(id);
+        if (!video) {
+          skipped.push({ videoId: id, reason: 'Video not found' });
+        } else if (video.status !== 'failed') {
+          skipped.push({ videoId: id, reason: `Video is ${video.status}, not failed` });
+        }
+      }
+      videos = videos.filter(video => video.status === 'failed');
+    } else if (filter) {
+      videos = await Video.find(buildFailedVideoQuery(filter))
+        .sort({ updatedAt: -1 })
+        .limit(parseInt(limit));
+    } else {
+      return next(new AppError('Provide either videoIds or filter', 400));
+    }
+
+    const requeued = [];
+    for (const video of videos) {
+      video.status = 'uploaded';
+      video.processingError = undefined;
+      await video.save();
+      await processingQueue.enqueue(video._id.toString());
+      requeued.push(video._id.toString());
+    }
+
+    res.json({
+      success: true,
+      message: `${requeued.length} video(s) requeued for processing`,
+      data: { requeued, skipped },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,323 @@
+const Video = require('../models/Video');
+const { AppError } = require('../middleware/errorHandler');
+
+const QUEUE_STATUSES = ['pending', 'in_review'];
+
+const getClaimTimeout = () =>
+  parseInt(process.env.MODERATION_CLAIM_TIMEOUT_MS || String(30 * 60 * 1000), 10);
+
+/**
+ * Query for claims left past their time, which any reviewer may take over
+ * Claims made before claims could lapse have no claimedUntil and count as lapsed.
+ * @param {Date} now
+ * @returns {Object}
+ */
+const lapsedClaim = now => ({
+  'moderation.status': 'in_review',
+  'moderation.claimedUntil': { $not: { $gt: now } },
+});
+
+/**
+ * Clear a video's review claim
+ */
+const clearClaim = video => {
+  video.moderation.claimedBy = undefined;
+  video.moderation.claimedAt = undefined;
+  video.moderation.claimedUntil = undefined;
+};
+
+/**
+ * Load a video and check that the current user holds its review claim
+ * @throws {AppError}
+ */
+const findClaimedVideo = async req => {
+  const video = await Video.findById(req.params.id);
+
+  if (!video) {
+    throw new AppError('Video not found', 404);
+  }
+  if (video.moderation.status !== 'in_review') {
+    throw new AppError(`Video is not under review (status: ${video.moderation.status})`, 409);
+  }
+  if (video.moderation.claimedBy?.toString() !== req.user._id.toString()) {
+    throw new AppError('This video is claimed by another reviewer', 409);
+  }
+  return video;
+};
+
+/**
+ * Record a decision on a claimed video
+ * @param {Object} video - Video claimed by the reviewer
+ * @param {Object} decision - { status, sensitivity, reason, reviewer }
+ */
+const decide = (video, { status, sensitivity, reason, reviewer }) => {
+  video.recordModeration(status, reviewer, {
+    fromSensitivity: video.sensitivity,
+    toSensitivity: sensitivity,
+    reason,
+  });
+  if (reason) {
+    video.moderation.notes.push({ author: reviewer, text: reason });
+  }
+
+  video.sensitivity = sensitivity;
+  video.moderation.status = status;
+  video.moderation.decidedBy = reviewer;
+  video.moderation.decidedAt = new Date();
+  clearClaim(video);
+};
+
+/**
+ * List videos awaiting review, oldest first
+ * GET /api/moderation/queue?status=pending&mine=true
+ * Requires authentication and admin role
+ *
+ * Videos whose claim lapsed are listed as pending: any reviewer can claim them.
+ */
+exports.getQueue = async (req, res, next) => {
+  try {
+    const { status, mine, limit = 50, skip = 0 } = req.query;
+    const now = new Date();
+
+    let query = { 'moderation.status': { $in: QUEUE_STATUSES } };
+    if (status === 'pending') {
+      query = { $or: [{ 'moderation.status': 'pending' }, lapsedClaim(now)] };
+    } else if (status === 'in_review') {
+      query = { 'moderation.status': 'in_review', 'moderation.claimedUntil': { $gt: now } };
+    }
+    if (mine === 'true') {
+      query['moderation.claimedBy'] = req.user._id;
+    }
+
+    const [videos, total] = await Promise.all([
+      Video.find(query)
+        .sort({ 'moderation.queuedAt': 1 })
+        .limit(parseInt(limit))
+        .skip(parseInt(skip))
+        .select('-__v -moderation.history -moderation.notes')
+        .populate('ownerUserId', 'name email')
+        .populate('moderation.claimedBy', 'name email'),
+      Video.countDocuments(query),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        videos,
+        pagination: {
+          total,
+          limit: parseInt(limit),
+          skip: parseInt(skip),
+          hasMore: parseInt(skip) + videos.length < total,
+        },
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Claim a pending video so no other reviewer decides it at the same time
+ * POST /api/moderation/videos/:id/claim
+ * Requires authentication and admin role
+ *
+ * A claim lasts MODERATION_CLAIM_TIMEOUT_MS; claiming again renews it, and once
+ * it lapses another reviewer can take the video over.
+ */
+exports.claimVideo = async (req, res, next) => {
+  try {
+    const now = new Date();
+    const claimedUntil = new Date(now.getTime() + getClaimTimeout());
+
+    // Only one reviewer can win the pending (or lapsed) -> in_review transition
+    let video = await Video.findOneAndUpdate(
+      { _id: req.params.id, $or: [{ 'moderation.status': 'pending' }, lapsedClaim(now)] },
+      {
+        $set: {
+          'moderation.status': 'in_review',
+          'moderation.claimedBy': req.user._id,
+          'moderation.claimedAt': now,
+          'moderation.claimedUntil': claimedUntil,
+        },
+        $push: { 'moderation.history': { action: 'claimed', actor: req.user._id, at: now } },
+      },
+      { new: true }
+    );
+
+    if (!video) {
+      // Claiming again renews the reviewer's own claim
+      video = await Video.findOneAndUpdate(
+        { _id: req.params.id, 'moderation.status': 'in_review', 'moderation.claimedBy': req.user._id },
+        { $set: { 'moderation.claimedUntil': claimedUntil } },
+        { new: true }
+      );
+    }
+
+    if (!video) {
+      video = await Video.findById(req.params.id);
+
+      if (!video) {
+        return next(new AppError('Video not found', 404));
+      }
+      const message = video.moderation.status === 'in_review'
+        ? 'This video is claimed by another reviewer'
+        : `Video is not awaiting review (status: ${video.moderation.status})`;
+      return next(new AppError(message, 409));
+    }
+
+    res.json({
+      success: true,
+      message: 'Video claimed for review',
+      data: { moderation: video.moderation },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Give a claimed video back to the queue
+ * POST /api/moderation/videos/:id/release
+ * Body: { note, force }
+ * Requires authentication and admin role (the claiming reviewer, or any admin with force)
+ */
+exports.releaseVideo = async (req, res, next) => {
+  try {
+    let video;
+    if (req.body.force === true) {
+      // Frees a video held by a reviewer who is away, without waiting for the claim to lapse
+      video = await Video.findById(req.params.id);
+      if (!video) {
+        return next(new AppError('Video not found', 404));
+      }
+      if (video.moderation.status !== 'in_review') {
+        return next(new AppError(`Video is not under review (status: ${video.moderation.status})`, 409));
+      }
+    } else {
+      video = await findClaimedVideo(req);
+    }
+
+    video.moderation.status = 'pending';
+    clearClaim(video);
+    video.recordModeration('released', req.user._id, { reason: req.body.note });
+    await video.save();
+
+    res.json({
+      success: true,
+      message: 'Video returned to the review queue',
+      data: { moderation: video.moderation },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Approve a claimed video: it becomes safe and viewers can watch it
+ * POST /api/moderation/videos/:id/approve
+ * Body: { note }
+ * Requires authentication and admin role (the claiming reviewer)
+ */
+exports.approveVideo = async (req, res, next) => {
+  try {
+    const video = await findClaimedVideo(req);
+
+    decide(video, {
+      status: 'approved',
+      sensitivity: 'safe',
+      reason: req.body.note,
+      reviewer: req.user._id,
+    });
+    await video.save();
+
+    res.json({
+      success: true,
+      message: 'Video approved',
+      data: { video },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Reject a claimed video: it stays flagged and hidden from viewers
+ * POST /api/moderation/videos/:id/reject
+ * Body: { reason }
+ * Requires authentication and admin role (the claiming reviewer)
+ */
+exports.rejectVideo = async (req, res, next) => {
+  try {
+    const video = await findClaimedVideo(req);
+
+    decide(video, {
+      status: 'rejected',
+      sensitivity: 'flagged',
+      reason: req.body.reason,
+      reviewer: req.user._id,
+    });
+    await video.save();
+
+    res.json({
+      success: true,
+      message: 'Video rejected',
+      data: { video },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Add a reviewer note to a video
+ * POST /api/moderation/videos/:id/notes
+ * Body: { text }
+ * Requires authentication and admin role
+ */
+exports.addNote = async (req, res, next) => {
+  try {
+    const video = await Video.findByIdAndUpdate(
+      req.params.id,
+      { $push: { 'moderation.notes': { author: req.user._id, text: req.body.text } } },
+      { new: true }
+    ).populate('moderation.notes.author', 'name email');
+
+    if (!video) {
+      return next(new AppError('Video not found', 404));
+    }
+
+    res.status(201).json({
+      success: true,
+      data: { notes: video.moderation.notes },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a video's moderation state, notes and decision history
+ * GET /api/moderation/videos/:id
+ * Requires authentication and admin role
+ */
+exports.getModeration = async (req, res, next) => {
+  try {
+    const video = await Video.findById(req.params.id)
+      .select('title sensitivity sensitivityFlags sensitivityAnalysis moderation ownerUserId')
+      .populate('ownerUserId', 'name email')
+      .populate('moderation.claimedBy moderation.decidedBy', 'name email')
+      .populate('moderation.notes.author moderation.history.actor', 'name email');
+
+    if (!video) {
+      return next(new AppError('Video not found', 404));
+    }
+
+    res.json({
+      success: true,
+      data: { video },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
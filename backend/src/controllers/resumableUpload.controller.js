@@ -0,0 +1,412 @@
+const { pipeline } = require('stream');
+const UploadSession = require('../models/UploadSession');
+const Video = require('../models/Video');
+const { AppError } = require('../middleware/errorHandler');
+const { allowedMimeTypes, matchesSignature, buildStoredFilename } = require('../middleware/upload');
+const processingQueue = require('../services/processingQueue');
+const storage = require('../services/storage');
+const uploadStaging = require('../services/uploadStaging');
+const fingerprint = require('../services/fingerprint');
+
+/**
+ * Resumable uploads following the tus 1.0.0 protocol
+ * (core + creation, termination and expiration extensions)
+ * Expired uploads are deleted with their staged bytes by the upload sweeper.
+ * https://tus.io/protocols/resumable-upload
+ */
+
+const TUS_VERSION = '1.0.0';
+const SESSION_TTL_MS = 24 * 60 * 60 * 1000;
+const LOCK_TTL_MS = 5 * 60 * 1000;
+
+const getMaxVideoSize = () => parseInt(process.env.MAX_VIDEO_SIZE || 100 * 1024 * 1024, 10);
+
+/**
+ * Parse the tus Upload-Metadata header ("key base64value,key2 base64value2")
+ * @param {String} header - Raw header value
+ * @returns {Object}
+ */
+const parseUploadMetadata = (header = '') => {
+  const metadata = {};
+  for (const pair of header.split(',')) {
+    const [key, value] = pair.trim().split(' ');
+    if (key) {
+      metadata[key] = value ? Buffer.from(value, 'base64').toString('utf8') : '';
+    }
+  }
+  return metadata;
+};
+
+/**
+ * Load an upload session owned by the current user
+ */
+const findSession = async req => {
+  const session = await UploadSession.findById(req.params.uploadId);
+
+  if (!session || session.ownerUserId.toString() !== req.user._id.toString()) {
+    throw new AppError('Upload not found', 404);
+  }
+  if (session.status === 'active' && session.isExpired()) {
+    throw new AppError('Upload has expired', 410);
+  }
+  return session;
+};
+
+/**
+ * Check the staged bytes, store them and create the Video
+ */
+const createVideoFromUpload = async session => {
+  const head = await uploadStaging.readHead(session._id, 12);
+  if (!matchesSignature(head, session.mimeType)) {
+    await uploadStaging.remove(session._id);
+    await session.deleteOne();
+    throw new AppError(`File content does not match its declared type (${session.mimeType})`, 400);
+  }
+
+  const checksum = new fingerprint.ChecksumStream();
+  const read = new Promise((resolve, reject) => {
+    pipeline(uploadStaging.createReadStream(session._id), checksum, error =>
+      error ? reject(error) : resolve()
+    );
+  });
+
+  // A storage driver may not notice its source failing, so the read is checked
+  // too: a file stored from partial bytes has no trustworthy checksum
+  const [stored, readResult] = await Promise.allSettled([
+    storage.upload(checksum, buildStoredFilename(session.filename), {
+      originalFilename: session.filename,
+      mimeType: session.mimeType,
+      uploadedBy: session.ownerUserId.toString(),
+      tenantId: session.tenantId,
+    }),
+    read,
+  ]);
+  if (stored.status === 'rejected' || readResult.status === 'rejected') {
+    if (stored.status === 'fulfilled') {
+      await storage
+        .deleteFile(stored.value.fileId)
+        .catch(err => console.error('Error deleting partially read upload:', err));
+    }
+    throw stored.status === 'rejected' ? stored.reason : readResult.reason;
+  }
+  const uploadResult = stored.value;
+
+  const video = await Video.create({
+    title: session.title,
+    description: session.description,
+    ownerUserId: session.ownerUserId,
+    tenantId: session.tenantId,
+    status: 'uploaded',
+    sensitivity: 'unknown',
+    originalFilename: session.filename,
+    storedFilename: uploadResult.filename,
+    gridFsFileId: uploadResult.fileId,
+    fileSize: uploadResult.length,
+    mimeType: session.mimeType,
+    fingerprint: { checksum: checksum.checksum },
+  });
+
+  session.status = 'completed';
+  session.videoId = video._id;
+  session.lockedUntil = null;
+  await session.save();
+  await uploadStaging.remove(session._id);
+
+  await processingQueue.enqueue(video._id.toString());
+
+  return video;
+};
+
+/**
+ * Answer the request that completed an upload (or a retry of it)
+ * Unlike other tus responses this one has a body: the created video and, as
+ * for a direct upload, a warning when the tenant already has identical content.
+ */
+const sendCompleted = async (res, session, video) => {
+  res.set({ 'Upload-Offset': session.uploadOffset, 'Upload-Video-Id': video._id.toString() });
+
+  const duplicates = video.fingerprint?.checksum
+    ? await fingerprint.findByChecksum(video.tenantId, video.fingerprint.checksum, video._id)
+    : [];
+
+  res.status(200).json({
+    success: true,
+    ...(duplicates.length > 0 && { warnings: [fingerprint.buildDuplicateWarning(duplicates)] }),
+    data: {
+      video: {
+        _id: video._id,
+        title: video.title,
+        description: video.description,
+        status: video.status,
+        sensitivity: video.sensitivity,
+        originalFilename: video.originalFilename,
+        fileSize: video.fileSize,
+        fileSizeFormatted: video.fileSizeFormatted,
+        mimeType: video.mimeType,
+        createdAt: video.createdAt,
+      },
+    },
+  });
+};
+
+/**
+ * Move a fully received upload into storage and create its Video
+ * The caller must hold the session's lock with the session in `finalizing`;
+ * the lock is kept until the video ID is saved, so a retried request cannot
+ * create the video a second time.
+ */
+const finalizeUpload = async session => {
+  // Copying a large file to storage can outlast the lock, so it is extended meanwhile
+  const heartbeat = setInterval(() => {
+    UploadSession.updateOne(
+      { _id: session._id, status: 'finalizing' },
+      { lockedUntil: new Date(Date.now() + LOCK_TTL_MS) }
+    ).catch(err => console.error('Error extending upload lock:', err));
+  }, LOCK_TTL_MS / 2);
+  heartbeat.unref();
+
+  try {
+    return await createVideoFromUpload(session);
+  } catch (error) {
+    // Let a retry take the finalization over without waiting for the lock to expire
+    await UploadSession.updateOne({ _id: session._id, status: 'finalizing' }, { lockedUntil: null });
+    throw error;
+  } finally {
+    clearInterval(heartbeat);
+  }
+};
+
+/**
+ * Set the headers every tus response carries
+ */
+exports.setTusHeaders = (req, res, next) => {
+  res.set({
+    'Tus-Resumable': TUS_VERSION,
+    'Cache-Control': 'no-store',
+  });
+
+  // Every request must declare the protocol version
+  if (req.get('Tus-Resumable') !== TUS_VERSION) {
+    res.set('Tus-Version', TUS_VERSION);
+    return next(new AppError(`Unsupported tus version. Supported: ${TUS_VERSION}`, 412));
+  }
+  next();
+};
+
+/**
+ * Create a resumable upload
+ * POST /api/videos/uploads
+ * Headers: Upload-Length, Upload-Metadata (filename, filetype, title, description)
+ */
+exports.createUpload = async (req, res, next) => {
+  try {
+    const uploadLength = Number(req.get('Upload-Length'));
+    if (!Number.isInteger(uploadLength) || uploadLength <= 0) {
+      return next(new AppError('Upload-Length header must be a positive integer', 400));
+    }
+    if (uploadLength > getMaxVideoSize()) {
+      return next(new AppError('Upload exceeds the maximum allowed size', 413));
+    }
+
+    const metadata = parseUploadMetadata(req.get('Upload-Metadata'));
+    const title = (metadata.title || '').trim();
+
+    if (!metadata.filename) {
+      return next(new AppError('Upload-Metadata must include filename', 400));
+    }
+    if (!allowedMimeTypes.includes(metadata.filetype)) {
+      return next(
+        new AppError(`Invalid file type. Allowed types: ${allowedMimeTypes.join(', ')}`, 400)
+      );
+    }
+    if (!title) {
+      return next(new AppError('Title is required', 400));
+    }
+
+    const session = await UploadSession.create({
+      ownerUserId: req.user._id,
+      tenantId: req.user.tenantId || 'default',
+      uploadLength,
+      filename: metadata.filename,
+      mimeType: metadata.filetype,
+      title,
+      description: metadata.description ? metadata.description.trim() : undefined,
+      expiresAt: new Date(Date.now() + SESSION_TTL_MS),
+    });
+
+    res.status(201).set({
+      Location: `${req.baseUrl}/${session._id}`,
+      'Upload-Offset': 0,
+      'Upload-Expires': session.expiresAt.toUTCString(),
+    });
+    res.end();
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return next(new AppError(Object.values(error.errors).map(e => e.message).join(', '), 400));
+    }
+    next(error);
+  }
+};
+
+/**
+ * Report upload progress
+ * HEAD /api/videos/uploads/:uploadId
+ */
+exports.getUploadOffset = async (req, res, next) => {
+  try {
+    const session = await findSession(req);
+
+    if (session.status === 'finalizing') {
+      res.set('Upload-Offset', session.uploadOffset);
+      return next(new AppError('Upload is being finalized, try again shortly', 409));
+    }
+
+    res.status(200).set({
+      'Upload-Offset': session.uploadOffset,
+      'Upload-Length': session.uploadLength,
+      'Upload-Expires': session.expiresAt.toUTCString(),
+    });
+    if (session.videoId) {
+      res.set('Upload-Video-Id', session.videoId.toString());
+    }
+    res.end();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Append a chunk at the current offset; the last chunk finalizes the upload
+ * PATCH /api/videos/uploads/:uploadId
+ * Headers: Upload-Offset, Content-Type: application/offset+octet-stream
+ */
+exports.appendChunk = async (req, res, next) => {
+  try {
+    if (req.get('Content-Type') !== 'application/offset+octet-stream') {
+      return next(new AppError('Content-Type must be application/offset+octet-stream', 415));
+    }
+
+    const offset = Number(req.get('Upload-Offset'));
+    if (!Number.isInteger(offset) || offset < 0) {
+      return next(new AppError('Upload-Offset header must be a non-negative integer', 400));
+    }
+
+    const session = await findSession(req);
+    if (session.status === 'completed') {
+      // A retry of the last chunk whose response was lost
+      const video = await Video.findById(session.videoId);
+      if (!video) {
+        return next(new AppError('Video not found', 404));
+      }
+      return sendCompleted(res, session, video);
+    }
+    if (offset !== session.uploadOffset) {
+      res.set('Upload-Offset', session.uploadOffset);
+      return next(new AppError(`Upload-Offset mismatch, expected ${session.uploadOffset}`, 409));
+    }
+
+    const now = new Date();
+    const lockFree = { $or: [{ lockedUntil: null }, { lockedUntil: { $lt: now } }] };
+
+    if (session.status === 'finalizing') {
+      // Take over a finalization whose request failed or died before it finished
+      const resumed = await UploadSession.findOneAndUpdate(
+        { _id: session._id, status: 'finalizing', ...lockFree },
+        { lockedUntil: new Date(now.getTime() + LOCK_TTL_MS) },
+        { new: true }
+      );
+      if (!resumed) {
+        res.set('Upload-Offset', session.uploadOffset);
+        return next(new AppError('Upload is being finalized, try again shortly', 409));
+      }
+
+      const video = await finalizeUpload(resumed);
+      return sendCompleted(res, resumed, video);
+    }
+
+    // Refuse before reading the body; aborting a half-read request drops the connection
+    const contentLength = req.get('Content-Length');
+    if (contentLength !== undefined && offset + Number(contentLength) > session.uploadLength) {
+      return next(new AppError('Chunk exceeds the declared upload length', 413));
+    }
+    if (offset > 0 && (await uploadStaging.getStagedSize(session._id)) === null) {
+      // Staged bytes are gone (e.g. the server's temp dir was cleared)
+      await session.deleteOne();
+      return next(new AppError('Upload data was lost, please start a new upload', 410));
+    }
+
+    // Take the write lock so two PATCH requests cannot write the same range
+    const locked = await UploadSession.findOneAndUpdate(
+      { _id: session._id, status: 'active', uploadOffset: offset, ...lockFree },
+      { lockedUntil: new Date(now.getTime() + LOCK_TTL_MS) },
+      { new: true }
+    );
+    if (!locked) {
+      return next(new AppError('Another request is writing to this upload', 409));
+    }
+
+    const { bytesWritten, error: writeError } = await uploadStaging.writeChunk(
+      locked._id,
+      req,
+      offset,
+      locked.uploadLength - offset
+    );
+    const uploadOffset = offset + bytesWritten;
+
+    if (!writeError && uploadOffset === locked.uploadLength) {
+      // Still under the write lock: switching to finalizing in the same update
+      // leaves no moment in which a retry could take the lock and finalize too
+      const finalizing = await UploadSession.findOneAndUpdate(
+        { _id: locked._id, status: 'active', lockedUntil: locked.lockedUntil },
+        { uploadOffset, status: 'finalizing', lockedUntil: new Date(Date.now() + LOCK_TTL_MS) },
+        { new: true }
+      );
+      if (!finalizing) {
+        return next(new AppError('Another request is writing to this upload', 409));
+      }
+
+      const video = await finalizeUpload(finalizing);
+      return sendCompleted(res, finalizing, video);
+    }
+
+    locked.uploadOffset = uploadOffset;
+    locked.lockedUntil = null;
+    await locked.save();
+
+    if (writeError) {
+      // The client can resume from the saved offset once it reconnects
+      if (!res.headersSent && !req.destroyed) {
+        res.set('Upload-Offset', locked.uploadOffset);
+        return next(new AppError(writeError.message, 400));
+      }
+      return;
+    }
+
+    res.set('Upload-Offset', locked.uploadOffset);
+    res.status(204).end();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Abandon an upload and discard its staged bytes
+ * DELETE /api/videos/uploads/:uploadId
+ */
+exports.terminateUpload = async (req, res, next) => {
+  try {
+    const session = await findSession(req);
+    if (session.status !== 'active') {
+      return next(new AppError('Upload is already complete', 409));
+    }
+
+    await uploadStaging.remove(session._id);
+    await session.deleteOne();
+
+    res.status(204).end();
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.parseUploadMetadata = parseUploadMetadata;
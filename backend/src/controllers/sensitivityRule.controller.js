@@ -0,0 +1,175 @@
+const SensitivityRuleSet = require('../models/SensitivityRuleSet');
+const { AppError } = require('../middleware/errorHandler');
+const { DEFAULT_RULE_SET, validateRules } = require('../services/sensitivityRules');
+
+/**
+ * Tenant a request applies to: ?tenantId / body.tenantId, else the admin's own tenant
+ */
+const getTenantId = req =>
+  req.query.tenantId || req.body?.tenantId || String(req.user.tenantId || 'default');
+
+/**
+ * Save a new version of a tenant's rule set
+ * Retries once if another admin saved a version at the same time.
+ */
+const createVersion = async (tenantId, fields) => {
+  for (let attempt = 0; attempt < 2; attempt++) {
+    const latest = await SensitivityRuleSet.findOne({ tenantId }).sort({ version: -1 });
+
+    try {
+      return await SensitivityRuleSet.create({
+        ...fields,
+        tenantId,
+        version: (latest?.version || 0) + 1,
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  throw new AppError('Another version was saved at the same time; try again', 409);
+};
+
+/**
+ * List a tenant's rule set versions, newest first
+ * GET /api/admin/sensitivity-rules?tenantId=
+ * Requires authentication and admin role
+ */
+exports.getRuleSets = async (req, res, next) => {
+  try {
+    const tenantId = getTenantId(req);
+
+    const ruleSets = await SensitivityRuleSet.find({ tenantId })
+      .sort({ version: -1 })
+      .select('-rules -__v')
+      .populate('createdBy', 'name email');
+
+    res.json({
+      success: true,
+      data: {
+        tenantId,
+        activeVersion: ruleSets[0]?.version || DEFAULT_RULE_SET.version,
+        ruleSets,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the rule set currently applied to a tenant
+ * GET /api/admin/sensitivity-rules/active?tenantId=
+ * Requires authentication and admin role
+ *
+ * Falls back to the built-in rules (version 0) when the tenant has none.
+ */
+exports.getActiveRuleSet = async (req, res, next) => {
+  try {
+    const tenantId = getTenantId(req);
+    const ruleSet = await SensitivityRuleSet.findOne({ tenantId }).sort({ version: -1 });
+
+    res.json({
+      success: true,
+      data: { ruleSet: ruleSet || { ...DEFAULT_RULE_SET, tenantId } },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get one version of a tenant's rule set
+ * GET /api/admin/sensitivity-rules/:version?tenantId=
+ * Requires authentication and admin role
+ */
+exports.getRuleSet = async (req, res, next) => {
+  try {
+    const tenantId = getTenantId(req);
+    const ruleSet = await SensitivityRuleSet.findOne({
+      tenantId,
+      version: parseInt(req.params.version),
+    }).populate('createdBy', 'name email');
+
+    if (!ruleSet) {
+      return next(new AppError('Rule set version not found', 404));
+    }
+
+    res.json({
+      success: true,
+      data: { ruleSet },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Save a new rule set version; it applies to videos processed from now on
+ * POST /api/admin/sensitivity-rules
+ * Body: { tenantId, name, notes, flagThreshold, rules }
+ * Requires authentication and admin role
+ */
+exports.createRuleSet = async (req, res, next) => {
+  try {
+    const { name, notes, flagThreshold, rules } = req.body;
+
+    const errors = validateRules(rules);
+    if (errors.length > 0) {
+      return next(new AppError(`Invalid rules: ${errors.join('; ')}`, 400));
+    }
+
+    const ruleSet = await createVersion(getTenantId(req), {
+      name,
+      notes,
+      flagThreshold,
+      rules,
+      createdBy: req.user._id,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Rule set version ${ruleSet.version} created`,
+      data: { ruleSet },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Make an earlier version active again by copying it as a new version
+ * POST /api/admin/sensitivity-rules/:version/restore
+ * Body: { tenantId, notes }
+ * Requires authentication and admin role
+ */
+exports.restoreRuleSet = async (req, res, next) => {
+  try {
+    const tenantId = getTenantId(req);
+    const source = await SensitivityRuleSet.findOne({
+      tenantId,
+      version: parseInt(req.params.version),
+    }).lean();
+
+    if (!source) {
+      return next(new AppError('Rule set version not found', 404));
+    }
+
+    const ruleSet = await createVersion(tenantId, {
+      name: source.name,
+      notes: req.body.notes || `Restored from version ${source.version}`,
+      flagThreshold: source.flagThreshold,
+      rules: source.rules,
+      basedOnVersion: source.version,
+      createdBy: req.user._id,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Version ${source.version} restored as version ${ruleSet.version}`,
+      data: { ruleSet },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
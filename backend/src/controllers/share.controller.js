@@ -0,0 +1,304 @@
+const crypto = require('crypto');
+const Video = require('../models/Video');
+const ShareLink = require('../models/ShareLink');
+const DownloadAudit = require('../models/DownloadAudit');
+const { AppError } = require('../middleware/errorHandler');
+const storage = require('../services/storage');
+const mediaServer = require('../services/mediaServer');
+const streamSignature = require('../utils/streamSignature');
+
+// Media URLs of a share link are signed for this subject and the viewing
+// session's nonce ("share.<nonce>") instead of a user
+const SHARE_SUBJECT = 'share';
+
+/**
+ * Longest a viewing session's media URLs are renewed for after opening the link
+ * @returns {Number} - Milliseconds
+ */
+const getSessionLifetime = () =>
+  parseInt(process.env.SHARE_SESSION_MAX_SECONDS || String(4 * 60 * 60), 10) * 1000;
+
+const toSubject = nonce => `${SHARE_SUBJECT}.${nonce}`;
+
+/**
+ * Nonce of the viewing session a signed query was issued for
+ * @param {String} uid - Signed subject
+ * @returns {String|null}
+ */
+const getSessionNonce = uid =>
+  typeof uid === 'string' && uid.startsWith(`${SHARE_SUBJECT}.`) ? uid.slice(SHARE_SUBJECT.length + 1) : null;
+
+/**
+ * Load the share link of the request's token while its media may be served
+ * @param {Object} req
+ * @param {Boolean} withPassword - Also load the password hash
+ * @throws {AppError} - When the link is unknown, revoked or expired
+ */
+const findLiveLink = async (req, withPassword = false) => {
+  const query = ShareLink.findOne({ token: req.params.token });
+  const link = await (withPassword ? query.select('+password') : query);
+
+  if (!link) {
+    throw new AppError('Share link not found', 404);
+  }
+  if (link.revokedAt) {
+    throw new AppError('This share link has been revoked', 410);
+  }
+  if (!link.isLive()) {
+    throw new AppError('This share link has expired', 410);
+  }
+  return link;
+};
+
+/**
+ * Load the video of a share link while it can be watched
+ * Held or rejected videos are as unavailable to guests as they are to viewers.
+ * @throws {AppError}
+ */
+const findSharedVideo = async link => {
+  const video = await Video.findById(link.videoId);
+
+  if (!video) {
+    throw new AppError('Video not found', 404);
+  }
+  if (video.isAwaitingReview() || video.moderation?.status === 'rejected') {
+    throw new AppError('This video is not available', 403);
+  }
+  if (video.status !== 'ready' || !video.gridFsFileId) {
+    throw new AppError('This video is not available yet', 409);
+  }
+  return video;
+};
+
+/**
+ * Check the signed query of a share link's media request
+ * @throws {AppError}
+ */
+const verifySignedRequest = (req, link) => {
+  if (!getSessionNonce(req.query.uid) || !streamSignature.verifyStreamAccess(link._id, req.query)) {
+    throw new AppError('Invalid or expired stream URL', 401);
+  }
+  // Responses to signed URLs are cached no longer than the signature lasts
+  req.signedUrl = { expiresAt: new Date(parseInt(req.query.exp, 10) * 1000) };
+};
+
+/**
+ * Respond with freshly signed media URLs of a share link's viewing session
+ * They expire no later than the session or the link.
+ */
+const sendAccess = (res, link, session) => {
+  const notAfter = link.expiresAt && link.expiresAt < session.expiresAt ? link.expiresAt : session.expiresAt;
+  const access = streamSignature.signStreamAccess(link._id, toSubject(session.nonce), Date.now(), notAfter);
+  const query = streamSignature.toStreamQuery(access);
+
+  res.set('Cache-Control', 'no-store');
+  res.json({
+    success: true,
+    data: {
+      query,
+      streamUrl: `/api/share/${link.token}/stream?${query}`,
+      downloadUrl: link.allowDownload ? `/api/share/${link.token}/download?${query}` : null,
+      expiresAt: access.expiresAt,
+      viewsLeft: link.maxViews === null ? null : Math.max(link.maxViews - link.viewCount, 0),
+    },
+  });
+};
+
+/**
+ * Get what a share link's landing page shows
+ * GET /api/share/:token
+ * Public
+ */
+exports.getShareLink = async (req, res, next) => {
+  try {
+    const link = await findLiveLink(req);
+    const video = await findSharedVideo(link);
+
+    res.set('Cache-Control', 'no-store');
+    res.json({
+      success: true,
+      data: {
+        shareLink: {
+          requiresPassword: link.hasPassword,
+          allowDownload: link.allowDownload,
+          expiresAt: link.expiresAt,
+          viewsLeft: link.maxViews === null ? null : Math.max(link.maxViews - link.viewCount, 0),
+        },
+        video: {
+          title: video.title,
+          description: video.description,
+          duration: video.duration,
+          durationFormatted: video.durationFormatted,
+          resolution: video.resolution,
+          mimeType: video.mimeType,
+        },
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Open a share link: check its password, count a view and issue signed media URLs
+ * POST /api/share/:token/access
+ * Public
+ */
+exports.openShareLink = async (req, res, next) => {
+  try {
+    const link = await findLiveLink(req, true);
+
+    if (link.hasPassword && !(await link.comparePassword(req.body.password))) {
+      return next(new AppError('Incorrect password', 401));
+    }
+
+    // Nothing is counted while the video cannot be watched
+    await findSharedVideo(link);
+
+    const now = new Date();
+    const sessionEnd = new Date(now.getTime() + getSessionLifetime());
+    const session = {
+      nonce: crypto.randomBytes(16).toString('base64url'),
+      openedAt: now,
+      expiresAt: link.expiresAt && link.expiresAt < sessionEnd ? link.expiresAt : sessionEnd,
+    };
+
+    // Counted atomically, so concurrent opens cannot exceed the view limit
+    const opened = await ShareLink.findOneAndUpdate(
+      {
+        _id: link._id,
+        revokedAt: null,
+        $or: [{ maxViews: null }, { $expr: { $lt: ['$viewCount', '$maxViews'] } }],
+      },
+      { $inc: { viewCount: 1 }, lastViewedAt: now, $push: { sessions: session } },
+      { new: true }
+    );
+
+    if (!opened) {
+      return next(new AppError('This share link has reached its view limit', 410));
+    }
+
+    // Drop ended sessions; running out of views only stops new opens, not those already open
+    await ShareLink.updateOne({ _id: opened._id }, { $pull: { sessions: { expiresAt: { $lte: now } } } });
+
+    sendAccess(res, opened, session);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Re-sign a share link's media URLs before they expire, without counting a view
+ * POST /api/share/:token/renew
+ * Public; requires the current signed query (uid, exp, sig) in the body.
+ * Works only while the viewing session it was issued for lasts.
+ */
+exports.renewShareAccess = async (req, res, next) => {
+  try {
+    const link = await ShareLink.findOne({ token: req.params.token }).select('+sessions');
+    if (!link) {
+      return next(new AppError('Share link not found', 404));
+    }
+
+    const { uid, exp, sig } = req.body;
+    const nonce = getSessionNonce(uid);
+    if (!nonce || !streamSignature.verifyStreamAccess(link._id, { uid, exp: String(exp), sig })) {
+      return next(new AppError('Invalid or expired stream URL', 401));
+    }
+    if (link.revokedAt) {
+      return next(new AppError('This share link has been revoked', 410));
+    }
+    if (!link.isLive()) {
+      return next(new AppError('This share link has expired', 410));
+    }
+
+    const session = link.findSession(nonce);
+    if (!session) {
+      return next(new AppError('This viewing session has ended, open the link again', 410));
+    }
+
+    sendAccess(res, link, session);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Stream the video of a share link with HTTP Range support
+ * GET /api/share/:token/stream?uid=&exp=&sig=
+ * Public; requires a signed query from openShareLink
+ */
+exports.streamSharedVideo = async (req, res, next) => {
+  try {
+    const link = await findLiveLink(req);
+    verifySignedRequest(req, link);
+    const video = await findSharedVideo(link);
+
+    let file;
+    try {
+      file = await storage.stat(video.gridFsFileId);
+    } catch (err) {
+      console.error('Error reading video file from storage:', err);
+      return next(new AppError('Video file not found on server', 404));
+    }
+
+    await mediaServer.serveFile(req, res, next, {
+      fileId: video.gridFsFileId,
+      file,
+      contentType: video.mimeType || 'video/mp4',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Download the original file of a share link that allows downloads
+ * GET /api/share/:token/download?uid=&exp=&sig=
+ * Public; requires a signed query from openShareLink. Recorded in the download audit log.
+ */
+exports.downloadSharedVideo = async (req, res, next) => {
+  try {
+    const link = await findLiveLink(req);
+    verifySignedRequest(req, link);
+
+    if (!link.allowDownload) {
+      return next(new AppError('Downloads are not enabled for this link', 403));
+    }
+
+    const video = await findSharedVideo(link);
+
+    let file;
+    try {
+      file = await storage.stat(video.gridFsFileId);
+    } catch (err) {
+      console.error('Error reading video file from storage:', err);
+      return next(new AppError('Video file not found on server', 404));
+    }
+
+    await mediaServer.serveFile(req, res, next, {
+      fileId: video.gridFsFileId,
+      file,
+      contentType: video.mimeType || 'video/mp4',
+      filename: video.originalFilename,
+      // Once per download, as for signed-in users
+      beforeSend: async ({ ranges }) => {
+        if (ranges && ranges[0].start > 0) {
+          return;
+        }
+        await DownloadAudit.create({
+          videoId: video._id,
+          shareLinkId: link._id,
+          tenantId: video.tenantId,
+          role: 'guest',
+          filename: video.originalFilename,
+          fileSize: file.length,
+          ip: req.ip,
+          userAgent: req.get('User-Agent') || null,
+        });
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
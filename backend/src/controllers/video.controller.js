@@ -1,15 +1,33 @@
+const path = require('path');
+const mongoose = require('mongoose');
 const Video = require('../models/Video');
 const VideoAssignment = require('../models/VideoAssignment');
+const DownloadAudit = require('../models/DownloadAudit');
+const ShareLink = require('../models/ShareLink');
 const User = require('../models/User');
 const { AppError } = require('../middleware/errorHandler');
 const processingQueue = require('../services/processingQueue');
-const gridfsStorage = require('../services/gridfsStorage');
-const path = require('path');
+const storage = require('../services/storage');
+const mediaServer = require('../services/mediaServer');
+const mediaCache = require('../services/mediaCache');
+const hls = require('../services/hls');
+const thumbnails = require('../services/thumbnails');
+const storyboard = require('../services/storyboard');
+const fingerprint = require('../services/fingerprint');
+const chapters = require('../services/chapters');
+const captions = require('../services/captions');
+const clips = require('../services/clips');
+const technicalMetadata = require('../services/technicalMetadata');
+const streamSignature = require('../utils/streamSignature');
 
 /**
  * Upload a new video
  * POST /api/videos/upload
  * Requires authentication and editor/admin role
+ *
+ * The file has already been streamed into storage by the upload middleware;
+ * req.file carries its fileId, storedFilename, size and checksum.
+ * The response warns when the tenant already has a video with the same content.
  */
 exports.uploadVideo = async (req, res, next) => {
   try {
@@ -26,31 +44,6 @@ exports.uploadVideo = async (req, res, next) => {
       return next(new AppError('Title is required', 400));
     }
 
-    // Generate unique filename
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1e9);
-    const ext = path.extname(req.file.originalname);
-    const nameWithoutExt = path.basename(req.file.originalname, ext);
-    const sanitized = nameWithoutExt.replace(/[^a-zA-Z0-9-_]/g, '_');
-    const storedFilename = sanitized + '-' + uniqueSuffix + ext;
-
-    // Upload video to GridFS
-    let uploadResult;
-    try {
-      uploadResult = await gridfsStorage.uploadToGridFS(
-        req.file.buffer,
-        storedFilename,
-        {
-          originalFilename: req.file.originalname,
-          mimeType: req.file.mimetype,
-          uploadedBy: req.user._id.toString(),
-          tenantId: req.user.tenantId || 'default',
-        }
-      );
-    } catch (uploadError) {
-      console.error('GridFS upload failed:', uploadError);
-      return next(new AppError(`Failed to upload video to storage: ${uploadError.message}`, 500));
-    }
-
     // Create video record
     const video = await Video.create({
       title: title.trim(),
@@ -60,17 +53,23 @@ exports.uploadVideo = async (req, res, next) => {
       status: 'uploaded',
       sensitivity: 'unknown',
       originalFilename: req.file.originalname,
-      storedFilename: uploadResult.filename,
-      gridFsFileId: uploadResult.fileId,
+      storedFilename: req.file.storedFilename,
+      gridFsFileId: req.file.fileId,
       fileSize: req.file.size,
       mimeType: req.file.mimetype,
+      fingerprint: { checksum: req.file.checksum },
     });
 
     // Enqueue video for processing
-    processingQueue.enqueue(video._id.toString());
+    await processingQueue.enqueue(video._id.toString());
+
+    const duplicates = req.file.checksum
+      ? await fingerprint.findByChecksum(video.tenantId, req.file.checksum, video._id)
+      : [];
 
     res.status(201).json({
       success: true,
+      ...(duplicates.length > 0 && { warnings: [fingerprint.buildDuplicateWarning(duplicates)] }),
       data: {
         video: {
           _id: video._id,
@@ -100,11 +99,15 @@ exports.uploadVideo = async (req, res, next) => {
  * - Viewer: Only sees videos assigned to them
  * - Editor: Only sees their own uploaded videos
  * - Admin: Sees all videos in the system
+ *
+ * Technical filters (codec, container, HDR, resolution, frame rate, ...)
+ * apply on top of the role's query.
  */
 exports.getUserVideos = async (req, res, next) => {
   try {
     const { status, limit = 50, skip = 0 } = req.query;
     const userRole = req.user.role;
+    const technicalFilter = technicalMetadata.buildTechnicalFilter(req.query);
 
     let videos;
     let total;
@@ -118,7 +121,7 @@ exports.getUserVideos = async (req, res, next) => {
 
       const videoIds = assignments.map(a => a.videoId);
 
-      const query = { _id: { $in: videoIds } };
+      const query = { _id: { $in: videoIds }, ...technicalFilter };
       if (status) {
         query.status = status;
       }
@@ -135,6 +138,7 @@ exports.getUserVideos = async (req, res, next) => {
       // Editors only see their own videos
       const query = {
         ownerUserId: req.user._id,
+        ...technicalFilter,
       };
 
       if (status) {
@@ -151,7 +155,7 @@ exports.getUserVideos = async (req, res, next) => {
 
     } else if (userRole === 'admin') {
       // Admins see all videos across all users
-      const query = {};
+      const query = { ...technicalFilter };
 
       if (status) {
         query.status = status;
@@ -173,7 +177,11 @@ exports.getUserVideos = async (req, res, next) => {
     res.json({
       success: true,
       data: {
-        videos,
+        // Signed media query per video, so the list can show thumbnails
+        videos: videos.map(video => ({
+          ...video.toJSON(),
+          streamQuery: streamSignature.toStreamQuery(streamSignature.signStreamAccess(video._id, req.user._id)),
+        })),
         pagination: {
           total,
           limit: parseInt(limit),
@@ -201,7 +209,10 @@ exports.getVideoById = async (req, res, next) => {
   try {
     const { id } = req.params;
 
-    const video = await Video.findById(id).select('-__v').populate('ownerUserId', 'name email role');
+    const video = await Video.findById(id)
+      .select('-__v')
+      .populate('ownerUserId', 'name email role')
+      .populate('parentVideoId', 'title');
 
     if (!video) {
       return next(new AppError('Video not found', 404));
@@ -212,9 +223,10 @@ exports.getVideoById = async (req, res, next) => {
     const ownerId = video.ownerUserId._id.toString();
 
     // Check authorization based on role
+    let assignment = null;
     if (userRole === 'viewer') {
       // Viewers can only access assigned videos
-      const assignment = await VideoAssignment.findOne({
+      assignment = await VideoAssignment.findOne({
         videoId: id,
         userId: req.user._id,
         $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }],
@@ -233,7 +245,58 @@ exports.getVideoById = async (req, res, next) => {
 
     res.json({
       success: true,
-      data: { video },
+      data: { video, canDownload: canDownloadVideo(req.user, video, assignment) },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Find videos in the same tenant with the same or similar content
+ * GET /api/videos/:id/duplicates
+ * Requires authentication
+ *
+ * Byte-identical files match on their checksum (similarity 1); re-encoded
+ * copies match on their frame hashes once processing has computed them.
+ *
+ * Authorization:
+ * - Viewer: Cannot list duplicates
+ * - Editor: Only for their own videos
+ * - Admin: For any video
+ */
+exports.getDuplicates = async (req, res, next) => {
+  try {
+    const video = await Video.findById(req.params.id).select('+fingerprint.bands');
+
+    if (!video) {
+      return next(new AppError('Video not found', 404));
+    }
+
+    if (req.user.role === 'viewer') {
+      return next(new AppError('Viewers cannot look up duplicates', 403));
+    }
+    if (!video.canEdit(req.user._id, req.user.role)) {
+      return next(new AppError('You do not have permission to access this video', 403));
+    }
+
+    const duplicates = await fingerprint.findDuplicates(video);
+
+    res.json({
+      success: true,
+      data: {
+        fingerprintStatus: video.fingerprint?.status || 'none',
+        duplicates: duplicates.map(({ video: duplicate, similarity, match }) => ({
+          video: {
+            _id: duplicate._id,
+            title: duplicate.title,
+            ownerUserId: duplicate.ownerUserId,
+            createdAt: duplicate.createdAt,
+          },
+          similarity,
+          match,
+        })),
+      },
     });
   } catch (error) {
     next(error);
@@ -253,7 +316,7 @@ exports.getVideoById = async (req, res, next) => {
 exports.updateVideo = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { title, description, status, sensitivity } = req.body;
+    const { title, description, status, sensitivity, sensitivityReason, allowDownload } = req.body;
 
     const video = await Video.findById(id);
 
@@ -275,11 +338,29 @@ exports.updateVideo = async (req, res, next) => {
     }
     // Admins can update any video
 
+    // A pending review can only be settled through the moderation queue
+    if (sensitivity !== undefined && video.isAwaitingReview()) {
+      return next(new AppError('This video is awaiting moderation; use the review queue to decide it', 409));
+    }
+
     // Update fields
     if (title !== undefined) video.title = title;
     if (description !== undefined) video.description = description;
     if (status !== undefined) video.status = status;
-    if (sensitivity !== undefined) video.sensitivity = sensitivity;
+    if (allowDownload !== undefined) video.allowDownload = allowDownload;
+    if (sensitivity !== undefined && sensitivity !== video.sensitivity) {
+      video.recordModeration('sensitivity_changed', req.user._id, {
+        fromSensitivity: video.sensitivity,
+        toSensitivity: sensitivity,
+        reason: sensitivityReason,
+      });
+      video.sensitivity = sensitivity;
+
+      // Marking a video flagged by hand sends it for review like automatic flags do
+      if (sensitivity === 'flagged') {
+        video.queueForReview(req.user._id, sensitivityReason);
+      }
+    }
 
     await video.save();
 
@@ -306,7 +387,7 @@ exports.deleteVideo = async (req, res, next) => {
   try {
     const { id } = req.params;
 
-    const video = await Video.findById(id);
+    const video = await Video.findById(id).select('+hls.fileIds');
 
     if (!video) {
       return next(new AppError('Video not found', 404));
@@ -326,28 +407,45 @@ exports.deleteVideo = async (req, res, next) => {
     }
     // Admins can delete any video
 
-    // Delete video file from GridFS
+    // Delete video file from storage
     if (video.gridFsFileId) {
       try {
-        await gridfsStorage.deleteFromGridFS(video.gridFsFileId);
-        console.log(`Deleted video file from GridFS: ${video.gridFsFileId}`);
+        await storage.deleteFile(video.gridFsFileId);
+        console.log(`Deleted video file from storage: ${video.gridFsFileId}`);
       } catch (err) {
-        console.error('Error deleting video file from GridFS:', err);
+        console.error('Error deleting video file from storage:', err);
       }
     }
 
-    // Delete thumbnail from GridFS if exists
+    // Delete thumbnail from storage if exists
     if (video.thumbnailGridFsFileId) {
       try {
-        await gridfsStorage.deleteFromGridFS(video.thumbnailGridFsFileId);
-        console.log(`Deleted thumbnail from GridFS: ${video.thumbnailGridFsFileId}`);
+        await storage.deleteFile(video.thumbnailGridFsFileId);
+        console.log(`Deleted thumbnail from storage: ${video.thumbnailGridFsFileId}`);
       } catch (err) {
-        console.error('Error deleting thumbnail from GridFS:', err);
+        console.error('Error deleting thumbnail from storage:', err);
       }
     }
 
-    // Delete video assignments
+    // Delete cached thumbnail variants
+    await thumbnails.deleteVariants(video);
+
+    // Delete storyboard sprite sheets
+    for (const sheetId of video.storyboard?.sheets || []) {
+      await storage.deleteFile(sheetId).catch(err => {
+        console.error('Error deleting storyboard sheet from storage:', err);
+      });
+    }
+
+    // Delete HLS playlists and segments
+    await hls.deleteFiles(video.hls?.fileIds);
+
+    // Delete caption tracks
+    await captions.deleteTracks(video.captions);
+
+    // Delete video assignments and share links
     await VideoAssignment.deleteMany({ videoId: id });
+    await ShareLink.deleteMany({ videoId: id });
 
     // Delete video document
     await video.deleteOne();
@@ -373,7 +471,7 @@ exports.deleteVideo = async (req, res, next) => {
 exports.assignVideo = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { userIds, expiresAt } = req.body;
+    const { userIds, expiresAt, allowDownload } = req.body;
 
     if (!Array.isArray(userIds) || userIds.length === 0) {
       return next(new AppError('Please provide at least one user ID', 400));
@@ -416,6 +514,8 @@ exports.assignVideo = async (req, res, next) => {
             assignedBy: req.user._id,
             assignedAt: new Date(),
             expiresAt: expiresAt || null,
+            // Re-assigning keeps a viewer's download override unless a new one is given
+            ...(allowDownload !== undefined && { allowDownload }),
           },
           { upsert: true, new: true }
         ).populate('userId', 'name email');
@@ -479,6 +579,47 @@ exports.unassignVideo = async (req, res, next) => {
   }
 };
 
+/**
+ * Change a viewer's assignment
+ * PATCH /api/videos/:id/assign/:userId
+ * Requires authentication (editor/admin)
+ *
+ * allowDownload: true or false overrides the video's download setting for this
+ * viewer; null makes the assignment follow the video again.
+ */
+exports.updateAssignment = async (req, res, next) => {
+  try {
+    const { id, userId } = req.params;
+
+    const video = await Video.findById(id);
+    if (!video) {
+      return next(new AppError('Video not found', 404));
+    }
+
+    // Check authorization
+    if (req.user.role === 'editor' && video.ownerUserId.toString() !== req.user._id.toString()) {
+      return next(new AppError('You can only change assignments of your own videos', 403));
+    }
+
+    const assignment = await VideoAssignment.findOneAndUpdate(
+      { videoId: id, userId },
+      { allowDownload: req.body.allowDownload },
+      { new: true }
+    ).populate('userId', 'name email');
+
+    if (!assignment) {
+      return next(new AppError('Assignment not found', 404));
+    }
+
+    res.json({
+      success: true,
+      data: { assignment },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Get all assignments for a video
  * GET /api/videos/:id/assignments
@@ -520,7 +661,141 @@ exports.getVideoAssignments = async (req, res, next) => {
 };
 
 /**
- * Stream a video with HTTP Range support
+ * Load a video whose share links the current user manages
+ * @throws {AppError}
+ */
+const findSharableVideo = async req => {
+  const video = await Video.findById(req.params.id);
+
+  if (!video) {
+    throw new AppError('Video not found', 404);
+  }
+  if (!video.canEdit(req.user._id, req.user.role)) {
+    throw new AppError('You can only share your own videos', 403);
+  }
+  return video;
+};
+
+/**
+ * Create a public share link for a video
+ * POST /api/videos/:id/share-links
+ * Requires authentication (editor for own videos, admin for all)
+ *
+ * The link works without an account. Optional settings: label, password,
+ * expiresAt, maxViews and allowDownload.
+ */
+exports.createShareLink = async (req, res, next) => {
+  try {
+    const video = await findSharableVideo(req);
+    const { label, password, expiresAt, maxViews, allowDownload } = req.body;
+
+    if (video.status !== 'ready') {
+      return next(new AppError(`Only ready videos can be shared (status: ${video.status})`, 400));
+    }
+
+    const shareLink = await ShareLink.create({
+      videoId: video._id,
+      createdBy: req.user._id,
+      tenantId: video.tenantId,
+      label,
+      password: password || undefined,
+      expiresAt: expiresAt || null,
+      maxViews: maxViews || null,
+      allowDownload: Boolean(allowDownload),
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Share link created',
+      data: { shareLink },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List the share links of a video, newest first
+ * GET /api/videos/:id/share-links
+ * Requires authentication (editor for own videos, admin for all)
+ */
+exports.getShareLinks = async (req, res, next) => {
+  try {
+    const video = await findSharableVideo(req);
+
+    const shareLinks = await ShareLink.find({ videoId: video._id })
+      .sort({ createdAt: -1 })
+      .populate('createdBy', 'name email');
+
+    res.json({
+      success: true,
+      data: { shareLinks },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Revoke a share link; media requests through it stop immediately
+ * DELETE /api/videos/:id/share-links/:linkId
+ * Requires authentication (editor for own videos, admin for all)
+ */
+exports.revokeShareLink = async (req, res, next) => {
+  try {
+    const video = await findSharableVideo(req);
+
+    const shareLink = await ShareLink.findOne({ _id: req.params.linkId, videoId: video._id });
+    if (!shareLink) {
+      return next(new AppError('Share link not found', 404));
+    }
+
+    // Revoked links are kept so downloads through them stay attributable
+    if (!shareLink.revokedAt) {
+      shareLink.revokedAt = new Date();
+      shareLink.sessions = [];
+      await shareLink.save();
+    }
+
+    res.json({
+      success: true,
+      message: 'Share link revoked',
+      data: { shareLink },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Reason a viewer may not watch a video because of moderation, if any
+ * Flagged videos stay hidden from viewers until approved, and rejected ones for good.
+ * @returns {String|null}
+ */
+const getModerationBlock = video => {
+  if (video.isAwaitingReview()) {
+    return 'This video is awaiting moderation review';
+  }
+  if (video.moderation?.status === 'rejected') {
+    return 'This video was rejected by moderation';
+  }
+  return null;
+};
+
+/**
+ * Whether a user may download a video's original file
+ * Owners and admins always may; viewers when the owner allowed it for the
+ * video or for their assignment.
+ * @param {Object} user - req.user
+ * @param {Object} video
+ * @param {Object|null} assignment - The viewer's current assignment
+ * @returns {Boolean}
+ */
+const canDownloadVideo = (user, video, assignment) =>
+  user.role !== 'viewer' || Boolean(assignment?.canDownload(video));
+
+/**
+ * Stream a video with HTTP Range support (single, suffix and multiple ranges)
  * GET /api/videos/:id/stream
  * Requires authentication and proper permissions
  * 
@@ -556,6 +831,11 @@ exports.streamVideo = async (req, res, next) => {
       if (!assignment) {
         return next(new AppError('You do not have permission to stream this video', 403));
       }
+
+      const moderationBlock = getModerationBlock(video);
+      if (moderationBlock) {
+        return next(new AppError(moderationBlock, 403));
+      }
     } else if (userRole === 'editor') {
       // Editors can only stream their own videos
       if (ownerId !== userId) {
@@ -569,7 +849,7 @@ exports.streamVideo = async (req, res, next) => {
       return next(new AppError(`Video is not ready for streaming (status: ${video.status})`, 400));
     }
 
-    // Check if GridFS file exists
+    // Check if a stored file is linked
     if (!video.gridFsFileId) {
       return next(new AppError(
         'This video was uploaded before the storage system migration and is no longer available. ' +
@@ -578,107 +858,754 @@ exports.streamVideo = async (req, res, next) => {
       ));
     }
 
-    // Get file metadata from GridFS
+    // Get file metadata from storage
     let fileMetadata;
     try {
-      fileMetadata = await gridfsStorage.getFileMetadata(video.gridFsFileId);
+      fileMetadata = await storage.stat(video.gridFsFileId);
     } catch (err) {
-      console.error('Error reading video file from GridFS:', err);
+      console.error('Error reading video file from storage:', err);
       return next(new AppError('Video file not found on server. This may be due to server restart (Render free tier has ephemeral storage). Please upload the video again.', 404));
     }
 
-    const fileSize = fileMetadata.length;
-    const range = req.headers.range;
+    await mediaServer.serveFile(req, res, next, {
+      fileId: video.gridFsFileId,
+      file: fileMetadata,
+      contentType: video.mimeType || 'video/mp4',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
 
-    if (range) {
-      // Parse Range header (e.g., "bytes=0-1023")
-      const parts = range.replace(/bytes=/, '').split('-');
-      const start = parseInt(parts[0], 10);
-      const end = parts[1] ? parseInt(parts[1], 10) : fileSize - 1;
+/**
+ * Load a ready video the current user may stream, applying the same checks as streamVideo
+ * @throws {AppError} - When the video is missing, not ready or not accessible
+ */
+const findStreamableVideo = async req => {
+  const video = await Video.findById(req.params.id);
 
-      // Validate range
-      if (start >= fileSize || end >= fileSize) {
-        res.status(416).set({
-          'Content-Range': `bytes */${fileSize}`,
-        });
-        return res.end();
-      }
+  if (!video) {
+    throw new AppError('Video not found', 404);
+  }
 
-      const chunksize = end - start + 1;
+  if (req.user.role === 'viewer') {
+    // Viewers can only stream assigned videos
+    const assignment = await VideoAssignment.findOne({
+      videoId: video._id,
+      userId: req.user._id,
+      $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }],
+    });
 
-      // Create read stream for partial content from GridFS
-      const downloadStream = gridfsStorage.downloadFromGridFS(video.gridFsFileId);
+    if (!assignment) {
+      throw new AppError('You do not have permission to stream this video', 403);
+    }
 
-      // Set headers for partial content
-      res.status(206).set({
-        'Content-Range': `bytes ${start}-${end}/${fileSize}`,
-        'Accept-Ranges': 'bytes',
-        'Content-Length': chunksize,
-        'Content-Type': video.mimeType || 'video/mp4',
-      });
+    const moderationBlock = getModerationBlock(video);
+    if (moderationBlock) {
+      throw new AppError(moderationBlock, 403);
+    }
+  } else if (req.user.role === 'editor' && video.ownerUserId.toString() !== req.user._id.toString()) {
+    // Editors can only stream their own videos
+    throw new AppError('You do not have permission to stream this video', 403);
+  }
 
-      // For range requests, we need to skip to the start position
-      let bytesRead = 0;
-      downloadStream.on('data', (chunk) => {
-        if (bytesRead + chunk.length <= start) {
-          // Skip this chunk entirely
-          bytesRead += chunk.length;
-        } else if (bytesRead < start) {
-          // Partially skip this chunk
-          const skipBytes = start - bytesRead;
-          const useBytes = chunk.length - skipBytes;
-          const useEnd = Math.min(useBytes, chunksize - (bytesRead + skipBytes - start));
-          res.write(chunk.slice(skipBytes, skipBytes + useEnd));
-          bytesRead += chunk.length;
-          if (bytesRead >= end + 1) {
-            downloadStream.destroy();
-            res.end();
-          }
-        } else if (bytesRead <= end) {
-          // Use this chunk (or part of it)
-          const remainingBytes = end - bytesRead + 1;
-          const useBytes = Math.min(chunk.length, remainingBytes);
-          res.write(chunk.slice(0, useBytes));
-          bytesRead += chunk.length;
-          if (bytesRead >= end + 1) {
-            downloadStream.destroy();
-            res.end();
-          }
-        }
-      });
+  if (video.status !== 'ready') {
+    throw new AppError(`Video is not ready for streaming (status: ${video.status})`, 400);
+  }
 
-      downloadStream.on('error', (err) => {
-        console.error('Stream error:', err);
-        if (!res.headersSent) {
-          return next(new AppError('Error streaming video', 500));
-        }
-      });
+  return video;
+};
 
-      downloadStream.on('end', () => {
-        if (!res.writableEnded) {
-          res.end();
-        }
-      });
-    } else {
-      // No range requested, stream entire file
-      res.status(200).set({
-        'Content-Length': fileSize,
-        'Content-Type': video.mimeType || 'video/mp4',
-        'Accept-Ranges': 'bytes',
+/**
+ * Load a streamable video that has HLS renditions
+ * @throws {AppError}
+ */
+const findHlsVideo = async req => {
+  const video = await findStreamableVideo(req);
+
+  if (video.hls?.status !== 'ready') {
+    throw new AppError('No HLS renditions are available for this video', 404);
+  }
+  return video;
+};
+
+// Players drop a playlist's or track's query string when resolving its entries,
+// so every URL they reference gets the request's signature, or a new one for
+// requests made with a bearer token
+const getStreamQuery = req =>
+  streamSignature.toStreamQuery(
+    req.query.sig ? req.query : streamSignature.signStreamAccess(req.params.id, req.user._id)
+  );
+
+/**
+ * Issue a short-lived signed URL for a video's media
+ * GET /api/videos/:id/stream-url
+ * Requires authentication and the same permissions as streaming
+ *
+ * The returned query (uid, exp, sig) is accepted in place of a bearer token by
+ * every media route of this video: stream, download, thumbnail, HLS, storyboard, chapters
+ * and caption tracks.
+ */
+exports.getStreamUrl = async (req, res, next) => {
+  try {
+    const video = await findStreamableVideo(req);
+    const access = streamSignature.signStreamAccess(video._id, req.user._id);
+    const query = streamSignature.toStreamQuery(access);
+
+    res.set('Cache-Control', 'no-store');
+    res.json({
+      success: true,
+      data: {
+        url: `/api/videos/${video._id}/stream?${query}`,
+        query,
+        expiresAt: access.expiresAt,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Download a video's original file
+ * GET /api/videos/:id/download
+ * Requires authentication and the same permissions as streaming
+ *
+ * Viewers also need downloads enabled for the video or their assignment. The
+ * file is sent as an attachment under its original filename, resumable with
+ * Range requests, and each download is recorded in the audit log.
+ */
+exports.downloadVideo = async (req, res, next) => {
+  try {
+    const video = await findStreamableVideo(req);
+
+    if (req.user.role === 'viewer') {
+      const assignment = await VideoAssignment.findOne({
+        videoId: video._id,
+        userId: req.user._id,
+        $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }],
       });
 
-      // Create read stream for entire file from GridFS
-      const downloadStream = gridfsStorage.downloadFromGridFS(video.gridFsFileId);
-      
-      downloadStream.on('error', (err) => {
-        console.error('Stream error:', err);
-        if (!res.headersSent) {
-          return next(new AppError('Error streaming video', 500));
+      if (!canDownloadVideo(req.user, video, assignment)) {
+        return next(new AppError('Downloads are not enabled for this video', 403));
+      }
+    }
+
+    if (!video.gridFsFileId) {
+      return next(new AppError('This video has no stored file to download', 410));
+    }
+
+    let file;
+    try {
+      file = await storage.stat(video.gridFsFileId);
+    } catch (err) {
+      console.error('Error reading video file from storage:', err);
+      return next(new AppError('Video file not found on server', 404));
+    }
+
+    await mediaServer.serveFile(req, res, next, {
+      fileId: video.gridFsFileId,
+      file,
+      contentType: video.mimeType || 'video/mp4',
+      filename: video.originalFilename,
+      // Recorded before any bytes leave, once per download: a resumed download
+      // (a range past the first byte) continues one already recorded
+      beforeSend: async ({ ranges }) => {
+        if (ranges && ranges[0].start > 0) {
+          return;
         }
-      });
+        await DownloadAudit.create({
+          videoId: video._id,
+          userId: req.user._id,
+          tenantId: video.tenantId,
+          role: req.user.role,
+          filename: video.originalFilename,
+          fileSize: file.length,
+          ip: req.ip,
+          userAgent: req.get('User-Agent') || null,
+        });
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List the download audit log of a video
+ * GET /api/videos/:id/downloads
+ * Requires authentication (owner or admin)
+ */
+exports.getDownloads = async (req, res, next) => {
+  try {
+    const { limit = 50, skip = 0 } = req.query;
 
-      downloadStream.pipe(res);
+    const video = await Video.findById(req.params.id);
+    if (!video) {
+      return next(new AppError('Video not found', 404));
+    }
+    if (!video.canEdit(req.user._id, req.user.role)) {
+      return next(new AppError('You can only view the download log of your own videos', 403));
     }
+
+    const [downloads, total] = await Promise.all([
+      DownloadAudit.find({ videoId: video._id })
+        .sort({ downloadedAt: -1 })
+        .limit(parseInt(limit))
+        .skip(parseInt(skip))
+        .populate('userId', 'name email role'),
+      DownloadAudit.countDocuments({ videoId: video._id }),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        downloads,
+        pagination: {
+          total,
+          limit: parseInt(limit),
+          skip: parseInt(skip),
+          hasMore: parseInt(skip) + downloads.length < total,
+        },
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the HLS master playlist
+ * GET /api/videos/:id/hls/master.m3u8
+ * Requires authentication and the same permissions as streaming
+ */
+exports.getHlsMasterPlaylist = async (req, res, next) => {
+  try {
+    const video = await findHlsVideo(req);
+    const playlist = hls.buildMasterPlaylist(video.hls.renditions);
+
+    res.set({
+      'Content-Type': hls.PLAYLIST_MIME_TYPE,
+      'Cache-Control': 'private, no-cache',
+    });
+    res.send(hls.appendQueryToPlaylist(playlist, getStreamQuery(req)));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the playlist of one HLS rendition
+ * GET /api/videos/:id/hls/:rendition/index.m3u8
+ * Requires authentication and the same permissions as streaming
+ */
+exports.getHlsRenditionPlaylist = async (req, res, next) => {
+  try {
+    const video = await findHlsVideo(req);
+    const rendition = video.hls.renditions.find(r => r.name === req.params.rendition);
+
+    if (!rendition) {
+      return next(new AppError('Rendition not found', 404));
+    }
+
+    const playlist = (await storage.downloadToBuffer(rendition.playlistFileId)).toString('utf8');
+
+    res.set({
+      'Content-Type': hls.PLAYLIST_MIME_TYPE,
+      'Cache-Control': 'private, no-cache',
+    });
+    res.send(hls.appendQueryToPlaylist(playlist, getStreamQuery(req)));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Stream one HLS segment
+ * GET /api/videos/:id/hls/:rendition/:segmentId.ts
+ * Requires authentication and the same permissions as streaming
+ */
+exports.getHlsSegment = async (req, res, next) => {
+  try {
+    const video = await findHlsVideo(req);
+    const { rendition, segmentId } = req.params;
+
+    let file;
+    try {
+      file = await storage.stat(segmentId);
+    } catch {
+      return next(new AppError('Segment not found', 404));
+    }
+
+    // The segment must belong to this video's rendition
+    const { metadata = {} } = file;
+    if (
+      metadata.type !== 'hls-segment' ||
+      metadata.videoId !== video._id.toString() ||
+      metadata.rendition !== rendition
+    ) {
+      return next(new AppError('Segment not found', 404));
+    }
+
+    await mediaServer.serveFile(req, res, next, {
+      fileId: segmentId,
+      file,
+      contentType: hls.SEGMENT_MIME_TYPE,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a video's thumbnail, optionally resized or re-encoded
+ * GET /api/videos/:id/thumbnail?w=&h=&format=jpeg|webp
+ * Requires authentication and the same permissions as streaming
+ */
+exports.getThumbnail = async (req, res, next) => {
+  try {
+    const video = await findStreamableVideo(req);
+
+    if (!video.thumbnailGridFsFileId) {
+      return next(new AppError('This video has no thumbnail', 404));
+    }
+
+    const variant = {
+      width: req.query.w ? parseInt(req.query.w, 10) : null,
+      height: req.query.h ? parseInt(req.query.h, 10) : null,
+      format: req.query.format || 'jpeg',
+    };
+    const { fileId, buffer, mimeType } = await thumbnails.getVariant(video, variant);
+
+    res.set({
+      'Content-Type': mimeType,
+      // Revalidated against the ETag, which reprocessing changes, so a new
+      // thumbnail shows up under the same URL
+      'Cache-Control': mediaCache.getCacheControl(req),
+      ETag: `"${video.thumbnailGridFsFileId}-${thumbnails.getVariantKey(variant)}"`,
+    });
+
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+    if (buffer) {
+      return res.send(buffer);
+    }
+
+    const data = await storage.downloadToBuffer(fileId);
+    res.send(data);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Load a streamable video that has a storyboard
+ * @throws {AppError}
+ */
+const findStoryboardVideo = async req => {
+  const video = await findStreamableVideo(req);
+
+  if (video.storyboard?.status !== 'ready') {
+    throw new AppError('No storyboard is available for this video', 404);
+  }
+  return video;
+};
+
+/**
+ * Get the WebVTT thumbnails track for seek bar previews
+ * GET /api/videos/:id/storyboard.vtt
+ * Requires authentication and the same permissions as streaming
+ */
+exports.getStoryboardVtt = async (req, res, next) => {
+  try {
+    const video = await findStoryboardVideo(req);
+    const query = getStreamQuery(req);
+
+    const vtt = storyboard.buildThumbnailsVtt(
+      video.storyboard,
+      video.duration || video.storyboard.frameCount * video.storyboard.interval,
+      index => `storyboard/${index}.jpg?${query}`
+    );
+
+    res.set({
+      'Content-Type': `${storyboard.VTT_MIME_TYPE}; charset=utf-8`,
+      'Cache-Control': 'private, no-cache',
+    });
+    res.send(vtt);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get one storyboard sprite sheet
+ * GET /api/videos/:id/storyboard/:sheet.jpg
+ * Requires authentication and the same permissions as streaming
+ */
+exports.getStoryboardSheet = async (req, res, next) => {
+  try {
+    const video = await findStoryboardVideo(req);
+    const sheetId = video.storyboard.sheets[parseInt(req.params.sheet, 10)];
+
+    if (!sheetId) {
+      return next(new AppError('Storyboard sheet not found', 404));
+    }
+
+    const data = await storage.downloadToBuffer(sheetId);
+
+    res.set({
+      'Content-Type': storyboard.SPRITE_MIME_TYPE,
+      'Cache-Control': mediaCache.getCacheControl(req),
+    });
+    res.send(data);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Load a video the current user may edit, or throw
+ * @param {String} what - What is being edited, for the error message
+ */
+const findEditableVideo = async (req, what) => {
+  const video = await Video.findById(req.params.id);
+
+  if (!video) {
+    throw new AppError('Video not found', 404);
+  }
+  if (!video.canEdit(req.user._id, req.user.role)) {
+    throw new AppError(`You can only edit ${what} of your own videos`, 403);
+  }
+  return video;
+};
+
+/**
+ * Respond with a video's chapters, end times filled in
+ */
+const sendChapters = (res, video, status = 200, message) => {
+  res.status(status).json({
+    success: true,
+    ...(message && { message }),
+    data: { chapters: chapters.withEndTimes(video.chapters, video.duration) },
+  });
+};
+
+/**
+ * Check a chapter start against the video and its other chapters
+ */
+const checkChapterStart = (video, start, chapterId) => {
+  if (video.duration && start >= video.duration) {
+    throw new AppError('Chapter must start before the end of the video', 400);
+  }
+  const taken = video.chapters.some(
+    chapter => chapter.start === start && chapter._id.toString() !== chapterId
+  );
+  if (taken) {
+    throw new AppError(`A chapter already starts at ${start}s`, 409);
+  }
+};
+
+/**
+ * Get a video's chapters
+ * GET /api/videos/:id/chapters
+ * Requires authentication and the same permissions as streaming
+ */
+exports.getChapters = async (req, res, next) => {
+  try {
+    const video = await findStreamableVideo(req);
+    sendChapters(res, video);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the WebVTT chapters track
+ * GET /api/videos/:id/chapters.vtt
+ * Requires authentication and the same permissions as streaming
+ */
+exports.getChaptersVtt = async (req, res, next) => {
+  try {
+    const video = await findStreamableVideo(req);
+
+    if (video.chapters.length === 0) {
+      return next(new AppError('This video has no chapters', 404));
+    }
+
+    res.set({
+      'Content-Type': `${chapters.VTT_MIME_TYPE}; charset=utf-8`,
+      'Cache-Control': 'private, no-cache',
+    });
+    res.send(chapters.buildChaptersVtt(video.chapters, video.duration));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Add a chapter
+ * POST /api/videos/:id/chapters
+ * Requires authentication (owner or admin)
+ */
+exports.createChapter = async (req, res, next) => {
+  try {
+    const video = await findEditableVideo(req, 'chapters');
+    const { start, title } = req.body;
+
+    if (video.chapters.length >= chapters.MAX_CHAPTERS) {
+      return next(new AppError(`A video cannot have more than ${chapters.MAX_CHAPTERS} chapters`, 400));
+    }
+    checkChapterStart(video, start);
+
+    video.chapters.push({ start, title, source: 'manual' });
+    await video.save();
+
+    sendChapters(res, video, 201, 'Chapter added');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Rename or move a chapter
+ * PATCH /api/videos/:id/chapters/:chapterId
+ * Requires authentication (owner or admin)
+ */
+exports.updateChapter = async (req, res, next) => {
+  try {
+    const video = await findEditableVideo(req, 'chapters');
+    const chapter = video.chapters.id(req.params.chapterId);
+
+    if (!chapter) {
+      return next(new AppError('Chapter not found', 404));
+    }
+
+    const { start, title } = req.body;
+    if (start !== undefined) {
+      checkChapterStart(video, start, req.params.chapterId);
+      chapter.start = start;
+    }
+    if (title !== undefined) chapter.title = title;
+    // Edited chapters survive reprocessing
+    chapter.source = 'manual';
+
+    await video.save();
+
+    sendChapters(res, video);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Remove a chapter
+ * DELETE /api/videos/:id/chapters/:chapterId
+ * Requires authentication (owner or admin)
+ */
+exports.deleteChapter = async (req, res, next) => {
+  try {
+    const video = await findEditableVideo(req, 'chapters');
+    const chapter = video.chapters.id(req.params.chapterId);
+
+    if (!chapter) {
+      return next(new AppError('Chapter not found', 404));
+    }
+
+    chapter.deleteOne();
+    // Keep what is left even if it was proposed automatically
+    video.chapters.forEach(remaining => {
+      remaining.source = 'manual';
+    });
+    await video.save();
+
+    sendChapters(res, video, 200, 'Chapter deleted');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Add or replace a caption track from an uploaded SRT or WebVTT file
+ * POST /api/videos/:id/captions
+ * Requires authentication (owner or admin)
+ *
+ * An uploaded track replaces the uploaded track with the same language and kind.
+ */
+exports.uploadCaptions = async (req, res, next) => {
+  try {
+    const video = await findEditableVideo(req, 'captions');
+
+    if (!req.file) {
+      return next(new AppError('No caption file uploaded', 400));
+    }
+
+    let track;
+    try {
+      track = captions.parseCaptionFile(req.file.buffer, captions.getCaptionFormat(req.file.originalname));
+    } catch (parseError) {
+      return next(new AppError(`Invalid caption file: ${parseError.message}`, 400));
+    }
+
+    const { language, kind = 'subtitles' } = req.body;
+    const label = req.body.label || captions.getLanguageLabel(language);
+
+    const fileId = await captions.storeTrack(video._id, track.vtt, language);
+    const replaced = video.captions.find(
+      caption => caption.source === 'upload' && caption.language === language && caption.kind === kind
+    );
+    if (replaced) {
+      // A new track ID keeps players from reusing the cached old file
+      replaced.deleteOne();
+    }
+    video.captions.push({
+      language,
+      label,
+      kind,
+      source: 'upload',
+      originalFormat: captions.getCaptionFormat(req.file.originalname),
+      fileId,
+      cueCount: track.cueCount,
+      uploadedBy: req.user._id,
+    });
+
+    try {
+      await video.save();
+    } catch (saveError) {
+      await captions.deleteTracks([{ fileId }]);
+      throw saveError;
+    }
+    if (replaced) {
+      await captions.deleteTracks([replaced]);
+    }
+
+    res.status(replaced ? 200 : 201).json({
+      success: true,
+      message: replaced ? 'Captions replaced' : 'Captions added',
+      data: { caption: video.captions[video.captions.length - 1] },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get one caption track as WebVTT
+ * GET /api/videos/:id/captions/:captionId.vtt
+ * Requires authentication and the same permissions as streaming
+ */
+exports.getCaptionTrack = async (req, res, next) => {
+  try {
+    const video = await findStreamableVideo(req);
+    const caption = video.captions.id(req.params.captionId);
+
+    if (!caption) {
+      return next(new AppError('Caption track not found', 404));
+    }
+
+    const data = await storage.downloadToBuffer(caption.fileId);
+
+    res.set({
+      'Content-Type': `${captions.VTT_MIME_TYPE}; charset=utf-8`,
+      // Not cached past a signed URL's expiry, or the track would outlive the access
+      'Cache-Control': mediaCache.getCacheControl(req),
+    });
+    res.send(data);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Remove a caption track
+ * DELETE /api/videos/:id/captions/:captionId
+ * Requires authentication (owner or admin)
+ */
+exports.deleteCaptions = async (req, res, next) => {
+  try {
+    const video = await findEditableVideo(req, 'captions');
+    const caption = video.captions.id(req.params.captionId);
+
+    if (!caption) {
+      return next(new AppError('Caption track not found', 404));
+    }
+
+    caption.deleteOne();
+    await video.save();
+    await captions.deleteTracks([caption]);
+
+    res.json({
+      success: true,
+      message: 'Caption track deleted',
+      data: { captions: video.captions },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a clip from a time range of a video
+ * POST /api/videos/:id/clips
+ * Requires authentication (editor/admin) and the same permissions as streaming
+ *
+ * The clip is a new video owned by the requester and linked to its parent.
+ * Its processing job cuts the range from the parent, then processes it like an upload.
+ * Videos held for review or rejected cannot be clipped, not even by their owner or
+ * an admin: the clip would start without the parent's moderation state.
+ */
+exports.createClip = async (req, res, next) => {
+  try {
+    const parent = await findStreamableVideo(req);
+    const { start, end, title, description } = req.body;
+
+    if (parent.isAwaitingReview() || parent.moderation?.status === 'rejected') {
+      return next(new AppError('Videos held for moderation or rejected cannot be clipped', 403));
+    }
+
+    const rangeError = clips.validateRange(start, end, parent.duration);
+    if (rangeError) {
+      return next(new AppError(rangeError, 400));
+    }
+
+    const clipId = new mongoose.Types.ObjectId();
+    const { name, ext } = path.parse(parent.originalFilename);
+    const clip = await Video.create({
+      _id: clipId,
+      title: title || clips.getDefaultTitle(parent.title),
+      description: description || undefined,
+      ownerUserId: req.user._id,
+      tenantId: parent.tenantId,
+      status: 'uploaded',
+      sensitivity: 'unknown',
+      originalFilename: `${name}-clip${ext}`,
+      // Replaced once the clip is cut (a re-encode may change the container)
+      storedFilename: `clip-${clipId}${path.extname(parent.storedFilename)}`,
+      fileSize: 0,
+      mimeType: parent.mimeType,
+      parentVideoId: parent._id,
+      clip: { start, end },
+    });
+
+    // Enqueue the clip for cutting and processing
+    await processingQueue.enqueue(clip._id.toString());
+
+    res.status(201).json({
+      success: true,
+      message: 'Clip queued for processing',
+      data: {
+        video: {
+          _id: clip._id,
+          title: clip.title,
+          description: clip.description,
+          status: clip.status,
+          sensitivity: clip.sensitivity,
+          parentVideoId: clip.parentVideoId,
+          clip: clip.clip,
+          createdAt: clip.createdAt,
+        },
+      },
+    });
   } catch (error) {
     next(error);
   }
@@ -1,4 +1,5 @@
 const { verifyToken } = require('../utils/jwt');
+const { verifyStreamAccess } = require('../utils/streamSignature');
 const User = require('../models/User');
 const { AppError } = require('./errorHandler');
 
@@ -85,33 +86,31 @@ const optionalAuth = async (req, res, next) => {
 };
 
 /**
- * Stream authentication - accepts token from Authorization header or query parameter
- * Used for video streaming since HTML5 video element can't send custom headers
+ * Stream authentication - accepts a bearer token or a signed stream URL
+ * Used for video streaming since HTML5 video element can't send custom headers.
+ * Signed URLs (uid, exp, sig) only grant access to the video in the route's :id.
  */
 const authenticateStream = async (req, res, next) => {
   try {
-    let token = null;
+    let userId;
 
-    // Try to get token from Authorization header first
     const authHeader = req.headers.authorization;
     if (authHeader && authHeader.startsWith('Bearer ')) {
-      token = authHeader.split(' ')[1];
-    }
-
-    // If no header token, try query parameter
-    if (!token && req.query.token) {
-      token = req.query.token;
-    }
-
-    if (!token) {
+      // Verify token
+      userId = verifyToken(authHeader.split(' ')[1]).id;
+    } else if (req.query.sig) {
+      if (!verifyStreamAccess(req.params.id, req.query)) {
+        return next(new AppError('Invalid or expired stream URL', 401));
+      }
+      userId = req.query.uid;
+      // Responses to signed URLs are cached no longer than the signature lasts
+      req.signedUrl = { expiresAt: new Date(parseInt(req.query.exp, 10) * 1000) };
+    } else {
       return next(new AppError('No token provided, authorization denied', 401));
     }
 
-    // Verify token
-    const decoded = verifyToken(token);
-
     // Get user from database
-    const user = await User.findById(decoded.id).select('-password');
+    const user = await User.findById(userId).select('-password');
 
     if (!user) {
       return next(new AppError('User not found', 404));
@@ -1,19 +1,162 @@
+const path = require('path');
+const { Transform, pipeline } = require('stream');
 const multer = require('multer');
 const { AppError } = require('./errorHandler');
+const storage = require('../services/storage');
+const { ChecksumStream } = require('../services/fingerprint');
+const { getCaptionFormat, getMaxCaptionSize, CAPTION_FORMATS } = require('../services/captions');
 
-// Use memory storage - files will be stored in GridFS instead of disk
-const storage = multer.memoryStorage();
+const allowedMimeTypes = [
+  'video/mp4',
+  'video/quicktime', // .mov
+  'video/x-msvideo', // .avi
+  'video/x-matroska', // .mkv
+  'video/webm',
+];
+
+const getMaxVideoSize = () => parseInt(process.env.MAX_VIDEO_SIZE || 100 * 1024 * 1024, 10); // Default 100MB
+
+const formatSize = bytes =>
+  bytes >= 1024 * 1024 * 1024
+    ? `${Math.round((bytes / (1024 * 1024 * 1024)) * 10) / 10}GB`
+    : bytes >= 1024 * 1024
+      ? `${Math.round(bytes / (1024 * 1024))}MB`
+      : `${Math.round(bytes / 1024)}KB`;
+
+// Container signatures, checked against the first bytes of the upload
+const isoBoxTypes = ['ftyp', 'moov', 'mdat', 'wide', 'free', 'skip', 'pnot'];
+const signatures = {
+  'video/mp4': head => isoBoxTypes.includes(head.toString('ascii', 4, 8)),
+  'video/quicktime': head => isoBoxTypes.includes(head.toString('ascii', 4, 8)),
+  'video/x-msvideo': head =>
+    head.toString('ascii', 0, 4) === 'RIFF' && head.toString('ascii', 8, 12) === 'AVI ',
+  'video/x-matroska': head => head.readUInt32BE(0) === 0x1a45dfa3,
+  'video/webm': head => head.readUInt32BE(0) === 0x1a45dfa3,
+};
+const SIGNATURE_LENGTH = 12;
+
+/**
+ * Check that the first bytes of a file match its declared video type
+ * @param {Buffer} head - First bytes of the file
+ * @param {String} mimeType - Declared MIME type
+ * @returns {Boolean}
+ */
+const matchesSignature = (head, mimeType) =>
+  head.length >= SIGNATURE_LENGTH && Boolean(signatures[mimeType]?.(head));
+
+/**
+ * Build a unique, filesystem-safe name for a stored upload
+ * @param {String} originalname - Client filename
+ * @returns {String}
+ */
+const buildStoredFilename = originalname => {
+  const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1e9);
+  const ext = path.extname(originalname);
+  const nameWithoutExt = path.basename(originalname, ext);
+  const sanitized = nameWithoutExt.replace(/[^a-zA-Z0-9-_]/g, '_');
+  return sanitized + '-' + uniqueSuffix + ext;
+};
+
+/**
+ * Pass-through stream that rejects the upload as soon as its leading bytes
+ * do not look like the declared video container
+ */
+class VideoContentInspector extends Transform {
+  constructor(mimeType) {
+    super();
+    this.mimeType = mimeType;
+    this.head = Buffer.alloc(0);
+    this.verified = false;
+    this.rejection = null;
+  }
+
+  _transform(chunk, _encoding, callback) {
+    if (this.verified) {
+      return callback(null, chunk);
+    }
+
+    this.head = Buffer.concat([this.head, chunk]);
+    if (this.head.length < SIGNATURE_LENGTH) {
+      return callback();
+    }
+
+    if (!matchesSignature(this.head, this.mimeType)) {
+      return callback(this.reject());
+    }
+
+    this.verified = true;
+    const buffered = this.head;
+    this.head = null;
+    callback(null, buffered);
+  }
+
+  _flush(callback) {
+    callback(this.verified ? null : this.reject());
+  }
+
+  reject() {
+    this.rejection = new AppError(
+      `File content does not match its declared type (${this.mimeType})`,
+      400,
+    );
+    return this.rejection;
+  }
+}
+
+/**
+ * Multer storage engine that pipes each file straight into the storage
+ * service while it is still arriving, instead of buffering it in memory
+ */
+class StreamingStorage {
+  _handleFile(req, file, cb) {
+    const inspector = new VideoContentInspector(file.mimetype);
+    const checksum = new ChecksumStream();
+    let sourceFailed = false;
+
+    // Multer aborts the request itself when the client stream fails
+    file.stream.on('error', error => {
+      sourceFailed = true;
+      inspector.destroy(error);
+    });
+    // Drain the rest of a rejected file so the request can finish
+    inspector.on('error', () => {
+      file.stream.unpipe(inspector);
+      file.stream.resume();
+    });
+    file.stream.pipe(inspector);
+    // A rejection in the inspector fails the upload through the checksum stream
+    pipeline(inspector, checksum, () => {});
+
+    storage
+      .upload(checksum, buildStoredFilename(file.originalname), {
+        originalFilename: file.originalname,
+        mimeType: file.mimetype,
+        uploadedBy: req.user?._id.toString(),
+        tenantId: req.user?.tenantId || 'default',
+      })
+      .then(result => {
+        if (sourceFailed) return;
+        cb(null, {
+          fileId: result.fileId,
+          storedFilename: result.filename,
+          size: result.length,
+          checksum: checksum.checksum,
+        });
+      })
+      .catch(error => {
+        if (sourceFailed) return;
+        cb(inspector.rejection || error);
+      });
+  }
+
+  _removeFile(_req, file, cb) {
+    if (!file.fileId) return cb(null);
+    storage.deleteFile(file.fileId).then(() => cb(null), cb);
+  }
+}
 
 // File filter - only allow video files
 const fileFilter = (_req, file, cb) => {
-  const allowedMimeTypes = [
-    'video/mp4',
-    'video/quicktime', // .mov
-    'video/x-msvideo', // .avi
-    'video/x-matroska', // .mkv
-    'video/webm',
-  ];
-
   if (allowedMimeTypes.includes(file.mimetype)) {
     cb(null, true);
   } else {
@@ -29,22 +172,47 @@ const fileFilter = (_req, file, cb) => {
 
 // Configure multer
 const upload = multer({
-  storage,
+  storage: new StreamingStorage(),
   fileFilter,
   limits: {
-    fileSize: parseInt(process.env.MAX_VIDEO_SIZE || 100 * 1024 * 1024), // Default 100MB
+    fileSize: getMaxVideoSize(),
+    files: 1,
   },
 });
 
-// Error handling middleware for multer
-const handleMulterError = (err, _req, _res, next) => {
+// Caption files are small, so they are read into memory and converted there
+const captionUpload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: (_req, file, cb) => {
+    if (getCaptionFormat(file.originalname)) {
+      cb(null, true);
+    } else {
+      cb(
+        new AppError(
+          `Invalid caption file. Allowed formats: ${CAPTION_FORMATS.map(format => `.${format}`).join(', ')}`,
+          400,
+        ),
+        false,
+      );
+    }
+  },
+  limits: {
+    fileSize: getMaxCaptionSize(),
+    files: 1,
+  },
+});
+
+/**
+ * Build the error handling middleware for a multer instance
+ * @param {Function} getMaxSize - Size limit of the upload, for the error message
+ * @returns {Function}
+ */
+const createMulterErrorHandler = getMaxSize => (err, _req, _res, next) => {
   if (err instanceof multer.MulterError) {
     if (err.code === 'LIMIT_FILE_SIZE') {
-      const maxSize = parseInt(process.env.MAX_VIDEO_SIZE || 100 * 1024 * 1024);
-      const maxSizeMB = Math.round(maxSize / (1024 * 1024));
-      return next(new AppError(`File too large. Maximum size is ${maxSizeMB}MB`, 400));
+      return next(new AppError(`File too large. Maximum size is ${formatSize(getMaxSize())}`, 400));
     }
-    if (err.code === 'LIMIT_UNEXPECTED_FILE') {
+    if (err.code === 'LIMIT_UNEXPECTED_FILE' || err.code === 'LIMIT_FILE_COUNT') {
       return next(new AppError('Unexpected field in upload', 400));
     }
     return next(new AppError(err.message, 400));
@@ -52,7 +220,29 @@ const handleMulterError = (err, _req, _res, next) => {
   next(err);
 };
 
+// Error handling middleware for multer
+const handleMulterError = createMulterErrorHandler(getMaxVideoSize);
+
+const handleCaptionUploadError = createMulterErrorHandler(getMaxCaptionSize);
+
+// Remove a stored upload when a later middleware rejects the request
+const discardUploadOnError = (err, req, _res, next) => {
+  if (req.file?.fileId) {
+    storage.deleteFile(req.file.fileId).catch(deleteError => {
+      console.error('Failed to remove rejected upload from storage:', deleteError);
+    });
+  }
+  next(err);
+};
+
 module.exports = {
   upload,
   handleMulterError,
+  captionUpload,
+  handleCaptionUploadError,
+  discardUploadOnError,
+  allowedMimeTypes,
+  matchesSignature,
+  buildStoredFilename,
+  VideoContentInspector,
 };
@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+/**
+ * DownloadAudit Schema
+ * One record per download of a video's original file: who downloaded what and when.
+ * Downloads through a share link have no user; the link identifies them instead.
+ */
+const downloadAuditSchema = new mongoose.Schema(
+  {
+    videoId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Video',
+      required: true,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [
+        function () {
+          return !this.shareLinkId;
+        },
+        'User ID is required',
+      ],
+      index: true,
+    },
+    shareLinkId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ShareLink',
+      default: null,
+    },
+    tenantId: {
+      type: String,
+      default: 'default',
+    },
+    role: {
+      type: String, // Role of the user at the time of the download; guest for share links
+      enum: ['viewer', 'editor', 'admin', 'guest'],
+      required: true,
+    },
+    filename: {
+      type: String, // Name the file was sent as
+      required: true,
+    },
+    fileSize: {
+      type: Number,
+      min: 0,
+    },
+    ip: {
+      type: String,
+      default: null,
+    },
+    userAgent: {
+      type: String,
+      default: null,
+    },
+    downloadedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Newest downloads of a video first
+downloadAuditSchema.index({ videoId: 1, downloadedAt: -1 });
+
+const DownloadAudit = mongoose.model('DownloadAudit', downloadAuditSchema);
+
+module.exports = DownloadAudit;
@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+/**
+ * ProcessingJob Schema
+ * Persistent entry in the video processing queue. A worker owns a job only
+ * while its lease is valid, so jobs held by a crashed server are picked up again.
+ */
+const processingJobSchema = new mongoose.Schema(
+  {
+    videoId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Video',
+      required: true,
+      index: true,
+    },
+    status: {
+      type: String,
+      // dead: every attempt failed; only an admin requeue brings it back
+      enum: ['queued', 'processing', 'completed', 'dead'],
+      default: 'queued',
+    },
+    attempts: {
+      type: Number, // Times a worker has claimed this job
+      default: 0,
+      min: 0,
+    },
+    maxAttempts: {
+      type: Number,
+      default: 3,
+      min: 1,
+    },
+    nextRunAt: {
+      type: Date, // Queued jobs are not claimed before this time (retry backoff)
+      default: Date.now,
+    },
+    workerId: {
+      type: String, // Worker currently holding the lease
+      default: null,
+    },
+    leaseExpiresAt: {
+      type: Date,
+      default: null,
+    },
+    startedAt: {
+      type: Date,
+      default: null,
+    },
+    completedAt: {
+      type: Date,
+      default: null,
+    },
+    error: {
+      type: String, // Error from the most recent failed attempt
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Workers claim the oldest due queued job, or a processing job whose lease ran out
+processingJobSchema.index({ status: 1, nextRunAt: 1, createdAt: 1 });
+processingJobSchema.index({ status: 1, leaseExpiresAt: 1 });
+
+// Statuses that still need a worker
+processingJobSchema.statics.ACTIVE_STATUSES = ['queued', 'processing'];
+
+// At most one active job per video, so two workers never process the same video
+processingJobSchema.index(
+  { videoId: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { status: { $in: processingJobSchema.statics.ACTIVE_STATUSES } },
+    name: 'videoId_active_unique',
+  }
+);
+
+const ProcessingJob = mongoose.model('ProcessingJob', processingJobSchema);
+
+module.exports = ProcessingJob;
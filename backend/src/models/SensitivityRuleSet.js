@@ -0,0 +1,134 @@
+const mongoose = require('mongoose');
+
+const conditionSchema = new mongoose.Schema(
+  {
+    field: {
+      type: String, // Metadata field, e.g. duration, aspectRatio, hasAudio
+      required: true,
+    },
+    operator: {
+      type: String,
+      enum: ['lt', 'lte', 'gt', 'gte', 'eq', 'ne', 'between', 'outside', 'in'],
+      required: true,
+    },
+    value: {
+      type: mongoose.Schema.Types.Mixed, // Number, string or boolean; [min, max] for between/outside; array for in
+    },
+  },
+  { _id: false }
+);
+
+const ruleSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String, // Stable identifier, reported in each video's rule results
+      required: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    type: {
+      type: String,
+      enum: ['metadata', 'keywords', 'regex'],
+      required: true,
+    },
+    conditions: {
+      type: [conditionSchema], // metadata: all must hold
+      default: undefined,
+    },
+    fields: {
+      type: [String], // keywords/regex: text fields to search
+      default: undefined,
+    },
+    terms: {
+      type: [String], // keywords: substrings to look for
+      default: undefined,
+    },
+    patterns: {
+      type: [String], // regex: regular expressions to test
+      default: undefined,
+    },
+    caseSensitive: {
+      type: Boolean,
+      default: false,
+    },
+    weight: {
+      type: Number, // Added to the video's score when the rule matches
+      default: 1,
+      min: 0,
+    },
+    severity: {
+      type: String,
+      // flag: a match flags the video regardless of its score
+      enum: ['score', 'flag'],
+      default: 'score',
+    },
+    message: {
+      type: String, // Flag text; {match} is replaced with the matched term
+      required: true,
+    },
+    enabled: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * SensitivityRuleSet Schema
+ * One version of a tenant's sensitivity rules. Versions are never edited:
+ * every change is saved as a new version and the latest one is applied.
+ */
+const sensitivityRuleSetSchema = new mongoose.Schema(
+  {
+    tenantId: {
+      type: String,
+      required: true,
+    },
+    version: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    name: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Name cannot exceed 200 characters'],
+    },
+    notes: {
+      type: String, // Why this version was created
+      trim: true,
+      maxlength: [2000, 'Notes cannot exceed 2000 characters'],
+    },
+    rules: {
+      type: [ruleSchema],
+      default: [],
+    },
+    flagThreshold: {
+      type: Number, // Score at which a video is flagged
+      required: true,
+      min: 0,
+    },
+    basedOnVersion: {
+      type: Number, // Set when an earlier version is restored
+      default: null,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// One document per version; also serves "latest version for a tenant"
+sensitivityRuleSetSchema.index({ tenantId: 1, version: -1 }, { unique: true });
+
+const SensitivityRuleSet = mongoose.model('SensitivityRuleSet', sensitivityRuleSetSchema);
+
+module.exports = SensitivityRuleSet;
@@ -0,0 +1,153 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+
+/**
+ * ShareLink Schema
+ * Public link to one video for people without an account. Opening it counts as
+ * a view; it stops working once revoked, expired or out of views.
+ *
+ * Each open starts a viewing session whose nonce the media URLs are signed for.
+ * URLs are renewed only while the session lasts, and revoking the link ends
+ * every session. Using up its views only stops new opens.
+ */
+const shareLinkSchema = new mongoose.Schema(
+  {
+    videoId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Video',
+      required: true,
+      index: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    tenantId: {
+      type: String,
+      default: 'default',
+    },
+    token: {
+      type: String, // Part of the public URL
+      default: () => crypto.randomBytes(24).toString('base64url'),
+      unique: true,
+    },
+    label: {
+      type: String, // Who or what the link is for, e.g. the prospect's name
+      trim: true,
+      maxlength: [200, 'Label cannot exceed 200 characters'],
+    },
+    password: {
+      type: String,
+      select: false, // Don't return the password hash by default
+    },
+    hasPassword: {
+      type: Boolean,
+      default: false,
+    },
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+    maxViews: {
+      type: Number, // null for unlimited
+      default: null,
+      min: [1, 'Maximum views must be at least 1'],
+    },
+    viewCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    lastViewedAt: {
+      type: Date,
+      default: null,
+    },
+    allowDownload: {
+      type: Boolean,
+      default: false,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    sessions: {
+      type: [
+        {
+          _id: false,
+          nonce: { type: String, required: true },
+          openedAt: { type: Date, required: true },
+          expiresAt: { type: Date, required: true },
+        },
+      ],
+      default: [],
+      select: false, // Nonces let media URLs be renewed; never sent to the owner
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Hash the password before saving
+shareLinkSchema.pre('save', async function (next) {
+  if (!this.isModified('password')) {
+    return next();
+  }
+
+  try {
+    this.hasPassword = Boolean(this.password);
+    if (this.password) {
+      this.password = await bcrypt.hash(this.password, await bcrypt.genSalt(10));
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Method to compare a password with the link's (requires .select('+password'))
+shareLinkSchema.methods.comparePassword = function (candidatePassword) {
+  return bcrypt.compare(candidatePassword || '', this.password || '');
+};
+
+// Method to check if the link's media may still be served
+shareLinkSchema.methods.isLive = function (now = new Date()) {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > now);
+};
+
+// Method to check if the link may be opened for another view
+shareLinkSchema.methods.hasViewsLeft = function () {
+  return this.maxViews === null || this.viewCount < this.maxViews;
+};
+
+// Method to find a viewing session that media URLs may still be renewed for
+// (requires .select('+sessions'))
+shareLinkSchema.methods.findSession = function (nonce, now = new Date()) {
+  return (this.sessions || []).find(session => session.nonce === nonce && session.expiresAt > now) || null;
+};
+
+// Status shown to the owner
+shareLinkSchema.virtual('status').get(function () {
+  if (this.revokedAt) return 'revoked';
+  if (this.expiresAt && this.expiresAt <= new Date()) return 'expired';
+  if (!this.hasViewsLeft()) return 'exhausted';
+  return 'active';
+});
+
+// Ensure virtuals are included in JSON
+shareLinkSchema.set('toJSON', {
+  virtuals: true,
+  transform (_doc, ret) {
+    // Remove the password hash and internal fields
+    delete ret.password;
+    delete ret.sessions;
+    delete ret.__v;
+    return ret;
+  },
+});
+
+const ShareLink = mongoose.model('ShareLink', shareLinkSchema);
+
+module.exports = ShareLink;
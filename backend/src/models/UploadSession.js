@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+/**
+ * UploadSession Schema
+ * Tracks a resumable (tus) upload while its bytes are staged on the API server
+ */
+const uploadSessionSchema = new mongoose.Schema(
+  {
+    ownerUserId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    tenantId: {
+      type: String,
+      default: 'default',
+    },
+    uploadLength: {
+      type: Number, // Total size declared by the client, in bytes
+      required: true,
+      min: [1, 'Upload length must be positive'],
+    },
+    uploadOffset: {
+      type: Number, // Bytes received so far
+      default: 0,
+      min: 0,
+    },
+    filename: {
+      type: String,
+      required: [true, 'Filename is required'],
+    },
+    mimeType: {
+      type: String,
+      required: [true, 'MIME type is required'],
+    },
+    title: {
+      type: String,
+      required: [true, 'Title is required'],
+      trim: true,
+      maxlength: [200, 'Title cannot exceed 200 characters'],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [2000, 'Description cannot exceed 2000 characters'],
+    },
+    status: {
+      type: String, // finalizing: every byte arrived and the video is being created
+      enum: ['active', 'finalizing', 'completed'],
+      default: 'active',
+    },
+    videoId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Video',
+      default: null,
+    },
+    lockedUntil: {
+      type: Date, // Set while a PATCH is writing or finalizing, so chunks cannot interleave
+      default: null,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Expired sessions are found and deleted by the upload sweeper
+uploadSessionSchema.index({ expiresAt: 1 });
+
+// Instance method to check if the session can no longer be resumed
+uploadSessionSchema.methods.isExpired = function () {
+  return new Date() > this.expiresAt;
+};
+
+const UploadSession = mongoose.model('UploadSession', uploadSessionSchema);
+
+module.exports = UploadSession;
@@ -40,15 +40,42 @@ const videoSchema = new mongoose.Schema(
       type: String,
       required: [true, 'Original filename is required'],
     },
+    allowDownload: {
+      type: Boolean, // Whether assigned viewers may download the original file
+      default: false,
+    },
     storedFilename: {
       type: String,
       required: [true, 'Stored filename is required'],
     },
     gridFsFileId: {
+      // ID of the stored file in the configured storage driver (GridFS, local or S3)
       type: mongoose.Schema.Types.ObjectId,
-      required: [true, 'GridFS file ID is required'],
+      // A clip has no file until its processing job has cut it from the parent
+      required: [
+        function () {
+          return !this.parentVideoId;
+        },
+        'GridFS file ID is required',
+      ],
+      index: true,
+    },
+    parentVideoId: {
+      type: mongoose.Schema.Types.ObjectId, // Video a clip was cut from
+      ref: 'Video',
+      default: null,
       index: true,
     },
+    clip: {
+      // Time range of the parent video, set on clips only
+      start: Number, // seconds, as requested
+      end: Number,
+      cutStart: Number, // Where the cut actually began (a stream copy starts on a keyframe)
+      mode: {
+        type: String,
+        enum: ['copy', 'reencode'],
+      },
+    },
     fileSize: {
       type: Number,
       required: [true, 'File size is required'],
@@ -86,6 +113,76 @@ const videoSchema = new mongoose.Schema(
     format: {
       type: String, // Container format (e.g., mp4, webm)
     },
+    technicalMetadata: {
+      container: [String], // ffprobe format names (e.g., mov, mp4, m4a)
+      duration: Number, // Seconds, unrounded
+      size: Number, // Bytes
+      bitRate: Number, // Overall bits per second
+      video: {
+        codec: String,
+        profile: String,
+        level: Number,
+        width: Number,
+        height: Number,
+        displayAspectRatio: String,
+        frameRate: Number, // Average frames per second
+        bitRate: Number,
+        pixelFormat: String, // e.g., yuv420p, yuv420p10le
+        bitDepth: Number,
+        rotation: {
+          type: Number, // Clockwise degrees players rotate by
+          enum: [0, 90, 180, 270],
+        },
+        colorSpace: String,
+        colorPrimaries: String,
+        colorTransfer: String,
+        colorRange: String,
+        hdr: Boolean,
+        hdrFormat: String, // HDR10, HLG or Dolby Vision
+      },
+      audio: {
+        // First audio stream
+        codec: String,
+        sampleRate: Number,
+        channels: Number,
+        channelLayout: String,
+        bitRate: Number,
+      },
+      streamCounts: {
+        video: Number,
+        audio: Number,
+        subtitle: Number,
+        data: Number,
+        attachment: Number,
+      },
+      streams: [
+        {
+          _id: false,
+          index: Number,
+          type: {
+            type: String,
+            enum: ['video', 'audio', 'subtitle', 'data', 'attachment'],
+          },
+          codec: String,
+          profile: String,
+          language: String,
+          title: String,
+          bitRate: Number,
+          isDefault: Boolean,
+          // Video streams
+          width: Number,
+          height: Number,
+          frameRate: Number,
+          pixelFormat: String,
+          attachedPicture: Boolean, // Cover art rather than video
+          // Audio streams
+          sampleRate: Number,
+          channels: Number,
+          channelLayout: String,
+        },
+      ],
+      extractedAt: Date,
+    },
     thumbnailFilename: {
       type: String, // Generated thumbnail filename
     },
@@ -93,10 +190,289 @@ const videoSchema = new mongoose.Schema(
       type: mongoose.Schema.Types.ObjectId,
       index: true,
     },
+    thumbnailVariants: [
+      {
+        // Resized/re-encoded copies of the thumbnail rendered on request
+        _id: false,
+        key: String, // e.g. 320x.webp
+        fileId: mongoose.Schema.Types.ObjectId,
+      },
+    ],
+    hls: {
+      // Adaptive bitrate renditions served under /api/videos/:id/hls/
+      status: {
+        type: String,
+        enum: ['none', 'ready', 'failed'],
+        default: 'none',
+      },
+      renditions: [
+        {
+          _id: false,
+          name: String, // e.g. 720p
+          width: Number,
+          height: Number,
+          bandwidth: Number, // bits per second, as advertised in the master playlist
+          playlistFileId: mongoose.Schema.Types.ObjectId,
+          segmentCount: Number,
+        },
+      ],
+      fileIds: {
+        type: [mongoose.Schema.Types.ObjectId], // Every stored playlist and segment, for cleanup
+        select: false,
+      },
+      error: String,
+    },
+    storyboard: {
+      // Sprite sheets behind the WebVTT thumbnails track for seek bar previews
+      status: {
+        type: String,
+        enum: ['none', 'ready', 'failed'],
+        default: 'none',
+      },
+      interval: Number, // seconds between frames
+      frameCount: Number,
+      columns: Number,
+      rows: Number,
+      tileWidth: Number,
+      tileHeight: Number,
+      sheets: [mongoose.Schema.Types.ObjectId], // Sprite sheet file IDs, in order
+      error: String,
+    },
+    frameAnalysis: {
+      // Classifier labels for keyframes sampled across the video
+      status: {
+        type: String,
+        enum: ['none', 'ready', 'failed'],
+        default: 'none',
+      },
+      classifier: String, // Classifier that labeled the frames (local, http, stub)
+      frames: [
+        {
+          _id: false,
+          time: Number, // seconds
+          labels: [
+            {
+              _id: false,
+              label: String,
+              score: Number, // 0..1
+            },
+          ],
+        },
+      ],
+      sensitiveScore: Number, // Highest score for a sensitive label across all frames
+      analyzedAt: Date,
+      error: String,
+    },
+    detection: {
+      // Black, frozen and silent stretches found by ffmpeg's detection filters
+      status: {
+        type: String,
+        enum: ['none', 'ready', 'failed'],
+        default: 'none',
+      },
+      black: [{ _id: false, start: Number, end: Number, duration: Number }],
+      freeze: [{ _id: false, start: Number, end: Number, duration: Number }],
+      silence: [{ _id: false, start: Number, end: Number, duration: Number }],
+      blackRatio: Number, // Share of the video (0..1) covered by each kind of interval
+      freezeRatio: Number,
+      silenceRatio: Number, // Unset when the video has no audio
+      error: String,
+    },
+    loudness: {
+      // EBU R128 measurement of the first audio stream
+      status: {
+        type: String,
+        enum: ['none', 'ready', 'failed'],
+        default: 'none',
+      },
+      integrated: Number, // LUFS; null when the audio is digital silence
+      truePeak: Number, // dBTP
+      range: Number, // LU
+      threshold: Number, // LUFS
+      clipped: Boolean,
+      nearSilent: Boolean,
+      normalizedTo: Number, // LUFS target of the HLS audio; unset when it was left as is
+      analyzedAt: Date,
+      error: String,
+    },
+    fingerprint: {
+      // Used to find re-uploads of the same content within a tenant
+      checksum: String, // SHA-256 of the uploaded file, recorded at upload
+      status: {
+        type: String,
+        enum: ['none', 'ready', 'failed'],
+        default: 'none',
+      },
+      frameHashes: [String], // 64-bit difference hashes of sampled frames, as hex
+      bands: {
+        type: [String], // "band:value" slices of the frame hashes, indexed for candidate lookup
+        select: false,
+      },
+      computedAt: Date,
+      error: String,
+    },
+    sceneDetection: {
+      status: {
+        type: String,
+        enum: ['none', 'ready', 'failed'],
+        default: 'none',
+      },
+      threshold: Number, // Scene score (0..1) a cut had to exceed
+      sceneCount: Number,
+      detectedAt: Date,
+      error: String,
+    },
+    chapters: [
+      {
+        // Each chapter runs until the next one starts (or the video ends)
+        start: {
+          type: Number, // seconds
+          required: true,
+          min: [0, 'Chapter start must be positive'],
+        },
+        title: {
+          type: String,
+          required: [true, 'Chapter title is required'],
+          trim: true,
+          maxlength: [100, 'Chapter title cannot exceed 100 characters'],
+        },
+        source: {
+          type: String,
+          enum: ['auto', 'manual'], // auto: proposed from scene changes
+          default: 'manual',
+        },
+      },
+    ],
+    subtitleExtraction: {
+      status: {
+        type: String,
+        enum: ['none', 'ready', 'failed'],
+        default: 'none',
+      },
+      trackCount: Number, // Embedded text subtitle streams converted to WebVTT
+      skippedCount: Number, // Image-based or empty streams, which cannot become tracks
+      extractedAt: Date,
+      error: String,
+    },
+    captions: [
+      {
+        // One WebVTT track per language and kind
+        language: {
+          type: String, // BCP 47 tag (or the ISO 639-2 code of an embedded stream)
+          required: [true, 'Caption language is required'],
+        },
+        label: {
+          type: String,
+          required: [true, 'Caption label is required'],
+          trim: true,
+          maxlength: [100, 'Caption label cannot exceed 100 characters'],
+        },
+        kind: {
+          type: String,
+          enum: ['subtitles', 'captions'], // captions also describe sounds, for deaf and hard-of-hearing viewers
+          default: 'subtitles',
+        },
+        source: {
+          type: String,
+          enum: ['upload', 'embedded'],
+          default: 'upload',
+        },
+        originalFormat: {
+          type: String,
+          enum: ['srt', 'vtt', 'embedded'],
+        },
+        streamIndex: Number, // Source stream of an embedded track
+        fileId: {
+          type: mongoose.Schema.Types.ObjectId, // Stored WebVTT file
+          required: true,
+        },
+        cueCount: Number,
+        uploadedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+        },
+        createdAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
     sensitivityFlags: {
       type: [String], // Array of flags from sensitivity analysis
       default: [],
     },
+    sensitivityAnalysis: {
+      ruleSetId: mongoose.Schema.Types.ObjectId, // null when the built-in rules were used
+      ruleSetVersion: Number, // 0 for the built-in rules
+      score: Number,
+      analyzedAt: Date,
+      results: [
+        {
+          _id: false,
+          ruleKey: String,
+          description: String,
+          matched: Boolean,
+          weight: Number,
+          severity: String,
+          message: String,
+          matches: [String],
+        },
+      ],
+    },
+    moderation: {
+      status: {
+        type: String,
+        // pending: flagged and waiting for a reviewer; in_review: claimed by a reviewer
+        enum: ['none', 'pending', 'in_review', 'approved', 'rejected'],
+        default: 'none',
+      },
+      queuedAt: Date,
+      claimedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      claimedAt: Date,
+      claimedUntil: Date, // A claim left past this time can be taken by another reviewer
+      decidedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      decidedAt: Date,
+      notes: [
+        {
+          author: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+          },
+          text: String,
+          createdAt: {
+            type: Date,
+            default: Date.now,
+          },
+        },
+      ],
+      history: [
+        {
+          _id: false,
+          action: {
+            type: String,
+            enum: ['queued', 'claimed', 'released', 'approved', 'rejected', 'sensitivity_changed'],
+          },
+          actor: {
+            type: mongoose.Schema.Types.ObjectId, // null for automatic analysis
+            ref: 'User',
+            default: null,
+          },
+          fromSensitivity: String,
+          toSensitivity: String,
+          reason: String,
+          at: {
+            type: Date,
+            default: Date.now,
+          },
+        },
+      ],
+    },
     processingError: {
       type: String, // Error message if processing failed
     },
@@ -110,6 +486,14 @@ const videoSchema = new mongoose.Schema(
 videoSchema.index({ tenantId: 1, ownerUserId: 1 });
 videoSchema.index({ tenantId: 1, status: 1 });
 videoSchema.index({ tenantId: 1, sensitivity: 1 });
+// Duplicate lookups
+videoSchema.index({ tenantId: 1, 'fingerprint.checksum': 1 });
+videoSchema.index({ tenantId: 1, 'fingerprint.bands': 1 });
+// Technical list filters
+videoSchema.index({ tenantId: 1, 'technicalMetadata.video.codec': 1 });
+videoSchema.index({ tenantId: 1, 'technicalMetadata.video.hdr': 1 });
+// Review queue, oldest first
+videoSchema.index({ 'moderation.status': 1, 'moderation.queuedAt': 1 });
 
 // Virtual for formatted file size
 videoSchema.virtual('fileSizeFormatted').get(function () {
@@ -150,6 +534,26 @@ videoSchema.methods.canEdit = function (userId, userRole) {
   );
 };
 
+// Method to check if the video is still waiting for a moderation decision
+videoSchema.methods.isAwaitingReview = function () {
+  return ['pending', 'in_review'].includes(this.moderation?.status);
+};
+
+// Method to append an entry to the moderation history
+videoSchema.methods.recordModeration = function (action, actor = null, fields = {}) {
+  this.moderation.history.push({ action, actor, ...fields, at: new Date() });
+};
+
+// Method to put the video in the review queue (drops any existing claim)
+videoSchema.methods.queueForReview = function (actor = null, reason) {
+  this.moderation.status = 'pending';
+  this.moderation.queuedAt = new Date();
+  this.moderation.claimedBy = undefined;
+  this.moderation.claimedAt = undefined;
+  this.moderation.claimedUntil = undefined;
+  this.recordModeration('queued', actor, { toSensitivity: this.sensitivity, reason });
+};
+
 // Static method to find videos by owner
 videoSchema.statics.findByOwner = function (userId, tenantId = 'default') {
   return this.find({ ownerUserId: userId, tenantId });
@@ -31,6 +31,11 @@ const videoAssignmentSchema = new mongoose.Schema(
       type: Date,
       default: null,
     },
+    allowDownload: {
+      // Overrides the video's allowDownload for this viewer; null follows the video
+      type: Boolean,
+      default: null,
+    },
   },
   {
     timestamps: true,
@@ -46,6 +51,11 @@ videoAssignmentSchema.methods.isExpired = function () {
   return new Date() > this.expiresAt;
 };
 
+// Instance method to check if the viewer may download the original file
+videoAssignmentSchema.methods.canDownload = function (video) {
+  return this.allowDownload ?? Boolean(video.allowDownload);
+};
+
 // Static method to get all videos assigned to a user
 videoAssignmentSchema.statics.getAssignedVideos = async function (userId) {
   const assignments = await this.find({
@@ -0,0 +1,210 @@
+const express = require('express');
+const router = express.Router();
+const adminController = require('../controllers/admin.controller');
+const sensitivityRuleController = require('../controllers/sensitivityRule.controller');
+const { authenticate, authorize } = require('../middleware/auth');
+const { body, param, query } = require('express-validator');
+const { validate } = require('../middleware/validate');
+
+// Every admin route requires an authenticated admin
+router.use(authenticate, authorize('admin'));
+
+/**
+ * @route   GET /api/admin/processing/stats
+ * @desc    Get processing queue statistics
+ * @access  Private (admin)
+ */
+router.get('/processing/stats', adminController.getProcessingStats);
+
+/**
+ * @route   GET /api/admin/processing/jobs
+ * @desc    List processing jobs (e.g. the dead-letter jobs with ?status=dead)
+ * @access  Private (admin)
+ */
+router.get(
+  '/processing/jobs',
+  [
+    query('status')
+      .optional()
+      .isIn(['queued', 'processing', 'completed', 'dead'])
+      .withMessage('Invalid job status'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100'),
+    query('skip')
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('Skip must be a non-negative integer'),
+  ],
+  validate,
+  adminController.getProcessingJobs,
+);
+
+/**
+ * @route   POST /api/admin/processing/requeue
+ * @desc    Re-enqueue failed videos by ID or by filter
+ * @access  Private (admin)
+ */
+router.post(
+  '/processing/requeue',
+  [
+    body()
+      .custom(value => Boolean(value.videoIds) !== Boolean(value.filter))
+      .withMessage('Provide either videoIds or filter'),
+    body('videoIds')
+      .optional()
+      .isArray({ min: 1, max: 500 })
+      .withMessage('videoIds must be an array of 1 to 500 IDs'),
+    body('videoIds.*').isMongoId().withMessage('Invalid video ID'),
+    body('filter').optional().isObject().withMessage('Filter must be an object'),
+    body('filter.tenantId').optional().isString().withMessage('Invalid tenant ID'),
+    body('filter.ownerUserId').optional().isMongoId().withMessage('Invalid owner ID'),
+    body('filter.errorContains')
+      .optional()
+      .isString()
+      .isLength({ max: 200 })
+      .withMessage('errorContains cannot exceed 200 characters'),
+    body('filter.failedSince')
+      .optional()
+      .isISO8601()
+      .withMessage('failedSince must be an ISO 8601 date'),
+    body('limit')
+      .optional()
+      .isInt({ min: 1, max: 500 })
+      .withMessage('Limit must be between 1 and 500'),
+  ],
+  validate,
+  adminController.requeueVideos,
+);
+
+const tenantQueryValidator = query('tenantId')
+  .optional()
+  .isString()
+  .isLength({ min: 1, max: 100 })
+  .withMessage('Invalid tenant ID');
+
+const versionValidator = param('version')
+  .isInt({ min: 1 })
+  .withMessage('Version must be a positive integer');
+
+/**
+ * @route   GET /api/admin/sensitivity-rules
+ * @desc    List a tenant's sensitivity rule set versions
+ * @access  Private (admin)
+ */
+router.get(
+  '/sensitivity-rules',
+  [tenantQueryValidator],
+  validate,
+  sensitivityRuleController.getRuleSets,
+);
+
+/**
+ * @route   GET /api/admin/sensitivity-rules/active
+ * @desc    Get the rule set currently applied to a tenant
+ * @access  Private (admin)
+ */
+router.get(
+  '/sensitivity-rules/active',
+  [tenantQueryValidator],
+  validate,
+  sensitivityRuleController.getActiveRuleSet,
+);
+
+/**
+ * @route   GET /api/admin/sensitivity-rules/:version
+ * @desc    Get one version of a tenant's rule set
+ * @access  Private (admin)
+ */
+router.get(
+  '/sensitivity-rules/:version',
+  [tenantQueryValidator, versionValidator],
+  validate,
+  sensitivityRuleController.getRuleSet,
+);
+
+/**
+ * @route   POST /api/admin/sensitivity-rules
+ * @desc    Save a new version of a tenant's rule set
+ * @access  Private (admin)
+ */
+router.post(
+  '/sensitivity-rules',
+  [
+    body('tenantId')
+      .optional()
+      .isString()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Invalid tenant ID'),
+    body('name')
+      .optional()
+      .trim()
+      .isLength({ max: 200 })
+      .withMessage('Name cannot exceed 200 characters'),
+    body('notes')
+      .optional()
+      .trim()
+      .isLength({ max: 2000 })
+      .withMessage('Notes cannot exceed 2000 characters'),
+    body('flagThreshold')
+      .isFloat({ min: 0 })
+      .withMessage('flagThreshold must be a non-negative number'),
+    body('rules')
+      .isArray({ min: 1, max: 100 })
+      .withMessage('rules must be an array of 1 to 100 rules'),
+    body('rules.*.key')
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Each rule needs a key'),
+    body('rules.*.type')
+      .isIn(['metadata', 'keywords', 'regex'])
+      .withMessage('Rule type must be metadata, keywords or regex'),
+    body('rules.*.message')
+      .isString()
+      .isLength({ min: 1, max: 500 })
+      .withMessage('Each rule needs a message'),
+    body('rules.*.conditions.*.operator')
+      .isIn(['lt', 'lte', 'gt', 'gte', 'eq', 'ne', 'between', 'outside', 'in'])
+      .withMessage('Invalid condition operator'),
+    body('rules.*.terms.*').isString().withMessage('Terms must be strings'),
+    body('rules.*.patterns.*').isString().withMessage('Patterns must be strings'),
+    body('rules.*.weight')
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('Weight must be a non-negative number'),
+    body('rules.*.severity')
+      .optional()
+      .isIn(['score', 'flag'])
+      .withMessage('Severity must be score or flag'),
+  ],
+  validate,
+  sensitivityRuleController.createRuleSet,
+);
+
+/**
+ * @route   POST /api/admin/sensitivity-rules/:version/restore
+ * @desc    Make an earlier version active again by saving a copy as a new version
+ * @access  Private (admin)
+ */
+router.post(
+  '/sensitivity-rules/:version/restore',
+  [
+    versionValidator,
+    body('tenantId')
+      .optional()
+      .isString()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Invalid tenant ID'),
+    body('notes')
+      .optional()
+      .trim()
+      .isLength({ max: 2000 })
+      .withMessage('Notes cannot exceed 2000 characters'),
+  ],
+  validate,
+  sensitivityRuleController.restoreRuleSet,
+);
+
+module.exports = router;
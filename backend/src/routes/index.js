@@ -2,6 +2,10 @@ const express = require('express');
 const healthRoutes = require('./health.routes');
 const authRoutes = require('./auth.routes');
 const videoRoutes = require('./video.routes');
+const resumableUploadRoutes = require('./resumableUpload.routes');
+const adminRoutes = require('./admin.routes');
+const moderationRoutes = require('./moderation.routes');
+const shareRoutes = require('./share.routes');
 
 const router = express.Router();
 
@@ -11,7 +15,19 @@ router.use('/health', healthRoutes);
 // Authentication routes
 router.use('/auth', authRoutes);
 
+// Resumable (tus) upload routes
+router.use('/videos/uploads', resumableUploadRoutes);
+
 // Video routes
 router.use('/videos', videoRoutes);
 
+// Admin routes
+router.use('/admin', adminRoutes);
+
+// Moderation review queue
+router.use('/moderation', moderationRoutes);
+
+// Public share links
+router.use('/share', shareRoutes);
+
 module.exports = router;
@@ -0,0 +1,132 @@
+const express = require('express');
+const router = express.Router();
+const moderationController = require('../controllers/moderation.controller');
+const { authenticate, authorize } = require('../middleware/auth');
+const { body, param, query } = require('express-validator');
+const { validate } = require('../middleware/validate');
+
+// Reviewing is an admin task
+router.use(authenticate, authorize('admin'));
+
+const videoIdValidator = param('id').isMongoId().withMessage('Invalid video ID');
+
+/**
+ * @route   GET /api/moderation/queue
+ * @desc    List videos awaiting review, oldest first
+ * @access  Private (admin)
+ */
+router.get(
+  '/queue',
+  [
+    query('status')
+      .optional()
+      .isIn(['pending', 'in_review'])
+      .withMessage('Status must be pending or in_review'),
+    query('mine').optional().isBoolean().withMessage('mine must be true or false'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100'),
+    query('skip')
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('Skip must be a non-negative integer'),
+  ],
+  validate,
+  moderationController.getQueue,
+);
+
+/**
+ * @route   GET /api/moderation/videos/:id
+ * @desc    Get a video's moderation state, notes and decision history
+ * @access  Private (admin)
+ */
+router.get('/videos/:id', [videoIdValidator], validate, moderationController.getModeration);
+
+/**
+ * @route   POST /api/moderation/videos/:id/claim
+ * @desc    Claim a pending video for review
+ * @access  Private (admin)
+ */
+router.post('/videos/:id/claim', [videoIdValidator], validate, moderationController.claimVideo);
+
+/**
+ * @route   POST /api/moderation/videos/:id/release
+ * @desc    Return a claimed video to the queue; force releases another reviewer's claim
+ * @access  Private (admin holding the claim, or any admin with force)
+ */
+router.post(
+  '/videos/:id/release',
+  [
+    videoIdValidator,
+    body('note')
+      .optional()
+      .trim()
+      .isLength({ max: 2000 })
+      .withMessage('Note cannot exceed 2000 characters'),
+    body('force').optional().isBoolean({ strict: true }).withMessage('force must be true or false'),
+  ],
+  validate,
+  moderationController.releaseVideo,
+);
+
+/**
+ * @route   POST /api/moderation/videos/:id/approve
+ * @desc    Approve a claimed video
+ * @access  Private (admin holding the claim)
+ */
+router.post(
+  '/videos/:id/approve',
+  [
+    videoIdValidator,
+    body('note')
+      .optional()
+      .trim()
+      .isLength({ max: 2000 })
+      .withMessage('Note cannot exceed 2000 characters'),
+  ],
+  validate,
+  moderationController.approveVideo,
+);
+
+/**
+ * @route   POST /api/moderation/videos/:id/reject
+ * @desc    Reject a claimed video
+ * @access  Private (admin holding the claim)
+ */
+router.post(
+  '/videos/:id/reject',
+  [
+    videoIdValidator,
+    body('reason')
+      .trim()
+      .notEmpty()
+      .withMessage('A reason is required to reject a video')
+      .isLength({ max: 2000 })
+      .withMessage('Reason cannot exceed 2000 characters'),
+  ],
+  validate,
+  moderationController.rejectVideo,
+);
+
+/**
+ * @route   POST /api/moderation/videos/:id/notes
+ * @desc    Add a reviewer note
+ * @access  Private (admin)
+ */
+router.post(
+  '/videos/:id/notes',
+  [
+    videoIdValidator,
+    body('text')
+      .trim()
+      .notEmpty()
+      .withMessage('Note text is required')
+      .isLength({ max: 2000 })
+      .withMessage('Note cannot exceed 2000 characters'),
+  ],
+  validate,
+  moderationController.addNote,
+);
+
+module.exports = router;
@@ -0,0 +1,56 @@
+const express = require('express');
+const router = express.Router();
+const resumableUploadController = require('../controllers/resumableUpload.controller');
+const { authenticate, authorize } = require('../middleware/auth');
+const { param } = require('express-validator');
+const { validate } = require('../middleware/validate');
+
+// All tus requests need an authenticated editor/admin and the Tus-Resumable header
+router.use(authenticate, authorize('editor', 'admin'), resumableUploadController.setTusHeaders);
+
+const uploadIdValidation = [param('uploadId').isMongoId().withMessage('Invalid upload ID')];
+
+/**
+ * @route   POST /api/videos/uploads
+ * @desc    Create a resumable upload (tus creation extension)
+ * @access  Private (editor, admin)
+ */
+router.post('/', resumableUploadController.createUpload);
+
+/**
+ * @route   HEAD /api/videos/uploads/:uploadId
+ * @desc    Get the current offset of a resumable upload
+ * @access  Private (upload owner)
+ */
+router.head(
+  '/:uploadId',
+  uploadIdValidation,
+  validate,
+  resumableUploadController.getUploadOffset,
+);
+
+/**
+ * @route   PATCH /api/videos/uploads/:uploadId
+ * @desc    Append a chunk; the final chunk creates the video, queues processing and returns it with any duplicate warning
+ * @access  Private (upload owner)
+ */
+router.patch(
+  '/:uploadId',
+  uploadIdValidation,
+  validate,
+  resumableUploadController.appendChunk,
+);
+
+/**
+ * @route   DELETE /api/videos/uploads/:uploadId
+ * @desc    Abandon a resumable upload (tus termination extension)
+ * @access  Private (upload owner)
+ */
+router.delete(
+  '/:uploadId',
+  uploadIdValidation,
+  validate,
+  resumableUploadController.terminateUpload,
+);
+
+module.exports = router;
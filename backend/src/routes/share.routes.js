@@ -0,0 +1,92 @@
+const express = require('express');
+const router = express.Router();
+const rateLimit = require('express-rate-limit');
+const shareController = require('../controllers/share.controller');
+const { AppError } = require('../middleware/errorHandler');
+const { body, param } = require('express-validator');
+const { validate } = require('../middleware/validate');
+
+// Share links are public: no authentication, the token in the URL is the credential
+
+const tokenValidator = param('token').matches(/^[\w-]{32}$/).withMessage('Invalid share link');
+
+// Wrong passwords and unknown tokens count against the client, so links cannot be guessed
+const accessLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  limit: 20,
+  skipSuccessfulRequests: true,
+  standardHeaders: 'draft-7',
+  legacyHeaders: false,
+  handler: (req, res, next) => next(new AppError('Too many attempts, please try again later', 429)),
+});
+
+// Renewals come every few minutes per viewer; forged or stale queries should not be hammered
+const renewLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  limit: 60,
+  standardHeaders: 'draft-7',
+  legacyHeaders: false,
+  handler: (req, res, next) => next(new AppError('Too many requests, please try again later', 429)),
+});
+
+/**
+ * @route   GET /api/share/:token
+ * @desc    Get the video title and link settings for the landing page
+ * @access  Public
+ */
+router.get('/:token', [tokenValidator], validate, shareController.getShareLink);
+
+/**
+ * @route   POST /api/share/:token/access
+ * @desc    Open a share link (password if set), count a view and get signed media URLs
+ * @access  Public
+ */
+router.post(
+  '/:token/access',
+  accessLimiter,
+  [
+    tokenValidator,
+    body('password')
+      .optional()
+      .isString()
+      .withMessage('Password must be a string')
+      .isLength({ max: 128 })
+      .withMessage('Password cannot exceed 128 characters'),
+  ],
+  validate,
+  shareController.openShareLink,
+);
+
+/**
+ * @route   POST /api/share/:token/renew
+ * @desc    Re-sign the media URLs of an opened share link before they expire, while its viewing session lasts
+ * @access  Public (current signed query)
+ */
+router.post(
+  '/:token/renew',
+  renewLimiter,
+  [
+    tokenValidator,
+    body('uid').isString().withMessage('uid is required'),
+    body('exp').isInt({ min: 0 }).withMessage('exp must be a timestamp'),
+    body('sig').isString().withMessage('sig is required'),
+  ],
+  validate,
+  shareController.renewShareAccess,
+);
+
+/**
+ * @route   GET /api/share/:token/stream
+ * @desc    Stream the shared video with HTTP Range support
+ * @access  Public (signed URL)
+ */
+router.get('/:token/stream', [tokenValidator], validate, shareController.streamSharedVideo);
+
+/**
+ * @route   GET /api/share/:token/download
+ * @desc    Download the shared video's original file, if the link allows it
+ * @access  Public (signed URL)
+ */
+router.get('/:token/download', [tokenValidator], validate, shareController.downloadSharedVideo);
+
+module.exports = router;
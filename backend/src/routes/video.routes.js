@@ -2,9 +2,26 @@ const express = require('express');
 const router = express.Router();
 const videoController = require('../controllers/video.controller');
 const { authenticate, authorize, authenticateStream } = require('../middleware/auth');
-const { upload, handleMulterError } = require('../middleware/upload');
+const {
+  upload,
+  handleMulterError,
+  discardUploadOnError,
+  captionUpload,
+  handleCaptionUploadError,
+} = require('../middleware/upload');
 const { body, param, query } = require('express-validator');
 const { validate } = require('../middleware/validate');
+const { THUMBNAIL_FORMATS, MAX_THUMBNAIL_DIMENSION } = require('../services/thumbnails');
+const { MAX_TITLE_LENGTH: MAX_CHAPTER_TITLE_LENGTH } = require('../services/chapters');
+const { MAX_TITLE_LENGTH: MAX_CLIP_TITLE_LENGTH } = require('../services/clips');
+const {
+  CAPTION_KINDS,
+  MAX_LABEL_LENGTH: MAX_CAPTION_LABEL_LENGTH,
+  isValidLanguage,
+} = require('../services/captions');
+
+// An assignment's download setting: true or false, or null to follow the video
+const isDownloadOverride = value => value === null || typeof value === 'boolean';
 
 /**
  * @route   POST /api/videos/upload
@@ -32,6 +49,7 @@ router.post(
   ],
   validate,
   videoController.uploadVideo,
+  discardUploadOnError,
 );
 
 /**
@@ -55,6 +73,31 @@ router.get(
       .optional()
       .isInt({ min: 0 })
       .withMessage('Skip must be a non-negative integer'),
+    query(['container', 'videoCodec', 'audioCodec', 'pixelFormat'])
+      .optional()
+      .matches(/^[a-z0-9_-]{1,32}$/i)
+      .withMessage('Invalid format name')
+      .toLowerCase(),
+    query(['hdr', 'hasSubtitles'])
+      .optional()
+      .isBoolean()
+      .withMessage('Must be true or false')
+      .toBoolean(),
+    query('rotation')
+      .optional()
+      .isIn(['0', '90', '180', '270'])
+      .withMessage('Rotation must be 0, 90, 180 or 270')
+      .toInt(),
+    query(['minWidth', 'minHeight', 'minBitRate', 'maxBitRate', 'minAudioTracks'])
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('Must be a non-negative integer')
+      .toInt(),
+    query(['minFrameRate', 'maxFrameRate'])
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('Frame rate must be a non-negative number')
+      .toFloat(),
   ],
   validate,
   videoController.getUserVideos,
@@ -73,6 +116,19 @@ router.get(
   videoController.getVideoById,
 );
 
+/**
+ * @route   GET /api/videos/:id/duplicates
+ * @desc    List videos in the tenant with the same or similar content
+ * @access  Private (owner or admin)
+ */
+router.get(
+  '/:id/duplicates',
+  authenticate,
+  [param('id').isMongoId().withMessage('Invalid video ID')],
+  validate,
+  videoController.getDuplicates,
+);
+
 /**
  * @route   PATCH /api/videos/:id
  * @desc    Update video metadata
@@ -103,6 +159,18 @@ router.patch(
       .optional()
       .isIn(['unknown', 'safe', 'flagged'])
       .withMessage('Invalid sensitivity value'),
+    body('sensitivityReason')
+      .if(body('sensitivity').exists())
+      .trim()
+      .notEmpty()
+      .withMessage('A reason is required when changing sensitivity')
+      .isLength({ max: 1000 })
+      .withMessage('Reason cannot exceed 1000 characters'),
+    body('allowDownload')
+      .optional()
+      .isBoolean()
+      .withMessage('allowDownload must be a boolean')
+      .toBoolean(),
   ],
   validate,
   videoController.updateVideo,
@@ -142,6 +210,10 @@ router.post(
       .optional()
       .isISO8601()
       .withMessage('expiresAt must be a valid ISO 8601 date'),
+    body('allowDownload')
+      .optional()
+      .custom(isDownloadOverride)
+      .withMessage('allowDownload must be true, false or null'),
   ],
   validate,
   videoController.assignVideo,
@@ -164,6 +236,26 @@ router.delete(
   videoController.unassignVideo,
 );
 
+/**
+ * @route   PATCH /api/videos/:id/assign/:userId
+ * @desc    Allow or deny a viewer downloading the video (null follows the video)
+ * @access  Private (editor for own videos, admin for all)
+ */
+router.patch(
+  '/:id/assign/:userId',
+  authenticate,
+  authorize('editor', 'admin'),
+  [
+    param('id').isMongoId().withMessage('Invalid video ID'),
+    param('userId').isMongoId().withMessage('Invalid user ID'),
+    body('allowDownload')
+      .custom(isDownloadOverride)
+      .withMessage('allowDownload must be true, false or null'),
+  ],
+  validate,
+  videoController.updateAssignment,
+);
+
 /**
  * @route   GET /api/videos/:id/assignments
  * @desc    Get all assignments for a video
@@ -178,6 +270,117 @@ router.get(
   videoController.getVideoAssignments,
 );
 
+/**
+ * @route   POST /api/videos/:id/share-links
+ * @desc    Create a public share link (optional password, expiry, view limit, downloads)
+ * @access  Private (editor for own videos, admin for all)
+ */
+router.post(
+  '/:id/share-links',
+  authenticate,
+  authorize('editor', 'admin'),
+  [
+    param('id').isMongoId().withMessage('Invalid video ID'),
+    body('label')
+      .optional()
+      .trim()
+      .isLength({ max: 200 })
+      .withMessage('Label cannot exceed 200 characters'),
+    body('password')
+      .optional()
+      .isString()
+      .withMessage('Password must be a string')
+      .isLength({ min: 4, max: 128 })
+      .withMessage('Password must be between 4 and 128 characters'),
+    body('expiresAt')
+      .optional()
+      .isISO8601()
+      .withMessage('expiresAt must be a valid ISO 8601 date')
+      .custom(value => new Date(value) > new Date())
+      .withMessage('expiresAt must be in the future'),
+    body('maxViews')
+      .optional()
+      .isInt({ min: 1, max: 100000 })
+      .withMessage('maxViews must be between 1 and 100000')
+      .toInt(),
+    body('allowDownload')
+      .optional()
+      .isBoolean()
+      .withMessage('allowDownload must be a boolean')
+      .toBoolean(),
+  ],
+  validate,
+  videoController.createShareLink,
+);
+
+/**
+ * @route   GET /api/videos/:id/share-links
+ * @desc    List the share links of a video
+ * @access  Private (editor for own videos, admin for all)
+ */
+router.get(
+  '/:id/share-links',
+  authenticate,
+  authorize('editor', 'admin'),
+  [param('id').isMongoId().withMessage('Invalid video ID')],
+  validate,
+  videoController.getShareLinks,
+);
+
+/**
+ * @route   DELETE /api/videos/:id/share-links/:linkId
+ * @desc    Revoke a share link
+ * @access  Private (editor for own videos, admin for all)
+ */
+router.delete(
+  '/:id/share-links/:linkId',
+  authenticate,
+  authorize('editor', 'admin'),
+  [
+    param('id').isMongoId().withMessage('Invalid video ID'),
+    param('linkId').isMongoId().withMessage('Invalid share link ID'),
+  ],
+  validate,
+  videoController.revokeShareLink,
+);
+
+/**
+ * @route   GET /api/videos/:id/downloads
+ * @desc    Get the download audit log of a video
+ * @access  Private (owner or admin)
+ */
+router.get(
+  '/:id/downloads',
+  authenticate,
+  authorize('editor', 'admin'),
+  [
+    param('id').isMongoId().withMessage('Invalid video ID'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100'),
+    query('skip')
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('Skip must be a non-negative integer'),
+  ],
+  validate,
+  videoController.getDownloads,
+);
+
+/**
+ * @route   GET /api/videos/:id/stream-url
+ * @desc    Issue a short-lived signed URL for a video's media
+ * @access  Private (must have access to video)
+ */
+router.get(
+  '/:id/stream-url',
+  authenticate,
+  [param('id').isMongoId().withMessage('Invalid video ID')],
+  validate,
+  videoController.getStreamUrl,
+);
+
 /**
  * @route   GET /api/videos/:id/stream
  * @desc    Stream a video with HTTP Range support
@@ -191,4 +394,300 @@ router.get(
   videoController.streamVideo,
 );
 
+/**
+ * @route   GET /api/videos/:id/download
+ * @desc    Download the original file as an attachment (recorded in the audit log)
+ * @access  Private (must have access to video; viewers need downloads enabled)
+ */
+router.get(
+  '/:id/download',
+  authenticateStream,
+  [param('id').isMongoId().withMessage('Invalid video ID')],
+  validate,
+  videoController.downloadVideo,
+);
+
+/**
+ * @route   GET /api/videos/:id/storyboard.vtt
+ * @desc    Get the WebVTT thumbnails track for seek bar previews
+ * @access  Private (must have access to video)
+ */
+router.get(
+  '/:id/storyboard.vtt',
+  authenticateStream,
+  [param('id').isMongoId().withMessage('Invalid video ID')],
+  validate,
+  videoController.getStoryboardVtt,
+);
+
+/**
+ * @route   GET /api/videos/:id/storyboard/:sheet.jpg
+ * @desc    Get one storyboard sprite sheet
+ * @access  Private (must have access to video)
+ */
+router.get(
+  '/:id/storyboard/:sheet.jpg',
+  authenticateStream,
+  [
+    param('id').isMongoId().withMessage('Invalid video ID'),
+    param('sheet').isInt({ min: 0 }).withMessage('Invalid sheet index'),
+  ],
+  validate,
+  videoController.getStoryboardSheet,
+);
+
+const chapterValidators = ({ optional }) => [
+  (optional ? body('start').optional() : body('start'))
+    .isFloat({ min: 0 })
+    .withMessage('Chapter start must be a non-negative number of seconds')
+    .toFloat(),
+  (optional ? body('title').optional() : body('title'))
+    .trim()
+    .notEmpty()
+    .withMessage('Chapter title is required')
+    .isLength({ max: MAX_CHAPTER_TITLE_LENGTH })
+    .withMessage(`Chapter title cannot exceed ${MAX_CHAPTER_TITLE_LENGTH} characters`),
+];
+
+/**
+ * @route   GET /api/videos/:id/chapters
+ * @desc    Get a video's chapters
+ * @access  Private (must have access to video)
+ */
+router.get(
+  '/:id/chapters',
+  authenticate,
+  [param('id').isMongoId().withMessage('Invalid video ID')],
+  validate,
+  videoController.getChapters,
+);
+
+/**
+ * @route   GET /api/videos/:id/chapters.vtt
+ * @desc    Get the WebVTT chapters track
+ * @access  Private (must have access to video)
+ */
+router.get(
+  '/:id/chapters.vtt',
+  authenticateStream,
+  [param('id').isMongoId().withMessage('Invalid video ID')],
+  validate,
+  videoController.getChaptersVtt,
+);
+
+/**
+ * @route   POST /api/videos/:id/chapters
+ * @desc    Add a chapter
+ * @access  Private (owner or admin)
+ */
+router.post(
+  '/:id/chapters',
+  authenticate,
+  [param('id').isMongoId().withMessage('Invalid video ID'), ...chapterValidators({ optional: false })],
+  validate,
+  videoController.createChapter,
+);
+
+/**
+ * @route   PATCH /api/videos/:id/chapters/:chapterId
+ * @desc    Rename or move a chapter
+ * @access  Private (owner or admin)
+ */
+router.patch(
+  '/:id/chapters/:chapterId',
+  authenticate,
+  [
+    param('id').isMongoId().withMessage('Invalid video ID'),
+    param('chapterId').isMongoId().withMessage('Invalid chapter ID'),
+    ...chapterValidators({ optional: true }),
+  ],
+  validate,
+  videoController.updateChapter,
+);
+
+/**
+ * @route   DELETE /api/videos/:id/chapters/:chapterId
+ * @desc    Remove a chapter
+ * @access  Private (owner or admin)
+ */
+router.delete(
+  '/:id/chapters/:chapterId',
+  authenticate,
+  [
+    param('id').isMongoId().withMessage('Invalid video ID'),
+    param('chapterId').isMongoId().withMessage('Invalid chapter ID'),
+  ],
+  validate,
+  videoController.deleteChapter,
+);
+
+/**
+ * @route   POST /api/videos/:id/clips
+ * @desc    Create a new video from a time range of this one
+ * @access  Private (editor, admin; must have access to video)
+ */
+router.post(
+  '/:id/clips',
+  authenticate,
+  authorize('editor', 'admin'),
+  [
+    param('id').isMongoId().withMessage('Invalid video ID'),
+    body('start')
+      .isFloat({ min: 0 })
+      .withMessage('Clip start must be a non-negative number of seconds')
+      .toFloat(),
+    body('end')
+      .isFloat({ min: 0 })
+      .withMessage('Clip end must be a non-negative number of seconds')
+      .toFloat(),
+    body('title')
+      .optional()
+      .trim()
+      .isLength({ max: MAX_CLIP_TITLE_LENGTH })
+      .withMessage(`Title cannot exceed ${MAX_CLIP_TITLE_LENGTH} characters`),
+    body('description')
+      .optional()
+      .trim()
+      .isLength({ max: 2000 })
+      .withMessage('Description cannot exceed 2000 characters'),
+  ],
+  validate,
+  videoController.createClip,
+);
+
+/**
+ * @route   POST /api/videos/:id/captions
+ * @desc    Upload an SRT or WebVTT caption file for one language
+ * @access  Private (owner or admin)
+ */
+router.post(
+  '/:id/captions',
+  authenticate,
+  captionUpload.single('caption'),
+  handleCaptionUploadError,
+  [
+    param('id').isMongoId().withMessage('Invalid video ID'),
+    body('language')
+      .trim()
+      .custom(isValidLanguage)
+      .withMessage('Language must be a language tag such as en or pt-BR'),
+    body('label')
+      .optional()
+      .trim()
+      .isLength({ max: MAX_CAPTION_LABEL_LENGTH })
+      .withMessage(`Label cannot exceed ${MAX_CAPTION_LABEL_LENGTH} characters`),
+    body('kind')
+      .optional()
+      .isIn(CAPTION_KINDS)
+      .withMessage(`Kind must be one of: ${CAPTION_KINDS.join(', ')}`),
+  ],
+  validate,
+  videoController.uploadCaptions,
+);
+
+/**
+ * @route   GET /api/videos/:id/captions/:captionId.vtt
+ * @desc    Get one caption track as WebVTT
+ * @access  Private (must have access to video)
+ */
+router.get(
+  '/:id/captions/:captionId.vtt',
+  authenticateStream,
+  [
+    param('id').isMongoId().withMessage('Invalid video ID'),
+    param('captionId').isMongoId().withMessage('Invalid caption ID'),
+  ],
+  validate,
+  videoController.getCaptionTrack,
+);
+
+/**
+ * @route   DELETE /api/videos/:id/captions/:captionId
+ * @desc    Remove a caption track
+ * @access  Private (owner or admin)
+ */
+router.delete(
+  '/:id/captions/:captionId',
+  authenticate,
+  [
+    param('id').isMongoId().withMessage('Invalid video ID'),
+    param('captionId').isMongoId().withMessage('Invalid caption ID'),
+  ],
+  validate,
+  videoController.deleteCaptions,
+);
+
+/**
+ * @route   GET /api/videos/:id/thumbnail
+ * @desc    Get a video's thumbnail, optionally resized (w, h) or as WebP (format)
+ * @access  Private (must have access to video)
+ */
+router.get(
+  '/:id/thumbnail',
+  authenticateStream,
+  [
+    param('id').isMongoId().withMessage('Invalid video ID'),
+    query('w')
+      .optional()
+      .isInt({ min: 16, max: MAX_THUMBNAIL_DIMENSION })
+      .withMessage(`w must be between 16 and ${MAX_THUMBNAIL_DIMENSION}`),
+    query('h')
+      .optional()
+      .isInt({ min: 16, max: MAX_THUMBNAIL_DIMENSION })
+      .withMessage(`h must be between 16 and ${MAX_THUMBNAIL_DIMENSION}`),
+    query('format')
+      .optional()
+      .isIn(Object.keys(THUMBNAIL_FORMATS))
+      .withMessage(`format must be one of: ${Object.keys(THUMBNAIL_FORMATS).join(', ')}`),
+  ],
+  validate,
+  videoController.getThumbnail,
+);
+
+/**
+ * @route   GET /api/videos/:id/hls/master.m3u8
+ * @desc    Get the HLS master playlist listing every rendition
+ * @access  Private (must have access to video)
+ */
+router.get(
+  '/:id/hls/master.m3u8',
+  authenticateStream,
+  [param('id').isMongoId().withMessage('Invalid video ID')],
+  validate,
+  videoController.getHlsMasterPlaylist,
+);
+
+/**
+ * @route   GET /api/videos/:id/hls/:rendition/index.m3u8
+ * @desc    Get the playlist of one HLS rendition
+ * @access  Private (must have access to video)
+ */
+router.get(
+  '/:id/hls/:rendition/index.m3u8',
+  authenticateStream,
+  [
+    param('id').isMongoId().withMessage('Invalid video ID'),
+    param('rendition').matches(/^\d+p$/).withMessage('Invalid rendition'),
+  ],
+  validate,
+  videoController.getHlsRenditionPlaylist,
+);
+
+/**
+ * @route   GET /api/videos/:id/hls/:rendition/:segmentId.ts
+ * @desc    Stream one HLS segment
+ * @access  Private (must have access to video)
+ */
+router.get(
+  '/:id/hls/:rendition/:segmentId.ts',
+  authenticateStream,
+  [
+    param('id').isMongoId().withMessage('Invalid video ID'),
+    param('rendition').matches(/^\d+p$/).withMessage('Invalid rendition'),
+    param('segmentId').isMongoId().withMessage('Invalid segment ID'),
+  ],
+  validate,
+  videoController.getHlsSegment,
+);
+
 module.exports = router;
@@ -3,6 +3,7 @@ const app = require('./app');
 const { connectDatabase } = require('./config/database');
 const { initializeSocket } = require('./socket');
 const processingQueue = require('./services/processingQueue');
+const uploadSweeper = require('./services/uploadSweeper');
 
 const PORT = process.env.PORT || 5000;
 
@@ -24,12 +25,26 @@ const startServer = async () => {
     
     // Attach Socket.io to processing queue for real-time updates
     processingQueue.setSocketIO(io);
+
+    // Start the processing queue; jobs left behind by a previous run are recovered first
+    processingQueue.start();
+
+    // Delete resumable uploads that expired or were abandoned, with their staged bytes
+    uploadSweeper.start();
     
     console.info(`🔌 Socket.io initialized`);
 
     // Graceful shutdown
-    process.on('SIGTERM', () => {
+    process.on('SIGTERM', async () => {
       console.info('SIGTERM received, shutting down gracefully');
+      // Stop claiming jobs and hand unfinished ones back to the queue
+      processingQueue.stop();
+      uploadSweeper.stop();
+      try {
+        await processingQueue.releaseLeases();
+      } catch (error) {
+        console.error('Failed to release processing jobs:', error);
+      }
       io.close(); // Close socket connections
       server.close(() => {
         console.info('Process terminated');
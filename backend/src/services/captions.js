@@ -0,0 +1,243 @@
+const storage = require('./storage');
+const { formatVttTimestamp } = require('./storyboard');
+
+/**
+ * Captions Service
+ * Converts uploaded SRT and WebVTT files to clean WebVTT, describes the text
+ * subtitle streams embedded in a video and stores each track as one file.
+ */
+
+const VTT_MIME_TYPE = 'text/vtt';
+
+const CAPTION_FORMATS = ['srt', 'vtt'];
+const CAPTION_KINDS = ['subtitles', 'captions'];
+const MAX_LABEL_LENGTH = 100;
+
+// A language subtag followed by optional script, region or variant subtags
+const LANGUAGE_TAG_PATTERN = /^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i;
+
+// Subtitle codecs that are pictures rather than text; they cannot become WebVTT
+const IMAGE_SUBTITLE_CODECS = ['hdmv_pgs_subtitle', 'dvd_subtitle', 'dvb_subtitle', 'dvb_teletext', 'xsub'];
+
+const isSubtitleExtractionEnabled = () => process.env.SUBTITLE_EXTRACTION_ENABLED !== 'false';
+
+/**
+ * Largest caption file accepted for upload
+ * @returns {Number} - Bytes
+ */
+const getMaxCaptionSize = () => parseInt(process.env.MAX_CAPTION_SIZE || 1024 * 1024, 10); // Default 1MB
+
+/**
+ * Format of a caption file, from its extension
+ * @param {String} filename - Original filename
+ * @returns {String|null} - 'srt', 'vtt' or null
+ */
+const getCaptionFormat = filename => {
+  const extension = (filename || '').split('.').pop().toLowerCase();
+  return CAPTION_FORMATS.includes(extension) ? extension : null;
+};
+
+/**
+ * Decode a caption file
+ * Files that are not valid UTF-8 are most often Windows-1252 exports, which
+ * Latin-1 reads correctly for everything but a few punctuation marks.
+ * @param {Buffer} buffer - File contents
+ * @returns {String} - Text with the BOM removed and Unix line endings
+ */
+const decodeCaptionFile = buffer => {
+  let text = buffer.toString('utf8');
+  if (text.includes('\uFFFD')) {
+    text = buffer.toString('latin1');
+  }
+  return text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+};
+
+const SRT_TIMING_PATTERN =
+  /^(\d{1,3}):(\d{1,2}):(\d{1,2})[,.](\d{1,3})\s*-->\s*(\d{1,3}):(\d{1,2}):(\d{1,2})[,.](\d{1,3})/;
+
+const toSeconds = (hours, minutes, seconds, milliseconds) =>
+  parseInt(hours, 10) * 3600 +
+  parseInt(minutes, 10) * 60 +
+  parseInt(seconds, 10) +
+  parseInt(milliseconds.padEnd(3, '0'), 10) / 1000;
+
+/**
+ * Clean up SRT cue text for WebVTT
+ * Keeps the <b>, <i> and <u> tags both formats share and drops the rest
+ * (<font>, ASS overrides such as {\an8}).
+ * @param {Array} lines - Cue text lines
+ * @returns {String}
+ */
+const convertSrtText = lines =>
+  lines
+    .join('\n')
+    .replace(/\{\\[^}]*\}/g, '')
+    .replace(/<(\/?)([a-z]+)[^>]*>/gi, (_tag, slash, name) =>
+      ['b', 'i', 'u'].includes(name.toLowerCase()) ? `<${slash}${name.toLowerCase()}>` : ''
+    )
+    .replace(/&(?![a-z]+;|#\d+;)/gi, '&amp;')
+    .replace(/<(?!\/?[biu]>)/g, '&lt;')
+    .replace(/-->/g, '->')
+    .trim();
+
+/**
+ * Convert SRT subtitles to WebVTT
+ * @param {String} text - Decoded SRT file
+ * @returns {Object} - { vtt, cueCount }
+ * @throws {Error} - When no cue could be read
+ */
+const convertSrtToVtt = text => {
+  const lines = ['WEBVTT', ''];
+  let cueCount = 0;
+
+  for (const block of text.split(/\n\s*\n/)) {
+    const blockLines = block.split('\n').filter(line => line.trim() !== '');
+    const timingIndex = blockLines.findIndex(line => SRT_TIMING_PATTERN.test(line.trim()));
+    if (timingIndex === -1) continue;
+
+    const match = SRT_TIMING_PATTERN.exec(blockLines[timingIndex].trim());
+    const start = toSeconds(match[1], match[2], match[3], match[4]);
+    const end = toSeconds(match[5], match[6], match[7], match[8]);
+    const cueText = convertSrtText(blockLines.slice(timingIndex + 1));
+    if (end <= start || !cueText) continue;
+
+    cueCount += 1;
+    lines.push(String(cueCount), `${formatVttTimestamp(start)} --> ${formatVttTimestamp(end)}`, cueText, '');
+  }
+
+  if (cueCount === 0) {
+    throw new Error('No subtitles were found in the SRT file');
+  }
+  return { vtt: lines.join('\n'), cueCount };
+};
+
+const VTT_TIMING_PATTERN = /^(?:\d+:)?\d{2}:\d{2}\.\d{3}\s+-->\s+(?:\d+:)?\d{2}:\d{2}\.\d{3}/;
+
+/**
+ * Check an uploaded WebVTT file
+ * @param {String} text - Decoded WebVTT file
+ * @returns {Object} - { vtt, cueCount }
+ * @throws {Error} - When the header is missing or there are no cues
+ */
+const validateVtt = text => {
+  if (!/^WEBVTT(?:[ \t]|\n|$)/.test(text)) {
+    throw new Error('WebVTT files must start with a WEBVTT header');
+  }
+
+  const cueCount = text.split('\n').filter(line => VTT_TIMING_PATTERN.test(line.trim())).length;
+  if (cueCount === 0) {
+    throw new Error('No cues were found in the WebVTT file');
+  }
+  return { vtt: text, cueCount };
+};
+
+/**
+ * Read an uploaded caption file as WebVTT
+ * @param {Buffer} buffer - File contents
+ * @param {String} format - 'srt' or 'vtt'
+ * @returns {Object} - { vtt, cueCount }
+ * @throws {Error} - When the file cannot be read
+ */
+const parseCaptionFile = (buffer, format) => {
+  const text = decodeCaptionFile(buffer);
+  return format === 'srt' ? convertSrtToVtt(text) : validateVtt(text);
+};
+
+/**
+ * Whether a string is a language tag a <track> element accepts
+ * @param {String} language
+ * @returns {Boolean}
+ */
+const isValidLanguage = language => LANGUAGE_TAG_PATTERN.test(language || '');
+
+/**
+ * Human-readable name for a language tag
+ * @param {String} language - BCP 47 tag or ISO 639-2 code
+ * @returns {String}
+ */
+const getLanguageLabel = language => {
+  if (!isValidLanguage(language) || language === 'und') return 'Unknown';
+  try {
+    return new Intl.DisplayNames(['en'], { type: 'language' }).of(language);
+  } catch {
+    return language;
+  }
+};
+
+/**
+ * Text subtitle streams found by extractMetadata that can be extracted
+ * @param {Array} streams - metadata.subtitles
+ * @returns {Object} - { extractable, skipped } lists of streams
+ */
+const selectSubtitleStreams = (streams = []) => ({
+  extractable: streams.filter(stream => !IMAGE_SUBTITLE_CODECS.includes(stream.codec)),
+  skipped: streams.filter(stream => IMAGE_SUBTITLE_CODECS.includes(stream.codec)),
+});
+
+/**
+ * Describe the caption track for an embedded subtitle stream
+ * @param {Object} stream - One of metadata.subtitles
+ * @param {Number} position - Position among the extracted streams, for unlabelled tracks
+ * @returns {Object} - { language, label, kind, source, originalFormat, streamIndex }
+ */
+const describeEmbeddedTrack = (stream, position) => {
+  const language = isValidLanguage(stream.language) ? stream.language : 'und';
+  const title = (stream.title || '').trim().slice(0, MAX_LABEL_LENGTH);
+  return {
+    language,
+    label: title || (language === 'und' ? `Track ${position + 1}` : getLanguageLabel(language)),
+    kind: stream.hearingImpaired ? 'captions' : 'subtitles',
+    source: 'embedded',
+    originalFormat: 'embedded',
+    streamIndex: stream.index,
+  };
+};
+
+/**
+ * Store a WebVTT track
+ * @param {String} videoId - Video the track belongs to
+ * @param {String} vtt - WebVTT text
+ * @param {String} language - Track language, for the filename
+ * @returns {Promise<String>} - Stored file ID
+ */
+const storeTrack = async (videoId, vtt, language) => {
+  const { fileId } = await storage.upload(
+    Buffer.from(vtt, 'utf8'),
+    `captions-${videoId}-${language}-${Date.now()}.vtt`,
+    { videoId: videoId.toString(), mimeType: VTT_MIME_TYPE, type: 'captions' }
+  );
+  return fileId;
+};
+
+/**
+ * Delete the stored files of caption tracks
+ * @param {Array} tracks - Caption tracks with a fileId
+ */
+const deleteTracks = async (tracks = []) => {
+  for (const track of tracks) {
+    if (!track.fileId) continue;
+    await storage.deleteFile(track.fileId).catch(err => {
+      console.error('Error deleting caption track from storage:', err);
+    });
+  }
+};
+
+module.exports = {
+  VTT_MIME_TYPE,
+  CAPTION_FORMATS,
+  CAPTION_KINDS,
+  MAX_LABEL_LENGTH,
+  isSubtitleExtractionEnabled,
+  getMaxCaptionSize,
+  getCaptionFormat,
+  decodeCaptionFile,
+  convertSrtToVtt,
+  validateVtt,
+  parseCaptionFile,
+  isValidLanguage,
+  getLanguageLabel,
+  selectSubtitleStreams,
+  describeEmbeddedTrack,
+  storeTrack,
+  deleteTracks,
+};
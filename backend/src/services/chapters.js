@@ -0,0 +1,149 @@
+const { formatVttTimestamp } = require('./storyboard');
+
+/**
+ * Chapters Service
+ * Finds scene changes with ffmpeg's scene score, proposes chapters from the
+ * strongest ones and builds the WebVTT chapters track players read.
+ */
+
+const VTT_MIME_TYPE = 'text/vtt';
+
+const MAX_CHAPTERS = 50;
+const MAX_TITLE_LENGTH = 100;
+
+const isSceneDetectionEnabled = () => process.env.SCENE_DETECTION_ENABLED !== 'false';
+
+/**
+ * Scene score (0..1) above which a frame counts as a scene change
+ * @returns {Number}
+ */
+const getSceneThreshold = () => parseFloat(process.env.SCENE_THRESHOLD || 0.4);
+
+/**
+ * Shortest chapter proposed for a video
+ * Long videos get longer chapters so they stay under MAX_CHAPTERS.
+ * @param {Number} duration - Duration in seconds
+ * @returns {Number} - Seconds
+ */
+const getMinChapterLength = duration =>
+  Math.max(
+    parseFloat(process.env.CHAPTER_MIN_SECONDS || 30),
+    Math.ceil(duration / MAX_CHAPTERS)
+  );
+
+/**
+ * Build the scene detection filter
+ * @param {Number} threshold - Scene score threshold
+ * @returns {String}
+ */
+const buildSceneFilter = (threshold = getSceneThreshold()) =>
+  // Scene scores barely change at low resolution, and small frames are much cheaper to compare
+  `scale='min(320,iw)':-2,select='gt(scene,${threshold})',metadata=print:key=lavfi.scene_score`;
+
+const PTS_TIME_PATTERN = /pts_time:\s*([\d.]+)/;
+const SCENE_SCORE_PATTERN = /lavfi\.scene_score=([\d.]+)/;
+
+/**
+ * Parse the scene changes logged by the metadata filter
+ * Each selected frame logs its pts_time on one line and its score on the next.
+ * @param {Array} lines - ffmpeg stderr lines
+ * @returns {Array} - [{ time, score }] in time order
+ */
+const parseSceneLog = lines => {
+  const scenes = [];
+  let time = null;
+
+  for (const line of lines) {
+    let match;
+    if ((match = PTS_TIME_PATTERN.exec(line))) {
+      time = parseFloat(match[1]);
+    } else if ((match = SCENE_SCORE_PATTERN.exec(line)) && time !== null) {
+      scenes.push({ time, score: parseFloat(match[1]) });
+      time = null;
+    }
+  }
+
+  return scenes;
+};
+
+/**
+ * Propose chapters from detected scene changes
+ * The strongest cuts win; a cut closer than the minimum length to the start,
+ * the end or an already chosen cut is skipped.
+ * @param {Array} scenes - Output of parseSceneLog
+ * @param {Number} duration - Duration in seconds
+ * @returns {Array} - [{ start, title, source: 'auto' }], starting at 0
+ */
+const proposeChapters = (scenes, duration) => {
+  if (!duration) return [];
+
+  const minLength = getMinChapterLength(duration);
+  const cuts = [];
+
+  for (const { time } of [...scenes].sort((a, b) => b.score - a.score)) {
+    if (cuts.length >= MAX_CHAPTERS - 1) break;
+    if (time < minLength || duration - time < minLength) continue;
+    if (cuts.some(cut => Math.abs(cut - time) < minLength)) continue;
+    cuts.push(time);
+  }
+
+  return [0, ...cuts.sort((a, b) => a - b)].map((start, index) => ({
+    start: Math.round(start * 1000) / 1000,
+    title: `Chapter ${index + 1}`,
+    source: 'auto',
+  }));
+};
+
+/**
+ * Chapters in start order with their end times filled in
+ * @param {Array} chapters - Stored chapters ({ _id, start, title, source })
+ * @param {Number} duration - Duration in seconds
+ * @returns {Array} - [{ _id, start, end, title, source }]
+ */
+const withEndTimes = (chapters, duration) => {
+  const sorted = [...chapters].sort((a, b) => a.start - b.start);
+  return sorted.map((chapter, index) => ({
+    _id: chapter._id,
+    start: chapter.start,
+    end: index + 1 < sorted.length ? sorted[index + 1].start : duration,
+    title: chapter.title,
+    source: chapter.source,
+  }));
+};
+
+/**
+ * Build the WebVTT chapters track
+ * @param {Array} chapters - Stored chapters
+ * @param {Number} duration - Duration in seconds
+ * @returns {String}
+ */
+const buildChaptersVtt = (chapters, duration) => {
+  const lines = ['WEBVTT', ''];
+
+  withEndTimes(chapters, duration).forEach((chapter, index) => {
+    if (chapter.end <= chapter.start) return;
+    lines.push(
+      `chapter-${index + 1}`,
+      `${formatVttTimestamp(chapter.start)} --> ${formatVttTimestamp(chapter.end)}`,
+      // A blank line would end the cue early and an arrow would read as timing
+      chapter.title.replace(/\s*\n\s*/g, ' ').replace(/-->/g, '->'),
+      ''
+    );
+  });
+
+  return lines.join('\n');
+};
+
+module.exports = {
+  VTT_MIME_TYPE,
+  MAX_CHAPTERS,
+  MAX_TITLE_LENGTH,
+  isSceneDetectionEnabled,
+  getSceneThreshold,
+  getMinChapterLength,
+  buildSceneFilter,
+  parseSceneLog,
+  proposeChapters,
+  withEndTimes,
+  buildChaptersVtt,
+};
@@ -0,0 +1,57 @@
+/**
+ * HTTP classifier
+ * Posts frames to an external service as JSON:
+ *   { frames: [{ time, mimeType, data: <base64> }] }
+ * and expects one result per frame, in order:
+ *   { results: [{ labels: [{ label, score }] }] }
+ */
+class HttpClassifier {
+  /**
+   * @param {Object} options - { url, apiKey, timeoutMs }
+   */
+  constructor({ url, apiKey, timeoutMs } = {}) {
+    this.name = 'http';
+    this.url = url || process.env.CLASSIFIER_HTTP_URL;
+    this.apiKey = apiKey || process.env.CLASSIFIER_HTTP_API_KEY;
+    this.timeoutMs = timeoutMs || parseInt(process.env.CLASSIFIER_HTTP_TIMEOUT_MS || 30000, 10);
+
+    if (!this.url) {
+      throw new Error('CLASSIFIER_HTTP_URL is required for the http classifier');
+    }
+  }
+
+  /**
+   * Classify frames
+   * @param {Array} frames - [{ time, buffer, mimeType }]
+   * @returns {Promise<Array>} - One [{ label, score }] list per frame
+   */
+  async classify(frames) {
+    const response = await fetch(this.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {}),
+      },
+      body: JSON.stringify({
+        frames: frames.map(frame => ({
+          time: frame.time,
+          mimeType: frame.mimeType,
+          data: frame.buffer.toString('base64'),
+        })),
+      }),
+      signal: AbortSignal.timeout(this.timeoutMs),
+    });
+
+    if (!response.ok) {
+      throw new Error(`Classifier responded with ${response.status} ${response.statusText}`);
+    }
+
+    const body = await response.json();
+    if (!Array.isArray(body.results)) {
+      throw new Error('Classifier response has no results array');
+    }
+    return body.results.map(result => result.labels);
+  }
+}
+
+module.exports = HttpClassifier;
@@ -0,0 +1,149 @@
+const LocalClassifier = require('./localClassifier');
+const HttpClassifier = require('./httpClassifier');
+const StubClassifier = require('./stubClassifier');
+
+/**
+ * Frame Classifier Service
+ * Selects a classifier from CLASSIFIER_DRIVER (none, local, http, stub) and
+ * labels sampled video frames with it.
+ *
+ * Every classifier implements:
+ * - classify(frames) -> one [{ label, score }] list per frame, in order
+ *   where frames are [{ time, buffer, mimeType }] and scores are 0..1
+ */
+
+const drivers = {
+  local: LocalClassifier,
+  http: HttpClassifier,
+  stub: StubClassifier,
+};
+
+let activeClassifier = null;
+
+const getDriverName = () => process.env.CLASSIFIER_DRIVER || 'none';
+
+/**
+ * Whether frames should be classified during processing
+ * @returns {Boolean}
+ */
+const isClassifierEnabled = () => activeClassifier !== null || getDriverName() !== 'none';
+
+/**
+ * Number of frames sampled per video
+ * @returns {Number}
+ */
+const getFrameCount = () => parseInt(process.env.CLASSIFIER_FRAME_COUNT || 8, 10);
+
+/**
+ * Labels whose scores count towards a frame's sensitivity
+ * @returns {Array}
+ */
+const getSensitiveLabels = () =>
+  (process.env.CLASSIFIER_SENSITIVE_LABELS || 'nsfw,explicit,nudity,violence,gore')
+    .split(',')
+    .map(label => label.trim().toLowerCase())
+    .filter(Boolean);
+
+/**
+ * Create a classifier by name
+ * @param {String} name - Driver name
+ * @param {Object} options - Driver options
+ * @returns {Object} - Classifier instance
+ */
+const createClassifier = (name, options = {}) => {
+  const Classifier = drivers[name];
+  if (!Classifier) {
+    throw new Error(
+      `Unknown classifier "${name}". Available classifiers: ${Object.keys(drivers).join(', ')}`,
+    );
+  }
+  return new Classifier(options);
+};
+
+/**
+ * Get the configured classifier
+ * @returns {Object} - Classifier instance
+ */
+const getClassifier = () => {
+  if (!activeClassifier) {
+    activeClassifier = createClassifier(getDriverName());
+  }
+  return activeClassifier;
+};
+
+/**
+ * Replace the active classifier (used by tests and tooling)
+ * @param {Object|null} classifier - Classifier instance, or null to reset to config
+ */
+const setClassifier = classifier => {
+  activeClassifier = classifier;
+};
+
+/**
+ * Check and clean one frame's labels: lower-case names, scores clamped to 0..1,
+ * highest score first
+ */
+const normalizeLabels = labels => {
+  if (!Array.isArray(labels)) {
+    throw new Error('Classifier returned labels that are not an array');
+  }
+
+  return labels
+    .filter(entry => entry && typeof entry.label === 'string' && Number.isFinite(entry.score))
+    .map(entry => ({
+      label: entry.label.trim().toLowerCase(),
+      score: Math.min(Math.max(entry.score, 0), 1),
+    }))
+    .sort((a, b) => b.score - a.score);
+};
+
+/**
+ * Label frames with the active classifier
+ * @param {Array} frames - [{ time, buffer, mimeType }]
+ * @returns {Promise<Array>} - [{ time, labels: [{ label, score }] }]
+ */
+const classifyFrames = async frames => {
+  const classifier = getClassifier();
+  const results = await classifier.classify(frames);
+
+  if (!Array.isArray(results) || results.length !== frames.length) {
+    throw new Error(
+      `Classifier "${classifier.name}" returned ${results?.length ?? 0} results for ${frames.length} frames`,
+    );
+  }
+
+  return frames.map((frame, index) => ({
+    time: frame.time,
+    labels: normalizeLabels(results[index]),
+  }));
+};
+
+/**
+ * Reduce per-frame labels to the inputs of the sensitivity rules
+ * @param {Array} frames - Output of classifyFrames
+ * @returns {Object} - { labelScores: { label: highest score }, sensitiveScore }
+ */
+const summarizeFrames = frames => {
+  const labelScores = {};
+  for (const frame of frames) {
+    for (const { label, score } of frame.labels) {
+      labelScores[label] = Math.max(labelScores[label] || 0, score);
+    }
+  }
+
+  const sensitiveLabels = getSensitiveLabels();
+  const sensitiveScore = Math.max(0, ...sensitiveLabels.map(label => labelScores[label] || 0));
+
+  return { labelScores, sensitiveScore };
+};
+
+module.exports = {
+  isClassifierEnabled,
+  getFrameCount,
+  getSensitiveLabels,
+  createClassifier,
+  getClassifier,
+  setClassifier,
+  classifyFrames,
+  summarizeFrames,
+};
@@ -0,0 +1,41 @@
+const path = require('path');
+
+/**
+ * Local module classifier
+ * Loads a module that exports `classify(frames)` and runs it in-process,
+ * e.g. a wrapper around an ONNX or TensorFlow.js model.
+ */
+class LocalClassifier {
+  /**
+   * @param {Object} options - { modulePath } module to load, relative to the working directory
+   */
+  constructor({ modulePath } = {}) {
+    this.name = 'local';
+    this.modulePath = modulePath || process.env.CLASSIFIER_LOCAL_MODULE;
+    this.module = null;
+  }
+
+  load() {
+    if (!this.module) {
+      if (!this.modulePath) {
+        throw new Error('CLASSIFIER_LOCAL_MODULE is required for the local classifier');
+      }
+      this.module = require(path.resolve(this.modulePath));
+      if (typeof this.module.classify !== 'function') {
+        throw new Error(`Classifier module ${this.modulePath} does not export classify(frames)`);
+      }
+    }
+    return this.module;
+  }
+
+  /**
+   * Classify frames
+   * @param {Array} frames - [{ time, buffer, mimeType }]
+   * @returns {Promise<Array>} - One [{ label, score }] list per frame
+   */
+  async classify(frames) {
+    return this.load().classify(frames);
+  }
+}
+
+module.exports = LocalClassifier;
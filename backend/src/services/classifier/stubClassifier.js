@@ -0,0 +1,30 @@
+/**
+ * Stub classifier for tests and local development
+ * Returns fixed labels without looking at the frames.
+ */
+class StubClassifier {
+  /**
+   * @param {Object} options
+   * @param {Array|Function} options.labels - [{ label, score }] for every frame, or
+   *   a function (frame, index) returning the labels for one frame
+   */
+  constructor({ labels = [] } = {}) {
+    this.name = 'stub';
+    this.labels = labels;
+    this.calls = [];
+  }
+
+  /**
+   * Classify frames
+   * @param {Array} frames - [{ time, buffer, mimeType }]
+   * @returns {Promise<Array>} - One [{ label, score }] list per frame
+   */
+  async classify(frames) {
+    this.calls.push(frames);
+    return frames.map((frame, index) =>
+      typeof this.labels === 'function' ? this.labels(frame, index) : this.labels
+    );
+  }
+}
+
+module.exports = StubClassifier;
@@ -0,0 +1,145 @@
+const path = require('path');
+
+/**
+ * Clips Service
+ * Plans how a time range of a video is cut into a new video: a stream copy
+ * when a keyframe sits close enough to the requested start, otherwise a
+ * re-encode that can start on any frame.
+ */
+
+const MIN_CLIP_SECONDS = 1;
+const MAX_TITLE_LENGTH = 200;
+
+// Re-encoded clips are always MP4, whatever the source container
+const REENCODE_EXTENSION = '.mp4';
+const REENCODE_MIME_TYPE = 'video/mp4';
+
+/**
+ * How far (in seconds) a clip may start from the requested time so it can be
+ * stream copied from a keyframe
+ * @returns {Number}
+ */
+const getKeyframeTolerance = () => parseFloat(process.env.CLIP_KEYFRAME_TOLERANCE_SECONDS || 0.5);
+
+/**
+ * Longest clip that can be created
+ * @returns {Number} - Seconds
+ */
+const getMaxClipDuration = () => parseFloat(process.env.CLIP_MAX_SECONDS || 3600);
+
+/**
+ * Check a requested range against the source video
+ * @param {Number} start - Seconds
+ * @param {Number} end - Seconds
+ * @param {Number} duration - Source duration in seconds
+ * @returns {String|null} - Why the range cannot be clipped, or null if it can
+ */
+const validateRange = (start, end, duration) => {
+  if (end - start < MIN_CLIP_SECONDS) {
+    return `Clips must be at least ${MIN_CLIP_SECONDS} second long`;
+  }
+  if (end - start > getMaxClipDuration()) {
+    return `Clips cannot be longer than ${getMaxClipDuration()} seconds`;
+  }
+  if (duration && end > duration) {
+    return 'Clip must end before the end of the video';
+  }
+  return null;
+};
+
+/**
+ * Default title for a clip
+ * @param {String} parentTitle - Source video title
+ * @returns {String}
+ */
+const getDefaultTitle = parentTitle => {
+  const suffix = ' (clip)';
+  return `${parentTitle.slice(0, MAX_TITLE_LENGTH - suffix.length)}${suffix}`;
+};
+
+/**
+ * Window to scan for keyframes around the clip start
+ * @param {Number} start - Requested start in seconds
+ * @returns {Object} - { from, duration } in seconds
+ */
+const getKeyframeWindow = start => {
+  const tolerance = getKeyframeTolerance();
+  const from = Math.max(0, start - tolerance);
+  return { from, duration: start + tolerance - from };
+};
+
+const PTS_TIME_PATTERN = /pts_time:\s*(-?[\d.]+)/;
+
+/**
+ * Parse the keyframe times logged by the showinfo filter
+ * @param {Array} lines - ffmpeg stderr lines
+ * @returns {Array} - Times in seconds, ascending
+ */
+const parseKeyframeLog = lines =>
+  lines
+    .filter(line => line.includes('Parsed_showinfo'))
+    .map(line => PTS_TIME_PATTERN.exec(line))
+    .filter(Boolean)
+    .map(match => parseFloat(match[1]))
+    .sort((a, b) => a - b);
+
+/**
+ * Decide how to cut a clip
+ * @param {Object} range - { start, end } requested, in seconds
+ * @param {Array} keyframes - Keyframe times near the start
+ * @param {String} sourceFilename - Stored filename of the source, for its container
+ * @returns {Object} - { mode: 'copy' | 'reencode', start, duration, extension }
+ */
+const planClip = ({ start, end }, keyframes, sourceFilename) => {
+  const tolerance = getKeyframeTolerance();
+  const nearest = keyframes.reduce(
+    (best, time) => (best === null || Math.abs(time - start) < Math.abs(best - start) ? time : best),
+    null
+  );
+
+  if (nearest !== null && Math.abs(nearest - start) <= tolerance) {
+    return {
+      mode: 'copy',
+      start: nearest,
+      duration: Math.round((end - nearest) * 1000) / 1000,
+      extension: path.extname(sourceFilename).toLowerCase(),
+    };
+  }
+
+  return {
+    mode: 'reencode',
+    start,
+    duration: Math.round((end - start) * 1000) / 1000,
+    extension: REENCODE_EXTENSION,
+  };
+};
+
+/**
+ * Build the ffmpeg output options that cut a clip
+ * The seek itself is an input option (see planClip's start).
+ * @param {Object} plan - Output of planClip
+ * @returns {Array}
+ */
+const buildClipOutputOptions = plan => [
+  `-t ${plan.duration}`,
+  '-map 0:v:0',
+  '-map 0:a?',
+  ...(plan.mode === 'copy'
+    ? ['-c copy']
+    : ['-c:v libx264', '-preset veryfast', '-crf 20', '-pix_fmt yuv420p', '-c:a aac', '-b:a 128k']),
+  ...(['.mp4', '.mov'].includes(plan.extension) ? ['-movflags +faststart'] : []),
+];
+
+module.exports = {
+  MIN_CLIP_SECONDS,
+  MAX_TITLE_LENGTH,
+  REENCODE_MIME_TYPE,
+  getKeyframeTolerance,
+  getMaxClipDuration,
+  validateRange,
+  getDefaultTitle,
+  getKeyframeWindow,
+  parseKeyframeLog,
+  planClip,
+  buildClipOutputOptions,
+};
@@ -0,0 +1,131 @@
+/**
+ * Detection Service
+ * Builds the ffmpeg blackdetect, freezedetect and silencedetect filters, parses
+ * the intervals they log and reduces them to the share of the video they cover.
+ */
+
+const isDetectionEnabled = () => process.env.DETECTION_ENABLED !== 'false';
+
+const getSetting = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) ? value : fallback;
+};
+
+/**
+ * Build the detection filters for a video
+ * @param {Boolean} hasAudio - Whether the video has an audio stream
+ * @returns {Object} - { video, audio } filter chains (audio is null without an audio stream)
+ */
+const buildDetectionFilters = hasAudio => {
+  const blackDuration = getSetting('DETECTION_BLACK_MIN_SECONDS', 2);
+  const freezeDuration = getSetting('DETECTION_FREEZE_MIN_SECONDS', 5);
+  const silenceDuration = getSetting('DETECTION_SILENCE_MIN_SECONDS', 5);
+  const silenceNoise = getSetting('DETECTION_SILENCE_NOISE_DB', -50);
+
+  return {
+    // Detection doesn't need full resolution, and a small frame is much cheaper to compare
+    video:
+      "scale='min(320,iw)':-2," +
+      `blackdetect=d=${blackDuration}:pix_th=0.10,` +
+      `freezedetect=n=-60dB:d=${freezeDuration}`,
+    audio: hasAudio ? `silencedetect=n=${silenceNoise}dB:d=${silenceDuration}` : null,
+  };
+};
+
+const BLACK_PATTERN = /black_start:\s*([\d.]+)\s+black_end:\s*([\d.]+)/;
+const FREEZE_START_PATTERN = /freeze_start:\s*([\d.]+)/;
+const FREEZE_END_PATTERN = /freeze_end:\s*([\d.]+)/;
+const SILENCE_START_PATTERN = /silence_start:\s*(-?[\d.]+)/;
+const SILENCE_END_PATTERN = /silence_end:\s*([\d.]+)/;
+
+const toInterval = (start, end) => {
+  const clampedStart = Math.max(0, start);
+  return {
+    start: clampedStart,
+    end,
+    duration: Math.round((end - clampedStart) * 1000) / 1000,
+  };
+};
+
+/**
+ * Parse the intervals logged by the detection filters
+ * Freeze and silence intervals still open when the video ends are closed at its duration.
+ * @param {Array} lines - ffmpeg stderr lines
+ * @param {Number} duration - Video duration in seconds
+ * @returns {Object} - { black, freeze, silence } lists of { start, end, duration }
+ */
+const parseDetectionLog = (lines, duration) => {
+  const intervals = { black: [], freeze: [], silence: [] };
+  let freezeStart = null;
+  let silenceStart = null;
+
+  for (const line of lines) {
+    let match;
+    if ((match = BLACK_PATTERN.exec(line))) {
+      intervals.black.push(toInterval(parseFloat(match[1]), parseFloat(match[2])));
+    } else if ((match = FREEZE_START_PATTERN.exec(line))) {
+      freezeStart = parseFloat(match[1]);
+    } else if ((match = FREEZE_END_PATTERN.exec(line)) && freezeStart !== null) {
+      intervals.freeze.push(toInterval(freezeStart, parseFloat(match[1])));
+      freezeStart = null;
+    } else if ((match = SILENCE_START_PATTERN.exec(line))) {
+      silenceStart = parseFloat(match[1]);
+    } else if ((match = SILENCE_END_PATTERN.exec(line)) && silenceStart !== null) {
+      intervals.silence.push(toInterval(silenceStart, parseFloat(match[1])));
+      silenceStart = null;
+    }
+  }
+
+  if (freezeStart !== null && duration > freezeStart) {
+    intervals.freeze.push(toInterval(freezeStart, duration));
+  }
+  if (silenceStart !== null && duration > silenceStart) {
+    intervals.silence.push(toInterval(silenceStart, duration));
+  }
+
+  return intervals;
+};
+
+/**
+ * Share of the video covered by a list of intervals (overlaps counted once)
+ * @param {Array} intervals - [{ start, end }]
+ * @param {Number} duration - Video duration in seconds
+ * @returns {Number} - 0..1
+ */
+const getCoverage = (intervals, duration) => {
+  if (!duration) return 0;
+
+  let covered = 0;
+  let reach = 0;
+  for (const { start, end } of [...intervals].sort((a, b) => a.start - b.start)) {
+    const from = Math.max(start, reach);
+    const to = Math.min(end, duration);
+    if (to > from) {
+      covered += to - from;
+      reach = to;
+    }
+  }
+
+  return Math.round((covered / duration) * 1000) / 1000;
+};
+
+/**
+ * Reduce detected intervals to the inputs of the sensitivity rules
+ * @param {Object} intervals - Output of parseDetectionLog
+ * @param {Number} duration - Video duration in seconds
+ * @param {Boolean} hasAudio - Silence is only measured when there is audio
+ * @returns {Object} - { blackRatio, freezeRatio, silenceRatio }
+ */
+const summarizeDetection = (intervals, duration, hasAudio) => ({
+  blackRatio: getCoverage(intervals.black, duration),
+  freezeRatio: getCoverage(intervals.freeze, duration),
+  silenceRatio: hasAudio ? getCoverage(intervals.silence, duration) : undefined,
+});
+
+module.exports = {
+  isDetectionEnabled,
+  buildDetectionFilters,
+  parseDetectionLog,
+  getCoverage,
+  summarizeDetection,
+};
@@ -0,0 +1,220 @@
+const crypto = require('crypto');
+const { Transform } = require('stream');
+const Video = require('../models/Video');
+
+/**
+ * Fingerprint Service
+ * Identifies re-uploads: a SHA-256 checksum catches byte-identical files, and
+ * difference hashes of sampled frames catch re-encoded or renamed copies.
+ *
+ * Each 64-bit frame hash is also split into four 16-bit bands. Videos that
+ * share a band are candidates, so the index narrows the search before the
+ * frame hashes are compared.
+ */
+
+const HASH_BITS = 64;
+const BAND_COUNT = 4;
+const BAND_LENGTH = HASH_BITS / 4 / BAND_COUNT; // hex characters per band
+
+// Frames with less contrast than this (e.g. black or title cards) hash alike whatever the video
+const MIN_FRAME_CONTRAST = 8;
+
+/**
+ * How sampleKeyframes should render frames for hashing: 9x8 luma, decoded
+ * at the exact sample time so copies with different keyframes still line up
+ */
+const HASH_FRAME_FORMAT = {
+  accurateSeek: true,
+  extension: 'gray',
+  mimeType: 'application/octet-stream',
+  outputOptions: ['-vf scale=9:8:flags=area,format=gray', '-f rawvideo'],
+};
+
+const isFingerprintEnabled = () => process.env.FINGERPRINT_ENABLED !== 'false';
+
+/**
+ * Number of frames hashed per video
+ * @returns {Number}
+ */
+const getFrameCount = () => parseInt(process.env.FINGERPRINT_FRAME_COUNT || 16, 10);
+
+/**
+ * Lowest similarity (0..1) reported as a near-duplicate
+ * @returns {Number}
+ */
+const getSimilarityThreshold = () =>
+  parseFloat(process.env.DUPLICATE_SIMILARITY_THRESHOLD || 0.9);
+
+/**
+ * Pass-through stream that computes the SHA-256 of everything piped through it
+ * The hex digest is available as `checksum` once the stream has finished.
+ */
+class ChecksumStream extends Transform {
+  constructor() {
+    super();
+    this.hash = crypto.createHash('sha256');
+    this.checksum = null;
+  }
+
+  _transform(chunk, _encoding, callback) {
+    this.hash.update(chunk);
+    callback(null, chunk);
+  }
+
+  _flush(callback) {
+    this.checksum = this.hash.digest('hex');
+    callback();
+  }
+}
+
+/**
+ * Difference hash of a 9x8 grayscale frame
+ * Each bit records whether a pixel is brighter than its right-hand neighbour.
+ * @param {Buffer} pixels - 72 luma bytes, row by row
+ * @returns {String|null} - 16 hex characters, or null for a flat frame
+ */
+const computeDifferenceHash = pixels => {
+  if (pixels.length < 72) return null;
+  const frame = pixels.subarray(0, 72);
+  if (Math.max(...frame) - Math.min(...frame) < MIN_FRAME_CONTRAST) return null;
+
+  let hash = '';
+  for (let row = 0; row < 8; row++) {
+    let byte = 0;
+    for (let column = 0; column < 8; column++) {
+      const index = row * 9 + column;
+      byte = (byte << 1) | (pixels[index] > pixels[index + 1] ? 1 : 0);
+    }
+    hash += byte.toString(16).padStart(2, '0');
+  }
+  return hash;
+};
+
+/**
+ * Number of differing bits between two frame hashes
+ * @param {String} a - Hex hash
+ * @param {String} b - Hex hash
+ * @returns {Number}
+ */
+const hammingDistance = (a, b) => {
+  let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let distance = 0;
+  while (diff > 0n) {
+    distance += Number(diff & 1n);
+    diff >>= 1n;
+  }
+  return distance;
+};
+
+/**
+ * Index keys for a set of frame hashes
+ * @param {Array} hashes - Hex frame hashes
+ * @returns {Array} - Unique "band:value" keys
+ */
+const getHashBands = hashes => {
+  const bands = new Set();
+  for (const hash of hashes) {
+    for (let band = 0; band < BAND_COUNT; band++) {
+      bands.add(`${band}:${hash.slice(band * BAND_LENGTH, (band + 1) * BAND_LENGTH)}`);
+    }
+  }
+  return [...bands];
+};
+
+/**
+ * Similarity of two videos from their frame hashes
+ * Every frame is matched to the closest frame of the other video, in both
+ * directions, so trimmed copies and shifted samples still score highly.
+ * @param {Array} a - Hex frame hashes
+ * @param {Array} b - Hex frame hashes
+ * @returns {Number} - 0..1
+ */
+const compareFrameHashes = (a, b) => {
+  if (a.length === 0 || b.length === 0) return 0;
+
+  const closeness = (from, to) =>
+    from.reduce(
+      (sum, hash) => sum + 1 - Math.min(...to.map(other => hammingDistance(hash, other))) / HASH_BITS,
+      0
+    ) / from.length;
+
+  return Math.round(((closeness(a, b) + closeness(b, a)) / 2) * 1000) / 1000;
+};
+
+/**
+ * Videos in the same tenant with identical content
+ * @param {String} tenantId - Tenant to search
+ * @param {String} checksum - SHA-256 of the file
+ * @param {String} excludeId - Video to leave out (the one being checked)
+ * @returns {Promise<Array>} - Video documents (title, owner and upload time)
+ */
+const findByChecksum = (tenantId, checksum, excludeId) =>
+  Video.find({
+    tenantId,
+    'fingerprint.checksum': checksum,
+    ...(excludeId && { _id: { $ne: excludeId } }),
+  })
+    .select('title ownerUserId createdAt')
+    .sort({ createdAt: 1 });
+
+/**
+ * Upload response warning listing videos with identical content
+ * @param {Array} duplicates - Videos from findByChecksum
+ * @returns {Object} - { type: 'duplicate', message, videos }
+ */
+const buildDuplicateWarning = duplicates => ({
+  type: 'duplicate',
+  message: `This file is identical to ${duplicates.length} video(s) already uploaded`,
+  videos: duplicates.map(duplicate => ({
+    _id: duplicate._id,
+    title: duplicate.title,
+    createdAt: duplicate.createdAt,
+  })),
+});
+
+/**
+ * Exact and near duplicates of a video within its tenant
+ * @param {Object} video - Video document with its fingerprint
+ * @param {Object} options
+ * @param {Number} options.threshold - Lowest similarity to report
+ * @returns {Promise<Array>} - [{ video, similarity, match: 'exact' | 'near' }], most similar first
+ */
+const findDuplicates = async (video, { threshold = getSimilarityThreshold() } = {}) => {
+  const { checksum, frameHashes = [], bands = [] } = video.fingerprint || {};
+  const or = [];
+  if (checksum) or.push({ 'fingerprint.checksum': checksum });
+  if (bands.length > 0) or.push({ 'fingerprint.bands': { $in: bands } });
+  if (or.length === 0) return [];
+
+  const candidates = await Video.find({
+    tenantId: video.tenantId,
+    _id: { $ne: video._id },
+    $or: or,
+  }).select('title ownerUserId createdAt fingerprint.checksum fingerprint.frameHashes');
+
+  return candidates
+    .map(candidate => {
+      if (checksum && candidate.fingerprint.checksum === checksum) {
+        return { video: candidate, similarity: 1, match: 'exact' };
+      }
+      const similarity = compareFrameHashes(frameHashes, candidate.fingerprint.frameHashes || []);
+      return { video: candidate, similarity, match: 'near' };
+    })
+    .filter(duplicate => duplicate.similarity >= threshold)
+    .sort((a, b) => b.similarity - a.similarity);
+};
+
+module.exports = {
+  HASH_FRAME_FORMAT,
+  ChecksumStream,
+  isFingerprintEnabled,
+  getFrameCount,
+  getSimilarityThreshold,
+  computeDifferenceHash,
+  hammingDistance,
+  getHashBands,
+  compareFrameHashes,
+  findByChecksum,
+  buildDuplicateWarning,
+  findDuplicates,
+};
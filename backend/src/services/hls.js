@@ -0,0 +1,163 @@
+const path = require('path');
+const fs = require('fs').promises;
+const storage = require('./storage');
+
+/**
+ * HLS Service
+ * Chooses the adaptive bitrate ladder for a video, stores transcoded renditions
+ * in the storage service and builds the playlists served to players.
+ *
+ * Segments are stored under their own file IDs and rendition playlists refer to
+ * them as "<fileId>.ts", so any segment can be served with one storage lookup.
+ */
+
+// Bitrates in kbps; the ladder is capped at the source resolution
+const HLS_LADDER = [
+  { name: '1080p', height: 1080, videoBitrate: 5000, audioBitrate: 128 },
+  { name: '720p', height: 720, videoBitrate: 2800, audioBitrate: 128 },
+  { name: '480p', height: 480, videoBitrate: 1400, audioBitrate: 96 },
+  { name: '360p', height: 360, videoBitrate: 800, audioBitrate: 96 },
+];
+
+const PLAYLIST_FILENAME = 'index.m3u8';
+const PLAYLIST_MIME_TYPE = 'application/vnd.apple.mpegurl';
+const SEGMENT_MIME_TYPE = 'video/mp2t';
+
+const isHlsEnabled = () => process.env.HLS_ENABLED !== 'false';
+
+const getSegmentDuration = () => parseInt(process.env.HLS_SEGMENT_DURATION || 6, 10);
+
+// H.264 needs even dimensions
+const toEven = value => Math.max(2, Math.round(value / 2) * 2);
+
+/**
+ * Pick the renditions to produce for a source without upscaling
+ * Rungs are matched against the short side, so portrait videos get the same ladder.
+ * A source below the lowest rung gets a single rendition at its own size.
+ * @param {Number} width - Source width
+ * @param {Number} height - Source height
+ * @param {Boolean} hasAudio - Whether the source has an audio stream
+ * @returns {Array} - [{ name, width, height, videoBitrate, audioBitrate, bandwidth }]
+ */
+const selectRenditions = (width, height, hasAudio = true) => {
+  if (!width || !height) return [];
+
+  const shortSide = Math.min(width, height);
+  let rungs = HLS_LADDER.filter(rung => rung.height <= shortSide);
+  if (rungs.length === 0) {
+    const lowest = HLS_LADDER[HLS_LADDER.length - 1];
+    rungs = [{ ...lowest, name: `${toEven(shortSide)}p`, height: toEven(shortSide) }];
+  }
+
+  return rungs.map(rung => {
+    const scale = rung.height / shortSide;
+    const audioBitrate = hasAudio ? rung.audioBitrate : 0;
+    return {
+      name: rung.name,
+      width: toEven(width * scale),
+      height: toEven(height * scale),
+      videoBitrate: rung.videoBitrate,
+      audioBitrate,
+      bandwidth: (rung.videoBitrate + audioBitrate) * 1000,
+    };
+  });
+};
+
+/**
+ * Store a transcoded rendition directory (playlist + .ts segments)
+ * @param {String} videoId - Video ID
+ * @param {Object} rendition - Rendition from selectRenditions
+ * @param {String} directory - Directory ffmpeg wrote the rendition to
+ * @returns {Promise<Object>} - { playlistFileId, segmentCount, fileIds }
+ */
+const storeRendition = async (videoId, rendition, directory) => {
+  const metadata = { videoId: videoId.toString(), rendition: rendition.name };
+  const segmentIds = {};
+  const fileIds = [];
+
+  const segments = (await fs.readdir(directory)).filter(name => name.endsWith('.ts')).sort();
+  for (const segment of segments) {
+    const result = await storage.upload(
+      await fs.readFile(path.join(directory, segment)),
+      `hls-${videoId}-${rendition.name}-${segment}`,
+      { ...metadata, mimeType: SEGMENT_MIME_TYPE, type: 'hls-segment' }
+    );
+    segmentIds[segment] = result.fileId.toString();
+    fileIds.push(result.fileId);
+  }
+
+  // Point the playlist at the stored segments
+  const playlist = (await fs.readFile(path.join(directory, PLAYLIST_FILENAME), 'utf8'))
+    .split('\n')
+    .map(line => (segmentIds[line.trim()] ? `${segmentIds[line.trim()]}.ts` : line))
+    .join('\n');
+
+  const playlistResult = await storage.upload(
+    Buffer.from(playlist),
+    `hls-${videoId}-${rendition.name}-${PLAYLIST_FILENAME}`,
+    { ...metadata, mimeType: PLAYLIST_MIME_TYPE, type: 'hls-playlist' }
+  );
+  fileIds.push(playlistResult.fileId);
+
+  return { playlistFileId: playlistResult.fileId, segmentCount: segments.length, fileIds };
+};
+
+/**
+ * Build the master playlist listing every rendition
+ * @param {Array} renditions - Stored renditions ({ name, width, height, bandwidth })
+ * @returns {String}
+ */
+const buildMasterPlaylist = renditions =>
+  [
+    '#EXTM3U',
+    '#EXT-X-VERSION:3',
+    ...renditions.flatMap(rendition => [
+      `#EXT-X-STREAM-INF:BANDWIDTH=${rendition.bandwidth},RESOLUTION=${rendition.width}x${rendition.height},NAME="${rendition.name}"`,
+      `${rendition.name}/${PLAYLIST_FILENAME}`,
+    ]),
+    '',
+  ].join('\n');
+
+/**
+ * Append a query string to every URI in a playlist
+ * Players resolve playlist entries relative to the playlist URL and drop its
+ * query string, so credentials passed that way have to be carried over.
+ * @param {String} playlist - Playlist text
+ * @param {String} query - Query string without the leading "?"
+ * @returns {String}
+ */
+const appendQueryToPlaylist = (playlist, query) => {
+  if (!query) return playlist;
+  return playlist
+    .split('\n')
+    .map(line => (line.trim() && !line.startsWith('#') ? `${line}?${query}` : line))
+    .join('\n');
+};
+
+/**
+ * Delete stored HLS files (missing files are ignored)
+ * @param {Array} fileIds - Storage file IDs
+ */
+const deleteFiles = async (fileIds = []) => {
+  for (const fileId of fileIds) {
+    try {
+      await storage.deleteFile(fileId);
+    } catch (error) {
+      console.warn(`Failed to delete HLS file ${fileId}:`, error.message);
+    }
+  }
+};
+
+module.exports = {
+  HLS_LADDER,
+  PLAYLIST_FILENAME,
+  PLAYLIST_MIME_TYPE,
+  SEGMENT_MIME_TYPE,
+  isHlsEnabled,
+  getSegmentDuration,
+  selectRenditions,
+  storeRendition,
+  buildMasterPlaylist,
+  appendQueryToPlaylist,
+  deleteFiles,
+};
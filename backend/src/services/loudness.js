@@ -0,0 +1,112 @@
+/**
+ * Loudness Service
+ * Measures EBU R128 loudness with ffmpeg's loudnorm filter, flags clipped or
+ * near-silent audio and builds the filter that normalizes it in the HLS ladder.
+ */
+
+const isLoudnessEnabled = () => process.env.LOUDNESS_ENABLED !== 'false';
+
+const isNormalizationEnabled = () => process.env.LOUDNESS_NORMALIZE === 'true';
+
+const getSetting = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) ? value : fallback;
+};
+
+/**
+ * Normalization target
+ * @returns {Object} - { integrated (LUFS), truePeak (dBTP), range (LU) }
+ */
+const getTarget = () => ({
+  integrated: getSetting('LOUDNESS_TARGET_LUFS', -16),
+  truePeak: getSetting('LOUDNESS_TARGET_TRUE_PEAK', -1.5),
+  range: getSetting('LOUDNESS_TARGET_RANGE', 11),
+});
+
+const targetOptions = target => `I=${target.integrated}:TP=${target.truePeak}:LRA=${target.range}`;
+
+/**
+ * Filter for the measuring pass; loudnorm prints what it measured as JSON
+ * @returns {String}
+ */
+const buildMeasureFilter = () => `loudnorm=${targetOptions(getTarget())}:print_format=json`;
+
+/**
+ * Filter that normalizes audio to the target using a previous measurement
+ * Feeding the measurement back lets loudnorm apply a single linear gain instead
+ * of compressing the dynamics.
+ * @param {Object} measurement - Output of parseLoudnessLog
+ * @returns {String|null} - null when there is nothing to normalize (silent audio)
+ */
+const buildNormalizeFilter = measurement => {
+  if (!measurement || measurement.integrated === null) return null;
+
+  return (
+    `loudnorm=${targetOptions(getTarget())}` +
+    `:measured_I=${measurement.integrated}` +
+    `:measured_TP=${measurement.truePeak}` +
+    `:measured_LRA=${measurement.range}` +
+    `:measured_thresh=${measurement.threshold}` +
+    `:offset=${measurement.targetOffset}` +
+    ':linear=true,' +
+    // loudnorm upsamples to 192 kHz internally
+    'aresample=48000'
+  );
+};
+
+// "-inf" is what loudnorm reports for digital silence
+const toLevel = value => {
+  const level = parseFloat(value);
+  return Number.isFinite(level) ? level : null;
+};
+
+/**
+ * Parse the JSON block loudnorm logs at the end of the measuring pass
+ * @param {Array} lines - ffmpeg stderr lines
+ * @returns {Object} - { integrated, truePeak, range, threshold, targetOffset }
+ */
+const parseLoudnessLog = lines => {
+  const start = lines.findIndex(line => line.includes('Parsed_loudnorm'));
+  const json = start === -1 ? '' : lines.slice(start + 1).join('\n');
+  const block = json.slice(json.indexOf('{'), json.indexOf('}') + 1);
+
+  let values;
+  try {
+    values = JSON.parse(block);
+  } catch {
+    throw new Error('loudnorm did not report a measurement');
+  }
+
+  return {
+    integrated: toLevel(values.input_i),
+    truePeak: toLevel(values.input_tp),
+    range: toLevel(values.input_lra),
+    threshold: toLevel(values.input_thresh),
+    targetOffset: toLevel(values.target_offset),
+  };
+};
+
+/**
+ * Flag audio that is clipped or too quiet to hear
+ * @param {Object} measurement - Output of parseLoudnessLog
+ * @returns {Object} - { clipped, nearSilent }
+ */
+const assessLoudness = measurement => {
+  const clippingPeak = getSetting('LOUDNESS_CLIPPING_TRUE_PEAK', -0.1);
+  const nearSilentLevel = getSetting('LOUDNESS_NEAR_SILENT_LUFS', -50);
+
+  return {
+    clipped: measurement.truePeak !== null && measurement.truePeak >= clippingPeak,
+    nearSilent: measurement.integrated === null || measurement.integrated <= nearSilentLevel,
+  };
+};
+
+module.exports = {
+  isLoudnessEnabled,
+  isNormalizationEnabled,
+  getTarget,
+  buildMeasureFilter,
+  buildNormalizeFilter,
+  parseLoudnessLog,
+  assessLoudness,
+};
@@ -0,0 +1,112 @@
+/**
+ * Media Cache Service
+ * HTTP validators and cache policies for media served from storage, so
+ * browsers revalidate instead of downloading a video again and never resume
+ * a range against a different version of the file.
+ */
+
+const DEFAULT_PRIVATE_CACHE_CONTROL = 'private, no-cache';
+const DEFAULT_SIGNED_CACHE_CONTROL = 'private, max-age=300';
+
+/**
+ * Cache-Control for media requested with a bearer token
+ * @returns {String}
+ */
+const getPrivateCacheControl = () => process.env.MEDIA_CACHE_CONTROL || DEFAULT_PRIVATE_CACHE_CONTROL;
+
+/**
+ * Cache-Control for media requested through a signed URL
+ * @returns {String}
+ */
+const getSignedCacheControl = () => process.env.SIGNED_MEDIA_CACHE_CONTROL || DEFAULT_SIGNED_CACHE_CONTROL;
+
+/**
+ * Validators of a stored file
+ * Stored files never change under their ID, so the ETag is strong: the file's
+ * MD5 or S3 ETag when the driver has one, otherwise its ID, size and upload time.
+ * @param {Object} file - storage.stat() result
+ * @returns {Object} - { etag, lastModified }
+ */
+const getFileValidators = file => {
+  const uploadDate = file.uploadDate ? new Date(file.uploadDate) : null;
+  const hasUploadDate = uploadDate && !Number.isNaN(uploadDate.getTime());
+
+  let etag;
+  if (file.md5) {
+    etag = `"${file.md5}"`;
+  } else if (file.etag && !file.etag.startsWith('W/')) {
+    etag = file.etag.startsWith('"') ? file.etag : `"${file.etag}"`;
+  } else {
+    const version = hasUploadDate ? `-${uploadDate.getTime().toString(36)}` : '';
+    etag = `"${file.fileId}-${file.length.toString(36)}${version}"`;
+  }
+
+  return { etag, lastModified: hasUploadDate ? uploadDate : null };
+};
+
+/**
+ * Cache-Control for a media response
+ * Signed URLs are cached no longer than their signature lasts.
+ * @param {Object} req - Request; req.signedUrl is set by authenticateStream for signed URLs
+ * @param {Number} now - Current time in milliseconds
+ * @returns {String}
+ */
+const getCacheControl = (req, now = Date.now()) => {
+  if (!req.signedUrl) {
+    return getPrivateCacheControl();
+  }
+
+  const remaining = Math.max(0, Math.floor((req.signedUrl.expiresAt.getTime() - now) / 1000));
+  return getSignedCacheControl().replace(/max-age=(\d+)/, (_match, maxAge) =>
+    `max-age=${Math.min(parseInt(maxAge, 10), remaining)}`
+  );
+};
+
+/**
+ * Headers that describe a stored file's version and how to cache it
+ * @param {Object} req
+ * @param {Object} file - storage.stat() result
+ * @returns {Object}
+ */
+const getCacheHeaders = (req, file) => {
+  const { etag, lastModified } = getFileValidators(file);
+  return {
+    ETag: etag,
+    ...(lastModified && { 'Last-Modified': lastModified.toUTCString() }),
+    'Cache-Control': getCacheControl(req),
+  };
+};
+
+/**
+ * Whether a Range header may be honoured (RFC 7233 section 3.2)
+ * With If-Range the range only applies while the client's copy is current; it
+ * must match the strong ETag or equal Last-Modified, otherwise the whole file is sent.
+ * @param {Object} req
+ * @param {Object} file - storage.stat() result
+ * @returns {Boolean}
+ */
+const isRangeCurrent = (req, file) => {
+  const ifRange = req.headers['if-range'];
+  if (!ifRange) {
+    return true;
+  }
+
+  const { etag, lastModified } = getFileValidators(file);
+  if (ifRange.startsWith('"') || ifRange.startsWith('W/')) {
+    // Weak tags never match here
+    return ifRange === etag;
+  }
+
+  const date = Date.parse(ifRange);
+  return Boolean(lastModified) && !Number.isNaN(date) &&
+    Math.floor(lastModified.getTime() / 1000) === Math.floor(date / 1000);
+};
+
+module.exports = {
+  getPrivateCacheControl,
+  getSignedCacheControl,
+  getFileValidators,
+  getCacheControl,
+  getCacheHeaders,
+  isRangeCurrent,
+};
@@ -0,0 +1,255 @@
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const storage = require('./storage');
+const mediaCache = require('./mediaCache');
+const { AppError } = require('../middleware/errorHandler');
+
+/**
+ * Media Server
+ * Serves stored files over HTTP with RFC 7233 range requests (single, suffix
+ * and multiple ranges), conditional GET and If-Range, reading only the
+ * requested bytes from storage.
+ */
+
+// More ranges than this in one request are rejected rather than served piecemeal
+const MAX_RANGES = 50;
+
+// Ranges closer than this are sent as one part: a gap smaller than a part's
+// headers costs less to send than to skip
+const COALESCE_GAP = 80;
+
+const CRLF = '\r\n';
+
+const RANGE_SPEC_PATTERN = /^(\d*)\s*-\s*(\d*)$/;
+
+/**
+ * Parse a Range header against a file size (RFC 7233 section 2.1)
+ * Ranges past the end are shortened to the file, suffix ranges (bytes=-500)
+ * count from the end, and overlapping or nearby ranges are merged.
+ * @param {String} header - Range header value
+ * @param {Number} size - File size in bytes
+ * @returns {Object|null} - null to ignore the header (absent or another unit),
+ *   { satisfiable: false } for a 416, or { satisfiable: true, ranges: [{ start, end }] }
+ */
+const parseRange = (header, size) => {
+  const match = /^\s*([!#$%&'*+.^_`|~\w-]+)\s*=(.*)$/.exec(header || '');
+  if (!match || match[1].toLowerCase() !== 'bytes') {
+    return null;
+  }
+
+  const specs = match[2].split(',').map(spec => spec.trim()).filter(Boolean);
+  if (specs.length === 0 || specs.length > MAX_RANGES) {
+    return { satisfiable: false };
+  }
+
+  const ranges = [];
+  for (const spec of specs) {
+    const parts = RANGE_SPEC_PATTERN.exec(spec);
+    if (!parts || (parts[1] === '' && parts[2] === '')) {
+      return { satisfiable: false };
+    }
+
+    if (parts[1] === '') {
+      // Suffix range: the last N bytes
+      const length = parseInt(parts[2], 10);
+      if (length > 0 && size > 0) {
+        ranges.push({ start: Math.max(size - length, 0), end: size - 1 });
+      }
+      continue;
+    }
+
+    const start = parseInt(parts[1], 10);
+    const last = parts[2] === '' ? null : parseInt(parts[2], 10);
+    if (last !== null && last < start) {
+      return { satisfiable: false };
+    }
+    if (start < size) {
+      ranges.push({ start, end: last === null ? size - 1 : Math.min(last, size - 1) });
+    }
+  }
+
+  if (ranges.length === 0) {
+    return { satisfiable: false };
+  }
+  return { satisfiable: true, ranges: coalesceRanges(ranges) };
+};
+
+/**
+ * Merge overlapping, adjacent and nearby ranges, in ascending order
+ * @param {Array} ranges - [{ start, end }]
+ * @returns {Array}
+ */
+const coalesceRanges = ranges =>
+  [...ranges]
+    .sort((a, b) => a.start - b.start)
+    .reduce((merged, range) => {
+      const previous = merged[merged.length - 1];
+      if (previous && range.start <= previous.end + 1 + COALESCE_GAP) {
+        previous.end = Math.max(previous.end, range.end);
+      } else {
+        merged.push({ ...range });
+      }
+      return merged;
+    }, []);
+
+/**
+ * Lay out a multipart/byteranges body (RFC 7233 appendix A)
+ * @param {Array} ranges - Coalesced ranges
+ * @param {Number} size - File size
+ * @param {String} contentType - Type of the file
+ * @param {String} boundary
+ * @returns {Object} - { parts: [{ head, start, end }], tail, length }
+ */
+const buildMultipartLayout = (ranges, size, contentType, boundary) => {
+  const parts = ranges.map(({ start, end }, index) => ({
+    head:
+      `${index === 0 ? '' : CRLF}--${boundary}${CRLF}` +
+      `Content-Type: ${contentType}${CRLF}` +
+      `Content-Range: bytes ${start}-${end}/${size}${CRLF}${CRLF}`,
+    start,
+    end,
+  }));
+  const tail = `${CRLF}--${boundary}--${CRLF}`;
+  const length = parts.reduce(
+    (total, part) => total + Buffer.byteLength(part.head) + part.end - part.start + 1,
+    Buffer.byteLength(tail)
+  );
+
+  return { parts, tail, length };
+};
+
+/**
+ * Read each part of a multipart/byteranges body from storage in turn
+ * @param {String|ObjectId} fileId
+ * @param {Object} layout - Output of buildMultipartLayout
+ * @returns {Readable}
+ */
+const createMultipartStream = (fileId, layout) =>
+  Readable.from(
+    (async function* multipartBody() {
+      for (const part of layout.parts) {
+        yield Buffer.from(part.head);
+        yield* storage.createReadStream(fileId, { start: part.start, end: part.end });
+      }
+      yield Buffer.from(layout.tail);
+    })(),
+    { objectMode: false }
+  );
+
+/**
+ * Pipe a body to the response, turning storage errors into an error response
+ * while nothing has been sent yet
+ */
+const sendBody = (res, next, body, headers) => {
+  body.on('error', err => {
+    console.error('Stream error:', err);
+    if (!res.headersSent) {
+      // Nothing has been sent yet, so the error response can replace the media headers
+      body.unpipe(res);
+      Object.keys(headers).forEach(name => res.removeHeader(name));
+      return next(new AppError('Error streaming video', 500));
+    }
+    res.destroy(err);
+  });
+
+  // Stop reading from storage as soon as the client goes away (e.g. seeks elsewhere)
+  res.on('close', () => body.destroy());
+
+  // pipe() pauses storage reads while the client's socket buffer is full
+  body.pipe(res);
+};
+
+/**
+ * Serve a stored file, honouring conditional and range requests
+ * @param {Object} req
+ * @param {Object} res
+ * @param {Function} next
+ * @param {Object} options
+ * @param {String|ObjectId} options.fileId - Stored file to read
+ * @param {Object} options.file - storage.stat() result of the file
+ * @param {String} options.contentType
+ * @param {String} options.cacheControl - Overrides the media cache policy
+ * @param {String} options.filename - Send as an attachment with this name
+ * @param {Function} options.beforeSend - Awaited with { status, ranges } before
+ *   any bytes of the file are sent; ranges is null for the whole file
+ * @returns {Promise<void>}
+ */
+const serveFile = async (req, res, next, { fileId, file, contentType, cacheControl, filename, beforeSend }) => {
+  const size = file.length;
+  const headers = {
+    ...mediaCache.getCacheHeaders(req, file),
+    ...(cacheControl && { 'Cache-Control': cacheControl }),
+    'Accept-Ranges': 'bytes',
+  };
+  if (filename) {
+    // Express encodes names outside ISO-8859-1 as filename* (RFC 6266)
+    headers['Content-Disposition'] = res.attachment(filename).get('Content-Disposition');
+  }
+
+  // Conditional GET: the client's copy is still the stored file
+  res.set(headers);
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+
+  // A range of a different version than the client holds would corrupt its copy,
+  // so a stale If-Range gets the whole file instead
+  const range = mediaCache.isRangeCurrent(req, file) ? parseRange(req.headers.range, size) : null;
+
+  if (range && !range.satisfiable) {
+    return res.status(416).set('Content-Range', `bytes */${size}`).end();
+  }
+
+  let status;
+  let body;
+  if (!range) {
+    status = 200;
+    Object.assign(headers, { 'Content-Type': contentType, 'Content-Length': size });
+    body = () => storage.createReadStream(fileId);
+  } else if (range.ranges.length === 1) {
+    const [{ start, end }] = range.ranges;
+    status = 206;
+    Object.assign(headers, {
+      'Content-Type': contentType,
+      'Content-Length': end - start + 1,
+      'Content-Range': `bytes ${start}-${end}/${size}`,
+    });
+    // Only the requested bytes are read from storage, so seeking stays cheap on large files
+    body = () => storage.createReadStream(fileId, { start, end });
+  } else {
+    const boundary = crypto.randomBytes(12).toString('hex');
+    const layout = buildMultipartLayout(range.ranges, size, contentType, boundary);
+    status = 206;
+    Object.assign(headers, {
+      'Content-Type': `multipart/byteranges; boundary=${boundary}`,
+      'Content-Length': layout.length,
+    });
+    body = () => createMultipartStream(fileId, layout);
+  }
+
+  if (req.method === 'HEAD') {
+    return res.status(status).set(headers).end();
+  }
+
+  if (beforeSend) {
+    try {
+      await beforeSend({ status, ranges: range ? range.ranges : null });
+    } catch (error) {
+      // The error response must not carry the file's headers
+      Object.keys(headers).forEach(name => res.removeHeader(name));
+      throw error;
+    }
+  }
+
+  res.status(status).set(headers);
+  sendBody(res, next, body(), headers);
+};
+
+module.exports = {
+  MAX_RANGES,
+  COALESCE_GAP,
+  parseRange,
+  coalesceRanges,
+  buildMultipartLayout,
+  serveFile,
+};
@@ -1,19 +1,99 @@
 const EventEmitter = require('events');
-const { processVideo } = require('./videoProcessing');
+const os = require('os');
+const crypto = require('crypto');
+const { processVideo, extractClip } = require('./videoProcessing');
+const storage = require('./storage');
+const fingerprint = require('./fingerprint');
 const Video = require('../models/Video');
+const ProcessingJob = require('../models/ProcessingJob');
 const { emitProcessingProgress, emitProcessingStatus, emitProcessingError } = require('../socket');
 
+// MongoDB error code for a unique index violation
+const DUPLICATE_KEY = 11000;
+
+/**
+ * Stored files a processing run produced for a video
+ * Embedded caption tracks count; uploaded ones belong to the owner.
+ * @param {Object} video - Video document, loaded with +hls.fileIds
+ * @returns {Array<String>} - File IDs
+ */
+const getArtifactFileIds = video =>
+  [
+    video.thumbnailGridFsFileId,
+    ...(video.thumbnailVariants || []).map(variant => variant.fileId),
+    ...(video.storyboard?.sheets || []),
+    ...(video.hls?.fileIds || []),
+    ...(video.captions || []).filter(track => track.source === 'embedded').map(track => track.fileId),
+  ]
+    .filter(Boolean)
+    .map(fileId => fileId.toString());
+
+/**
+ * Delete the files of a previous run that the new run replaced
+ * @param {Array<String>} previous - File IDs before the run
+ * @param {Array<String>} current - File IDs now saved on the video
+ */
+const deleteReplacedFiles = async (previous, current) => {
+  const kept = new Set(current);
+  for (const fileId of previous) {
+    if (kept.has(fileId)) continue;
+    try {
+      await storage.deleteFile(fileId);
+    } catch (error) {
+      console.warn(`Failed to delete replaced file ${fileId}:`, error.message);
+    }
+  }
+};
+
+/**
+ * Near-duplicates of a processed video, reported to its uploader
+ * Identical files were already reported when the upload finished; re-encoded
+ * copies can only be found once the frame hashes have been computed.
+ * @param {Object} video - Video document with its new fingerprint
+ * @returns {Promise<Array>} - [{ _id, title, createdAt, similarity }]
+ */
+const findNearDuplicates = async video => {
+  try {
+    const duplicates = await fingerprint.findDuplicates(video);
+    return duplicates
+      .filter(duplicate => duplicate.match === 'near')
+      .map(({ video: match, similarity }) => ({
+        _id: match._id,
+        title: match.title,
+        createdAt: match.createdAt,
+        similarity,
+      }));
+  } catch (error) {
+    console.warn(`Failed to look up near-duplicates of video ${video._id}:`, error.message);
+    return [];
+  }
+};
+
 /**
- * Simple in-memory queue for video processing
- * In production, this should be replaced with Redis Queue, Bull, or similar
+ * Persistent video processing queue
+ * Jobs live in the ProcessingJob collection. A worker claims a job by taking a
+ * time-limited lease and keeps renewing it while processing; if the server dies,
+ * the lease runs out and the job is claimed again by the next worker.
+ *
+ * Failed attempts are retried with exponential backoff until the job's
+ * maxAttempts is reached, after which the job is moved to the dead-letter
+ * state and the video is marked failed.
  */
 class VideoProcessingQueue extends EventEmitter {
   constructor() {
     super();
-    this.queue = [];
-    this.processing = new Set();
+    this.processing = new Set(); // Video IDs this worker is processing
     this.maxConcurrent = parseInt(process.env.MAX_CONCURRENT_PROCESSING || '2', 10);
+    this.leaseDuration = parseInt(process.env.PROCESSING_LEASE_MS || String(5 * 60 * 1000), 10);
+    this.pollInterval = parseInt(process.env.PROCESSING_POLL_INTERVAL_MS || '1000', 10);
+    this.retryPolicy = {
+      maxAttempts: parseInt(process.env.PROCESSING_MAX_ATTEMPTS || '3', 10),
+      baseDelay: parseInt(process.env.PROCESSING_RETRY_BASE_DELAY_MS || '30000', 10),
+      maxDelay: parseInt(process.env.PROCESSING_RETRY_MAX_DELAY_MS || String(15 * 60 * 1000), 10),
+    };
+    this.workerId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
     this.isRunning = false;
+    this.pollTimer = null;
     this.io = null; // Socket.io instance
   }
 
@@ -28,23 +108,52 @@ class VideoProcessingQueue extends EventEmitter {
 
   /**
    * Add a video to the processing queue
+   * A video that already has a queued or processing job is not added twice.
    * @param {String} videoId - Video document ID
+   * @returns {Promise<Object>} - The video's active job
    */
-  enqueue(videoId) {
-    if (!this.queue.includes(videoId) && !this.processing.has(videoId)) {
-      this.queue.push(videoId);
-      this.emit('enqueued', videoId);
+  async enqueue(videoId) {
+    let result;
+    try {
+      result = await ProcessingJob.findOneAndUpdate(
+        { videoId, status: { $in: ProcessingJob.ACTIVE_STATUSES } },
+        {
+          $setOnInsert: {
+            videoId,
+            status: 'queued',
+            maxAttempts: this.retryPolicy.maxAttempts,
+            nextRunAt: new Date(),
+          },
+        },
+        { upsert: true, new: true, includeResultMetadata: true }
+      );
+    } catch (error) {
+      // A concurrent enqueue or recovery inserted the active job first
+      if (error.code !== DUPLICATE_KEY) throw error;
+      result = {
+        value: await ProcessingJob.findOne({ videoId, status: { $in: ProcessingJob.ACTIVE_STATUSES } }),
+        lastErrorObject: { updatedExisting: true },
+      };
+    }
+
+    if (!result.lastErrorObject?.updatedExisting) {
+      this.emit('enqueued', videoId.toString());
       console.log(`Video ${videoId} enqueued for processing`);
+    }
 
-      // Start processing if not already running
-      if (!this.isRunning) {
-        this.start();
-      }
+    // Start processing if not already running
+    if (!this.isRunning) {
+      this.start();
+    } else {
+      this.schedule(0);
     }
+
+    return result.value;
   }
 
   /**
    * Start the queue processor
+   * Stale leases are recovered before the first job is claimed.
    */
   start() {
     if (this.isRunning) return;
@@ -53,21 +162,176 @@ class VideoProcessingQueue extends EventEmitter {
     this.emit('started');
     console.log('Video processing queue started');
 
-    // Process jobs continuously
-    this.processNext();
+    this.recover()
+      .catch(error => console.error('Failed to recover processing jobs:', error))
+      .finally(() => this.schedule(0));
   }
 
   /**
    * Stop the queue processor
+   * Jobs already running finish; their leases are released when they do.
    */
   stop() {
     this.isRunning = false;
+    clearTimeout(this.pollTimer);
+    this.pollTimer = null;
     this.emit('stopped');
     console.log('Video processing queue stopped');
   }
 
   /**
-   * Process next job in queue
+   * Schedule the next poll for work
+   * @param {Number} delay - Milliseconds to wait
+   */
+  schedule(delay = this.pollInterval) {
+    if (!this.isRunning) return;
+    clearTimeout(this.pollTimer);
+    this.pollTimer = setTimeout(() => this.processNext(), delay);
+    // Polling alone should not keep the process alive
+    this.pollTimer.unref();
+  }
+
+  /**
+   * Requeue jobs whose lease expired (their worker crashed or was restarted)
+   * and queue videos that were left waiting without a job
+   * @returns {Promise<Object>} - { requeued, enqueued }
+   */
+  async recover() {
+    const { modifiedCount: requeued } = await ProcessingJob.updateMany(
+      { status: 'processing', leaseExpiresAt: { $lt: new Date() } },
+      { status: 'queued', workerId: null, leaseExpiresAt: null, nextRunAt: new Date() }
+    );
+
+    // Videos stranded by the old in-memory queue have no job at all
+    const activeVideoIds = await ProcessingJob.distinct('videoId', {
+      status: { $in: ProcessingJob.ACTIVE_STATUSES },
+    });
+    const stranded = await Video.find(
+      { status: { $in: ['uploaded', 'processing'] }, _id: { $nin: activeVideoIds } },
+      '_id'
+    );
+    let enqueued = 0;
+    for (const video of stranded) {
+      try {
+        await ProcessingJob.create({ videoId: video._id, maxAttempts: this.retryPolicy.maxAttempts });
+        enqueued += 1;
+      } catch (error) {
+        // Enqueued meanwhile by an upload, an admin requeue or another worker's recovery
+        if (error.code !== DUPLICATE_KEY) throw error;
+      }
+    }
+
+    if (requeued || enqueued) {
+      console.info(
+        `Recovered processing queue: ${requeued} stale job(s) requeued, ${enqueued} stranded video(s) enqueued`
+      );
+    }
+    return { requeued, enqueued };
+  }
+
+  /**
+   * Claim the next available job by taking its lease
+   * Every claim counts as an attempt, so a video that crashes its worker
+   * cannot be retried forever.
+   * @returns {Promise<Object|null>} - Claimed job, or null if none is available
+   */
+  async claimNext() {
+    const now = new Date();
+    return ProcessingJob.findOneAndUpdate(
+      {
+        $or: [
+          { status: 'queued', nextRunAt: { $lte: now } },
+          { status: 'processing', leaseExpiresAt: { $lt: now } },
+        ],
+      },
+      {
+        $set: {
+          status: 'processing',
+          workerId: this.workerId,
+          leaseExpiresAt: new Date(now.getTime() + this.leaseDuration),
+          startedAt: now,
+        },
+        $inc: { attempts: 1 },
+      },
+      { sort: { createdAt: 1 }, new: true }
+    );
+  }
+
+  /**
+   * Backoff before the next attempt: baseDelay doubled after every failure, capped at maxDelay
+   * @param {Number} attempt - Attempt that just failed (1-based)
+   * @returns {Number} - Delay in milliseconds
+   */
+  getRetryDelay(attempt) {
+    const { baseDelay, maxDelay } = this.retryPolicy;
+    return Math.min(baseDelay * 2 ** (attempt - 1), maxDelay);
+  }
+
+  /**
+   * Whether a failed attempt of this job should be retried
+   * @param {Object} job - Claimed job
+   * @returns {Boolean}
+   */
+  canRetry(job) {
+    return job.attempts < (job.maxAttempts || this.retryPolicy.maxAttempts);
+  }
+
+  /**
+   * Keep extending a job's lease while it is being processed
+   * @param {Object} job - Claimed job
+   * @returns {Function} - Stops the renewal
+   */
+  holdLease(job) {
+    const timer = setInterval(() => {
+      ProcessingJob.updateOne(
+        { _id: job._id, workerId: this.workerId, status: 'processing' },
+        { leaseExpiresAt: new Date(Date.now() + this.leaseDuration) }
+      ).catch(error => console.error(`Failed to renew lease for job ${job._id}:`, error));
+    }, Math.max(this.leaseDuration / 3, 1000));
+    timer.unref();
+    return () => clearInterval(timer);
+  }
+
+  /**
+   * Record the result of an attempt and release the lease:
+   * completed on success, queued again with backoff, or dead once attempts run out
+   * @param {Object} job - Claimed job
+   * @param {Object} outcome - { success, error, retryable }
+   * @returns {Promise<String>} - The job's new status
+   */
+  async finishJob(job, outcome) {
+    const release = { workerId: null, leaseExpiresAt: null };
+    let update;
+
+    if (outcome.success) {
+      update = { ...release, status: 'completed', error: null, completedAt: new Date() };
+    } else if (outcome.retryable !== false && this.canRetry(job)) {
+      const delay = this.getRetryDelay(job.attempts);
+      update = {
+        ...release,
+        status: 'queued',
+        error: outcome.error,
+        nextRunAt: new Date(Date.now() + delay),
+      };
+      console.warn(
+        `Video ${job.videoId} attempt ${job.attempts}/${job.maxAttempts} failed, retrying in ${delay}ms`
+      );
+    } else {
+      update = { ...release, status: 'dead', error: outcome.error, completedAt: new Date() };
+    }
+
+    await ProcessingJob.updateOne({ _id: job._id, workerId: this.workerId }, update);
+
+    if (update.status === 'queued') {
+      this.emit('retrying', job.videoId.toString(), outcome.error, job.attempts);
+    } else if (update.status === 'dead') {
+      this.emit('dead', job.videoId.toString(), outcome.error, job.attempts);
+    }
+    return update.status;
+  }
+
+  /**
+   * Claim and process the next job, if this worker has capacity
    */
   async processNext() {
     if (!this.isRunning) return;
@@ -75,51 +339,75 @@ class VideoProcessingQueue extends EventEmitter {
     // Check if we can process more
     if (this.processing.size >= this.maxConcurrent) {
       // Check again after a delay
-      setTimeout(() => this.processNext(), 1000);
+      this.schedule();
       return;
     }
 
-    // Get next job
-    const videoId = this.queue.shift();
+    let job;
+    try {
+      job = await this.claimNext();
+    } catch (error) {
+      console.error('Failed to claim processing job:', error);
+    }
 
-    if (!videoId) {
+    if (!job) {
       // Queue empty, check again after a delay
-      setTimeout(() => this.processNext(), 1000);
+      this.schedule();
       return;
     }
 
+    const videoId = job.videoId.toString();
+
     // Mark as processing
     this.processing.add(videoId);
     this.emit('processing', videoId);
 
+    // Look for more work while this job runs
+    this.schedule(0);
+
+    const releaseLease = this.holdLease(job);
+    let outcome;
     try {
-      await this.processJob(videoId);
+      outcome = await this.processJob(videoId, { willRetry: this.canRetry(job) });
     } catch (error) {
       console.error(`Error processing video ${videoId}:`, error);
+      outcome = { success: false, error: error.message };
+    }
+
+    try {
+      await this.finishJob(job, outcome);
+    } catch (error) {
+      console.error(`Failed to record result of job ${job._id}:`, error);
     } finally {
+      releaseLease();
       // Remove from processing set
       this.processing.delete(videoId);
       this.emit('completed', videoId);
 
       // Process next immediately
-      setImmediate(() => this.processNext());
+      this.schedule(0);
     }
   }
 
   /**
    * Process a single video job
    * @param {String} videoId - Video document ID
+   * @param {Object} options
+   * @param {Boolean} options.willRetry - Another attempt follows if this one fails,
+   *   so the video stays in processing instead of being marked failed
+   * @returns {Promise<Object>} - { success, error, retryable }
    */
-  async processJob(videoId) {
+  async processJob(videoId, { willRetry = false } = {}) {
     console.log(`Processing video ${videoId}...`);
 
     try {
       // Get video from database
-      const video = await Video.findById(videoId);
+      // HLS file IDs are needed to clean up after a previous run
+      const video = await Video.findById(videoId, '+hls.fileIds');
 
       if (!video) {
         console.error(`Video ${videoId} not found in database`);
-        return;
+        return { success: false, error: 'Video not found', retryable: false };
       }
 
       const userId = video.ownerUserId.toString();
@@ -132,34 +420,89 @@ class VideoProcessingQueue extends EventEmitter {
       emitProcessingStatus(this.io, userId, videoId, 'processing');
 
       // Emit initial progress
-      emitProcessingProgress(this.io, userId, videoId, 0);
-
-      // Process the video (simulating progress updates)
-      // In real implementation, processVideo would emit progress internally
-      emitProcessingProgress(this.io, userId, videoId, 25);
+      emitProcessingProgress(this.io, userId, videoId, 0, 'starting');
+
+      // A clip gets its file from the parent video before the usual processing
+      if (video.parentVideoId && !video.gridFsFileId) {
+        const parent = await Video.findById(video.parentVideoId);
+        if (!parent?.gridFsFileId) {
+          const message = 'The video this clip was cut from no longer exists';
+          await this.recordFailure(video, message, false);
+          this.emit('failed', videoId, message, { willRetry: false });
+          return { success: false, error: message, retryable: false };
+        }
 
-      const result = await processVideo(video);
+        const file = await extractClip(video, parent, {
+          onProgress: fraction =>
+            emitProcessingProgress(this.io, userId, videoId, Math.round(fraction * 100), 'clip'),
+        });
+        video.gridFsFileId = file.fileId;
+        video.originalFilename = file.originalFilename;
+        video.storedFilename = file.storedFilename;
+        video.fileSize = file.fileSize;
+        video.mimeType = file.mimeType;
+        video.fingerprint = { checksum: file.checksum };
+        video.clip.cutStart = file.cutStart;
+        video.clip.mode = file.mode;
+        await video.save();
+      }
 
-      emitProcessingProgress(this.io, userId, videoId, 75);
+      // Forward stage-weighted progress as processing advances
+      const result = await processVideo(video, {
+        onProgress: (stage, percent) =>
+          emitProcessingProgress(this.io, userId, videoId, percent, stage),
+      });
 
       if (result.success) {
+        // Files of a previous run (retry, expired lease or requeue), deleted once replaced
+        const previousFileIds = getArtifactFileIds(video);
+
         // Update video with processing results
         video.duration = result.metadata.duration;
         video.resolution = result.metadata.resolution;
         video.codec = result.metadata.codec;
         video.format = result.metadata.format;
+        video.technicalMetadata = result.technicalMetadata;
+        // Variants of a previous thumbnail no longer match the new one
+        video.thumbnailVariants = [];
         video.thumbnailFilename = result.thumbnail;
         video.thumbnailGridFsFileId = result.thumbnailGridFsFileId;
         video.sensitivity = result.sensitivity;
         video.sensitivityFlags = result.sensitivityFlags;
+        video.sensitivityAnalysis = result.sensitivityAnalysis;
+        // Flagged videos are held back from viewers until a moderator decides
+        if (result.sensitivity === 'flagged') {
+          video.queueForReview(null, result.sensitivityFlags.join('; '));
+        }
+        video.hls = result.hls;
+        video.storyboard = result.storyboard;
+        video.frameAnalysis = result.frameAnalysis;
+        video.detection = result.detection;
+        video.loudness = result.loudness;
+        // The checksum was recorded at upload; keep it alongside the frame hashes
+        video.fingerprint = { checksum: video.fingerprint?.checksum, ...result.fingerprint };
+        video.sceneDetection = result.sceneDetection;
+        // Chapters the owner has edited are kept; otherwise take the new proposal
+        if (!video.chapters?.some(chapter => chapter.source === 'manual')) {
+          video.chapters = result.chapters;
+        }
+        video.subtitleExtraction = result.subtitleExtraction;
+        // Uploaded captions are kept; embedded tracks are replaced unless extraction failed
+        if (result.subtitleExtraction?.status !== 'failed') {
+          video.captions = [
+            ...(video.captions || []).filter(track => track.source !== 'embedded'),
+            ...(result.captions || []),
+          ];
+        }
         video.status = 'ready';
 
         await video.save();
+        await deleteReplacedFiles(previousFileIds, getArtifactFileIds(video));
 
         // Emit completion progress
-        emitProcessingProgress(this.io, userId, videoId, 100);
+        emitProcessingProgress(this.io, userId, videoId, 100, 'complete');
 
-        // Emit final status with sensitivity info
+        // Emit final status with sensitivity info and any near-duplicates
         emitProcessingStatus(
           this.io,
           userId,
@@ -167,22 +510,19 @@ class VideoProcessingQueue extends EventEmitter {
           'ready',
           result.sensitivity,
           result.sensitivityFlags,
+          await findNearDuplicates(video),
         );
 
         console.log(`Video ${videoId} processed successfully`);
         this.emit('success', videoId, result);
+        return { success: true };
       } else {
         // Processing failed
-        video.status = 'failed';
-        video.processingError = result.error;
-        await video.save();
-
-        // Emit error to user
-        emitProcessingError(this.io, userId, videoId, result.error);
-        emitProcessingStatus(this.io, userId, videoId, 'failed');
+        await this.recordFailure(video, result.error, willRetry);
 
         console.error(`Video ${videoId} processing failed:`, result.error);
-        this.emit('failed', videoId, result.error);
+        this.emit('failed', videoId, result.error, { willRetry });
+        return { success: false, error: result.error };
       }
     } catch (error) {
       console.error(`Fatal error processing video ${videoId}:`, error);
@@ -191,52 +531,88 @@ class VideoProcessingQueue extends EventEmitter {
       try {
         const video = await Video.findById(videoId);
         if (video) {
-          video.status = 'failed';
-          video.processingError = error.message;
-          await video.save();
-
-          // Emit error to user
-          const userId = video.ownerUserId.toString();
-          emitProcessingError(this.io, userId, videoId, error.message);
-          emitProcessingStatus(this.io, userId, videoId, 'failed');
+          await this.recordFailure(video, error.message, willRetry);
         }
       } catch (updateError) {
         console.error(`Failed to update video status:`, updateError);
       }
 
       this.emit('error', videoId, error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Hand this worker's in-flight jobs back to the queue (on shutdown),
+   * so another worker can take them without waiting for the leases to expire
+   * @returns {Promise<Number>} - Number of jobs released
+   */
+  async releaseLeases() {
+    const { modifiedCount } = await ProcessingJob.updateMany(
+      { workerId: this.workerId, status: 'processing' },
+      { status: 'queued', workerId: null, leaseExpiresAt: null }
+    );
+    return modifiedCount;
+  }
+
+  /**
+   * Save a failed attempt on the video and tell its owner
+   * The video is only marked failed when no retry follows.
+   * @param {Object} video - Video document
+   * @param {String} message - Error message
+   * @param {Boolean} willRetry - Whether another attempt is scheduled
+   */
+  async recordFailure(video, message, willRetry) {
+    const videoId = video._id.toString();
+    const userId = video.ownerUserId.toString();
+
+    video.processingError = message;
+    if (willRetry) {
+      await video.save();
+      return;
     }
+
+    video.status = 'failed';
+    await video.save();
+
+    // Emit error to user
+    emitProcessingError(this.io, userId, videoId, message);
+    emitProcessingStatus(this.io, userId, videoId, 'failed');
   }
 
   /**
    * Get queue statistics
-   * @returns {Object} - Queue stats
+   * @returns {Promise<Object>} - Queue stats across all workers
    */
-  getStats() {
+  async getStats() {
+    const [queued, processing, dead] = await Promise.all([
+      ProcessingJob.countDocuments({ status: 'queued' }),
+      ProcessingJob.countDocuments({ status: 'processing' }),
+      ProcessingJob.countDocuments({ status: 'dead' }),
+    ]);
     return {
-      queued: this.queue.length,
-      processing: this.processing.size,
+      queued,
+      processing,
+      dead,
+      processingOnThisWorker: this.processing.size,
       maxConcurrent: this.maxConcurrent,
       isRunning: this.isRunning,
+      workerId: this.workerId,
     };
   }
 
   /**
-   * Clear the queue (for testing)
+   * Clear queued jobs and local state (for testing)
    */
-  clear() {
-    this.queue = [];
+  async clear() {
+    await ProcessingJob.deleteMany({ status: 'queued' });
     this.processing.clear();
     this.emit('cleared');
   }
 }
 
 // Create singleton instance
+// The server starts it once the database is connected (see server.js)
 const processingQueue = new VideoProcessingQueue();
 
-// Auto-start queue in non-test environments
-if (process.env.NODE_ENV !== 'test') {
-  processingQueue.start();
-}
-
 module.exports = processingQueue;
@@ -0,0 +1,368 @@
+const SensitivityRuleSet = require('../models/SensitivityRuleSet');
+
+/**
+ * Sensitivity Rules Service
+ * Evaluates declarative rule sets against a video's metadata, title and description.
+ *
+ * A video with no matching rules is safe. It is flagged when a rule with
+ * severity "flag" matches or the summed weights reach the set's flagThreshold;
+ * otherwise it is unknown and left for review.
+ */
+
+// Fields rules can refer to
+const METADATA_FIELDS = [
+  'duration',
+  'size',
+  'bitRate',
+  'width',
+  'height',
+  'aspectRatio',
+  'bytesPerSecond',
+  'hasAudio',
+  'codec',
+  'format',
+  'frameRate',
+  // Highest classifier score for any sensitive label across sampled frames
+  'frameSensitiveScore',
+  // Share of the video (0..1) that is black, frozen or silent
+  'blackRatio',
+  'freezeRatio',
+  'silenceRatio',
+  // EBU R128 loudness of the audio (LUFS, dBTP, LU)
+  'integratedLoudness',
+  'truePeak',
+  'loudnessRange',
+];
+// Highest classifier score for one label, e.g. frames.nsfw
+const FRAME_LABEL_FIELD = /^frames\.[a-z0-9 _-]+$/;
+const TEXT_FIELDS = ['title', 'description'];
+
+const MAX_PATTERN_LENGTH = 200;
+
+/**
+ * Rules applied when a tenant has not defined its own
+ */
+const DEFAULT_RULE_SET = {
+  tenantId: null,
+  version: 0,
+  name: 'Built-in rules',
+  flagThreshold: 3,
+  rules: [
+    {
+      key: 'very-short-duration',
+      type: 'metadata',
+      conditions: [{ field: 'duration', operator: 'lt', value: 5 }],
+      message: 'Very short duration (< 5 seconds)',
+    },
+    {
+      key: 'very-long-duration',
+      type: 'metadata',
+      conditions: [{ field: 'duration', operator: 'gt', value: 3600 }],
+      message: 'Very long duration (> 1 hour)',
+    },
+    {
+      key: 'unusual-aspect-ratio',
+      type: 'metadata',
+      conditions: [{ field: 'aspectRatio', operator: 'outside', value: [0.5, 3] }],
+      message: 'Unusual aspect ratio',
+    },
+    {
+      key: 'sensitive-keywords',
+      type: 'keywords',
+      fields: ['title', 'description'],
+      terms: ['explicit', 'nsfw', 'adult', '18+', 'mature', 'violence', 'graphic'],
+      severity: 'flag',
+      message: 'Contains sensitive keyword: {match}',
+    },
+    {
+      key: 'low-bitrate',
+      type: 'metadata',
+      // < 10KB/sec is very low quality
+      conditions: [{ field: 'bytesPerSecond', operator: 'lt', value: 10000 }],
+      message: 'Unusually low bitrate/quality',
+    },
+    {
+      key: 'missing-audio',
+      type: 'metadata',
+      conditions: [
+        { field: 'hasAudio', operator: 'eq', value: false },
+        { field: 'duration', operator: 'gt', value: 30 },
+      ],
+      message: 'No audio stream in video > 30s',
+    },
+    {
+      key: 'sensitive-frames',
+      type: 'metadata',
+      conditions: [{ field: 'frameSensitiveScore', operator: 'gte', value: 0.8 }],
+      severity: 'flag',
+      message: 'Frames classified as sensitive content',
+    },
+    {
+      key: 'mostly-black',
+      type: 'metadata',
+      conditions: [{ field: 'blackRatio', operator: 'gte', value: 0.5 }],
+      message: 'Mostly black frames (>= 50% of the video)',
+    },
+    {
+      key: 'mostly-frozen',
+      type: 'metadata',
+      conditions: [{ field: 'freezeRatio', operator: 'gte', value: 0.5 }],
+      message: 'Mostly frozen frames (>= 50% of the video)',
+    },
+    {
+      key: 'mostly-silent',
+      type: 'metadata',
+      conditions: [{ field: 'silenceRatio', operator: 'gte', value: 0.5 }],
+      message: 'Mostly silent audio (>= 50% of the video)',
+    },
+  ],
+};
+
+/**
+ * Flatten extracted metadata into the fields rules can refer to
+ * @param {Object} metadata - Metadata from extractMetadata
+ * @param {String} title - Video title
+ * @param {String} description - Video description
+ * @param {Object} frameSummary - Classifier summary from summarizeFrames, when frames were classified
+ * @param {Object} detectionSummary - Coverage from summarizeDetection, when detection ran
+ * @returns {Object}
+ */
+const buildRuleContext = (
+  metadata,
+  title = '',
+  description = '',
+  frameSummary = null,
+  detectionSummary = null
+) => {
+  const width = metadata.video?.width || 0;
+  const height = metadata.video?.height || 0;
+  const loudness = metadata.audio?.loudness;
+
+  const frameFields = {};
+  if (frameSummary) {
+    for (const [label, score] of Object.entries(frameSummary.labelScores)) {
+      frameFields[`frames.${label}`] = score;
+    }
+  }
+
+  return {
+    ...frameFields,
+    duration: metadata.duration,
+    size: metadata.size,
+    bitRate: metadata.bitRate,
+    width: width || undefined,
+    height: height || undefined,
+    aspectRatio: width > 0 && height > 0 ? width / height : undefined,
+    bytesPerSecond: metadata.duration > 0 ? metadata.size / metadata.duration : undefined,
+    hasAudio: !!metadata.audio,
+    codec: metadata.video?.codec,
+    format: metadata.format,
+    frameRate: metadata.video?.frameRate,
+    frameSensitiveScore: frameSummary?.sensitiveScore,
+    blackRatio: detectionSummary?.blackRatio,
+    freezeRatio: detectionSummary?.freezeRatio,
+    silenceRatio: detectionSummary?.silenceRatio,
+    integratedLoudness: loudness?.integrated ?? undefined,
+    truePeak: loudness?.truePeak ?? undefined,
+    loudnessRange: loudness?.range ?? undefined,
+    title: title || '',
+    description: description || '',
+  };
+};
+
+/**
+ * Check one condition; a missing field never matches
+ */
+const evaluateCondition = ({ field, operator, value }, context) => {
+  const actual = context[field];
+  if (actual === undefined || actual === null || Number.isNaN(actual)) return false;
+
+  switch (operator) {
+    case 'lt':
+      return actual < value;
+    case 'lte':
+      return actual <= value;
+    case 'gt':
+      return actual > value;
+    case 'gte':
+      return actual >= value;
+    case 'eq':
+      return actual === value;
+    case 'ne':
+      return actual !== value;
+    case 'between':
+      return actual >= value[0] && actual <= value[1];
+    case 'outside':
+      return actual < value[0] || actual > value[1];
+    case 'in':
+      return value.includes(actual);
+    default:
+      return false;
+  }
+};
+
+/**
+ * Find the terms or patterns of a text rule that match
+ * @returns {Array} - Matched text
+ */
+const findTextMatches = (rule, context) => {
+  const fields = rule.fields?.length ? rule.fields : TEXT_FIELDS;
+  const text = fields.map(field => context[field] || '').join(' ');
+
+  if (rule.type === 'keywords') {
+    const haystack = rule.caseSensitive ? text : text.toLowerCase();
+    return (rule.terms || []).filter(term =>
+      haystack.includes(rule.caseSensitive ? term : term.toLowerCase())
+    );
+  }
+
+  const matches = [];
+  for (const pattern of rule.patterns || []) {
+    const match = new RegExp(pattern, rule.caseSensitive ? '' : 'i').exec(text);
+    if (match) matches.push(match[0]);
+  }
+  return matches;
+};
+
+/**
+ * Evaluate a single rule
+ * @returns {Object} - { ruleKey, description, matched, weight, severity, message, matches }
+ */
+const evaluateRule = (rule, context) => {
+  let matches = [];
+  let matched;
+
+  if (rule.type === 'metadata') {
+    matched = (rule.conditions || []).length > 0 &&
+      rule.conditions.every(condition => evaluateCondition(condition, context));
+  } else {
+    matches = findTextMatches(rule, context);
+    matched = matches.length > 0;
+  }
+
+  const weight = rule.weight ?? 1;
+  return {
+    ruleKey: rule.key,
+    description: rule.description,
+    matched,
+    weight: matched ? weight : 0,
+    severity: rule.severity || 'score',
+    message: matched ? rule.message.replace('{match}', matches[0] || '') : null,
+    matches,
+  };
+};
+
+/**
+ * Evaluate a rule set
+ * @param {Object} ruleSet - Rule set document or DEFAULT_RULE_SET
+ * @param {Object} context - Fields from buildRuleContext
+ * @returns {Object} - { sensitivity, flags, score, results }
+ */
+const evaluateRuleSet = (ruleSet, context) => {
+  const results = ruleSet.rules
+    .filter(rule => rule.enabled !== false)
+    .map(rule => evaluateRule(rule, context));
+  const matched = results.filter(result => result.matched);
+  const score = matched.reduce((sum, result) => sum + result.weight, 0);
+
+  let sensitivity = 'unknown';
+  if (matched.length === 0) {
+    sensitivity = 'safe';
+  } else if (
+    matched.some(result => result.severity === 'flag') ||
+    score >= ruleSet.flagThreshold
+  ) {
+    sensitivity = 'flagged';
+  }
+
+  return {
+    sensitivity,
+    flags: matched.map(result => result.message),
+    score,
+    results,
+  };
+};
+
+/**
+ * Check a rule list before it is saved
+ * @param {Array} rules - Rules from a request body
+ * @returns {Array} - Error messages (empty when valid)
+ */
+const validateRules = rules => {
+  const errors = [];
+  const keys = new Set();
+
+  rules.forEach((rule, index) => {
+    const label = `rules[${index}]`;
+    if (keys.has(rule.key)) errors.push(`${label}: duplicate key "${rule.key}"`);
+    keys.add(rule.key);
+
+    if (rule.type === 'metadata') {
+      if (!Array.isArray(rule.conditions) || rule.conditions.length === 0) {
+        errors.push(`${label}: metadata rules need at least one condition`);
+        return;
+      }
+      rule.conditions.forEach(({ field, operator, value }, i) => {
+        if (!METADATA_FIELDS.includes(field) && !FRAME_LABEL_FIELD.test(field)) {
+          errors.push(`${label}.conditions[${i}]: unknown field "${field}"`);
+        }
+        if (['between', 'outside'].includes(operator) &&
+          !(Array.isArray(value) && value.length === 2 && value.every(Number.isFinite))) {
+          errors.push(`${label}.conditions[${i}]: ${operator} needs [min, max]`);
+        }
+        if (operator === 'in' && !Array.isArray(value)) {
+          errors.push(`${label}.conditions[${i}]: in needs an array`);
+        }
+      });
+      return;
+    }
+
+    (rule.fields || []).forEach(field => {
+      if (!TEXT_FIELDS.includes(field)) errors.push(`${label}: unknown text field "${field}"`);
+    });
+
+    if (rule.type === 'keywords' && !(rule.terms || []).length) {
+      errors.push(`${label}: keyword rules need at least one term`);
+    }
+    if (rule.type === 'regex') {
+      if (!(rule.patterns || []).length) errors.push(`${label}: regex rules need at least one pattern`);
+      (rule.patterns || []).forEach(pattern => {
+        if (pattern.length > MAX_PATTERN_LENGTH) {
+          errors.push(`${label}: patterns cannot exceed ${MAX_PATTERN_LENGTH} characters`);
+          return;
+        }
+        try {
+          new RegExp(pattern);
+        } catch (error) {
+          errors.push(`${label}: invalid pattern "${pattern}" (${error.message})`);
+        }
+      });
+    }
+  });
+
+  return errors;
+};
+
+/**
+ * Get the rule set currently applied to a tenant
+ * @param {String} tenantId - Tenant ID
+ * @returns {Promise<Object>} - Latest version, or DEFAULT_RULE_SET
+ */
+const getActiveRuleSet = async tenantId => {
+  const ruleSet = await SensitivityRuleSet.findOne({ tenantId: tenantId || 'default' })
+    .sort({ version: -1 })
+    .lean();
+  return ruleSet || DEFAULT_RULE_SET;
+};
+
+module.exports = {
+  METADATA_FIELDS,
+  TEXT_FIELDS,
+  DEFAULT_RULE_SET,
+  buildRuleContext,
+  evaluateCondition,
+  evaluateRule,
+  evaluateRuleSet,
+  validateRules,
+  getActiveRuleSet,
+};
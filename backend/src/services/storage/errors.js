@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+/**
+ * Build the error thrown when a stored file does not exist
+ * @param {String|ObjectId} fileId - File ID
+ * @returns {Error}
+ */
+const fileNotFound = fileId => {
+  const error = new Error(`File not found in storage: ${fileId}`);
+  error.code = 'FILE_NOT_FOUND';
+  return error;
+};
+
+/**
+ * Normalize a file ID to an ObjectId
+ * @param {String|ObjectId} fileId - File ID
+ * @returns {ObjectId}
+ */
+const toObjectId = fileId =>
+  typeof fileId === 'string' ? new mongoose.Types.ObjectId(fileId) : fileId;
+
+module.exports = {
+  fileNotFound,
+  toObjectId,
+};
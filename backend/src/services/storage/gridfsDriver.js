@@ -0,0 +1,124 @@
+const { Readable } = require('stream');
+const { initializeGridFS } = require('../gridfsStorage');
+const { fileNotFound, toObjectId } = require('./errors');
+
+/**
+ * GridFS storage driver
+ * Stores files in the MongoDB GridFS bucket configured in gridfsStorage
+ */
+class GridFSDriver {
+  constructor() {
+    this.name = 'gridfs';
+  }
+
+  /**
+   * Prepare the driver (bucket is created lazily on first use)
+   */
+  async initialize() {
+    initializeGridFS();
+  }
+
+  /**
+   * Store a file
+   * @param {Buffer|Stream} source - File contents
+   * @param {String} filename - Filename to store
+   * @param {Object} metadata - Additional metadata
+   * @returns {Promise<Object>} - { fileId, filename, length }
+   */
+  upload(source, filename, metadata = {}) {
+    return new Promise((resolve, reject) => {
+      const bucket = initializeGridFS();
+      const readStream = Buffer.isBuffer(source) ? Readable.from([source]) : source;
+      const uploadStream = bucket.openUploadStream(filename, { metadata });
+
+      const fail = error => {
+        uploadStream.abort().catch(() => {});
+        reject(new Error(`GridFS upload failed: ${error.message}`));
+      };
+
+      readStream.on('error', fail);
+      uploadStream.on('error', fail);
+      uploadStream.on('finish', () => {
+        resolve({
+          fileId: uploadStream.id,
+          filename: uploadStream.filename,
+          length: uploadStream.length,
+        });
+      });
+
+      readStream.pipe(uploadStream);
+    });
+  }
+
+  /**
+   * Open a read stream, optionally limited to an inclusive byte range
+   * @param {String|ObjectId} fileId - File ID
+   * @param {Object} range - { start, end } (end inclusive)
+   * @returns {Stream}
+   */
+  createReadStream(fileId, { start, end } = {}) {
+    const bucket = initializeGridFS();
+    const options = {};
+    if (start !== undefined) options.start = start;
+    // GridFS treats `end` as exclusive
+    if (end !== undefined) options.end = end + 1;
+    return bucket.openDownloadStream(toObjectId(fileId), options);
+  }
+
+  /**
+   * Get file information
+   * @param {String|ObjectId} fileId - File ID
+   * @returns {Promise<Object>}
+   */
+  async stat(fileId) {
+    const bucket = initializeGridFS();
+    const files = await bucket.find({ _id: toObjectId(fileId) }).toArray();
+
+    if (files.length === 0) {
+      throw fileNotFound(fileId);
+    }
+
+    return toStat(files[0]);
+  }
+
+  /**
+   * Delete a file (missing files are ignored)
+   * @param {String|ObjectId} fileId - File ID
+   */
+  async delete(fileId) {
+    const bucket = initializeGridFS();
+    try {
+      await bucket.delete(toObjectId(fileId));
+    } catch (error) {
+      if (!error.message.includes('File not found') && !error.message.includes('FileNotFound')) {
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * List stored files
+   * @param {Object} filter - { metadata: { key: value } }
+   * @returns {Promise<Array>}
+   */
+  async list({ metadata = {} } = {}) {
+    const bucket = initializeGridFS();
+    const query = {};
+    for (const [key, value] of Object.entries(metadata)) {
+      query[`metadata.${key}`] = value;
+    }
+    const files = await bucket.find(query).toArray();
+    return files.map(toStat);
+  }
+}
+
+const toStat = file => ({
+  fileId: file._id,
+  filename: file.filename,
+  length: file.length,
+  uploadDate: file.uploadDate,
+  md5: file.md5,
+  metadata: file.metadata || {},
+});
+
+module.exports = GridFSDriver;
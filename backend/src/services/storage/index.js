@@ -0,0 +1,149 @@
+const fs = require('fs');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const GridFSDriver = require('./gridfsDriver');
+const LocalDriver = require('./localDriver');
+const S3Driver = require('./s3Driver');
+
+/**
+ * Storage Service
+ * Selects a storage driver from STORAGE_DRIVER (gridfs, local, s3) and exposes
+ * a single interface for storing and reading media files.
+ *
+ * Every driver implements:
+ * - upload(source, filename, metadata) -> { fileId, filename, length }
+ * - createReadStream(fileId, { start, end }) -> Readable (end inclusive)
+ * - stat(fileId) -> { fileId, filename, length, uploadDate, metadata }
+ * - delete(fileId)
+ * - list({ metadata }) -> [stat]
+ */
+
+const drivers = {
+  gridfs: GridFSDriver,
+  local: LocalDriver,
+  s3: S3Driver,
+};
+
+let activeDriver = null;
+
+/**
+ * Create a driver by name
+ * @param {String} name - Driver name
+ * @param {Object} options - Driver options
+ * @returns {Object} - Driver instance
+ */
+const createDriver = (name, options = {}) => {
+  const Driver = drivers[name];
+  if (!Driver) {
+    throw new Error(
+      `Unknown storage driver "${name}". Available drivers: ${Object.keys(drivers).join(', ')}`,
+    );
+  }
+  return new Driver(options);
+};
+
+/**
+ * Get the configured driver
+ * @returns {Object} - Driver instance
+ */
+const getDriver = () => {
+  if (!activeDriver) {
+    activeDriver = createDriver(process.env.STORAGE_DRIVER || 'gridfs');
+  }
+  return activeDriver;
+};
+
+/**
+ * Replace the active driver (used by tests and tooling)
+ * @param {Object|null} driver - Driver instance, or null to reset to config
+ */
+const setDriver = driver => {
+  activeDriver = driver;
+};
+
+/**
+ * Prepare the configured driver (called once the database is connected)
+ */
+const initialize = async () => {
+  const driver = getDriver();
+  await driver.initialize();
+  console.info(`Storage driver initialized: ${driver.name}`);
+};
+
+const upload = (source, filename, metadata = {}) => getDriver().upload(source, filename, metadata);
+
+const createReadStream = (fileId, range = {}) => getDriver().createReadStream(fileId, range);
+
+const stat = fileId => getDriver().stat(fileId);
+
+const deleteFile = fileId => getDriver().delete(fileId);
+
+const list = (filter = {}) => getDriver().list(filter);
+
+/**
+ * Read a whole file into memory (small files only, e.g. thumbnails)
+ * @param {String|ObjectId} fileId - File ID
+ * @returns {Promise<Buffer>}
+ */
+const downloadToBuffer = async fileId => {
+  const chunks = [];
+  for await (const chunk of createReadStream(fileId)) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+};
+
+/**
+ * Copy a file to a local path (for processing with ffmpeg)
+ * @param {String|ObjectId} fileId - File ID
+ * @param {String} targetPath - Destination path
+ * @param {Object} options
+ * @param {Function} options.onProgress - Called with the number of bytes copied so far
+ */
+const downloadToFile = async (fileId, targetPath, { onProgress } = {}) => {
+  const streams = [createReadStream(fileId)];
+
+  if (onProgress) {
+    let copied = 0;
+    streams.push(
+      new Transform({
+        transform(chunk, _encoding, callback) {
+          copied += chunk.length;
+          onProgress(copied);
+          callback(null, chunk);
+        },
+      })
+    );
+  }
+
+  await pipeline(...streams, fs.createWriteStream(targetPath));
+};
+
+/**
+ * Check if a file exists
+ * @param {String|ObjectId} fileId - File ID
+ * @returns {Promise<Boolean>}
+ */
+const exists = async fileId => {
+  try {
+    await stat(fileId);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+module.exports = {
+  createDriver,
+  getDriver,
+  setDriver,
+  initialize,
+  upload,
+  createReadStream,
+  stat,
+  deleteFile,
+  list,
+  downloadToBuffer,
+  downloadToFile,
+  exists,
+};
@@ -0,0 +1,151 @@
+const fs = require('fs');
+const fsp = require('fs').promises;
+const path = require('path');
+const mongoose = require('mongoose');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { fileNotFound } = require('./errors');
+
+/**
+ * Local filesystem storage driver
+ * Each file is stored as `<root>/<fileId>` with a `<fileId>.json` sidecar holding its info
+ */
+class LocalDriver {
+  /**
+   * @param {Object} options - { root } directory to store files in
+   */
+  constructor({ root } = {}) {
+    this.name = 'local';
+    this.root = path.resolve(root || process.env.STORAGE_LOCAL_PATH || './storage');
+  }
+
+  /**
+   * Create the storage directory
+   */
+  async initialize() {
+    await fsp.mkdir(this.root, { recursive: true });
+  }
+
+  filePath(fileId) {
+    const id = fileId.toString();
+    // File IDs are ObjectId hex strings, never paths
+    if (!/^[a-f0-9]{24}$/i.test(id)) {
+      throw fileNotFound(fileId);
+    }
+    return path.join(this.root, id);
+  }
+
+  infoPath(fileId) {
+    return `${this.filePath(fileId)}.json`;
+  }
+
+  /**
+   * Store a file
+   * @param {Buffer|Stream} source - File contents
+   * @param {String} filename - Filename to store
+   * @param {Object} metadata - Additional metadata
+   * @returns {Promise<Object>} - { fileId, filename, length }
+   */
+  async upload(source, filename, metadata = {}) {
+    await this.initialize();
+
+    const fileId = new mongoose.Types.ObjectId();
+    const target = this.filePath(fileId);
+    const partial = `${target}.part`;
+    const readStream = Buffer.isBuffer(source) ? Readable.from([source]) : source;
+
+    try {
+      await pipeline(readStream, fs.createWriteStream(partial));
+      const { size } = await fsp.stat(partial);
+      const info = {
+        filename,
+        length: size,
+        uploadDate: new Date().toISOString(),
+        metadata,
+      };
+      await fsp.rename(partial, target);
+      await fsp.writeFile(this.infoPath(fileId), JSON.stringify(info));
+
+      return { fileId, filename, length: size };
+    } catch (error) {
+      await fsp.unlink(partial).catch(() => {});
+      throw new Error(`Local storage upload failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Open a read stream, optionally limited to an inclusive byte range
+   * @param {String|ObjectId} fileId - File ID
+   * @param {Object} range - { start, end } (end inclusive)
+   * @returns {Stream}
+   */
+  createReadStream(fileId, { start, end } = {}) {
+    return fs.createReadStream(this.filePath(fileId), { start, end });
+  }
+
+  /**
+   * Get file information
+   * @param {String|ObjectId} fileId - File ID
+   * @returns {Promise<Object>}
+   */
+  async stat(fileId) {
+    let info;
+    try {
+      info = JSON.parse(await fsp.readFile(this.infoPath(fileId), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw fileNotFound(fileId);
+      }
+      throw error;
+    }
+
+    return {
+      fileId: new mongoose.Types.ObjectId(fileId.toString()),
+      filename: info.filename,
+      length: info.length,
+      uploadDate: new Date(info.uploadDate),
+      metadata: info.metadata || {},
+    };
+  }
+
+  /**
+   * Delete a file (missing files are ignored)
+   * @param {String|ObjectId} fileId - File ID
+   */
+  async delete(fileId) {
+    for (const target of [this.filePath(fileId), this.infoPath(fileId)]) {
+      try {
+        await fsp.unlink(target);
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+  }
+
+  /**
+   * List stored files
+   * @param {Object} filter - { metadata: { key: value } }
+   * @returns {Promise<Array>}
+   */
+  async list({ metadata = {} } = {}) {
+    let entries;
+    try {
+      entries = await fsp.readdir(this.root);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const files = [];
+    for (const entry of entries.filter(e => e.endsWith('.json'))) {
+      const file = await this.stat(entry.replace(/\.json$/, ''));
+      const matches = Object.entries(metadata).every(
+        ([key, value]) => String(file.metadata[key]) === String(value),
+      );
+      if (matches) files.push(file);
+    }
+    return files;
+  }
+}
+
+module.exports = LocalDriver;
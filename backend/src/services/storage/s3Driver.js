@@ -0,0 +1,198 @@
+const mongoose = require('mongoose');
+const { PassThrough, Readable, Transform } = require('stream');
+const { fileNotFound } = require('./errors');
+
+/**
+ * S3-compatible storage driver (AWS S3, MinIO, ...)
+ * Objects are stored under `<prefix><fileId>`; the filename and metadata travel as object metadata
+ */
+class S3Driver {
+  /**
+   * @param {Object} options - { bucket, region, endpoint, accessKeyId, secretAccessKey, forcePathStyle, prefix, client }
+   */
+  constructor(options = {}) {
+    this.name = 's3';
+    this.bucket = options.bucket || process.env.STORAGE_S3_BUCKET;
+    this.prefix = options.prefix ?? process.env.STORAGE_S3_PREFIX ?? 'videos/';
+
+    if (!this.bucket) {
+      throw new Error('STORAGE_S3_BUCKET must be set to use the s3 storage driver');
+    }
+
+    if (options.client) {
+      this.client = options.client;
+    } else {
+      const { S3Client } = require('@aws-sdk/client-s3');
+      const accessKeyId = options.accessKeyId || process.env.STORAGE_S3_ACCESS_KEY_ID;
+      const secretAccessKey = options.secretAccessKey || process.env.STORAGE_S3_SECRET_ACCESS_KEY;
+
+      this.client = new S3Client({
+        region: options.region || process.env.STORAGE_S3_REGION || 'us-east-1',
+        endpoint: options.endpoint || process.env.STORAGE_S3_ENDPOINT || undefined,
+        forcePathStyle:
+          options.forcePathStyle ?? process.env.STORAGE_S3_FORCE_PATH_STYLE === 'true',
+        credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined,
+      });
+    }
+  }
+
+  /**
+   * Nothing to prepare - the bucket must already exist
+   */
+  async initialize() {}
+
+  key(fileId) {
+    return `${this.prefix}${fileId.toString()}`;
+  }
+
+  /**
+   * Store a file
+   * @param {Buffer|Stream} source - File contents
+   * @param {String} filename - Filename to store
+   * @param {Object} metadata - Additional metadata
+   * @returns {Promise<Object>} - { fileId, filename, length }
+   */
+  async upload(source, filename, metadata = {}) {
+    const { Upload } = require('@aws-sdk/lib-storage');
+    const fileId = new mongoose.Types.ObjectId();
+
+    // Count bytes as they pass through, since stream length is unknown up front
+    let length = 0;
+    const body = new Transform({
+      transform(chunk, _encoding, callback) {
+        length += chunk.length;
+        callback(null, chunk);
+      },
+    });
+    const readStream = Buffer.isBuffer(source) ? Readable.from([source]) : source;
+    readStream.on('error', error => body.destroy(error));
+    readStream.pipe(body);
+
+    try {
+      await new Upload({
+        client: this.client,
+        params: {
+          Bucket: this.bucket,
+          Key: this.key(fileId),
+          Body: body,
+          ContentType: metadata.mimeType || 'application/octet-stream',
+          Metadata: encodeMetadata(filename, metadata),
+        },
+      }).done();
+    } catch (error) {
+      throw new Error(`S3 upload failed: ${error.message}`);
+    }
+
+    return { fileId, filename, length };
+  }
+
+  /**
+   * Open a read stream, optionally limited to an inclusive byte range
+   * @param {String|ObjectId} fileId - File ID
+   * @param {Object} range - { start, end } (end inclusive)
+   * @returns {Stream}
+   */
+  createReadStream(fileId, { start, end } = {}) {
+    const { GetObjectCommand } = require('@aws-sdk/client-s3');
+    const stream = new PassThrough();
+    const params = { Bucket: this.bucket, Key: this.key(fileId) };
+    if (start !== undefined || end !== undefined) {
+      params.Range = `bytes=${start ?? 0}-${end ?? ''}`;
+    }
+
+    this.client
+      .send(new GetObjectCommand(params))
+      .then(response => {
+        response.Body.on('error', error => stream.destroy(error));
+        response.Body.pipe(stream);
+        // Stop downloading when the consumer goes away
+        stream.on('close', () => response.Body.destroy());
+      })
+      .catch(error => {
+        stream.destroy(isNotFound(error) ? fileNotFound(fileId) : error);
+      });
+
+    return stream;
+  }
+
+  /**
+   * Get file information
+   * @param {String|ObjectId} fileId - File ID
+   * @returns {Promise<Object>}
+   */
+  async stat(fileId) {
+    const { HeadObjectCommand } = require('@aws-sdk/client-s3');
+    let head;
+    try {
+      head = await this.client.send(
+        new HeadObjectCommand({ Bucket: this.bucket, Key: this.key(fileId) }),
+      );
+    } catch (error) {
+      if (isNotFound(error)) throw fileNotFound(fileId);
+      throw error;
+    }
+
+    const { filename, metadata } = decodeMetadata(head.Metadata);
+    return {
+      fileId: new mongoose.Types.ObjectId(fileId.toString()),
+      filename,
+      length: head.ContentLength,
+      uploadDate: head.LastModified,
+      etag: head.ETag,
+      metadata,
+    };
+  }
+
+  /**
+   * Delete a file (S3 deletes are idempotent)
+   * @param {String|ObjectId} fileId - File ID
+   */
+  async delete(fileId) {
+    const { DeleteObjectCommand } = require('@aws-sdk/client-s3');
+    await this.client.send(new DeleteObjectCommand({ Bucket: this.bucket, Key: this.key(fileId) }));
+  }
+
+  /**
+   * List stored files
+   * Metadata lives on each object, so filtering needs a HEAD request per object
+   * @param {Object} filter - { metadata: { key: value } }
+   * @returns {Promise<Array>}
+   */
+  async list({ metadata = {} } = {}) {
+    const { ListObjectsV2Command } = require('@aws-sdk/client-s3');
+    const files = [];
+    let ContinuationToken;
+
+    do {
+      const page = await this.client.send(
+        new ListObjectsV2Command({ Bucket: this.bucket, Prefix: this.prefix, ContinuationToken }),
+      );
+      for (const object of page.Contents || []) {
+        const file = await this.stat(object.Key.slice(this.prefix.length));
+        const matches = Object.entries(metadata).every(
+          ([key, value]) => String(file.metadata[key]) === String(value),
+        );
+        if (matches) files.push(file);
+      }
+      ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+    } while (ContinuationToken);
+
+    return files;
+  }
+}
+
+// S3 user metadata only allows ASCII header values, so the JSON is URI-encoded
+const encodeMetadata = (filename, metadata) => ({
+  filename: encodeURIComponent(filename),
+  metadata: encodeURIComponent(JSON.stringify(metadata)),
+});
+
+const decodeMetadata = (raw = {}) => ({
+  filename: raw.filename ? decodeURIComponent(raw.filename) : undefined,
+  metadata: raw.metadata ? JSON.parse(decodeURIComponent(raw.metadata)) : {},
+});
+
+const isNotFound = error =>
+  error.name === 'NoSuchKey' || error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404;
+
+module.exports = S3Driver;
@@ -0,0 +1,102 @@
+/**
+ * Storyboard Service
+ * Lays out frames sampled at a fixed interval into sprite sheets and builds the
+ * WebVTT thumbnails track players use for seek bar previews.
+ */
+
+const SPRITE_MIME_TYPE = 'image/jpeg';
+const VTT_MIME_TYPE = 'text/vtt';
+
+const TILE_WIDTH = 160;
+const COLUMNS = 10;
+const ROWS = 10;
+
+// Long videos get a wider interval so the storyboard stays small
+const MAX_FRAMES = 1000;
+
+const isStoryboardEnabled = () => process.env.STORYBOARD_ENABLED !== 'false';
+
+const getBaseInterval = () => parseInt(process.env.STORYBOARD_INTERVAL_SECONDS || 5, 10);
+
+/**
+ * Work out the storyboard layout for a video
+ * @param {Number} duration - Duration in seconds
+ * @param {Number} width - Source width
+ * @param {Number} height - Source height
+ * @returns {Object|null} - { interval, frameCount, columns, rows, tileWidth, tileHeight, sheetCount },
+ *   or null when the video cannot have a storyboard
+ */
+const planStoryboard = (duration, width, height) => {
+  if (!duration || !width || !height) return null;
+
+  const interval = Math.max(getBaseInterval(), Math.ceil(duration / MAX_FRAMES));
+  const frameCount = Math.max(1, Math.ceil(duration / interval));
+  const perSheet = COLUMNS * ROWS;
+
+  return {
+    interval,
+    frameCount,
+    columns: COLUMNS,
+    rows: ROWS,
+    tileWidth: TILE_WIDTH,
+    // Even height so every encoder accepts the tile size
+    tileHeight: Math.max(2, Math.round((TILE_WIDTH * height) / width / 2) * 2),
+    sheetCount: Math.ceil(frameCount / perSheet),
+  };
+};
+
+/**
+ * Format seconds as a WebVTT timestamp (HH:MM:SS.mmm)
+ * @param {Number} seconds
+ * @returns {String}
+ */
+const formatVttTimestamp = seconds => {
+  const totalMs = Math.round(seconds * 1000);
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor((totalMs % 3600000) / 60000);
+  const secs = Math.floor((totalMs % 60000) / 1000);
+  const ms = totalMs % 1000;
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  return `${pad(hours)}:${pad(minutes)}:${pad(secs)}.${pad(ms, 3)}`;
+};
+
+/**
+ * Build the WebVTT thumbnails track for a storyboard
+ * Each cue points at a tile using a media fragment: "<sheet>#xywh=x,y,w,h".
+ * @param {Object} storyboard - Layout from planStoryboard
+ * @param {Number} duration - Duration in seconds
+ * @param {Function} getSheetUrl - Returns the URL of a sheet by index
+ * @returns {String}
+ */
+const buildThumbnailsVtt = (storyboard, duration, getSheetUrl) => {
+  const { interval, frameCount, columns, rows, tileWidth, tileHeight } = storyboard;
+  const perSheet = columns * rows;
+  const lines = ['WEBVTT', ''];
+
+  for (let frame = 0; frame < frameCount; frame++) {
+    const start = frame * interval;
+    if (start >= duration) break;
+    const end = Math.min(start + interval, duration);
+
+    const position = frame % perSheet;
+    const x = (position % columns) * tileWidth;
+    const y = Math.floor(position / columns) * tileHeight;
+
+    lines.push(
+      `${formatVttTimestamp(start)} --> ${formatVttTimestamp(end)}`,
+      `${getSheetUrl(Math.floor(frame / perSheet))}#xywh=${x},${y},${tileWidth},${tileHeight}`,
+      ''
+    );
+  }
+
+  return lines.join('\n');
+};
+
+module.exports = {
+  SPRITE_MIME_TYPE,
+  VTT_MIME_TYPE,
+  isStoryboardEnabled,
+  planStoryboard,
+  formatVttTimestamp,
+  buildThumbnailsVtt,
+};
@@ -0,0 +1,215 @@
+/**
+ * Technical Metadata Service
+ * Turns ffprobe output into the technicalMetadata stored on a video (every
+ * stream, rotation, color and HDR details) and builds list filters over it.
+ */
+
+const STREAM_TYPES = ['video', 'audio', 'subtitle', 'data', 'attachment'];
+
+// Transfer characteristics that mark HDR video
+const HDR_TRANSFERS = {
+  smpte2084: 'HDR10', // PQ
+  'arib-std-b67': 'HLG',
+};
+
+/**
+ * Parse a number ffprobe may report as a string, "N/A" or not at all
+ * @param {*} value
+ * @returns {Number|null}
+ */
+const parseNumber = value => {
+  const number = typeof value === 'number' ? value : parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+/**
+ * Parse an ffprobe frame rate such as "30000/1001" or "25"
+ * @param {String} value - Rational or decimal frame rate
+ * @returns {Number|null} - Frames per second, rounded to 3 decimals; null when unknown (e.g. "0/0")
+ */
+const parseFrameRate = value => {
+  const match = /^\s*(\d+(?:\.\d+)?)\s*(?:\/\s*(\d+(?:\.\d+)?))?\s*$/.exec(String(value ?? ''));
+  if (!match) return null;
+
+  const numerator = parseFloat(match[1]);
+  const denominator = match[2] === undefined ? 1 : parseFloat(match[2]);
+  if (!numerator || !denominator) return null;
+  return Math.round((numerator / denominator) * 1000) / 1000;
+};
+
+/**
+ * Clockwise rotation a player applies to a video stream
+ * Older ffprobe versions report a rotate tag; newer ones a display matrix,
+ * whose rotation is counter-clockwise.
+ * @param {Object} stream - ffprobe stream
+ * @returns {Number} - 0, 90, 180 or 270
+ */
+const getRotation = stream => {
+  const tag = parseNumber(stream.tags?.rotate);
+  const matrix = (stream.side_data_list || []).find(data => data.rotation !== undefined);
+  const degrees = tag ?? (matrix ? -parseNumber(matrix.rotation) : 0);
+  return ((Math.round(degrees / 90) * 90) % 360 + 360) % 360;
+};
+
+/**
+ * HDR format of a video stream
+ * @param {Object} stream - ffprobe stream
+ * @returns {String|null} - 'Dolby Vision', 'HDR10', 'HLG' or null for SDR
+ */
+const getHdrFormat = stream => {
+  const sideData = stream.side_data_list || [];
+  if (sideData.some(data => /dovi/i.test(data.side_data_type || ''))) return 'Dolby Vision';
+  return HDR_TRANSFERS[stream.color_transfer] || null;
+};
+
+/**
+ * Bits per sample of a video stream
+ * @param {Object} stream - ffprobe stream
+ * @returns {Number|null}
+ */
+const getBitDepth = stream => {
+  const reported = parseNumber(stream.bits_per_raw_sample);
+  if (reported) return reported;
+  if (!stream.pix_fmt) return null;
+  const match = /p(\d+)(?:le|be)$/.exec(stream.pix_fmt);
+  return match ? parseInt(match[1], 10) : 8;
+};
+
+/**
+ * Describe one stream of any type
+ * @param {Object} stream - ffprobe stream
+ * @returns {Object}
+ */
+const describeStream = stream => {
+  const type = STREAM_TYPES.includes(stream.codec_type) ? stream.codec_type : 'data';
+  const described = {
+    index: stream.index,
+    type,
+    codec: stream.codec_name || null,
+    profile: stream.profile || null,
+    language: stream.tags?.language || null,
+    title: stream.tags?.title || null,
+    bitRate: parseNumber(stream.bit_rate),
+    isDefault: stream.disposition?.default === 1,
+  };
+
+  if (type === 'video') {
+    Object.assign(described, {
+      width: stream.width,
+      height: stream.height,
+      frameRate: parseFrameRate(stream.avg_frame_rate) ?? parseFrameRate(stream.r_frame_rate),
+      pixelFormat: stream.pix_fmt || null,
+      // Cover art is stored as a single-frame video stream
+      attachedPicture: stream.disposition?.attached_pic === 1,
+    });
+  } else if (type === 'audio') {
+    Object.assign(described, {
+      sampleRate: parseNumber(stream.sample_rate),
+      channels: stream.channels ?? null,
+      channelLayout: stream.channel_layout || null,
+    });
+  }
+
+  return described;
+};
+
+/**
+ * Build the technicalMetadata subdocument from ffprobe output
+ * @param {Object} probe - ffprobe result ({ format, streams })
+ * @returns {Object}
+ */
+const buildTechnicalMetadata = probe => {
+  const streams = probe.streams || [];
+  const videoStream = streams.find(s => s.codec_type === 'video' && s.disposition?.attached_pic !== 1);
+  const audioStream = streams.find(s => s.codec_type === 'audio');
+
+  const streamCounts = Object.fromEntries(STREAM_TYPES.map(type => [type, 0]));
+  const described = streams.map(describeStream);
+  for (const stream of described) streamCounts[stream.type] += 1;
+
+  return {
+    container: (probe.format?.format_name || '').split(',').filter(Boolean),
+    duration: parseNumber(probe.format?.duration),
+    size: parseNumber(probe.format?.size),
+    bitRate: parseNumber(probe.format?.bit_rate),
+    video: videoStream
+      ? {
+          codec: videoStream.codec_name || null,
+          profile: videoStream.profile || null,
+          level: videoStream.level ?? null,
+          width: videoStream.width,
+          height: videoStream.height,
+          displayAspectRatio: videoStream.display_aspect_ratio || null,
+          frameRate: parseFrameRate(videoStream.avg_frame_rate) ?? parseFrameRate(videoStream.r_frame_rate),
+          bitRate: parseNumber(videoStream.bit_rate),
+          pixelFormat: videoStream.pix_fmt || null,
+          bitDepth: getBitDepth(videoStream),
+          rotation: getRotation(videoStream),
+          colorSpace: videoStream.color_space || null,
+          colorPrimaries: videoStream.color_primaries || null,
+          colorTransfer: videoStream.color_transfer || null,
+          colorRange: videoStream.color_range || null,
+          hdr: getHdrFormat(videoStream) !== null,
+          hdrFormat: getHdrFormat(videoStream),
+        }
+      : null,
+    audio: audioStream
+      ? {
+          codec: audioStream.codec_name || null,
+          sampleRate: parseNumber(audioStream.sample_rate),
+          channels: audioStream.channels ?? null,
+          channelLayout: audioStream.channel_layout || null,
+          bitRate: parseNumber(audioStream.bit_rate),
+        }
+      : null,
+    streamCounts,
+    streams: described,
+    extractedAt: new Date(),
+  };
+};
+
+/**
+ * Build a Video query over technicalMetadata from list filters
+ * Every filter is optional; the route validates and converts the values.
+ * @param {Object} filters - Query parameters
+ * @returns {Object} - Mongo query fields to merge into the list query
+ */
+const buildTechnicalFilter = filters => {
+  const query = {};
+  const range = (field, min, max) => {
+    if (min === undefined && max === undefined) return;
+    query[field] = {
+      ...(min !== undefined && { $gte: min }),
+      ...(max !== undefined && { $lte: max }),
+    };
+  };
+
+  if (filters.container) query['technicalMetadata.container'] = filters.container;
+  if (filters.videoCodec) query['technicalMetadata.video.codec'] = filters.videoCodec;
+  if (filters.audioCodec) query['technicalMetadata.audio.codec'] = filters.audioCodec;
+  if (filters.pixelFormat) query['technicalMetadata.video.pixelFormat'] = filters.pixelFormat;
+  if (filters.rotation !== undefined) query['technicalMetadata.video.rotation'] = filters.rotation;
+  if (filters.hdr !== undefined) query['technicalMetadata.video.hdr'] = filters.hdr;
+  range('technicalMetadata.video.width', filters.minWidth, undefined);
+  range('technicalMetadata.video.height', filters.minHeight, undefined);
+  range('technicalMetadata.video.frameRate', filters.minFrameRate, filters.maxFrameRate);
+  range('technicalMetadata.bitRate', filters.minBitRate, filters.maxBitRate);
+  range('technicalMetadata.streamCounts.audio', filters.minAudioTracks, undefined);
+  if (filters.hasSubtitles !== undefined) {
+    query['technicalMetadata.streamCounts.subtitle'] = filters.hasSubtitles ? { $gt: 0 } : 0;
+  }
+
+  return query;
+};
+
+module.exports = {
+  STREAM_TYPES,
+  parseNumber,
+  parseFrameRate,
+  getRotation,
+  getHdrFormat,
+  getBitDepth,
+  describeStream,
+  buildTechnicalMetadata,
+  buildTechnicalFilter,
+};
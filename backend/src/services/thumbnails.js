@@ -0,0 +1,149 @@
+const ffmpeg = require('fluent-ffmpeg');
+const { PassThrough, Readable } = require('stream');
+const Video = require('../models/Video');
+const storage = require('./storage');
+
+/**
+ * Thumbnail Service
+ * Renders resized and re-encoded variants of a video's thumbnail on demand and
+ * caches them in storage, so each variant is only rendered once.
+ */
+
+const THUMBNAIL_FORMATS = {
+  jpeg: { mimeType: 'image/jpeg', codec: 'mjpeg', extension: 'jpg', quality: ['-q:v 3'] },
+  webp: { mimeType: 'image/webp', codec: 'libwebp', extension: 'webp', quality: ['-quality 80'] },
+};
+
+const MAX_THUMBNAIL_DIMENSION = 1280;
+
+// Variants cached per video; requests beyond this are rendered but not stored
+const MAX_CACHED_VARIANTS = 12;
+
+/**
+ * Cache key for a variant, e.g. "320x.webp" or "x180.jpeg"
+ * @param {Object} variant - { width, height, format }
+ * @returns {String}
+ */
+const getVariantKey = ({ width, height, format }) => `${width || ''}x${height || ''}.${format}`;
+
+/**
+ * Build the scale filter for a variant; thumbnails are only ever scaled down
+ * @param {Object} variant - { width, height }
+ * @returns {String|null} - null when the size is unchanged
+ */
+const buildScaleFilter = ({ width, height }) => {
+  if (width && height) {
+    return `scale=w='min(iw,${width})':h='min(ih,${height})':force_original_aspect_ratio=decrease`;
+  }
+  if (width) return `scale=w='min(iw,${width})':h=-2`;
+  if (height) return `scale=w=-2:h='min(ih,${height})'`;
+  return null;
+};
+
+/**
+ * Render a thumbnail variant with ffmpeg
+ * @param {Buffer} source - Original thumbnail image
+ * @param {Object} variant - { width, height, format }
+ * @returns {Promise<Buffer>}
+ */
+const renderVariant = (source, variant) => {
+  const { codec, quality } = THUMBNAIL_FORMATS[variant.format];
+  const filter = buildScaleFilter(variant);
+
+  return new Promise((resolve, reject) => {
+    const output = new PassThrough();
+    const chunks = [];
+    output.on('data', chunk => chunks.push(chunk));
+    output.on('end', () => resolve(Buffer.concat(chunks)));
+
+    ffmpeg(Readable.from([source]))
+      .outputOptions([
+        ...(filter ? [`-vf ${filter}`] : []),
+        '-frames:v 1',
+        `-c:v ${codec}`,
+        ...quality,
+      ])
+      .format('image2pipe')
+      .on('error', err => reject(new Error(`Failed to render thumbnail: ${err.message}`)))
+      .pipe(output, { end: true });
+  });
+};
+
+/**
+ * Get a thumbnail variant, rendering and caching it if needed
+ * @param {Object} video - Video document with a thumbnail
+ * @param {Object} variant - { width, height, format }
+ * @returns {Promise<Object>} - { fileId, mimeType } for stored files,
+ *   { buffer, mimeType } for renders that could not be cached
+ */
+const getVariant = async (video, variant) => {
+  const { mimeType, extension } = THUMBNAIL_FORMATS[variant.format];
+
+  // The original is a JPEG; serve it as-is when nothing changes
+  if (!variant.width && !variant.height && variant.format === 'jpeg') {
+    return { fileId: video.thumbnailGridFsFileId, mimeType };
+  }
+
+  const key = getVariantKey(variant);
+  const variants = video.thumbnailVariants || [];
+  const cached = variants.find(v => v.key === key);
+  if (cached) {
+    return { fileId: cached.fileId, mimeType };
+  }
+
+  const buffer = await renderVariant(
+    await storage.downloadToBuffer(video.thumbnailGridFsFileId),
+    variant
+  );
+  if (variants.length >= MAX_CACHED_VARIANTS) {
+    return { buffer, mimeType };
+  }
+
+  const { fileId } = await storage.upload(
+    buffer,
+    `thumb-${video._id}-${key.replace('.', '-')}.${extension}`,
+    { videoId: video._id.toString(), mimeType, type: 'thumbnail-variant' }
+  );
+
+  // Another request may have cached the same variant (or filled the cache) meanwhile
+  const { modifiedCount } = await Video.updateOne(
+    {
+      _id: video._id,
+      thumbnailGridFsFileId: video.thumbnailGridFsFileId,
+      'thumbnailVariants.key': { $ne: key },
+      [`thumbnailVariants.${MAX_CACHED_VARIANTS - 1}`]: { $exists: false },
+    },
+    { $push: { thumbnailVariants: { key, fileId } } }
+  );
+  if (modifiedCount === 0) {
+    await storage.deleteFile(fileId);
+    return { buffer, mimeType };
+  }
+
+  return { fileId, mimeType };
+};
+
+/**
+ * Delete a video's cached thumbnail variants (missing files are ignored)
+ * @param {Object} video - Video document
+ */
+const deleteVariants = async video => {
+  for (const { fileId } of video.thumbnailVariants || []) {
+    try {
+      await storage.deleteFile(fileId);
+    } catch (error) {
+      console.warn(`Failed to delete thumbnail variant ${fileId}:`, error.message);
+    }
+  }
+};
+
+module.exports = {
+  THUMBNAIL_FORMATS,
+  MAX_THUMBNAIL_DIMENSION,
+  MAX_CACHED_VARIANTS,
+  getVariantKey,
+  buildScaleFilter,
+  renderVariant,
+  getVariant,
+  deleteVariants,
+};
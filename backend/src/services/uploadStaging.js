@@ -0,0 +1,145 @@
+const fs = require('fs');
+const fsp = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+
+/**
+ * Upload Staging Service
+ * Holds the bytes of resumable uploads on local disk until they are complete
+ * and can be handed to the storage service in one pass
+ */
+
+const getStagingRoot = () =>
+  path.resolve(process.env.UPLOAD_STAGING_PATH || path.join(os.tmpdir(), 'pulse-uploads'));
+
+/**
+ * Get the staging file path for an upload session
+ * @param {String} sessionId - Upload session ID
+ * @returns {String}
+ */
+const stagingPath = sessionId => path.join(getStagingRoot(), `${sessionId.toString()}.part`);
+
+/**
+ * Write a chunk at the given offset
+ * Bytes that arrive before the stream fails are kept, so the client can resume after them.
+ * @param {String} sessionId - Upload session ID
+ * @param {Stream} source - Chunk contents
+ * @param {Number} offset - Position to write at
+ * @param {Number} maxBytes - Bytes still expected for the upload
+ * @returns {Promise<Object>} - { bytesWritten, error }
+ */
+const writeChunk = async (sessionId, source, offset, maxBytes) => {
+  await fsp.mkdir(getStagingRoot(), { recursive: true });
+
+  let bytesWritten = 0;
+  const limiter = new Transform({
+    transform(chunk, _encoding, callback) {
+      if (bytesWritten + chunk.length > maxBytes) {
+        return callback(new Error('Chunk exceeds the declared upload length'));
+      }
+      bytesWritten += chunk.length;
+      callback(null, chunk);
+    },
+  });
+
+  const target = fs.createWriteStream(stagingPath(sessionId), {
+    flags: offset === 0 ? 'w' : 'r+',
+    start: offset,
+  });
+
+  try {
+    await pipeline(source, limiter, target);
+    return { bytesWritten: target.bytesWritten, error: null };
+  } catch (error) {
+    // Count only what actually reached the disk before the stream failed
+    return { bytesWritten: target.bytesWritten, error };
+  }
+};
+
+/**
+ * Read the first bytes of a staged upload
+ * @param {String} sessionId - Upload session ID
+ * @param {Number} length - Number of bytes
+ * @returns {Promise<Buffer>}
+ */
+const readHead = async (sessionId, length) => {
+  const handle = await fsp.open(stagingPath(sessionId), 'r');
+  try {
+    const buffer = Buffer.alloc(length);
+    const { bytesRead } = await handle.read(buffer, 0, length, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+};
+
+/**
+ * Get the number of bytes staged so far
+ * @param {String} sessionId - Upload session ID
+ * @returns {Promise<Number|null>} - null when nothing is staged
+ */
+const getStagedSize = async sessionId => {
+  try {
+    const stats = await fsp.stat(stagingPath(sessionId));
+    return stats.size;
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+};
+
+/**
+ * Open a read stream over a staged upload
+ * @param {String} sessionId - Upload session ID
+ * @returns {Stream}
+ */
+const createReadStream = sessionId => fs.createReadStream(stagingPath(sessionId));
+
+/**
+ * Remove a staged upload (missing files are ignored)
+ * @param {String} sessionId - Upload session ID
+ */
+const remove = async sessionId => {
+  try {
+    await fsp.unlink(stagingPath(sessionId));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+};
+
+/**
+ * List the staged uploads on disk
+ * @returns {Promise<Array>} - [{ sessionId, modifiedAt }]
+ */
+const listStaged = async () => {
+  let entries;
+  try {
+    entries = await fsp.readdir(getStagingRoot());
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const staged = [];
+  for (const name of entries.filter(entry => entry.endsWith('.part'))) {
+    try {
+      const stats = await fsp.stat(path.join(getStagingRoot(), name));
+      staged.push({ sessionId: name.slice(0, -'.part'.length), modifiedAt: stats.mtime });
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+  return staged;
+};
+
+module.exports = {
+  stagingPath,
+  writeChunk,
+  readHead,
+  getStagedSize,
+  createReadStream,
+  remove,
+  listStaged,
+};
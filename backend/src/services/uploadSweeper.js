@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+const UploadSession = require('../models/UploadSession');
+const uploadStaging = require('./uploadStaging');
+
+/**
+ * Upload Sweeper
+ * Periodically deletes resumable uploads that expired or were abandoned.
+ * The staged file goes first and the session after it, so an interrupted
+ * sweep leaves a session to retry rather than a file nothing points to.
+ */
+
+// Sessions are claimed like a PATCH would, so no request writes while they are deleted
+const CLAIM_MS = 5 * 60 * 1000;
+const BATCH_SIZE = 100;
+
+const getSweepInterval = () =>
+  parseInt(process.env.UPLOAD_SWEEP_INTERVAL_MS || String(15 * 60 * 1000), 10);
+
+// Staged files without a session are kept at least as long as a session lives
+const STRAY_FILE_AGE_MS = 24 * 60 * 60 * 1000;
+
+let sweepTimer = null;
+
+/**
+ * Delete expired sessions and their staged bytes, then staged files without a session
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} - { sessions, files }
+ */
+const sweep = async (now = new Date()) => {
+  const lockFree = { $or: [{ lockedUntil: null }, { lockedUntil: { $lt: now } }] };
+  let sessions = 0;
+  let files = 0;
+
+  const expired = await UploadSession.find({ expiresAt: { $lt: now }, ...lockFree })
+    .select('_id')
+    .limit(BATCH_SIZE);
+
+  for (const { _id } of expired) {
+    const claimed = await UploadSession.findOneAndUpdate(
+      { _id, expiresAt: { $lt: now }, ...lockFree },
+      { lockedUntil: new Date(now.getTime() + CLAIM_MS) },
+      { new: true }
+    );
+    if (!claimed) continue;
+
+    await uploadStaging.remove(claimed._id);
+    await UploadSession.deleteOne({ _id: claimed._id });
+    sessions += 1;
+  }
+
+  // Files left behind when a session was deleted without them (e.g. a crash in between)
+  for (const { sessionId, modifiedAt } of await uploadStaging.listStaged()) {
+    if (now - modifiedAt < STRAY_FILE_AGE_MS) continue;
+    if (mongoose.isValidObjectId(sessionId) && (await UploadSession.exists({ _id: sessionId }))) continue;
+
+    await uploadStaging.remove(sessionId);
+    files += 1;
+  }
+
+  if (sessions || files) {
+    console.info(`Upload sweep removed ${sessions} expired session(s) and ${files} stray file(s)`);
+  }
+  return { sessions, files };
+};
+
+/**
+ * Start sweeping periodically
+ */
+const start = () => {
+  if (sweepTimer) return;
+
+  sweepTimer = setInterval(() => {
+    sweep().catch(error => console.error('Upload sweep failed:', error));
+  }, getSweepInterval());
+  // Sweeping alone should not keep the process alive
+  sweepTimer.unref();
+};
+
+/**
+ * Stop sweeping
+ */
+const stop = () => {
+  clearInterval(sweepTimer);
+  sweepTimer = null;
+};
+
+module.exports = {
+  sweep,
+  start,
+  stop,
+};
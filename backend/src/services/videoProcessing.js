@@ -1,8 +1,21 @@
 const ffmpeg = require('fluent-ffmpeg');
 const path = require('path');
 const fs = require('fs').promises;
+const { createReadStream } = require('fs');
+const { pipeline } = require('stream');
 const os = require('os');
-const gridfsStorage = require('./gridfsStorage');
+const storage = require('./storage');
+const hls = require('./hls');
+const storyboard = require('./storyboard');
+const sensitivityRules = require('./sensitivityRules');
+const classifier = require('./classifier');
+const detection = require('./detection');
+const loudness = require('./loudness');
+const fingerprint = require('./fingerprint');
+const chapters = require('./chapters');
+const captions = require('./captions');
+const clips = require('./clips');
+const technicalMetadata = require('./technicalMetadata');
 
 // Set FFmpeg and FFprobe paths (use installed binary in production, mock in tests)
 if (process.env.NODE_ENV !== 'test') {
@@ -17,6 +30,80 @@ if (process.env.NODE_ENV !== 'test') {
   }
 }
 
+/**
+ * Processing stages and their share of the overall progress bar
+ * Weights are relative; stages run in this order.
+ */
+const PROCESSING_STAGES = [
+  { name: 'download', weight: 20 },
+  { name: 'probe', weight: 5 },
+  { name: 'thumbnail', weight: 5 },
+  { name: 'loudness', weight: 5 },
+  { name: 'transcode', weight: 55 },
+  { name: 'storyboard', weight: 10 },
+  { name: 'detect', weight: 10 },
+  { name: 'scenes', weight: 5 },
+  { name: 'subtitles', weight: 5 },
+  { name: 'classify', weight: 10 },
+  { name: 'fingerprint', weight: 5 },
+  { name: 'analysis', weight: 5 },
+];
+
+/**
+ * Turn per-stage progress into one overall percentage
+ * Reports only when the whole percentage or the stage changes, and never goes backwards.
+ * @param {Array} stages - [{ name, weight }] in run order
+ * @param {Function} onProgress - Called with (stage, percent)
+ * @returns {Function} - update(stage, fraction) where fraction is 0..1 within the stage
+ */
+const createProgressTracker = (stages, onProgress = () => {}) => {
+  const totalWeight = stages.reduce((sum, stage) => sum + stage.weight, 0);
+  let lastStage = null;
+  let lastPercent = 0;
+
+  return (stageName, fraction = 0) => {
+    const index = stages.findIndex(stage => stage.name === stageName);
+    if (index === -1) return;
+
+    const before = stages.slice(0, index).reduce((sum, stage) => sum + stage.weight, 0);
+    const clamped = Math.min(Math.max(fraction, 0), 1);
+    const percent = Math.max(
+      lastPercent,
+      Math.floor(((before + stages[index].weight * clamped) / totalWeight) * 100)
+    );
+
+    if (percent === lastPercent && stageName === lastStage) return;
+    lastStage = stageName;
+    lastPercent = percent;
+    onProgress(stageName, percent);
+  };
+};
+
+/**
+ * Convert an ffmpeg timemark (HH:MM:SS.ms) to seconds
+ * @param {String} timemark
+ * @returns {Number}
+ */
+const parseTimemark = (timemark = '') =>
+  String(timemark)
+    .split(':')
+    .reduce((seconds, part) => seconds * 60 + (parseFloat(part) || 0), 0);
+
+/**
+ * Forward an ffmpeg command's progress as a 0..1 fraction of the input duration
+ * (for long-running commands such as transcodes)
+ * @param {Object} command - fluent-ffmpeg command
+ * @param {Number} duration - Input duration in seconds
+ * @param {Function} onProgress - Called with the fraction done
+ * @returns {Object} - The command, for chaining
+ */
+const reportFfmpegProgress = (command, duration, onProgress) => {
+  if (!onProgress || !duration) return command;
+  return command.on('progress', progress => {
+    onProgress(parseTimemark(progress.timemark) / duration);
+  });
+};
+
 /**
  * Extract video metadata using FFmpeg
  * @param {String} videoPath - Path to video file
@@ -31,6 +118,7 @@ const extractMetadata = videoPath => {
 
       const videoStream = metadata.streams.find(s => s.codec_type === 'video');
       const audioStream = metadata.streams.find(s => s.codec_type === 'audio');
+      const subtitleStreams = metadata.streams.filter(s => s.codec_type === 'subtitle');
 
       if (!videoStream) {
         return reject(new Error('No video stream found'));
@@ -45,7 +133,7 @@ const extractMetadata = videoPath => {
           codec: videoStream.codec_name,
           width: videoStream.width,
           height: videoStream.height,
-          frameRate: eval(videoStream.r_frame_rate), // Convert fraction to number
+          frameRate: technicalMetadata.parseFrameRate(videoStream.r_frame_rate),
           bitRate: videoStream.bit_rate,
         },
         audio: audioStream
@@ -55,6 +143,14 @@ const extractMetadata = videoPath => {
               channels: audioStream.channels,
             }
           : null,
+        subtitles: subtitleStreams.map(stream => ({
+          index: stream.index,
+          codec: stream.codec_name,
+          language: stream.tags?.language,
+          title: stream.tags?.title,
+          hearingImpaired: stream.disposition?.hearing_impaired === 1,
+        })),
+        technical: technicalMetadata.buildTechnicalMetadata(metadata),
       });
     });
   });
@@ -74,7 +170,8 @@ const generateThumbnail = (videoPath, outputPath, timestamp = 1) => {
         timestamps: [timestamp],
         filename: path.basename(outputPath),
         folder: path.dirname(outputPath),
-        size: '320x240',
+        // Keep the source aspect ratio; smaller sizes are served as variants
+        size: '640x?',
       })
       .on('end', () => {
         resolve(outputPath);
@@ -86,84 +183,552 @@ const generateThumbnail = (videoPath, outputPath, timestamp = 1) => {
 };
 
 /**
- * Analyze video content for sensitivity
- * Rule-based analysis (can be replaced with ML model in future)
- * @param {Object} metadata - Video metadata
- * @param {String} title - Video title
- * @param {String} description - Video description
- * @returns {Object} - Sensitivity analysis result
+ * Build the ffmpeg output options for one HLS rendition
+ * @param {Object} rendition - Rendition from hls.selectRenditions
+ * @param {String} directory - Directory for the playlist and segments
+ * @param {Number} segmentDuration - Target segment length in seconds
+ * @param {String} audioFilter - Optional filter applied to the audio (loudness normalization)
+ * @returns {Array}
  */
-const analyzeSensitivity = (metadata, title = '', description = '') => {
-  const flags = [];
-  let sensitivity = 'safe';
-
-  // Rule 1: Check video duration (flag very short or very long videos)
-  if (metadata.duration < 5) {
-    flags.push('Very short duration (< 5 seconds)');
-  } else if (metadata.duration > 3600) {
-    // > 1 hour
-    flags.push('Very long duration (> 1 hour)');
+const buildHlsOutputOptions = (rendition, directory, segmentDuration, audioFilter = null) => {
+  const shortSide = Math.min(rendition.width, rendition.height);
+  return [
+    '-map 0:v:0',
+    ...(rendition.audioBitrate ? ['-map 0:a:0'] : []),
+    // Scale the short side after ffmpeg applies any rotation, keeping the aspect ratio
+    `-vf scale=w='if(gte(iw,ih),-2,${shortSide})':h='if(gte(iw,ih),${shortSide},-2)'`,
+    '-c:v libx264',
+    '-preset veryfast',
+    '-profile:v main',
+    '-pix_fmt yuv420p',
+    `-b:v ${rendition.videoBitrate}k`,
+    `-maxrate ${Math.round(rendition.videoBitrate * 1.07)}k`,
+    `-bufsize ${rendition.videoBitrate * 2}k`,
+    // Keyframes on segment boundaries let players switch renditions at any segment
+    `-force_key_frames expr:gte(t,n_forced*${segmentDuration})`,
+    '-sc_threshold 0',
+    ...(rendition.audioBitrate && audioFilter ? [`-af ${audioFilter}`] : []),
+    ...(rendition.audioBitrate ? ['-c:a aac', `-b:a ${rendition.audioBitrate}k`, '-ac 2'] : []),
+    '-f hls',
+    `-hls_time ${segmentDuration}`,
+    '-hls_playlist_type vod',
+    `-hls_segment_filename ${path.join(directory, 'segment_%05d.ts')}`,
+  ];
+};
+
+/**
+ * Transcode a video into its HLS ladder and store the renditions
+ * All renditions come from one ffmpeg run, so the source is decoded once.
+ * @param {String} videoPath - Path to video file
+ * @param {Object} video - Video document
+ * @param {Object} metadata - Metadata from extractMetadata
+ * @param {Object} options
+ * @param {Function} options.onProgress - Called with the fraction transcoded
+ * @param {String} options.audioFilter - Filter applied to every rendition's audio
+ * @returns {Promise<Object>} - { renditions, fileIds }
+ */
+const transcodeToHls = async (videoPath, video, metadata, { onProgress, audioFilter } = {}) => {
+  const renditions = hls.selectRenditions(
+    metadata.video.width,
+    metadata.video.height,
+    !!metadata.audio
+  );
+  if (renditions.length === 0) {
+    throw new Error('Cannot transcode a video without a known resolution');
   }
 
-  // Rule 2: Check video resolution (flag unusual resolutions)
-  const width = metadata.video?.width || 0;
-  const height = metadata.video?.height || 0;
-  if (width > 0 && height > 0) {
-    const aspectRatio = width / height;
-    if (aspectRatio < 0.5 || aspectRatio > 3) {
-      flags.push('Unusual aspect ratio');
+  const outputDir = await fs.mkdtemp(path.join(os.tmpdir(), `hls-${video._id}-`));
+  const fileIds = [];
+
+  try {
+    const segmentDuration = hls.getSegmentDuration();
+    const command = ffmpeg(videoPath);
+    for (const rendition of renditions) {
+      const directory = path.join(outputDir, rendition.name);
+      await fs.mkdir(directory);
+      command
+        .output(path.join(directory, hls.PLAYLIST_FILENAME))
+        .outputOptions(buildHlsOutputOptions(rendition, directory, segmentDuration, audioFilter));
     }
+
+    await new Promise((resolve, reject) => {
+      reportFfmpegProgress(command, metadata.duration, onProgress)
+        .on('end', resolve)
+        .on('error', err => reject(new Error(`Failed to transcode HLS renditions: ${err.message}`)))
+        .run();
+    });
+
+    const stored = [];
+    for (const rendition of renditions) {
+      const result = await hls.storeRendition(
+        video._id,
+        rendition,
+        path.join(outputDir, rendition.name)
+      );
+      fileIds.push(...result.fileIds);
+      stored.push({
+        name: rendition.name,
+        width: rendition.width,
+        height: rendition.height,
+        bandwidth: rendition.bandwidth,
+        playlistFileId: result.playlistFileId,
+        segmentCount: result.segmentCount,
+      });
+    }
+
+    return { renditions: stored, fileIds };
+  } catch (error) {
+    // Don't leave a partial ladder behind in storage
+    await hls.deleteFiles(fileIds);
+    throw error;
+  } finally {
+    await fs.rm(outputDir, { recursive: true, force: true });
   }
+};
 
-  // Rule 3: Check for sensitive keywords in title/description
-  const sensitiveKeywords = [
-    'explicit',
-    'nsfw',
-    'adult',
-    '18+',
-    'mature',
-    'violence',
-    'graphic',
-  ];
-  const textToCheck = `${title} ${description}`.toLowerCase();
+/**
+ * Measure the EBU R128 loudness of a video's audio
+ * @param {String} videoPath - Path to video file
+ * @param {Object} metadata - Metadata from extractMetadata
+ * @param {Object} options
+ * @param {Function} options.onProgress - Called with the fraction done
+ * @returns {Promise<Object>} - { integrated, truePeak, range, threshold, targetOffset }
+ */
+const measureLoudness = (videoPath, metadata, { onProgress } = {}) => {
+  const lines = [];
 
-  for (const keyword of sensitiveKeywords) {
-    if (textToCheck.includes(keyword)) {
-      flags.push(`Contains sensitive keyword: ${keyword}`);
-      sensitivity = 'flagged';
-      break;
+  return new Promise((resolve, reject) => {
+    const command = ffmpeg(videoPath)
+      .outputOptions(['-map 0:a:0', `-af ${loudness.buildMeasureFilter()}`, '-f null'])
+      .output('-')
+      // loudnorm prints its measurement on stderr
+      .on('stderr', line => lines.push(line));
+
+    reportFfmpegProgress(command, metadata.duration, onProgress)
+      .on('end', () => {
+        try {
+          resolve(loudness.parseLoudnessLog(lines));
+        } catch (error) {
+          reject(error);
+        }
+      })
+      .on('error', err => reject(new Error(`Failed to measure loudness: ${err.message}`)))
+      .run();
+  });
+};
+
+/**
+ * Sample frames at the storyboard interval, pack them into sprite sheets and store them
+ * @param {String} videoPath - Path to video file
+ * @param {Object} video - Video document
+ * @param {Object} metadata - Metadata from extractMetadata
+ * @param {Object} options
+ * @param {Function} options.onProgress - Called with the fraction done
+ * @returns {Promise<Object>} - Storyboard layout and the stored sheet file IDs
+ */
+const generateStoryboard = async (videoPath, video, metadata, { onProgress } = {}) => {
+  const layout = storyboard.planStoryboard(
+    metadata.duration,
+    metadata.video.width,
+    metadata.video.height
+  );
+  if (!layout) {
+    throw new Error('Cannot build a storyboard without a known duration and resolution');
+  }
+
+  const { interval, columns, rows, tileWidth, tileHeight } = layout;
+  const outputDir = await fs.mkdtemp(path.join(os.tmpdir(), `storyboard-${video._id}-`));
+  const sheets = [];
+
+  try {
+    await new Promise((resolve, reject) => {
+      const command = ffmpeg(videoPath)
+        .outputOptions([
+          // Letterbox into the tile so rotated sources keep their shape
+          `-vf fps=1/${interval},scale=${tileWidth}:${tileHeight}:force_original_aspect_ratio=decrease,` +
+            `pad=${tileWidth}:${tileHeight}:(ow-iw)/2:(oh-ih)/2,tile=${columns}x${rows}`,
+          '-q:v 5',
+        ])
+        .output(path.join(outputDir, 'sheet_%04d.jpg'));
+
+      reportFfmpegProgress(command, metadata.duration, onProgress)
+        .on('end', resolve)
+        .on('error', err => reject(new Error(`Failed to generate storyboard: ${err.message}`)))
+        .run();
+    });
+
+    const files = (await fs.readdir(outputDir)).filter(name => name.endsWith('.jpg')).sort();
+    for (const [index, file] of files.entries()) {
+      const { fileId } = await storage.upload(
+        await fs.readFile(path.join(outputDir, file)),
+        `storyboard-${video._id}-${index}.jpg`,
+        { videoId: video._id.toString(), mimeType: storyboard.SPRITE_MIME_TYPE, type: 'storyboard' }
+      );
+      sheets.push(fileId);
+    }
+    if (sheets.length === 0) {
+      throw new Error('Failed to generate storyboard: no frames were extracted');
     }
+
+    return {
+      interval,
+      // ffmpeg may sample one frame fewer than planned
+      frameCount: Math.min(layout.frameCount, sheets.length * columns * rows),
+      columns,
+      rows,
+      tileWidth,
+      tileHeight,
+      sheets,
+    };
+  } catch (error) {
+    for (const fileId of sheets) {
+      await storage.deleteFile(fileId).catch(() => {});
+    }
+    throw error;
+  } finally {
+    await fs.rm(outputDir, { recursive: true, force: true });
+  }
+};
+
+/**
+ * Find black, frozen and silent stretches of a video
+ * @param {String} videoPath - Path to video file
+ * @param {Object} metadata - Metadata from extractMetadata
+ * @param {Object} options
+ * @param {Function} options.onProgress - Called with the fraction done
+ * @returns {Promise<Object>} - { black, freeze, silence } lists of { start, end, duration }
+ */
+const detectIntervals = (videoPath, metadata, { onProgress } = {}) => {
+  const filters = detection.buildDetectionFilters(!!metadata.audio);
+  const lines = [];
+
+  return new Promise((resolve, reject) => {
+    const command = ffmpeg(videoPath)
+      .outputOptions([
+        '-map 0:v:0',
+        `-vf ${filters.video}`,
+        ...(filters.audio ? ['-map 0:a:0', `-af ${filters.audio}`] : []),
+        '-f null',
+      ])
+      .output('-')
+      // The filters report what they find on stderr
+      .on('stderr', line => lines.push(line));
+
+    reportFfmpegProgress(command, metadata.duration, onProgress)
+      .on('end', () => resolve(detection.parseDetectionLog(lines, metadata.duration)))
+      .on('error', err => reject(new Error(`Failed to detect black/frozen/silent intervals: ${err.message}`)))
+      .run();
+  });
+};
+
+/**
+ * Find scene changes in a video
+ * @param {String} videoPath - Path to video file
+ * @param {Object} metadata - Metadata from extractMetadata
+ * @param {Object} options
+ * @param {Function} options.onProgress - Called with the fraction done
+ * @returns {Promise<Array>} - [{ time, score }]
+ */
+const detectScenes = (videoPath, metadata, { onProgress } = {}) => {
+  const lines = [];
+
+  return new Promise((resolve, reject) => {
+    const command = ffmpeg(videoPath)
+      .outputOptions(['-map 0:v:0', `-vf ${chapters.buildSceneFilter()}`, '-f null'])
+      .output('-')
+      // The metadata filter prints each selected frame on stderr
+      .on('stderr', line => lines.push(line));
+
+    reportFfmpegProgress(command, metadata.duration, onProgress)
+      .on('end', () => resolve(chapters.parseSceneLog(lines)))
+      .on('error', err => reject(new Error(`Failed to detect scenes: ${err.message}`)))
+      .run();
+  });
+};
+
+/**
+ * Convert the embedded text subtitle streams of a video to WebVTT and store them
+ * @param {String} videoPath - Path to video file
+ * @param {Object} video - Video document
+ * @param {Object} metadata - Metadata from extractMetadata
+ * @param {Object} options
+ * @param {Function} options.onProgress - Called with the fraction done
+ * @returns {Promise<Object>} - { tracks, skippedCount }
+ */
+const extractSubtitles = async (videoPath, video, metadata, { onProgress } = {}) => {
+  const { extractable, skipped } = captions.selectSubtitleStreams(metadata.subtitles);
+  let skippedCount = skipped.length;
+  if (extractable.length === 0) {
+    return { tracks: [], skippedCount };
   }
 
-  // Rule 4: Check file size relative to duration (detect potential quality issues)
-  if (metadata.duration > 0) {
-    const sizePerSecond = metadata.size / metadata.duration;
-    if (sizePerSecond < 10000) {
-      // < 10KB/sec is very low quality
-      flags.push('Unusually low bitrate/quality');
+  const outputDir = await fs.mkdtemp(path.join(os.tmpdir(), `captions-${video._id}-`));
+  const tracks = [];
+
+  try {
+    await new Promise((resolve, reject) => {
+      // One pass over the file writes every stream
+      const command = ffmpeg(videoPath);
+      for (const stream of extractable) {
+        command
+          .output(path.join(outputDir, `${stream.index}.vtt`))
+          .outputOptions([`-map 0:${stream.index}`, '-f webvtt']);
+      }
+
+      reportFfmpegProgress(command, metadata.duration, onProgress)
+        .on('end', resolve)
+        .on('error', err => reject(new Error(`Failed to extract subtitles: ${err.message}`)))
+        .run();
+    });
+
+    for (const [position, stream] of extractable.entries()) {
+      let track;
+      try {
+        track = captions.validateVtt(
+          captions.decodeCaptionFile(await fs.readFile(path.join(outputDir, `${stream.index}.vtt`)))
+        );
+      } catch {
+        // Streams without any cue are left out
+        skippedCount += 1;
+        continue;
+      }
+
+      const description = captions.describeEmbeddedTrack(stream, position);
+      const fileId = await captions.storeTrack(video._id, track.vtt, description.language);
+      tracks.push({ ...description, fileId, cueCount: track.cueCount });
     }
+
+    return { tracks, skippedCount };
+  } catch (error) {
+    await captions.deleteTracks(tracks);
+    throw error;
+  } finally {
+    await fs.rm(outputDir, { recursive: true, force: true });
   }
+};
+
+/**
+ * Find the keyframes close to a clip start
+ * @param {String} videoPath - Path to video file
+ * @param {Number} start - Requested clip start in seconds
+ * @returns {Promise<Array>} - Keyframe times in seconds
+ */
+const findKeyframes = (videoPath, start) => {
+  const { from, duration } = clips.getKeyframeWindow(start);
+  const lines = [];
+
+  return new Promise((resolve, reject) => {
+    ffmpeg(videoPath)
+      // Decode keyframes only, and keep source timestamps so the times are absolute
+      .inputOptions(['-skip_frame nokey', `-ss ${from}`, '-copyts'])
+      .outputOptions([`-t ${duration}`, '-map 0:v:0', '-vf showinfo', '-f null'])
+      .output('-')
+      .on('stderr', line => lines.push(line))
+      .on('end', () => resolve(clips.parseKeyframeLog(lines)))
+      .on('error', err => reject(new Error(`Failed to find keyframes: ${err.message}`)))
+      .run();
+  });
+};
+
+/**
+ * Cut a clip out of a video
+ * @param {String} videoPath - Path to the source video
+ * @param {String} outputPath - Path to write the clip to
+ * @param {Object} plan - Output of clips.planClip
+ * @param {Object} options
+ * @param {Function} options.onProgress - Called with the fraction done
+ * @returns {Promise<String>} - outputPath
+ */
+const cutClip = (videoPath, outputPath, plan, { onProgress } = {}) => {
+  return new Promise((resolve, reject) => {
+    const command = ffmpeg(videoPath)
+      // Seeking before the input starts a stream copy on the keyframe itself
+      .inputOptions([`-ss ${plan.start}`])
+      .outputOptions(clips.buildClipOutputOptions(plan))
+      .output(outputPath);
+
+    reportFfmpegProgress(command, plan.duration, onProgress)
+      .on('end', () => resolve(outputPath))
+      .on('error', err => reject(new Error(`Failed to cut clip: ${err.message}`)))
+      .run();
+  });
+};
+
+/**
+ * Cut a clip's time range out of its parent video and store it
+ * @param {Object} clip - Clip video document (with clip.start and clip.end)
+ * @param {Object} parent - Source video document
+ * @param {Object} options
+ * @param {Function} options.onProgress - Called with the fraction done
+ * @returns {Promise<Object>} - { fileId, originalFilename, storedFilename, fileSize, mimeType, checksum, mode, cutStart }
+ */
+const extractClip = async (clip, parent, { onProgress } = {}) => {
+  const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), `clip-${clip._id}-`));
+
+  try {
+    const sourcePath = path.join(tempDir, `source${path.extname(parent.storedFilename)}`);
+    await storage.downloadToFile(parent.gridFsFileId, sourcePath, {
+      onProgress: bytes => onProgress?.(parent.fileSize ? (bytes / parent.fileSize) * 0.5 : 0),
+    });
 
-  // Rule 5: No audio stream might indicate screen recording or suspicious content
-  if (!metadata.audio && metadata.duration > 30) {
-    flags.push('No audio stream in video > 30s');
+    const keyframes = await findKeyframes(sourcePath, clip.clip.start);
+    const plan = clips.planClip(clip.clip, keyframes, parent.storedFilename);
+    const outputPath = path.join(tempDir, `clip${plan.extension}`);
+    await cutClip(sourcePath, outputPath, plan, {
+      onProgress: fraction => onProgress?.(0.5 + fraction / 2),
+    });
+
+    // A re-encode may change the container
+    const originalFilename = `${path.parse(clip.originalFilename).name}${plan.extension}`;
+    const mimeType = plan.mode === 'copy' ? parent.mimeType : clips.REENCODE_MIME_TYPE;
+    const checksum = new fingerprint.ChecksumStream();
+    pipeline(createReadStream(outputPath), checksum, () => {});
+    const stored = await storage.upload(checksum, `clip-${clip._id}${plan.extension}`, {
+      originalFilename,
+      mimeType,
+      uploadedBy: clip.ownerUserId.toString(),
+      tenantId: clip.tenantId,
+      parentVideoId: parent._id.toString(),
+    });
+
+    return {
+      fileId: stored.fileId,
+      originalFilename,
+      storedFilename: stored.filename,
+      fileSize: stored.length,
+      mimeType,
+      checksum: checksum.checksum,
+      mode: plan.mode,
+      cutStart: plan.start,
+    };
+  } finally {
+    await fs.rm(tempDir, { recursive: true, force: true });
   }
+};
+
+/**
+ * Pick evenly spaced sample times, each in the middle of its slice of the video
+ * @param {Number} duration - Duration in seconds
+ * @param {Number} count - Number of samples
+ * @returns {Array} - Times in seconds
+ */
+const getSampleTimes = (duration, count) => {
+  if (!duration || count < 1) return [];
+  return Array.from({ length: count }, (_, index) =>
+    Math.round((duration * (index + 0.5) / count) * 1000) / 1000
+  );
+};
+
+// Frames for the classifier
+const JPEG_FRAME_FORMAT = {
+  accurateSeek: false,
+  extension: 'jpg',
+  mimeType: 'image/jpeg',
+  outputOptions: ["-vf scale='min(512,iw)':-2", '-q:v 3'],
+};
 
-  // If multiple flags, mark as flagged
-  if (flags.length >= 3 && sensitivity !== 'flagged') {
-    sensitivity = 'flagged';
+/**
+ * Extract the keyframe at or before each sample time as a JPEG
+ * Decoding only keyframes keeps this cheap even for long videos.
+ * @param {String} videoPath - Path to video file
+ * @param {Object} video - Video document
+ * @param {Object} metadata - Metadata from extractMetadata
+ * @param {Object} options
+ * @param {Number} options.count - Number of frames to sample
+ * @param {Function} options.onProgress - Called with the fraction done
+ * @param {Object} options.format - Seek mode and output options (JPEG keyframes by default)
+ * @returns {Promise<Array>} - [{ time, buffer, mimeType }]
+ */
+const sampleKeyframes = async (
+  videoPath,
+  video,
+  metadata,
+  { count, onProgress, format = JPEG_FRAME_FORMAT } = {}
+) => {
+  const times = getSampleTimes(metadata.duration, count);
+  if (times.length === 0) {
+    throw new Error('Cannot sample frames from a video without a known duration');
   }
 
-  // If no flags, mark as safe; if some flags but not flagged, keep as unknown
-  if (flags.length === 0) {
-    sensitivity = 'safe';
-  } else if (sensitivity !== 'flagged') {
-    sensitivity = 'unknown';
+  const outputDir = await fs.mkdtemp(path.join(os.tmpdir(), `frames-${video._id}-`));
+
+  try {
+    const frames = [];
+    for (const [index, time] of times.entries()) {
+      const framePath = path.join(outputDir, `frame_${index}.${format.extension}`);
+
+      await new Promise((resolve, reject) => {
+        ffmpeg(videoPath)
+          .inputOptions(
+            format.accurateSeek
+              ? [`-ss ${time}`]
+              : // Without accurate seeking ffmpeg starts at the keyframe the seek lands on
+                ['-skip_frame nokey', '-noaccurate_seek', `-ss ${time}`]
+          )
+          .outputOptions([
+            // Keep the keyframe even though it sits before the requested time
+            ...(format.accurateSeek ? [] : ['-vsync passthrough']),
+            '-frames:v 1',
+            ...format.outputOptions,
+          ])
+          .output(framePath)
+          .on('end', resolve)
+          .on('error', err => reject(new Error(`Failed to sample frame at ${time}s: ${err.message}`)))
+          .run();
+      });
+
+      // A damaged stretch of video can yield no frame; skip it rather than fail
+      const buffer = await fs.readFile(framePath).catch(() => null);
+      if (buffer) {
+        frames.push({ time, buffer, mimeType: format.mimeType });
+      }
+      if (onProgress) onProgress((index + 1) / times.length);
+    }
+
+    if (frames.length === 0) {
+      throw new Error('Failed to sample frames: no keyframes were extracted');
+    }
+    return frames;
+  } finally {
+    await fs.rm(outputDir, { recursive: true, force: true });
   }
+};
+
+/**
+ * Analyze video content for sensitivity
+ * Evaluates a rule set (the built-in rules unless a tenant's set is passed)
+ * @param {Object} metadata - Video metadata
+ * @param {String} title - Video title
+ * @param {String} description - Video description
+ * @param {Object} ruleSet - Rule set to apply
+ * @param {Object} frameSummary - Classifier summary, when frames were classified
+ * @param {Object} detectionSummary - Black/freeze/silence coverage, when detection ran
+ * @returns {Object} - Sensitivity analysis result
+ */
+const analyzeSensitivity = (
+  metadata,
+  title = '',
+  description = '',
+  ruleSet = sensitivityRules.DEFAULT_RULE_SET,
+  frameSummary = null,
+  detectionSummary = null
+) => {
+  const context = sensitivityRules.buildRuleContext(
+    metadata,
+    title,
+    description,
+    frameSummary,
+    detectionSummary
+  );
+  const { sensitivity, flags, score, results } = sensitivityRules.evaluateRuleSet(ruleSet, context);
 
   return {
     sensitivity,
     flags,
+    score,
+    ruleSetId: ruleSet._id || null,
+    ruleSetVersion: ruleSet.version,
+    results,
     analyzedAt: new Date(),
   };
 };
@@ -171,11 +736,16 @@ const analyzeSensitivity = (metadata, title = '', description = '') => {
 /**
  * Process a video file - extract metadata, generate thumbnail, analyze sensitivity
  * @param {Object} video - Video document from database
+ * @param {Object} options
+ * @param {Function} options.onProgress - Called with (stage, percent) as work advances
  * @returns {Promise<Object>} - Processing result
  */
-const processVideo = async (video) => {
+const processVideo = async (video, { onProgress } = {}) => {
   let tempVideoPath = null;
   let tempThumbnailPath = null;
+  // Files stored by this run; a later failure deletes them so nothing is left orphaned
+  const storedFileIds = [];
+  const reportProgress = createProgressTracker(PROCESSING_STAGES, onProgress);
 
   try {
     // Create temporary file paths
@@ -184,22 +754,26 @@ const processVideo = async (video) => {
     tempVideoPath = path.join(tempDir, `video-${Date.now()}${ext}`);
     tempThumbnailPath = path.join(tempDir, `thumb-${Date.now()}.jpg`);
 
-    // Download video from GridFS to temporary file
-    console.log(`Downloading video from GridFS: ${video.gridFsFileId}`);
-    const videoBuffer = await gridfsStorage.downloadToBuffer(video.gridFsFileId);
-    await fs.writeFile(tempVideoPath, videoBuffer);
+    // Download video from storage to temporary file
+    console.log(`Downloading video from storage: ${video.gridFsFileId}`);
+    reportProgress('download', 0);
+    await storage.downloadToFile(video.gridFsFileId, tempVideoPath, {
+      onProgress: bytes => reportProgress('download', video.fileSize ? bytes / video.fileSize : 0),
+    });
 
     // Extract metadata
+    reportProgress('probe', 0);
     const metadata = await extractMetadata(tempVideoPath);
 
     // Generate thumbnail
+    reportProgress('thumbnail', 0);
     await generateThumbnail(tempVideoPath, tempThumbnailPath, Math.min(1, metadata.duration / 2));
 
-    // Read thumbnail and upload to GridFS
+    // Read thumbnail and upload to storage
     const thumbnailBuffer = await fs.readFile(tempThumbnailPath);
     const thumbnailFilename = `thumb-${video.storedFilename.replace(/\.[^.]+$/, '.jpg')}`;
     
-    const thumbnailUploadResult = await gridfsStorage.uploadToGridFS(
+    const thumbnailUploadResult = await storage.upload(
       thumbnailBuffer,
       thumbnailFilename,
       {
@@ -208,9 +782,204 @@ const processVideo = async (video) => {
         type: 'thumbnail',
       }
     );
+    storedFileIds.push(thumbnailUploadResult.fileId);
+
+    // Measure loudness before transcoding so the ladder can be normalized with it
+    let loudnessResult = { status: 'none' };
+    let audioFilter = null;
+    if (loudness.isLoudnessEnabled() && metadata.audio) {
+      reportProgress('loudness', 0);
+      try {
+        const measurement = await measureLoudness(tempVideoPath, metadata, {
+          onProgress: fraction => reportProgress('loudness', fraction),
+        });
+        // The rules read it alongside the rest of the audio metadata
+        metadata.audio.loudness = measurement;
+        if (loudness.isNormalizationEnabled()) {
+          audioFilter = loudness.buildNormalizeFilter(measurement);
+        }
+        loudnessResult = {
+          status: 'ready',
+          integrated: measurement.integrated,
+          truePeak: measurement.truePeak,
+          range: measurement.range,
+          threshold: measurement.threshold,
+          ...loudness.assessLoudness(measurement),
+          analyzedAt: new Date(),
+        };
+      } catch (loudnessError) {
+        console.error('Loudness measurement error:', loudnessError);
+        loudnessResult = { status: 'failed', error: loudnessError.message };
+      }
+    }
+
+    // Transcode the HLS ladder; the original upload stays playable if this fails
+    let hlsResult = { status: 'none' };
+    if (hls.isHlsEnabled()) {
+      reportProgress('transcode', 0);
+      try {
+        const { renditions, fileIds } = await transcodeToHls(tempVideoPath, video, metadata, {
+          onProgress: fraction => reportProgress('transcode', fraction),
+          audioFilter,
+        });
+        storedFileIds.push(...fileIds);
+        hlsResult = { status: 'ready', renditions, fileIds };
+        if (audioFilter) {
+          loudnessResult.normalizedTo = loudness.getTarget().integrated;
+        }
+      } catch (hlsError) {
+        console.error('HLS transcoding error:', hlsError);
+        hlsResult = { status: 'failed', error: hlsError.message };
+      }
+    }
+
+    // Build seek bar previews; playback works without them if this fails
+    let storyboardResult = { status: 'none' };
+    if (storyboard.isStoryboardEnabled()) {
+      reportProgress('storyboard', 0);
+      try {
+        const layout = await generateStoryboard(tempVideoPath, video, metadata, {
+          onProgress: fraction => reportProgress('storyboard', fraction),
+        });
+        storedFileIds.push(...layout.sheets);
+        storyboardResult = { status: 'ready', ...layout };
+      } catch (storyboardError) {
+        console.error('Storyboard error:', storyboardError);
+        storyboardResult = { status: 'failed', error: storyboardError.message };
+      }
+    }
+
+    // Find dead air and frozen or black screens; the rules treat them as quality signals
+    let detectionResult = { status: 'none' };
+    let detectionSummary = null;
+    if (detection.isDetectionEnabled()) {
+      reportProgress('detect', 0);
+      try {
+        const intervals = await detectIntervals(tempVideoPath, metadata, {
+          onProgress: fraction => reportProgress('detect', fraction),
+        });
+        detectionSummary = detection.summarizeDetection(
+          intervals,
+          metadata.duration,
+          !!metadata.audio
+        );
+        detectionResult = { status: 'ready', ...intervals, ...detectionSummary };
+      } catch (detectionError) {
+        console.error('Interval detection error:', detectionError);
+        detectionResult = { status: 'failed', error: detectionError.message };
+      }
+    }
+
+    // Propose chapters at the strongest scene changes
+    let sceneResult = { status: 'none' };
+    let proposedChapters = [];
+    if (chapters.isSceneDetectionEnabled()) {
+      reportProgress('scenes', 0);
+      try {
+        const scenes = await detectScenes(tempVideoPath, metadata, {
+          onProgress: fraction => reportProgress('scenes', fraction),
+        });
+        proposedChapters = chapters.proposeChapters(scenes, metadata.duration);
+        sceneResult = {
+          status: 'ready',
+          threshold: chapters.getSceneThreshold(),
+          sceneCount: scenes.length,
+          detectedAt: new Date(),
+        };
+      } catch (sceneError) {
+        console.error('Scene detection error:', sceneError);
+        sceneResult = { status: 'failed', error: sceneError.message };
+      }
+    }
+
+    // Turn embedded subtitle streams into caption tracks the player can load
+    let subtitleResult = { status: 'none' };
+    let embeddedCaptions = [];
+    if (captions.isSubtitleExtractionEnabled() && metadata.subtitles?.length > 0) {
+      reportProgress('subtitles', 0);
+      try {
+        const { tracks, skippedCount } = await extractSubtitles(tempVideoPath, video, metadata, {
+          onProgress: fraction => reportProgress('subtitles', fraction),
+        });
+        storedFileIds.push(...tracks.map(track => track.fileId));
+        embeddedCaptions = tracks;
+        subtitleResult = {
+          status: 'ready',
+          trackCount: tracks.length,
+          skippedCount,
+          extractedAt: new Date(),
+        };
+      } catch (subtitleError) {
+        console.error('Subtitle extraction error:', subtitleError);
+        subtitleResult = { status: 'failed', error: subtitleError.message };
+      }
+    }
+
+    // Label sampled frames so the rules see the content, not just the metadata.
+    // A classifier failure fails the job so it is retried, rather than letting
+    // the rules decide from the metadata alone
+    let frameAnalysis = { status: 'none' };
+    let frameSummary = null;
+    if (classifier.isClassifierEnabled()) {
+      reportProgress('classify', 0);
+      try {
+        const frames = await sampleKeyframes(tempVideoPath, video, metadata, {
+          count: classifier.getFrameCount(),
+          onProgress: fraction => reportProgress('classify', fraction / 2),
+        });
+        const labeled = await classifier.classifyFrames(frames);
+        frameSummary = classifier.summarizeFrames(labeled);
+        frameAnalysis = {
+          status: 'ready',
+          classifier: classifier.getClassifier().name,
+          frames: labeled,
+          sensitiveScore: frameSummary.sensitiveScore,
+          analyzedAt: new Date(),
+        };
+        reportProgress('classify', 1);
+      } catch (classifyError) {
+        console.error('Frame classification error:', classifyError);
+        throw new Error(`Frame classification failed: ${classifyError.message}`);
+      }
+    }
+
+    // Hash frames so re-uploads of the same recording can be found
+    let fingerprintResult = { status: 'none' };
+    if (fingerprint.isFingerprintEnabled()) {
+      reportProgress('fingerprint', 0);
+      try {
+        const frames = await sampleKeyframes(tempVideoPath, video, metadata, {
+          count: fingerprint.getFrameCount(),
+          format: fingerprint.HASH_FRAME_FORMAT,
+          onProgress: fraction => reportProgress('fingerprint', fraction),
+        });
+        const frameHashes = frames
+          .map(frame => fingerprint.computeDifferenceHash(frame.buffer))
+          .filter(Boolean);
+        fingerprintResult = {
+          status: 'ready',
+          frameHashes,
+          bands: fingerprint.getHashBands(frameHashes),
+          computedAt: new Date(),
+        };
+      } catch (fingerprintError) {
+        console.error('Fingerprint error:', fingerprintError);
+        fingerprintResult = { status: 'failed', error: fingerprintError.message };
+      }
+    }
 
     // Analyze sensitivity
-    const sensitivityAnalysis = analyzeSensitivity(metadata, video.title, video.description);
+    reportProgress('analysis', 0);
+    const ruleSet = await sensitivityRules.getActiveRuleSet(video.tenantId);
+    const sensitivityAnalysis = analyzeSensitivity(
+      metadata,
+      video.title,
+      video.description,
+      ruleSet,
+      frameSummary,
+      detectionSummary
+    );
+    reportProgress('analysis', 1);
 
     // Clean up temporary files
     try {
@@ -233,14 +1002,41 @@ const processVideo = async (video) => {
         bitRate: metadata.bitRate,
         hasAudio: !!metadata.audio,
       },
+      technicalMetadata: metadata.technical,
       thumbnail: thumbnailFilename,
       thumbnailGridFsFileId: thumbnailUploadResult.fileId,
       sensitivity: sensitivityAnalysis.sensitivity,
       sensitivityFlags: sensitivityAnalysis.flags,
+      sensitivityAnalysis: {
+        ruleSetId: sensitivityAnalysis.ruleSetId,
+        ruleSetVersion: sensitivityAnalysis.ruleSetVersion,
+        score: sensitivityAnalysis.score,
+        results: sensitivityAnalysis.results,
+        analyzedAt: sensitivityAnalysis.analyzedAt,
+      },
+      hls: hlsResult,
+      storyboard: storyboardResult,
+      frameAnalysis,
+      detection: detectionResult,
+      loudness: loudnessResult,
+      fingerprint: fingerprintResult,
+      sceneDetection: sceneResult,
+      chapters: proposedChapters,
+      subtitleExtraction: subtitleResult,
+      captions: embeddedCaptions,
     };
   } catch (error) {
     console.error('Video processing error:', error);
-    
+
+    // The video keeps the files of its previous run; this run's would be orphaned
+    for (const fileId of storedFileIds) {
+      try {
+        await storage.deleteFile(fileId);
+      } catch (deleteError) {
+        console.warn(`Failed to delete file ${fileId} of the failed run:`, deleteError.message);
+      }
+    }
+
     // Clean up temporary files on error
     if (tempVideoPath) {
       try {
@@ -265,8 +1061,24 @@ const processVideo = async (video) => {
 };
 
 module.exports = {
+  PROCESSING_STAGES,
+  createProgressTracker,
+  parseTimemark,
+  reportFfmpegProgress,
   extractMetadata,
   generateThumbnail,
+  measureLoudness,
+  detectIntervals,
+  detectScenes,
+  extractSubtitles,
+  findKeyframes,
+  cutClip,
+  extractClip,
+  getSampleTimes,
+  sampleKeyframes,
+  buildHlsOutputOptions,
+  transcodeToHls,
+  generateStoryboard,
   analyzeSensitivity,
   processVideo,
 };
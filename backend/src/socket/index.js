@@ -73,8 +73,9 @@ function initializeSocket(httpServer) {
  * @param {String} userId - User ID
  * @param {String} videoId - Video ID
  * @param {Number} percent - Progress percentage (0-100)
+ * @param {String} stage - Current processing stage (e.g. download, probe, thumbnail)
  */
-function emitProcessingProgress(io, userId, videoId, percent) {
+function emitProcessingProgress(io, userId, videoId, percent, stage = null) {
   if (!io) {
     console.warn('Socket.io not initialized, skipping progress emission');
     return;
@@ -84,6 +85,7 @@ function emitProcessingProgress(io, userId, videoId, percent) {
   const payload = {
     videoId,
     percent: Math.round(percent),
+    stage,
     timestamp: new Date().toISOString(),
   };
 
@@ -99,8 +101,17 @@ function emitProcessingProgress(io, userId, videoId, percent) {
  * @param {String} status - Video status (uploaded, processing, ready, failed)
  * @param {String} sensitivity - Sensitivity level (safe, unknown, flagged)
  * @param {Array} sensitivityFlags - Array of sensitivity flags
+ * @param {Array} duplicates - Near-duplicates found once processing is complete
  */
-function emitProcessingStatus(io, userId, videoId, status, sensitivity = null, sensitivityFlags = []) {
+function emitProcessingStatus(
+  io,
+  userId,
+  videoId,
+  status,
+  sensitivity = null,
+  sensitivityFlags = [],
+  duplicates = []
+) {
   if (!io) {
     console.warn('Socket.io not initialized, skipping status emission');
     return;
@@ -112,6 +123,7 @@ function emitProcessingStatus(io, userId, videoId, status, sensitivity = null, s
     status,
     sensitivity,
     sensitivityFlags,
+    duplicates,
     timestamp: new Date().toISOString(),
   };
 
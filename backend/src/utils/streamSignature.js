@@ -0,0 +1,82 @@
+const crypto = require('crypto');
+
+/**
+ * Signed stream URLs
+ * Media elements cannot send an Authorization header, so media routes accept a
+ * short-lived HMAC signature over the video, the user and an expiry in the
+ * query string instead of the user's session token.
+ */
+
+/**
+ * How long a signed stream URL stays valid, at least
+ * @returns {Number} - Seconds
+ */
+const getStreamUrlTtl = () => parseInt(process.env.STREAM_URL_TTL_SECONDS || 300, 10);
+
+const getSecret = () => process.env.STREAM_URL_SECRET || process.env.JWT_SECRET;
+
+const computeSignature = (videoId, userId, expires) =>
+  crypto
+    .createHmac('sha256', getSecret())
+    .update(`${videoId}:${userId}:${expires}`)
+    .digest('base64url');
+
+/**
+ * Sign access to one video's media for one user
+ * The expiry is rounded up to a multiple of the TTL so URLs stay the same for a
+ * while and browsers can reuse what they cached; a URL is therefore valid for
+ * between one and two TTLs, unless notAfter ends it sooner.
+ * @param {String} videoId
+ * @param {String} userId
+ * @param {Number} now - Current time in milliseconds
+ * @param {Date} notAfter - Latest expiry allowed (optional)
+ * @returns {Object} - { uid, exp, sig } query parameters and expiresAt
+ */
+const signStreamAccess = (videoId, userId, now = Date.now(), notAfter = null) => {
+  const ttl = getStreamUrlTtl();
+  let exp = (Math.floor(now / 1000 / ttl) + 2) * ttl;
+  if (notAfter) {
+    exp = Math.min(exp, Math.floor(notAfter.getTime() / 1000));
+  }
+
+  return {
+    uid: userId.toString(),
+    exp,
+    sig: computeSignature(videoId.toString(), userId.toString(), exp),
+    expiresAt: new Date(exp * 1000),
+  };
+};
+
+/**
+ * Build the query string of a signed stream URL
+ * @param {Object} access - Output of signStreamAccess
+ * @returns {String}
+ */
+const toStreamQuery = ({ uid, exp, sig }) => new URLSearchParams({ uid, exp, sig }).toString();
+
+/**
+ * Check a signed stream URL's query parameters
+ * @param {String} videoId - Video the request is for
+ * @param {Object} params - { uid, exp, sig } from the query string
+ * @param {Number} now - Current time in milliseconds
+ * @returns {Boolean}
+ */
+const verifyStreamAccess = (videoId, { uid, exp, sig } = {}, now = Date.now()) => {
+  if (typeof uid !== 'string' || typeof sig !== 'string' || !/^\d+$/.test(exp || '')) {
+    return false;
+  }
+  if (parseInt(exp, 10) * 1000 <= now) {
+    return false;
+  }
+
+  const expected = Buffer.from(computeSignature(String(videoId), uid, exp));
+  const actual = Buffer.from(sig);
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+};
+
+module.exports = {
+  getStreamUrlTtl,
+  signStreamAccess,
+  toStreamQuery,
+  verifyStreamAccess,
+};
@@ -0,0 +1,250 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const app = require('../src/app');
+const User = require('../src/models/User');
+const Video = require('../src/models/Video');
+const ProcessingJob = require('../src/models/ProcessingJob');
+const SensitivityRuleSet = require('../src/models/SensitivityRuleSet');
+const processingQueue = require('../src/services/processingQueue');
+
+describe('Admin Processing API', () => {
+  let adminToken;
+  let editorToken;
+  let editorUser;
+
+  const createVideo = (overrides = {}) =>
+    Video.create({
+      title: 'Failed Video',
+      ownerUserId: editorUser._id,
+      tenantId: 'tenant-a',
+      status: 'failed',
+      processingError: 'GridFS read timeout',
+      originalFilename: 'failed.mp4',
+      storedFilename: 'failed-123.mp4',
+      gridFsFileId: new mongoose.Types.ObjectId(),
+      fileSize: 1024,
+      mimeType: 'video/mp4',
+      ...overrides,
+    });
+
+  beforeEach(async () => {
+    // Keep the worker from picking the requeued jobs up during the test
+    jest.spyOn(processingQueue, 'start').mockImplementation(() => {});
+
+    const adminUser = await User.create({
+      name: 'Admin User',
+      email: 'admin@test.com',
+      password: 'Password123!',
+      role: 'admin',
+    });
+    editorUser = await User.create({
+      name: 'Editor User',
+      email: 'editor@test.com',
+      password: 'Password123!',
+      role: 'editor',
+    });
+
+    adminToken = jwt.sign({ id: adminUser._id }, process.env.JWT_SECRET);
+    editorToken = jwt.sign({ id: editorUser._id }, process.env.JWT_SECRET);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('POST /api/admin/processing/requeue', () => {
+    test('should requeue failed videos by ID and skip the rest', async () => {
+      const failed = await createVideo();
+      const ready = await createVideo({ status: 'ready', processingError: undefined });
+      const missingId = new mongoose.Types.ObjectId().toString();
+
+      const response = await request(app)
+        .post('/api/admin/processing/requeue')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ videoIds: [failed._id.toString(), ready._id.toString(), missingId] })
+        .expect(200);
+
+      expect(response.body.data.requeued).toEqual([failed._id.toString()]);
+      expect(response.body.data.skipped).toEqual([
+        { videoId: ready._id.toString(), reason: 'Video is ready, not failed' },
+        { videoId: missingId, reason: 'Video not found' },
+      ]);
+
+      const video = await Video.findById(failed._id);
+      expect(video.status).toBe('uploaded');
+      expect(video.processingError).toBeUndefined();
+
+      const job = await ProcessingJob.findOne({ videoId: failed._id });
+      expect(job.status).toBe('queued');
+      expect(job.attempts).toBe(0);
+    });
+
+    test('should requeue failed videos matching a filter', async () => {
+      const timeout = await createVideo();
+      await createVideo({ processingError: 'Unsupported codec' });
+      await createVideo({ tenantId: 'tenant-b' });
+
+      const response = await request(app)
+        .post('/api/admin/processing/requeue')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ filter: { tenantId: 'tenant-a', errorContains: 'timeout' } })
+        .expect(200);
+
+      expect(response.body.data.requeued).toEqual([timeout._id.toString()]);
+      expect(await ProcessingJob.countDocuments()).toBe(1);
+    });
+
+    test('should require either videoIds or filter', async () => {
+      await request(app)
+        .post('/api/admin/processing/requeue')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({})
+        .expect(400);
+
+      await request(app)
+        .post('/api/admin/processing/requeue')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ videoIds: [new mongoose.Types.ObjectId().toString()], filter: {} })
+        .expect(400);
+    });
+
+    test('should reject non-admin users', async () => {
+      await request(app)
+        .post('/api/admin/processing/requeue')
+        .set('Authorization', `Bearer ${editorToken}`)
+        .send({ filter: {} })
+        .expect(403);
+    });
+  });
+
+  describe('GET /api/admin/processing/jobs', () => {
+    test('should list dead-letter jobs', async () => {
+      const video = await createVideo();
+      await ProcessingJob.create({
+        videoId: video._id,
+        status: 'dead',
+        attempts: 3,
+        error: 'GridFS read timeout',
+      });
+      await ProcessingJob.create({ videoId: video._id, status: 'completed', attempts: 1 });
+
+      const response = await request(app)
+        .get('/api/admin/processing/jobs?status=dead')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.data.jobs).toHaveLength(1);
+      expect(response.body.data.jobs[0]).toMatchObject({
+        status: 'dead',
+        attempts: 3,
+        error: 'GridFS read timeout',
+      });
+      expect(response.body.data.jobs[0].videoId.title).toBe('Failed Video');
+    });
+  });
+
+  describe('Sensitivity rule sets', () => {
+    const ruleSetBody = {
+      tenantId: 'tenant-a',
+      name: 'Q3 rules',
+      flagThreshold: 2,
+      rules: [
+        {
+          key: 'short',
+          type: 'metadata',
+          conditions: [{ field: 'duration', operator: 'lt', value: 10 }],
+          message: 'Short video',
+        },
+        {
+          key: 'banned',
+          type: 'keywords',
+          terms: ['gore'],
+          severity: 'flag',
+          message: 'Contains {match}',
+        },
+      ],
+    };
+
+    test('should fall back to the built-in rules for a tenant without rule sets', async () => {
+      const response = await request(app)
+        .get('/api/admin/sensitivity-rules/active?tenantId=tenant-a')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.data.ruleSet.version).toBe(0);
+      expect(response.body.data.ruleSet.rules.length).toBeGreaterThan(0);
+    });
+
+    test('should save each change as a new version', async () => {
+      const first = await request(app)
+        .post('/api/admin/sensitivity-rules')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send(ruleSetBody)
+        .expect(201);
+      expect(first.body.data.ruleSet.version).toBe(1);
+
+      const second = await request(app)
+        .post('/api/admin/sensitivity-rules')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ ...ruleSetBody, flagThreshold: 1 })
+        .expect(201);
+      expect(second.body.data.ruleSet.version).toBe(2);
+
+      const list = await request(app)
+        .get('/api/admin/sensitivity-rules?tenantId=tenant-a')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+      expect(list.body.data.activeVersion).toBe(2);
+      expect(list.body.data.ruleSets.map(ruleSet => ruleSet.version)).toEqual([2, 1]);
+
+      // Other tenants are unaffected
+      expect(await SensitivityRuleSet.countDocuments({ tenantId: 'tenant-b' })).toBe(0);
+    });
+
+    test('should restore an earlier version as a new version', async () => {
+      await SensitivityRuleSet.create({ ...ruleSetBody, version: 1 });
+      await SensitivityRuleSet.create({ ...ruleSetBody, version: 2, flagThreshold: 5 });
+
+      const response = await request(app)
+        .post('/api/admin/sensitivity-rules/1/restore')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ tenantId: 'tenant-a' })
+        .expect(201);
+
+      expect(response.body.data.ruleSet).toMatchObject({
+        version: 3,
+        basedOnVersion: 1,
+        flagThreshold: 2,
+      });
+    });
+
+    test('should reject invalid rules', async () => {
+      const response = await request(app)
+        .post('/api/admin/sensitivity-rules')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          ...ruleSetBody,
+          rules: [{ key: 'bad', type: 'regex', patterns: ['(unclosed'], message: 'x' }],
+        })
+        .expect(400);
+
+      expect(response.body.error).toContain('invalid pattern');
+    });
+
+    test('should return 404 for a missing version', async () => {
+      await request(app)
+        .get('/api/admin/sensitivity-rules/7?tenantId=tenant-a')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(404);
+    });
+
+    test('should reject non-admin users', async () => {
+      await request(app)
+        .post('/api/admin/sensitivity-rules')
+        .set('Authorization', `Bearer ${editorToken}`)
+        .send(ruleSetBody)
+        .expect(403);
+    });
+  });
+});
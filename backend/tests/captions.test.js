@@ -0,0 +1,118 @@
+const {
+  getCaptionFormat,
+  decodeCaptionFile,
+  convertSrtToVtt,
+  validateVtt,
+  isValidLanguage,
+  getLanguageLabel,
+  selectSubtitleStreams,
+  describeEmbeddedTrack,
+} = require('../src/services/captions');
+
+describe('Captions Service', () => {
+  describe('getCaptionFormat', () => {
+    test('should read the format from the extension', () => {
+      expect(getCaptionFormat('lecture.en.SRT')).toBe('srt');
+      expect(getCaptionFormat('lecture.vtt')).toBe('vtt');
+      expect(getCaptionFormat('lecture.txt')).toBeNull();
+    });
+  });
+
+  describe('decodeCaptionFile', () => {
+    test('should drop the BOM and normalize line endings', () => {
+      const buffer = Buffer.from('\uFEFFWEBVTT\r\n\r\n00:01.000 --> 00:02.000\rHi\r\n', 'utf8');
+      expect(decodeCaptionFile(buffer)).toBe('WEBVTT\n\n00:01.000 --> 00:02.000\nHi\n');
+    });
+
+    test('should fall back to Latin-1 for files that are not UTF-8', () => {
+      const buffer = Buffer.from('Café', 'latin1');
+      expect(decodeCaptionFile(buffer)).toBe('Café');
+    });
+  });
+
+  describe('convertSrtToVtt', () => {
+    test('should convert timings and keep the formatting both formats share', () => {
+      const { vtt, cueCount } = convertSrtToVtt(
+        [
+          '1',
+          '00:00:01,000 --> 00:00:02,500',
+          '<font color="#ff0000">Hello</font> & <I>world</I>',
+          '',
+          '2',
+          '01:02:03,040 --> 01:02:05,000 X1:40 X2:600 Y1:20 Y2:50',
+          '{\\an8}Top line',
+          'a --> b',
+          '',
+        ].join('\n')
+      );
+
+      expect(cueCount).toBe(2);
+      expect(vtt).toBe(
+        [
+          'WEBVTT',
+          '',
+          '1',
+          '00:00:01.000 --> 00:00:02.500',
+          'Hello &amp; <i>world</i>',
+          '',
+          '2',
+          '01:02:03.040 --> 01:02:05.000',
+          'Top line\na -> b',
+          '',
+        ].join('\n')
+      );
+    });
+
+    test('should skip empty or backwards cues and fail when none are left', () => {
+      expect(() =>
+        convertSrtToVtt('1\n00:00:05,000 --> 00:00:04,000\nBackwards\n\n2\n00:00:06,000 --> 00:00:07,000\n')
+      ).toThrow('No subtitles were found in the SRT file');
+    });
+  });
+
+  describe('validateVtt', () => {
+    test('should count the cues of a WebVTT file', () => {
+      const text = 'WEBVTT - Lecture\n\nintro\n00:01.000 --> 00:02.000\nHi\n\n00:00:03.000 --> 00:00:04.000 align:start\nBye\n';
+      expect(validateVtt(text)).toEqual({ vtt: text, cueCount: 2 });
+    });
+
+    test('should reject files without a header or cues', () => {
+      expect(() => validateVtt('00:01.000 --> 00:02.000\nHi\n')).toThrow('WEBVTT header');
+      expect(() => validateVtt('WEBVTTX\n')).toThrow('WEBVTT header');
+      expect(() => validateVtt('WEBVTT\n\nNOTE empty\n')).toThrow('No cues');
+    });
+  });
+
+  describe('languages', () => {
+    test('should accept language tags and name them', () => {
+      expect(isValidLanguage('pt-BR')).toBe(true);
+      expect(isValidLanguage('eng')).toBe(true);
+      expect(isValidLanguage('English')).toBe(false);
+      expect(getLanguageLabel('fr')).toBe('French');
+      expect(getLanguageLabel('eng')).toBe('English');
+      expect(getLanguageLabel('und')).toBe('Unknown');
+    });
+  });
+
+  describe('embedded subtitle streams', () => {
+    test('should leave out image-based streams', () => {
+      const streams = [
+        { index: 2, codec: 'mov_text', language: 'eng' },
+        { index: 3, codec: 'hdmv_pgs_subtitle', language: 'eng' },
+      ];
+
+      expect(selectSubtitleStreams(streams)).toEqual({
+        extractable: [streams[0]],
+        skipped: [streams[1]],
+      });
+    });
+
+    test('should label tracks from their title, language or position', () => {
+      expect(describeEmbeddedTrack({ index: 2, language: 'spa', title: 'Spanish (Latin America)' }, 0))
+        .toMatchObject({ language: 'spa', label: 'Spanish (Latin America)', kind: 'subtitles', streamIndex: 2 });
+      expect(describeEmbeddedTrack({ index: 3, language: 'eng', hearingImpaired: true }, 1))
+        .toMatchObject({ language: 'eng', label: 'English', kind: 'captions', source: 'embedded' });
+      expect(describeEmbeddedTrack({ index: 4 }, 2)).toMatchObject({ language: 'und', label: 'Track 3' });
+    });
+  });
+});
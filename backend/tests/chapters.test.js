@@ -0,0 +1,107 @@
+const {
+  buildSceneFilter,
+  parseSceneLog,
+  proposeChapters,
+  withEndTimes,
+  buildChaptersVtt,
+} = require('../src/services/chapters');
+
+describe('Chapters Service', () => {
+  describe('buildSceneFilter', () => {
+    test('should select frames above the scene threshold and print their scores', () => {
+      expect(buildSceneFilter(0.3)).toBe(
+        "scale='min(320,iw)':-2,select='gt(scene,0.3)',metadata=print:key=lavfi.scene_score"
+      );
+    });
+  });
+
+  describe('parseSceneLog', () => {
+    test('should pair each frame time with its score', () => {
+      const scenes = parseSceneLog([
+        'frame=  150 fps=0.0 q=-0.0 size=N/A time=00:00:06.00',
+        '[Parsed_metadata_2 @ 0x3ded8040] frame:0    pts:76800   pts_time:6',
+        '[Parsed_metadata_2 @ 0x3ded8040] lavfi.scene_score=1.000000',
+        '[Parsed_metadata_2 @ 0x3ded8040] frame:1    pts:153600  pts_time:12.04',
+        '[Parsed_metadata_2 @ 0x3ded8040] lavfi.scene_score=0.905229',
+      ]);
+
+      expect(scenes).toEqual([
+        { time: 6, score: 1 },
+        { time: 12.04, score: 0.905229 },
+      ]);
+    });
+  });
+
+  describe('proposeChapters', () => {
+    test('should keep the strongest cuts at least the minimum length apart', () => {
+      const scenes = [
+        { time: 10, score: 0.9 }, // too close to the start
+        { time: 100, score: 0.5 },
+        { time: 110, score: 0.8 }, // stronger neighbour wins
+        { time: 300, score: 0.6 },
+        { time: 590, score: 1 }, // too close to the end
+      ];
+
+      expect(proposeChapters(scenes, 600)).toEqual([
+        { start: 0, title: 'Chapter 1', source: 'auto' },
+        { start: 110, title: 'Chapter 2', source: 'auto' },
+        { start: 300, title: 'Chapter 3', source: 'auto' },
+      ]);
+    });
+
+    test('should stretch the minimum length for long videos', () => {
+      // An hour with a cut every 10 seconds still yields at most 50 chapters
+      const scenes = Array.from({ length: 360 }, (_, index) => ({ time: index * 10, score: 0.5 }));
+
+      expect(proposeChapters(scenes, 3600).length).toBeLessThanOrEqual(50);
+    });
+
+    test('should propose nothing without a duration', () => {
+      expect(proposeChapters([{ time: 5, score: 1 }], 0)).toEqual([]);
+    });
+  });
+
+  describe('withEndTimes', () => {
+    test('should sort chapters and end each where the next starts', () => {
+      const chapters = withEndTimes(
+        [
+          { _id: 'b', start: 60, title: 'Setup', source: 'manual' },
+          { _id: 'a', start: 0, title: 'Intro', source: 'auto' },
+        ],
+        90
+      );
+
+      expect(chapters).toEqual([
+        { _id: 'a', start: 0, end: 60, title: 'Intro', source: 'auto' },
+        { _id: 'b', start: 60, end: 90, title: 'Setup', source: 'manual' },
+      ]);
+    });
+  });
+
+  describe('buildChaptersVtt', () => {
+    test('should emit one cue per chapter', () => {
+      const vtt = buildChaptersVtt(
+        [
+          { start: 0, title: 'Intro' },
+          { start: 3725.5, title: 'Q&A --> wrap up' },
+        ],
+        3800
+      );
+
+      expect(vtt).toBe(
+        [
+          'WEBVTT',
+          '',
+          'chapter-1',
+          '00:00:00.000 --> 01:02:05.500',
+          'Intro',
+          '',
+          'chapter-2',
+          '01:02:05.500 --> 01:03:20.000',
+          'Q&A -> wrap up',
+          '',
+        ].join('\n')
+      );
+    });
+  });
+});
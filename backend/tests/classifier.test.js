@@ -0,0 +1,167 @@
+const http = require('http');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const classifier = require('../src/services/classifier');
+const StubClassifier = require('../src/services/classifier/stubClassifier');
+const LocalClassifier = require('../src/services/classifier/localClassifier');
+const HttpClassifier = require('../src/services/classifier/httpClassifier');
+
+describe('Frame Classifier Service', () => {
+  const frames = [
+    { time: 5, buffer: Buffer.from('frame-1'), mimeType: 'image/jpeg' },
+    { time: 15, buffer: Buffer.from('frame-2'), mimeType: 'image/jpeg' },
+  ];
+
+  afterEach(() => {
+    classifier.setClassifier(null);
+    delete process.env.CLASSIFIER_DRIVER;
+  });
+
+  describe('configuration', () => {
+    test('should be disabled unless a classifier is configured', () => {
+      expect(classifier.isClassifierEnabled()).toBe(false);
+
+      process.env.CLASSIFIER_DRIVER = 'stub';
+      expect(classifier.isClassifierEnabled()).toBe(true);
+      expect(classifier.getClassifier().name).toBe('stub');
+    });
+
+    test('should reject unknown classifiers', () => {
+      expect(() => classifier.createClassifier('magic')).toThrow(/Unknown classifier "magic"/);
+    });
+  });
+
+  describe('classifyFrames', () => {
+    test('should normalize labels and keep each frame time', async () => {
+      classifier.setClassifier(
+        new StubClassifier({
+          labels: (frame, index) =>
+            index === 0
+              ? [{ label: 'Outdoor', score: 0.3 }, { label: ' NSFW ', score: 1.4 }]
+              : [{ label: 'indoor', score: 0.7 }, { label: 'broken' }],
+        })
+      );
+
+      const result = await classifier.classifyFrames(frames);
+
+      expect(result).toEqual([
+        { time: 5, labels: [{ label: 'nsfw', score: 1 }, { label: 'outdoor', score: 0.3 }] },
+        { time: 15, labels: [{ label: 'indoor', score: 0.7 }] },
+      ]);
+    });
+
+    test('should fail when the classifier returns the wrong number of results', async () => {
+      classifier.setClassifier({ name: 'broken', classify: async () => [[]] });
+
+      await expect(classifier.classifyFrames(frames)).rejects.toThrow(
+        'Classifier "broken" returned 1 results for 2 frames'
+      );
+    });
+  });
+
+  describe('summarizeFrames', () => {
+    test('should keep the highest score per label and for sensitive labels', () => {
+      const summary = classifier.summarizeFrames([
+        { time: 5, labels: [{ label: 'violence', score: 0.4 }, { label: 'sports', score: 0.9 }] },
+        { time: 15, labels: [{ label: 'violence', score: 0.85 }] },
+      ]);
+
+      expect(summary.labelScores).toEqual({ violence: 0.85, sports: 0.9 });
+      expect(summary.sensitiveScore).toBe(0.85);
+    });
+
+    test('should score zero when no sensitive label appears', () => {
+      expect(classifier.summarizeFrames([{ time: 5, labels: [] }]).sensitiveScore).toBe(0);
+    });
+  });
+
+  describe('LocalClassifier', () => {
+    let moduleDir;
+
+    beforeEach(async () => {
+      moduleDir = await fs.mkdtemp(path.join(os.tmpdir(), 'classifier-test-'));
+    });
+
+    afterEach(async () => {
+      await fs.rm(moduleDir, { recursive: true, force: true });
+    });
+
+    test('should run the configured module', async () => {
+      const modulePath = path.join(moduleDir, 'model.js');
+      await fs.writeFile(
+        modulePath,
+        'exports.classify = async frames => frames.map(f => [{ label: "size", score: f.buffer.length / 10 }]);'
+      );
+
+      const result = await new LocalClassifier({ modulePath }).classify(frames);
+
+      expect(result).toEqual([[{ label: 'size', score: 0.7 }], [{ label: 'size', score: 0.7 }]]);
+    });
+
+    test('should reject modules without classify()', async () => {
+      const modulePath = path.join(moduleDir, 'empty.js');
+      await fs.writeFile(modulePath, 'module.exports = {};');
+
+      await expect(new LocalClassifier({ modulePath }).classify(frames)).rejects.toThrow(
+        /does not export classify/
+      );
+    });
+  });
+
+  describe('HttpClassifier', () => {
+    let server;
+    let url;
+    let received;
+
+    beforeAll(async () => {
+      server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => (body += chunk));
+        req.on('end', () => {
+          received = { headers: req.headers, body: JSON.parse(body) };
+          if (req.url === '/fail') {
+            res.writeHead(503).end();
+            return;
+          }
+          res.writeHead(200, { 'Content-Type': 'application/json' });
+          res.end(
+            JSON.stringify({
+              results: received.body.frames.map(() => ({ labels: [{ label: 'nsfw', score: 0.2 }] })),
+            })
+          );
+        });
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      url = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterAll(async () => {
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    test('should post base64 frames and return their labels', async () => {
+      const result = await new HttpClassifier({ url: `${url}/classify`, apiKey: 'secret' }).classify(
+        frames
+      );
+
+      expect(result).toEqual([[{ label: 'nsfw', score: 0.2 }], [{ label: 'nsfw', score: 0.2 }]]);
+      expect(received.headers.authorization).toBe('Bearer secret');
+      expect(received.body.frames[0]).toEqual({
+        time: 5,
+        mimeType: 'image/jpeg',
+        data: Buffer.from('frame-1').toString('base64'),
+      });
+    });
+
+    test('should fail on an error response', async () => {
+      await expect(new HttpClassifier({ url: `${url}/fail` }).classify(frames)).rejects.toThrow(
+        /responded with 503/
+      );
+    });
+
+    test('should require a URL', () => {
+      expect(() => new HttpClassifier()).toThrow(/CLASSIFIER_HTTP_URL/);
+    });
+  });
+});
@@ -0,0 +1,83 @@
+const {
+  validateRange,
+  getDefaultTitle,
+  getKeyframeWindow,
+  parseKeyframeLog,
+  planClip,
+  buildClipOutputOptions,
+} = require('../src/services/clips');
+
+describe('Clips Service', () => {
+  describe('validateRange', () => {
+    test('should accept a range inside the video', () => {
+      expect(validateRange(30, 150, 600)).toBeNull();
+    });
+
+    test('should reject ranges that are too short or run past the end', () => {
+      expect(validateRange(30, 30.5, 600)).toMatch(/at least 1 second/);
+      expect(validateRange(500, 601, 600)).toBe('Clip must end before the end of the video');
+    });
+  });
+
+  describe('getDefaultTitle', () => {
+    test('should mark the parent title as a clip within the title limit', () => {
+      expect(getDefaultTitle('Safety briefing')).toBe('Safety briefing (clip)');
+      expect(getDefaultTitle('x'.repeat(200))).toHaveLength(200);
+    });
+  });
+
+  describe('getKeyframeWindow', () => {
+    test('should scan around the start without going below zero', () => {
+      expect(getKeyframeWindow(10)).toEqual({ from: 9.5, duration: 1 });
+      expect(getKeyframeWindow(0.2)).toEqual({ from: 0, duration: 0.7 });
+    });
+  });
+
+  describe('parseKeyframeLog', () => {
+    test('should read the frame times reported by showinfo', () => {
+      expect(
+        parseKeyframeLog([
+          '[Parsed_showinfo_0 @ 0x55d1c8] n:   1 pts:  76800 pts_time:6       pos:   48213 fmt:yuv420p',
+          'frame=    2 fps=0.0 q=-0.0 size=N/A time=00:00:06.04',
+          '[Parsed_showinfo_0 @ 0x55d1c8] n:   0 pts:  51200 pts_time:4       pos:   31010 fmt:yuv420p',
+        ])
+      ).toEqual([4, 6]);
+    });
+  });
+
+  describe('planClip', () => {
+    test('should stream copy from a keyframe close to the start', () => {
+      expect(planClip({ start: 4.2, end: 9 }, [4, 6], 'lecture-123.MKV')).toEqual({
+        mode: 'copy',
+        start: 4,
+        duration: 5,
+        extension: '.mkv',
+      });
+    });
+
+    test('should re-encode to MP4 when no keyframe is close enough', () => {
+      expect(planClip({ start: 5, end: 9 }, [4, 6], 'lecture-123.mkv')).toEqual({
+        mode: 'reencode',
+        start: 5,
+        duration: 4,
+        extension: '.mp4',
+      });
+      expect(planClip({ start: 5, end: 9 }, [], 'lecture-123.mkv').mode).toBe('reencode');
+    });
+  });
+
+  describe('buildClipOutputOptions', () => {
+    test('should copy streams or encode H.264/AAC', () => {
+      const copy = buildClipOutputOptions({ mode: 'copy', duration: 5, extension: '.mp4' });
+      expect(copy).toEqual(['-t 5', '-map 0:v:0', '-map 0:a?', '-c copy', '-movflags +faststart']);
+
+      const reencode = buildClipOutputOptions({ mode: 'reencode', duration: 4, extension: '.mp4' });
+      expect(reencode).toContain('-c:v libx264');
+      expect(reencode).toContain('-c:a aac');
+
+      expect(buildClipOutputOptions({ mode: 'copy', duration: 5, extension: '.webm' })).not.toContain(
+        '-movflags +faststart'
+      );
+    });
+  });
+});
@@ -0,0 +1,103 @@
+const {
+  buildDetectionFilters,
+  parseDetectionLog,
+  getCoverage,
+  summarizeDetection,
+} = require('../src/services/detection');
+
+describe('Detection Service', () => {
+  describe('buildDetectionFilters', () => {
+    test('should scale down before the video filters and detect silence on audio', () => {
+      const filters = buildDetectionFilters(true);
+
+      expect(filters.video).toBe(
+        "scale='min(320,iw)':-2,blackdetect=d=2:pix_th=0.10,freezedetect=n=-60dB:d=5"
+      );
+      expect(filters.audio).toBe('silencedetect=n=-50dB:d=5');
+    });
+
+    test('should skip the audio filter without an audio stream', () => {
+      expect(buildDetectionFilters(false).audio).toBeNull();
+    });
+
+    test('should read minimum durations from the environment', () => {
+      process.env.DETECTION_BLACK_MIN_SECONDS = '0.5';
+      try {
+        expect(buildDetectionFilters(false).video).toContain('blackdetect=d=0.5:');
+      } finally {
+        delete process.env.DETECTION_BLACK_MIN_SECONDS;
+      }
+    });
+  });
+
+  describe('parseDetectionLog', () => {
+    test('should collect intervals from each filter', () => {
+      const intervals = parseDetectionLog(
+        [
+          '[blackdetect @ 0x55d0] black_start:0 black_end:3 black_duration:3',
+          '[freezedetect @ 0x55d1] lavfi.freezedetect.freeze_start: 4.2',
+          '[freezedetect @ 0x55d1] lavfi.freezedetect.freeze_duration: 5.3',
+          '[freezedetect @ 0x55d1] lavfi.freezedetect.freeze_end: 9.5',
+          '[silencedetect @ 0x55d2] silence_start: -0.01',
+          '[silencedetect @ 0x55d2] silence_end: 3 | silence_duration: 3.01',
+          'frame=  300 fps=0.0 q=-0.0 Lsize=N/A time=00:00:10.00',
+        ],
+        10
+      );
+
+      expect(intervals.black).toEqual([{ start: 0, end: 3, duration: 3 }]);
+      expect(intervals.freeze).toEqual([{ start: 4.2, end: 9.5, duration: 5.3 }]);
+      expect(intervals.silence).toEqual([{ start: 0, end: 3, duration: 3 }]);
+    });
+
+    test('should close intervals still open at the end of the video', () => {
+      const intervals = parseDetectionLog(
+        [
+          '[freezedetect @ 0x55d1] lavfi.freezedetect.freeze_start: 6',
+          '[silencedetect @ 0x55d2] silence_start: 8',
+        ],
+        10
+      );
+
+      expect(intervals.freeze).toEqual([{ start: 6, end: 10, duration: 4 }]);
+      expect(intervals.silence).toEqual([{ start: 8, end: 10, duration: 2 }]);
+    });
+  });
+
+  describe('getCoverage', () => {
+    test('should count overlapping intervals once', () => {
+      const intervals = [
+        { start: 5, end: 8 },
+        { start: 0, end: 2 },
+        { start: 6, end: 10 },
+      ];
+
+      expect(getCoverage(intervals, 20)).toBe(0.35);
+    });
+
+    test('should clip to the duration and handle an unknown duration', () => {
+      expect(getCoverage([{ start: 8, end: 15 }], 10)).toBe(0.2);
+      expect(getCoverage([{ start: 0, end: 5 }], 0)).toBe(0);
+    });
+  });
+
+  describe('summarizeDetection', () => {
+    const intervals = {
+      black: [{ start: 0, end: 3 }],
+      freeze: [],
+      silence: [{ start: 0, end: 7 }],
+    };
+
+    test('should report the share covered by each kind of interval', () => {
+      expect(summarizeDetection(intervals, 7, true)).toEqual({
+        blackRatio: 0.429,
+        freezeRatio: 0,
+        silenceRatio: 1,
+      });
+    });
+
+    test('should leave the silence ratio unset without audio', () => {
+      expect(summarizeDetection(intervals, 7, false).silenceRatio).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,81 @@
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const {
+  ChecksumStream,
+  computeDifferenceHash,
+  hammingDistance,
+  getHashBands,
+  compareFrameHashes,
+} = require('../src/services/fingerprint');
+
+describe('Fingerprint Service', () => {
+  describe('ChecksumStream', () => {
+    test('should pass data through and expose its SHA-256', async () => {
+      const checksum = new ChecksumStream();
+      const received = [];
+
+      await pipeline(Readable.from([Buffer.from('same '), Buffer.from('recording')]), checksum, async source => {
+        for await (const chunk of source) received.push(chunk);
+      });
+
+      expect(Buffer.concat(received).toString()).toBe('same recording');
+      expect(checksum.checksum).toBe(crypto.createHash('sha256').update('same recording').digest('hex'));
+    });
+  });
+
+  describe('computeDifferenceHash', () => {
+    // 9x8 frame whose brightness falls from left to right
+    const gradient = Buffer.from(Array.from({ length: 72 }, (_, index) => 255 - (index % 9) * 20));
+
+    test('should set a bit wherever a pixel is brighter than the next', () => {
+      expect(computeDifferenceHash(gradient)).toBe('ffffffffffffffff');
+      expect(computeDifferenceHash(Buffer.from([...gradient].reverse()))).toBe('0000000000000000');
+    });
+
+    test('should skip flat and short frames', () => {
+      expect(computeDifferenceHash(Buffer.alloc(72, 16))).toBeNull();
+      expect(computeDifferenceHash(gradient.subarray(0, 40))).toBeNull();
+    });
+  });
+
+  describe('hammingDistance', () => {
+    test('should count differing bits', () => {
+      expect(hammingDistance('0000000000000000', '0000000000000000')).toBe(0);
+      expect(hammingDistance('0000000000000000', '000000000000000f')).toBe(4);
+      expect(hammingDistance('ffffffffffffffff', '0000000000000000')).toBe(64);
+    });
+  });
+
+  describe('getHashBands', () => {
+    test('should split each hash into four indexed bands without repeats', () => {
+      expect(getHashBands(['0123456789abcdef', '0123ffffffffffff'])).toEqual([
+        '0:0123',
+        '1:4567',
+        '2:89ab',
+        '3:cdef',
+        '1:ffff',
+        '2:ffff',
+        '3:ffff',
+      ]);
+    });
+  });
+
+  describe('compareFrameHashes', () => {
+    const hashes = ['0f0f0f0f0f0f0f0f', 'ffff0000ffff0000', '123456789abcdef0'];
+
+    test('should score identical frames as 1', () => {
+      expect(compareFrameHashes(hashes, hashes)).toBe(1);
+    });
+
+    test('should match each frame to its closest counterpart', () => {
+      // Same frames in another order, one missing
+      expect(compareFrameHashes(hashes, [hashes[2], hashes[0]])).toBeGreaterThan(0.8);
+    });
+
+    test('should score unrelated videos low', () => {
+      expect(compareFrameHashes(['0000000000000000'], ['ffffffffffffffff'])).toBe(0);
+      expect(compareFrameHashes(hashes, [])).toBe(0);
+    });
+  });
+});
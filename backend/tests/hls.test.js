@@ -0,0 +1,131 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const storage = require('../src/services/storage');
+const LocalDriver = require('../src/services/storage/localDriver');
+const {
+  selectRenditions,
+  storeRendition,
+  buildMasterPlaylist,
+  appendQueryToPlaylist,
+} = require('../src/services/hls');
+
+describe('HLS Service', () => {
+  describe('selectRenditions', () => {
+    test('should produce the full ladder for a 4K source', () => {
+      const renditions = selectRenditions(3840, 2160);
+
+      expect(renditions.map(r => r.name)).toEqual(['1080p', '720p', '480p', '360p']);
+      expect(renditions[0]).toMatchObject({ width: 1920, height: 1080 });
+    });
+
+    test('should never upscale past the source resolution', () => {
+      const renditions = selectRenditions(1280, 720);
+
+      expect(renditions.map(r => r.name)).toEqual(['720p', '480p', '360p']);
+    });
+
+    test('should match rungs against the short side of portrait videos', () => {
+      const renditions = selectRenditions(1080, 1920);
+
+      expect(renditions[0]).toMatchObject({ name: '1080p', width: 1080, height: 1920 });
+      expect(renditions[1]).toMatchObject({ name: '720p', width: 720, height: 1280 });
+    });
+
+    test('should keep a single rendition for sources below the lowest rung', () => {
+      const renditions = selectRenditions(320, 240);
+
+      expect(renditions).toHaveLength(1);
+      expect(renditions[0]).toMatchObject({ name: '240p', width: 320, height: 240 });
+    });
+
+    test('should keep dimensions even', () => {
+      const renditions = selectRenditions(1000, 750);
+
+      renditions.forEach(r => {
+        expect(r.width % 2).toBe(0);
+        expect(r.height % 2).toBe(0);
+      });
+    });
+
+    test('should leave audio out of the bandwidth of silent videos', () => {
+      const [withAudio] = selectRenditions(640, 360, true);
+      const [silent] = selectRenditions(640, 360, false);
+
+      expect(withAudio.bandwidth).toBe(896000);
+      expect(silent.bandwidth).toBe(800000);
+      expect(silent.audioBitrate).toBe(0);
+    });
+
+    test('should return nothing when the resolution is unknown', () => {
+      expect(selectRenditions(undefined, undefined)).toEqual([]);
+    });
+  });
+
+  describe('playlists', () => {
+    test('should list every rendition in the master playlist', () => {
+      const playlist = buildMasterPlaylist([
+        { name: '720p', width: 1280, height: 720, bandwidth: 2928000 },
+        { name: '360p', width: 640, height: 360, bandwidth: 896000 },
+      ]);
+
+      expect(playlist.startsWith('#EXTM3U\n')).toBe(true);
+      expect(playlist).toContain(
+        '#EXT-X-STREAM-INF:BANDWIDTH=2928000,RESOLUTION=1280x720,NAME="720p"\n720p/index.m3u8'
+      );
+      expect(playlist).toContain('360p/index.m3u8');
+    });
+
+    test('should append the query string to URIs only', () => {
+      const playlist = '#EXTM3U\n#EXTINF:6.0,\nabc.ts\n#EXT-X-ENDLIST\n';
+
+      expect(appendQueryToPlaylist(playlist, 'token=xyz')).toBe(
+        '#EXTM3U\n#EXTINF:6.0,\nabc.ts?token=xyz\n#EXT-X-ENDLIST\n'
+      );
+      expect(appendQueryToPlaylist(playlist, '')).toBe(playlist);
+    });
+  });
+
+  describe('storeRendition', () => {
+    let storageRoot;
+    let renditionDir;
+
+    beforeEach(async () => {
+      storageRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'hls-storage-'));
+      renditionDir = await fs.mkdtemp(path.join(os.tmpdir(), 'hls-rendition-'));
+      storage.setDriver(new LocalDriver({ root: storageRoot }));
+
+      await fs.writeFile(path.join(renditionDir, 'segment_00000.ts'), 'first');
+      await fs.writeFile(path.join(renditionDir, 'segment_00001.ts'), 'second');
+      await fs.writeFile(
+        path.join(renditionDir, 'index.m3u8'),
+        '#EXTM3U\n#EXTINF:6.0,\nsegment_00000.ts\n#EXTINF:2.5,\nsegment_00001.ts\n#EXT-X-ENDLIST\n'
+      );
+    });
+
+    afterEach(async () => {
+      storage.setDriver(null);
+      await fs.rm(storageRoot, { recursive: true, force: true });
+      await fs.rm(renditionDir, { recursive: true, force: true });
+    });
+
+    test('should store segments and point the playlist at them', async () => {
+      const result = await storeRendition('video123', { name: '360p' }, renditionDir);
+
+      expect(result.segmentCount).toBe(2);
+      expect(result.fileIds).toHaveLength(3);
+
+      const playlist = (await storage.downloadToBuffer(result.playlistFileId)).toString();
+      const uris = playlist.split('\n').filter(line => line && !line.startsWith('#'));
+      expect(uris).toHaveLength(2);
+
+      const first = await storage.stat(uris[0].replace(/\.ts$/, ''));
+      expect(first.metadata).toMatchObject({
+        videoId: 'video123',
+        rendition: '360p',
+        type: 'hls-segment',
+      });
+      expect((await storage.downloadToBuffer(first.fileId)).toString()).toBe('first');
+    });
+  });
+});
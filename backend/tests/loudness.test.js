@@ -0,0 +1,92 @@
+const {
+  buildMeasureFilter,
+  buildNormalizeFilter,
+  parseLoudnessLog,
+  assessLoudness,
+} = require('../src/services/loudness');
+
+describe('Loudness Service', () => {
+  const measurement = {
+    integrated: -22.12,
+    truePeak: -18.06,
+    range: 5.1,
+    threshold: -32.28,
+    targetOffset: 0.15,
+  };
+
+  describe('buildMeasureFilter', () => {
+    test('should print the measurement as JSON', () => {
+      expect(buildMeasureFilter()).toBe('loudnorm=I=-16:TP=-1.5:LRA=11:print_format=json');
+    });
+
+    test('should read the target from the environment', () => {
+      process.env.LOUDNESS_TARGET_LUFS = '-23';
+      try {
+        expect(buildMeasureFilter()).toContain('I=-23:');
+      } finally {
+        delete process.env.LOUDNESS_TARGET_LUFS;
+      }
+    });
+  });
+
+  describe('buildNormalizeFilter', () => {
+    test('should feed the measurement back for a linear gain', () => {
+      const filter = buildNormalizeFilter(measurement);
+
+      expect(filter).toContain('measured_I=-22.12:measured_TP=-18.06:measured_LRA=5.1');
+      expect(filter).toContain('measured_thresh=-32.28:offset=0.15:linear=true');
+      expect(filter.endsWith(',aresample=48000')).toBe(true);
+    });
+
+    test('should not normalize digital silence', () => {
+      expect(buildNormalizeFilter({ ...measurement, integrated: null })).toBeNull();
+    });
+  });
+
+  describe('parseLoudnessLog', () => {
+    const log = [
+      'size=N/A time=00:00:06.00 bitrate=N/A speed=27.4x',
+      '[Parsed_loudnorm_0 @ 0x3073ec00] ',
+      '{',
+      '\t"input_i" : "-22.12",',
+      '\t"input_tp" : "-18.06",',
+      '\t"input_lra" : "5.10",',
+      '\t"input_thresh" : "-32.28",',
+      '\t"output_i" : "-16.15",',
+      '\t"normalization_type" : "dynamic",',
+      '\t"target_offset" : "0.15"',
+      '}',
+    ];
+
+    test('should read the input levels', () => {
+      expect(parseLoudnessLog(log)).toEqual(measurement);
+    });
+
+    test('should report silence as a null loudness', () => {
+      const silent = log.map(line => line.replace('"-22.12"', '"-inf"'));
+
+      expect(parseLoudnessLog(silent).integrated).toBeNull();
+    });
+
+    test('should fail when loudnorm printed nothing', () => {
+      expect(() => parseLoudnessLog(['Output #0, null, to pipe:'])).toThrow(
+        'loudnorm did not report a measurement'
+      );
+    });
+  });
+
+  describe('assessLoudness', () => {
+    test('should pass audio at a normal level', () => {
+      expect(assessLoudness(measurement)).toEqual({ clipped: false, nearSilent: false });
+    });
+
+    test('should flag a true peak at full scale as clipped', () => {
+      expect(assessLoudness({ ...measurement, truePeak: 0.4 }).clipped).toBe(true);
+    });
+
+    test('should flag very quiet or silent audio', () => {
+      expect(assessLoudness({ ...measurement, integrated: -55 }).nearSilent).toBe(true);
+      expect(assessLoudness({ ...measurement, integrated: null }).nearSilent).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,89 @@
+const {
+  getFileValidators,
+  getCacheControl,
+  getCacheHeaders,
+  isRangeCurrent,
+} = require('../src/services/mediaCache');
+
+describe('Media Cache Service', () => {
+  const uploadDate = new Date('2026-03-01T10:20:30.456Z');
+  const file = { fileId: '65a1b2c3d4e5f6a7b8c9d0e1', length: 1048576, uploadDate };
+  const originalEnv = process.env;
+
+  beforeEach(() => {
+    process.env = { ...originalEnv };
+    delete process.env.MEDIA_CACHE_CONTROL;
+    delete process.env.SIGNED_MEDIA_CACHE_CONTROL;
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  describe('getFileValidators', () => {
+    test('should prefer the stored MD5 or S3 ETag', () => {
+      expect(getFileValidators({ ...file, md5: 'abc123' }).etag).toBe('"abc123"');
+      expect(getFileValidators({ ...file, etag: '"s3-etag"' }).etag).toBe('"s3-etag"');
+    });
+
+    test('should fall back to the file ID, size and upload time', () => {
+      const { etag, lastModified } = getFileValidators(file);
+
+      expect(etag).toBe(`"${file.fileId}-${(1048576).toString(36)}-${uploadDate.getTime().toString(36)}"`);
+      expect(lastModified).toEqual(uploadDate);
+      expect(getFileValidators({ ...file, uploadDate: undefined })).toEqual({
+        etag: `"${file.fileId}-${(1048576).toString(36)}"`,
+        lastModified: null,
+      });
+    });
+  });
+
+  describe('getCacheControl', () => {
+    const now = Date.UTC(2026, 0, 1, 12, 0, 0);
+
+    test('should use the private policy for bearer requests', () => {
+      expect(getCacheControl({}, now)).toBe('private, no-cache');
+      process.env.MEDIA_CACHE_CONTROL = 'private, max-age=60';
+      expect(getCacheControl({}, now)).toBe('private, max-age=60');
+    });
+
+    test('should cap the signed policy at the signature lifetime', () => {
+      const req = { signedUrl: { expiresAt: new Date(now + 120 * 1000) } };
+
+      expect(getCacheControl(req, now)).toBe('private, max-age=120');
+      process.env.SIGNED_MEDIA_CACHE_CONTROL = 'private, max-age=60, immutable';
+      expect(getCacheControl(req, now)).toBe('private, max-age=60, immutable');
+    });
+
+    test('should describe the file in the headers', () => {
+      expect(getCacheHeaders({}, file)).toEqual({
+        ETag: getFileValidators(file).etag,
+        'Last-Modified': 'Sun, 01 Mar 2026 10:20:30 GMT',
+        'Cache-Control': 'private, no-cache',
+      });
+    });
+  });
+
+  describe('isRangeCurrent', () => {
+    const withIfRange = value => ({ headers: value ? { 'if-range': value } : {} });
+
+    test('should allow ranges without If-Range', () => {
+      expect(isRangeCurrent(withIfRange(), file)).toBe(true);
+    });
+
+    test('should compare entity tags strongly', () => {
+      const { etag } = getFileValidators(file);
+
+      expect(isRangeCurrent(withIfRange(etag), file)).toBe(true);
+      expect(isRangeCurrent(withIfRange(`W/${etag}`), file)).toBe(false);
+      expect(isRangeCurrent(withIfRange('"something-else"'), file)).toBe(false);
+    });
+
+    test('should compare dates to the second', () => {
+      expect(isRangeCurrent(withIfRange('Sun, 01 Mar 2026 10:20:30 GMT'), file)).toBe(true);
+      expect(isRangeCurrent(withIfRange('Sun, 01 Mar 2026 10:20:29 GMT'), file)).toBe(false);
+      expect(isRangeCurrent(withIfRange('not a date'), file)).toBe(false);
+      expect(isRangeCurrent(withIfRange('Sun, 01 Mar 2026 10:20:30 GMT'), { ...file, uploadDate: null })).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,102 @@
+const {
+  MAX_RANGES,
+  parseRange,
+  coalesceRanges,
+  buildMultipartLayout,
+} = require('../src/services/mediaServer');
+
+describe('Media Server Service', () => {
+  describe('parseRange', () => {
+    const size = 10000;
+
+    test('should ignore missing headers and other units', () => {
+      expect(parseRange(undefined, size)).toBeNull();
+      expect(parseRange('', size)).toBeNull();
+      expect(parseRange('items=0-9', size)).toBeNull();
+      expect(parseRange('0-9', size)).toBeNull();
+    });
+
+    test('should parse closed and open-ended ranges', () => {
+      expect(parseRange('bytes=0-499', size)).toEqual({ satisfiable: true, ranges: [{ start: 0, end: 499 }] });
+      expect(parseRange('bytes=9500-', size)).toEqual({ satisfiable: true, ranges: [{ start: 9500, end: 9999 }] });
+      expect(parseRange('Bytes = 10 - 19', size)).toEqual({ satisfiable: true, ranges: [{ start: 10, end: 19 }] });
+    });
+
+    test('should shorten ranges that run past the end of the file', () => {
+      expect(parseRange('bytes=9000-20000', size).ranges).toEqual([{ start: 9000, end: 9999 }]);
+    });
+
+    test('should count suffix ranges from the end', () => {
+      expect(parseRange('bytes=-500', size).ranges).toEqual([{ start: 9500, end: 9999 }]);
+      expect(parseRange('bytes=-20000', size).ranges).toEqual([{ start: 0, end: 9999 }]);
+    });
+
+    test('should reject unsatisfiable and malformed ranges', () => {
+      const unsatisfiable = { satisfiable: false };
+
+      expect(parseRange('bytes=10000-', size)).toEqual(unsatisfiable);
+      expect(parseRange('bytes=-0', size)).toEqual(unsatisfiable);
+      expect(parseRange('bytes=-100', 0)).toEqual(unsatisfiable);
+      expect(parseRange('bytes=500-100', size)).toEqual(unsatisfiable);
+      expect(parseRange('bytes=abc-100', size)).toEqual(unsatisfiable);
+      expect(parseRange('bytes=-', size)).toEqual(unsatisfiable);
+      expect(parseRange('bytes=', size)).toEqual(unsatisfiable);
+    });
+
+    test('should skip unsatisfiable ranges of a set', () => {
+      expect(parseRange('bytes=20000-30000, 0-9', size).ranges).toEqual([{ start: 0, end: 9 }]);
+    });
+
+    test('should reject too many ranges', () => {
+      const specs = Array.from({ length: MAX_RANGES + 1 }, (_, i) => `${i * 200}-${i * 200 + 9}`);
+
+      expect(parseRange(`bytes=${specs.join(',')}`, size)).toEqual({ satisfiable: false });
+    });
+
+    test('should return multiple ranges in ascending order', () => {
+      expect(parseRange('bytes=5000-5099, 0-99, , -100', size).ranges).toEqual([
+        { start: 0, end: 99 },
+        { start: 5000, end: 5099 },
+        { start: 9900, end: 9999 },
+      ]);
+    });
+  });
+
+  describe('coalesceRanges', () => {
+    test('should merge overlapping, adjacent and nearby ranges', () => {
+      expect(coalesceRanges([
+        { start: 100, end: 199 },
+        { start: 0, end: 149 },
+        { start: 200, end: 249 },
+        { start: 300, end: 399 },
+        { start: 1000, end: 1099 },
+      ])).toEqual([
+        { start: 0, end: 399 },
+        { start: 1000, end: 1099 },
+      ]);
+    });
+
+    test('should not modify the given ranges', () => {
+      const ranges = [{ start: 0, end: 9 }, { start: 5, end: 19 }];
+      coalesceRanges(ranges);
+
+      expect(ranges).toEqual([{ start: 0, end: 9 }, { start: 5, end: 19 }]);
+    });
+  });
+
+  describe('buildMultipartLayout', () => {
+    test('should compute the exact body length', () => {
+      const ranges = [{ start: 0, end: 9 }, { start: 500, end: 599 }];
+      const layout = buildMultipartLayout(ranges, 1000, 'video/mp4', 'BOUNDARY');
+      const body = layout.parts.map(part => part.head + 'x'.repeat(part.end - part.start + 1)).join('') +
+        layout.tail;
+
+      expect(layout.parts[0].head).toBe(
+        '--BOUNDARY\r\nContent-Type: video/mp4\r\nContent-Range: bytes 0-9/1000\r\n\r\n'
+      );
+      expect(layout.parts[1].head.startsWith('\r\n--BOUNDARY\r\n')).toBe(true);
+      expect(layout.tail).toBe('\r\n--BOUNDARY--\r\n');
+      expect(layout.length).toBe(Buffer.byteLength(body));
+    });
+  });
+});
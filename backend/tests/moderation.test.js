@@ -0,0 +1,322 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const app = require('../src/app');
+const User = require('../src/models/User');
+const Video = require('../src/models/Video');
+const VideoAssignment = require('../src/models/VideoAssignment');
+
+describe('Moderation API', () => {
+  let adminUser;
+  let otherAdmin;
+  let viewerUser;
+  let adminToken;
+  let otherAdminToken;
+  let editorToken;
+  let viewerToken;
+  let video;
+
+  const createFlaggedVideo = (overrides = {}) => {
+    const flagged = new Video({
+      title: 'Flagged Video',
+      ownerUserId: adminUser._id,
+      status: 'ready',
+      sensitivity: 'flagged',
+      sensitivityFlags: ['Contains sensitive keyword: graphic'],
+      originalFilename: 'flagged.mp4',
+      storedFilename: 'flagged-123.mp4',
+      gridFsFileId: new mongoose.Types.ObjectId(),
+      fileSize: 1024,
+      mimeType: 'video/mp4',
+      ...overrides,
+    });
+    flagged.queueForReview(null, 'Contains sensitive keyword: graphic');
+    return flagged.save();
+  };
+
+  beforeEach(async () => {
+    adminUser = await User.create({
+      name: 'Admin User',
+      email: 'admin@test.com',
+      password: 'Password123!',
+      role: 'admin',
+    });
+    otherAdmin = await User.create({
+      name: 'Other Admin',
+      email: 'other-admin@test.com',
+      password: 'Password123!',
+      role: 'admin',
+    });
+    const editorUser = await User.create({
+      name: 'Editor User',
+      email: 'editor@test.com',
+      password: 'Password123!',
+      role: 'editor',
+    });
+    viewerUser = await User.create({
+      name: 'Viewer User',
+      email: 'viewer@test.com',
+      password: 'Password123!',
+      role: 'viewer',
+    });
+
+    adminToken = jwt.sign({ id: adminUser._id }, process.env.JWT_SECRET);
+    otherAdminToken = jwt.sign({ id: otherAdmin._id }, process.env.JWT_SECRET);
+    editorToken = jwt.sign({ id: editorUser._id }, process.env.JWT_SECRET);
+    viewerToken = jwt.sign({ id: viewerUser._id }, process.env.JWT_SECRET);
+
+    video = await createFlaggedVideo();
+  });
+
+  describe('GET /api/moderation/queue', () => {
+    test('should list videos awaiting review, oldest first', async () => {
+      const newer = await createFlaggedVideo({ title: 'Newer Flagged Video' });
+      await createFlaggedVideo({ title: 'Approved Video' }).then(approved =>
+        Video.updateOne({ _id: approved._id }, { 'moderation.status': 'approved' })
+      );
+
+      const response = await request(app)
+        .get('/api/moderation/queue')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.data.videos.map(v => v._id)).toEqual([
+        video._id.toString(),
+        newer._id.toString(),
+      ]);
+      expect(response.body.data.pagination.total).toBe(2);
+    });
+
+    test('should reject non-admin users', async () => {
+      await request(app)
+        .get('/api/moderation/queue')
+        .set('Authorization', `Bearer ${editorToken}`)
+        .expect(403);
+    });
+  });
+
+  describe('Claim, approve and reject', () => {
+    test('should let only one reviewer claim a video', async () => {
+      await request(app)
+        .post(`/api/moderation/videos/${video._id}/claim`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      const response = await request(app)
+        .post(`/api/moderation/videos/${video._id}/claim`)
+        .set('Authorization', `Bearer ${otherAdminToken}`)
+        .expect(409);
+      expect(response.body.error).toMatch(/another reviewer/);
+
+      const claimed = await Video.findById(video._id);
+      expect(claimed.moderation.status).toBe('in_review');
+      expect(claimed.moderation.claimedBy.toString()).toBe(adminUser._id.toString());
+    });
+
+    test('should approve a claimed video and record the decision', async () => {
+      await request(app)
+        .post(`/api/moderation/videos/${video._id}/claim`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      const response = await request(app)
+        .post(`/api/moderation/videos/${video._id}/approve`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ note: 'Documentary footage, fine in context' })
+        .expect(200);
+
+      expect(response.body.data.video.sensitivity).toBe('safe');
+      expect(response.body.data.video.moderation.status).toBe('approved');
+
+      const history = await request(app)
+        .get(`/api/moderation/videos/${video._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      const { moderation } = history.body.data.video;
+      expect(moderation.history.map(entry => entry.action)).toEqual([
+        'queued',
+        'claimed',
+        'approved',
+      ]);
+      expect(moderation.history[2]).toMatchObject({
+        fromSensitivity: 'flagged',
+        toSensitivity: 'safe',
+        reason: 'Documentary footage, fine in context',
+      });
+      expect(moderation.history[2].actor.email).toBe('admin@test.com');
+      expect(moderation.notes[0].text).toBe('Documentary footage, fine in context');
+    });
+
+    test('should require a reason to reject', async () => {
+      await request(app)
+        .post(`/api/moderation/videos/${video._id}/claim`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      await request(app)
+        .post(`/api/moderation/videos/${video._id}/reject`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({})
+        .expect(400);
+
+      const response = await request(app)
+        .post(`/api/moderation/videos/${video._id}/reject`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ reason: 'Graphic violence' })
+        .expect(200);
+
+      expect(response.body.data.video.moderation.status).toBe('rejected');
+      expect(response.body.data.video.sensitivity).toBe('flagged');
+    });
+
+    test('should not let another reviewer decide a claimed video', async () => {
+      await request(app)
+        .post(`/api/moderation/videos/${video._id}/claim`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      await request(app)
+        .post(`/api/moderation/videos/${video._id}/approve`)
+        .set('Authorization', `Bearer ${otherAdminToken}`)
+        .send({})
+        .expect(409);
+    });
+
+    test('should not decide a video that has not been claimed', async () => {
+      await request(app)
+        .post(`/api/moderation/videos/${video._id}/approve`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({})
+        .expect(409);
+    });
+
+    test('should return a released video to the queue', async () => {
+      await request(app)
+        .post(`/api/moderation/videos/${video._id}/claim`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      await request(app)
+        .post(`/api/moderation/videos/${video._id}/release`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({})
+        .expect(200);
+
+      await request(app)
+        .post(`/api/moderation/videos/${video._id}/claim`)
+        .set('Authorization', `Bearer ${otherAdminToken}`)
+        .expect(200);
+    });
+
+    test('should let another reviewer take over a lapsed claim', async () => {
+      await request(app)
+        .post(`/api/moderation/videos/${video._id}/claim`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+      await Video.updateOne({ _id: video._id }, { 'moderation.claimedUntil': new Date(Date.now() - 1000) });
+
+      const queue = await request(app)
+        .get('/api/moderation/queue?status=pending')
+        .set('Authorization', `Bearer ${otherAdminToken}`)
+        .expect(200);
+      expect(queue.body.data.videos.map(v => v._id)).toEqual([video._id.toString()]);
+
+      await request(app)
+        .post(`/api/moderation/videos/${video._id}/claim`)
+        .set('Authorization', `Bearer ${otherAdminToken}`)
+        .expect(200);
+
+      const claimed = await Video.findById(video._id);
+      expect(claimed.moderation.claimedBy.toString()).toBe(otherAdmin._id.toString());
+      expect(claimed.moderation.claimedUntil.getTime()).toBeGreaterThan(Date.now());
+
+      await request(app)
+        .post(`/api/moderation/videos/${video._id}/approve`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({})
+        .expect(409);
+    });
+
+    test('should let an admin force-release another reviewer\'s claim', async () => {
+      await request(app)
+        .post(`/api/moderation/videos/${video._id}/claim`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      await request(app)
+        .post(`/api/moderation/videos/${video._id}/release`)
+        .set('Authorization', `Bearer ${otherAdminToken}`)
+        .send({})
+        .expect(409);
+
+      await request(app)
+        .post(`/api/moderation/videos/${video._id}/release`)
+        .set('Authorization', `Bearer ${otherAdminToken}`)
+        .send({ force: true, note: 'Reviewer is on leave' })
+        .expect(200);
+
+      const released = await Video.findById(video._id);
+      expect(released.moderation.status).toBe('pending');
+      expect(released.moderation.claimedBy).toBeUndefined();
+      const entry = released.moderation.history[released.moderation.history.length - 1];
+      expect(entry).toMatchObject({ action: 'released', reason: 'Reviewer is on leave' });
+      expect(entry.actor.toString()).toBe(otherAdmin._id.toString());
+
+      await request(app)
+        .post(`/api/moderation/videos/${video._id}/claim`)
+        .set('Authorization', `Bearer ${otherAdminToken}`)
+        .expect(200);
+    });
+  });
+
+  describe('POST /api/moderation/videos/:id/notes', () => {
+    test('should add a reviewer note', async () => {
+      const response = await request(app)
+        .post(`/api/moderation/videos/${video._id}/notes`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ text: 'Checking with legal' })
+        .expect(201);
+
+      expect(response.body.data.notes).toHaveLength(1);
+      expect(response.body.data.notes[0].author.email).toBe('admin@test.com');
+    });
+  });
+
+  describe('Viewer access', () => {
+    beforeEach(async () => {
+      await VideoAssignment.create({
+        videoId: video._id,
+        userId: viewerUser._id,
+        assignedBy: adminUser._id,
+      });
+    });
+
+    test('should block viewers from streaming a video awaiting review', async () => {
+      const response = await request(app)
+        .get(`/api/videos/${video._id}/stream`)
+        .set('Authorization', `Bearer ${viewerToken}`)
+        .expect(403);
+
+      expect(response.body.error).toMatch(/awaiting moderation/);
+    });
+
+    test('should block viewers from the thumbnail of a video awaiting review', async () => {
+      await request(app)
+        .get(`/api/videos/${video._id}/thumbnail`)
+        .set('Authorization', `Bearer ${viewerToken}`)
+        .expect(403);
+    });
+
+    test('should block viewers from streaming a rejected video', async () => {
+      await Video.updateOne({ _id: video._id }, { 'moderation.status': 'rejected' });
+
+      const response = await request(app)
+        .get(`/api/videos/${video._id}/stream`)
+        .set('Authorization', `Bearer ${viewerToken}`)
+        .expect(403);
+
+      expect(response.body.error).toMatch(/rejected/);
+    });
+  });
+});
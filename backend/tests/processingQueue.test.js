@@ -1,75 +1,125 @@
 const processingQueue = require('../src/services/processingQueue');
-const { processVideo } = require('../src/services/videoProcessing');
+const { processVideo, extractClip } = require('../src/services/videoProcessing');
 const Video = require('../src/models/Video');
+const ProcessingJob = require('../src/models/ProcessingJob');
+const storage = require('../src/services/storage');
+const fingerprint = require('../src/services/fingerprint');
 
 // Mock the processVideo function
 jest.mock('../src/services/videoProcessing', () => ({
   processVideo: jest.fn(),
+  extractClip: jest.fn(),
 }));
 
 // Mock Video model
 jest.mock('../src/models/Video', () => ({
   findById: jest.fn(),
+  find: jest.fn(),
 }));
 
+// Mock ProcessingJob model (the persistent queue)
+jest.mock('../src/models/ProcessingJob', () => ({
+  ACTIVE_STATUSES: ['queued', 'processing'],
+  findOneAndUpdate: jest.fn(),
+  findOne: jest.fn(),
+  updateOne: jest.fn(),
+  updateMany: jest.fn(),
+  distinct: jest.fn(),
+  create: jest.fn(),
+  countDocuments: jest.fn(),
+  deleteMany: jest.fn(),
+}));
+
+const ownerUserId = '507f1f77bcf86cd799439099';
+
 describe('Video Processing Queue', () => {
-  beforeEach(() => {
+  beforeEach(async () => {
     // Stop queue first
     processingQueue.stop();
+    // Reset mocks
+    jest.clearAllMocks();
+    ProcessingJob.updateMany.mockResolvedValue({ modifiedCount: 0 });
+    ProcessingJob.updateOne.mockResolvedValue({ modifiedCount: 1 });
+    ProcessingJob.distinct.mockResolvedValue([]);
+    ProcessingJob.deleteMany.mockResolvedValue({ deletedCount: 0 });
+    ProcessingJob.findOneAndUpdate.mockResolvedValue(null);
+    Video.find.mockResolvedValue([]);
     // Clear queue state
-    processingQueue.clear();
+    await processingQueue.clear();
     // Remove all event listeners to prevent contamination
     processingQueue.removeAllListeners();
-    // Reset mocks
-    jest.clearAllMocks();
   });
 
   afterEach(() => {
     // Stop queue
     processingQueue.stop();
-    // Clear state
-    processingQueue.clear();
     // Remove listeners
     processingQueue.removeAllListeners();
   });
 
   describe('enqueue', () => {
-    test('should add video to queue', () => {
-      // Stop queue to prevent immediate processing
-      processingQueue.stop();
-      processingQueue.clear();
-      
-      const videoId = '123456789';
-      processingQueue.enqueue(videoId);
+    const videoId = '507f1f77bcf86cd799439011';
+
+    test('should store a queued job for the video', async () => {
+      const job = { _id: 'job1', videoId, status: 'queued' };
+      ProcessingJob.findOneAndUpdate.mockResolvedValueOnce({
+        value: job,
+        lastErrorObject: { updatedExisting: false },
+      });
 
-      expect(processingQueue.queue).toContain(videoId);
+      await expect(processingQueue.enqueue(videoId)).resolves.toBe(job);
+
+      expect(ProcessingJob.findOneAndUpdate).toHaveBeenCalledWith(
+        { videoId, status: { $in: ['queued', 'processing'] } },
+        {
+          $setOnInsert: {
+            videoId,
+            status: 'queued',
+            maxAttempts: processingQueue.retryPolicy.maxAttempts,
+            nextRunAt: expect.any(Date),
+          },
+        },
+        expect.objectContaining({ upsert: true })
+      );
     });
 
-    test('should not add duplicate videos', () => {
-      // Stop queue to prevent immediate processing
-      processingQueue.stop();
-      processingQueue.clear();
-      
-      const videoId = '123456789';
-      processingQueue.enqueue(videoId);
-      processingQueue.enqueue(videoId);
+    test('should emit enqueued event for a new job', async () => {
+      ProcessingJob.findOneAndUpdate.mockResolvedValueOnce({
+        value: { videoId },
+        lastErrorObject: { updatedExisting: false },
+      });
+      const enqueued = jest.fn();
+      processingQueue.on('enqueued', enqueued);
 
-      expect(processingQueue.queue.filter(id => id === videoId)).toHaveLength(1);
-    });
+      await processingQueue.enqueue(videoId);
 
-    test('should emit enqueued event', done => {
-      // Stop queue to prevent immediate processing
-      processingQueue.stop();
-      processingQueue.clear();
-      
-      const videoId = '123456789';
+      expect(enqueued).toHaveBeenCalledWith(videoId);
+    });
 
-      processingQueue.on('enqueued', id => {
-        expect(id).toBe(videoId);
-        done();
+    test('should not add duplicate videos', async () => {
+      ProcessingJob.findOneAndUpdate.mockResolvedValueOnce({
+        value: { videoId },
+        lastErrorObject: { updatedExisting: true },
       });
+      const enqueued = jest.fn();
+      processingQueue.on('enqueued', enqueued);
+
+      await processingQueue.enqueue(videoId);
+
+      expect(enqueued).not.toHaveBeenCalled();
+    });
+
+    test('should treat a concurrently inserted job as already queued', async () => {
+      const job = { _id: 'job1', videoId, status: 'queued' };
+      ProcessingJob.findOneAndUpdate.mockRejectedValueOnce(Object.assign(new Error('E11000'), { code: 11000 }));
+      ProcessingJob.findOne.mockResolvedValueOnce(job);
+      const enqueued = jest.fn();
+      processingQueue.on('enqueued', enqueued);
+
+      await expect(processingQueue.enqueue(videoId)).resolves.toBe(job);
 
-      processingQueue.enqueue(videoId);
+      expect(ProcessingJob.findOne).toHaveBeenCalledWith({ videoId, status: { $in: ['queued', 'processing'] } });
+      expect(enqueued).not.toHaveBeenCalled();
     });
   });
 
@@ -107,6 +157,193 @@ describe('Video Processing Queue', () => {
     });
   });
 
+  describe('recover', () => {
+    test('should requeue jobs whose lease expired', async () => {
+      ProcessingJob.updateMany.mockResolvedValueOnce({ modifiedCount: 2 });
+
+      const result = await processingQueue.recover();
+
+      expect(ProcessingJob.updateMany).toHaveBeenCalledWith(
+        { status: 'processing', leaseExpiresAt: { $lt: expect.any(Date) } },
+        { status: 'queued', workerId: null, leaseExpiresAt: null, nextRunAt: expect.any(Date) }
+      );
+      expect(result.requeued).toBe(2);
+    });
+
+    test('should queue videos left waiting without a job', async () => {
+      ProcessingJob.distinct.mockResolvedValueOnce(['video-with-job']);
+      Video.find.mockResolvedValueOnce([{ _id: 'stranded1' }, { _id: 'stranded2' }]);
+
+      const result = await processingQueue.recover();
+
+      expect(Video.find).toHaveBeenCalledWith(
+        { status: { $in: ['uploaded', 'processing'] }, _id: { $nin: ['video-with-job'] } },
+        '_id'
+      );
+      const { maxAttempts } = processingQueue.retryPolicy;
+      expect(ProcessingJob.create).toHaveBeenCalledWith({ videoId: 'stranded1', maxAttempts });
+      expect(ProcessingJob.create).toHaveBeenCalledWith({ videoId: 'stranded2', maxAttempts });
+      expect(result.enqueued).toBe(2);
+    });
+
+    test('should skip stranded videos enqueued meanwhile', async () => {
+      Video.find.mockResolvedValueOnce([{ _id: 'stranded1' }, { _id: 'stranded2' }]);
+      ProcessingJob.create
+        .mockRejectedValueOnce(Object.assign(new Error('E11000'), { code: 11000 }))
+        .mockResolvedValueOnce({});
+
+      const result = await processingQueue.recover();
+
+      expect(ProcessingJob.create).toHaveBeenCalledTimes(2);
+      expect(result.enqueued).toBe(1);
+    });
+  });
+
+  describe('claimNext', () => {
+    test('should take a lease on a queued or abandoned job', async () => {
+      const job = { _id: 'job1', videoId: 'video1' };
+      ProcessingJob.findOneAndUpdate.mockResolvedValueOnce(job);
+
+      await expect(processingQueue.claimNext()).resolves.toBe(job);
+
+      const [filter, update, options] = ProcessingJob.findOneAndUpdate.mock.calls[0];
+      expect(filter.$or[1]).toEqual({
+        status: 'processing',
+        leaseExpiresAt: { $lt: expect.any(Date) },
+      });
+      expect(filter.$or[0]).toEqual({ status: 'queued', nextRunAt: { $lte: expect.any(Date) } });
+      expect(update.$set).toMatchObject({ status: 'processing', workerId: processingQueue.workerId });
+      expect(update.$set.leaseExpiresAt.getTime()).toBeGreaterThan(Date.now());
+      expect(update.$inc).toEqual({ attempts: 1 });
+      expect(options.sort).toEqual({ createdAt: 1 });
+    });
+  });
+
+  describe('processNext', () => {
+    test('should process a claimed job and record its result', async () => {
+      const videoId = '507f1f77bcf86cd799439011';
+      const job = { _id: 'job1', videoId, attempts: 1, maxAttempts: 3 };
+      processingQueue.isRunning = true;
+      ProcessingJob.findOneAndUpdate.mockResolvedValueOnce(job);
+      const processJob = jest
+        .spyOn(processingQueue, 'processJob')
+        .mockResolvedValue({ success: true });
+      const events = [];
+      processingQueue.on('processing', id => events.push(['processing', id]));
+      processingQueue.on('completed', id => events.push(['completed', id]));
+
+      await processingQueue.processNext();
+
+      expect(processJob).toHaveBeenCalledWith(videoId, { willRetry: true });
+      expect(ProcessingJob.updateOne).toHaveBeenCalledWith(
+        { _id: 'job1', workerId: processingQueue.workerId },
+        expect.objectContaining({ status: 'completed', workerId: null, leaseExpiresAt: null })
+      );
+      expect(events).toEqual([
+        ['processing', videoId],
+        ['completed', videoId],
+      ]);
+      expect(processingQueue.processing.size).toBe(0);
+      processJob.mockRestore();
+    });
+
+    test('should schedule a retry with backoff when an attempt fails', async () => {
+      processingQueue.isRunning = true;
+      ProcessingJob.findOneAndUpdate.mockResolvedValueOnce({
+        _id: 'job1',
+        videoId: 'video1',
+        attempts: 1,
+        maxAttempts: 3,
+      });
+      const processJob = jest
+        .spyOn(processingQueue, 'processJob')
+        .mockResolvedValue({ success: false, error: 'GridFS read timeout' });
+      const retrying = jest.fn();
+      processingQueue.on('retrying', retrying);
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      const before = Date.now();
+      await processingQueue.processNext();
+
+      expect(processJob).toHaveBeenCalledWith('video1', { willRetry: true });
+      const [, update] = ProcessingJob.updateOne.mock.calls[0];
+      expect(update).toMatchObject({ status: 'queued', error: 'GridFS read timeout' });
+      expect(update.nextRunAt.getTime()).toBeGreaterThanOrEqual(
+        before + processingQueue.retryPolicy.baseDelay
+      );
+      expect(retrying).toHaveBeenCalledWith('video1', 'GridFS read timeout', 1);
+      jest.restoreAllMocks();
+    });
+
+    test('should move the job to the dead-letter state after the last attempt', async () => {
+      processingQueue.isRunning = true;
+      ProcessingJob.findOneAndUpdate.mockResolvedValueOnce({
+        _id: 'job1',
+        videoId: 'video1',
+        attempts: 3,
+        maxAttempts: 3,
+      });
+      const processJob = jest
+        .spyOn(processingQueue, 'processJob')
+        .mockResolvedValue({ success: false, error: 'Corrupt file' });
+      const dead = jest.fn();
+      processingQueue.on('dead', dead);
+
+      await processingQueue.processNext();
+
+      expect(processJob).toHaveBeenCalledWith('video1', { willRetry: false });
+      expect(ProcessingJob.updateOne).toHaveBeenCalledWith(
+        { _id: 'job1', workerId: processingQueue.workerId },
+        expect.objectContaining({ status: 'dead', error: 'Corrupt file' })
+      );
+      expect(dead).toHaveBeenCalledWith('video1', 'Corrupt file', 3);
+      processJob.mockRestore();
+    });
+
+    test('should not retry errors marked as permanent', async () => {
+      processingQueue.isRunning = true;
+      ProcessingJob.findOneAndUpdate.mockResolvedValueOnce({
+        _id: 'job1',
+        videoId: 'video1',
+        attempts: 1,
+        maxAttempts: 3,
+      });
+      const processJob = jest
+        .spyOn(processingQueue, 'processJob')
+        .mockResolvedValue({ success: false, error: 'Video not found', retryable: false });
+
+      await processingQueue.processNext();
+
+      expect(ProcessingJob.updateOne).toHaveBeenCalledWith(
+        expect.anything(),
+        expect.objectContaining({ status: 'dead' })
+      );
+      processJob.mockRestore();
+    });
+
+    test('should not claim work beyond the concurrency limit', async () => {
+      processingQueue.isRunning = true;
+      for (let i = 0; i < processingQueue.maxConcurrent; i++) {
+        processingQueue.processing.add(`busy${i}`);
+      }
+
+      await processingQueue.processNext();
+
+      expect(ProcessingJob.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getRetryDelay', () => {
+    test('should double the delay after each attempt up to the maximum', () => {
+      const { baseDelay, maxDelay } = processingQueue.retryPolicy;
+
+      expect(processingQueue.getRetryDelay(1)).toBe(baseDelay);
+      expect(processingQueue.getRetryDelay(2)).toBe(Math.min(baseDelay * 2, maxDelay));
+      expect(processingQueue.getRetryDelay(3)).toBe(Math.min(baseDelay * 4, maxDelay));
+      expect(processingQueue.getRetryDelay(50)).toBe(maxDelay);
+    });
+  });
+
   describe('processJob', () => {
     test('should process video successfully', async () => {
       const videoId = '507f1f77bcf86cd799439011';
@@ -115,6 +352,7 @@ describe('Video Processing Queue', () => {
         title: 'Test Video',
         description: 'Test Description',
         status: 'uploaded',
+        ownerUserId,
         save: jest.fn().mockResolvedValue(true),
       };
 
@@ -132,19 +370,106 @@ describe('Video Processing Queue', () => {
         flags: [],
       });
 
-      await processingQueue.processJob(videoId);
+      const outcome = await processingQueue.processJob(videoId);
 
+      expect(outcome).toEqual({ success: true });
+      expect(processVideo).toHaveBeenCalledWith(mockVideo, { onProgress: expect.any(Function) });
       expect(mockVideo.status).toBe('ready');
       expect(mockVideo.duration).toBe(120);
       expect(mockVideo.save).toHaveBeenCalled();
     });
 
+    test('should delete the files of a previous run once the new ones are saved', async () => {
+      const videoId = '507f1f77bcf86cd799439011';
+      const mockVideo = {
+        _id: videoId,
+        status: 'uploaded',
+        ownerUserId,
+        thumbnailGridFsFileId: 'old-thumb',
+        thumbnailVariants: [{ key: '320-webp', fileId: 'old-variant' }],
+        storyboard: { status: 'ready', sheets: ['old-sheet'] },
+        hls: { status: 'ready', fileIds: ['old-playlist', 'old-segment'] },
+        captions: [
+          { source: 'embedded', fileId: 'old-embedded' },
+          { source: 'upload', fileId: 'uploaded-track' },
+        ],
+        save: jest.fn().mockResolvedValue(true),
+      };
+      const deleteFile = jest.spyOn(storage, 'deleteFile').mockImplementation(async () => {
+        expect(mockVideo.save).toHaveBeenCalled();
+      });
+
+      Video.findById.mockResolvedValue(mockVideo);
+      processVideo.mockResolvedValue({
+        success: true,
+        metadata: { duration: 120, resolution: { width: 1920, height: 1080 }, codec: 'h264', format: 'mp4' },
+        thumbnailGridFsFileId: 'new-thumb',
+        sensitivity: 'safe',
+        sensitivityFlags: [],
+        hls: { status: 'ready', fileIds: ['new-playlist'] },
+        storyboard: { status: 'ready', sheets: ['new-sheet'] },
+        subtitleExtraction: { status: 'ready' },
+        captions: [{ source: 'embedded', fileId: 'new-embedded' }],
+      });
+
+      await processingQueue.processJob(videoId);
+
+      expect(Video.findById).toHaveBeenCalledWith(videoId, '+hls.fileIds');
+      expect(deleteFile.mock.calls.map(([fileId]) => fileId).sort()).toEqual(
+        ['old-embedded', 'old-playlist', 'old-segment', 'old-sheet', 'old-thumb', 'old-variant'].sort()
+      );
+      deleteFile.mockRestore();
+    });
+
+    test('should report near-duplicates to the uploader once processing completes', async () => {
+      const videoId = '507f1f77bcf86cd799439011';
+      const mockVideo = {
+        _id: videoId,
+        status: 'uploaded',
+        ownerUserId,
+        fingerprint: { checksum: 'abc' },
+        save: jest.fn().mockResolvedValue(true),
+      };
+      const emit = jest.fn();
+      processingQueue.setSocketIO({ to: jest.fn(() => ({ emit })) });
+      const findDuplicates = jest.spyOn(fingerprint, 'findDuplicates').mockResolvedValue([
+        { video: { _id: 'copy', title: 'Same file' }, similarity: 1, match: 'exact' },
+        { video: { _id: 'reencoded', title: 'Re-encoded copy' }, similarity: 0.95, match: 'near' },
+      ]);
+
+      Video.findById.mockResolvedValue(mockVideo);
+      processVideo.mockResolvedValue({
+        success: true,
+        metadata: { duration: 120, resolution: { width: 1920, height: 1080 }, codec: 'h264', format: 'mp4' },
+        sensitivity: 'safe',
+        sensitivityFlags: [],
+        fingerprint: { status: 'ready', frameHashes: ['0f0f0f0f0f0f0f0f'], bands: ['0:0f0f'] },
+      });
+
+      await processingQueue.processJob(videoId);
+
+      expect(findDuplicates).toHaveBeenCalledWith(mockVideo);
+      expect(mockVideo.fingerprint).toMatchObject({ checksum: 'abc', status: 'ready' });
+      expect(emit).toHaveBeenCalledWith(
+        'processing:status',
+        expect.objectContaining({
+          videoId,
+          status: 'ready',
+          duplicates: [{ _id: 'reencoded', title: 'Re-encoded copy', createdAt: undefined, similarity: 0.95 }],
+        })
+      );
+
+      findDuplicates.mockRestore();
+      processingQueue.setSocketIO(null);
+    });
+
     test('should handle processing failure', async () => {
       const videoId = '507f1f77bcf86cd799439011';
       const mockVideo = {
         _id: videoId,
         title: 'Test Video',
         status: 'processing',
+        ownerUserId,
         save: jest.fn().mockResolvedValue(true),
       };
 
@@ -154,19 +479,105 @@ describe('Video Processing Queue', () => {
         error: 'Processing failed',
       });
 
-      await processingQueue.processJob(videoId);
+      const outcome = await processingQueue.processJob(videoId);
 
+      expect(outcome).toEqual({ success: false, error: 'Processing failed' });
       expect(mockVideo.status).toBe('failed');
       expect(mockVideo.processingError).toBe('Processing failed');
       expect(mockVideo.save).toHaveBeenCalled();
     });
 
+    test('should keep the video processing when a retry follows', async () => {
+      const videoId = '507f1f77bcf86cd799439011';
+      const mockVideo = {
+        _id: videoId,
+        title: 'Test Video',
+        status: 'uploaded',
+        ownerUserId,
+        save: jest.fn().mockResolvedValue(true),
+      };
+      const failed = jest.fn();
+      processingQueue.on('failed', failed);
+
+      Video.findById.mockResolvedValue(mockVideo);
+      processVideo.mockResolvedValue({ success: false, error: 'GridFS read timeout' });
+
+      await processingQueue.processJob(videoId, { willRetry: true });
+
+      expect(mockVideo.status).toBe('processing');
+      expect(mockVideo.processingError).toBe('GridFS read timeout');
+      expect(failed).toHaveBeenCalledWith(videoId, 'GridFS read timeout', { willRetry: true });
+    });
+
+    test('should cut a clip from its parent before processing it', async () => {
+      const clipId = '507f1f77bcf86cd799439012';
+      const parent = { _id: '507f1f77bcf86cd799439011', gridFsFileId: 'parent-file' };
+      const clip = {
+        _id: clipId,
+        status: 'uploaded',
+        ownerUserId,
+        parentVideoId: parent._id,
+        clip: { start: 30, end: 150 },
+        save: jest.fn().mockResolvedValue(true),
+      };
+
+      Video.findById.mockImplementation(id => Promise.resolve(id === clipId ? clip : parent));
+      extractClip.mockResolvedValue({
+        fileId: 'clip-file',
+        originalFilename: 'lecture-clip.mp4',
+        storedFilename: `clip-${clipId}.mp4`,
+        fileSize: 2048,
+        mimeType: 'video/mp4',
+        checksum: 'abc123',
+        mode: 'copy',
+        cutStart: 29.5,
+      });
+      processVideo.mockResolvedValue({
+        success: true,
+        metadata: { duration: 121, resolution: { width: 1280, height: 720 }, codec: 'h264', format: 'mp4' },
+        sensitivity: 'safe',
+      });
+
+      const outcome = await processingQueue.processJob(clipId);
+
+      expect(outcome).toEqual({ success: true });
+      expect(extractClip).toHaveBeenCalledWith(clip, parent, { onProgress: expect.any(Function) });
+      expect(clip.gridFsFileId).toBe('clip-file');
+      expect(clip.fileSize).toBe(2048);
+      expect(clip.clip).toEqual({ start: 30, end: 150, cutStart: 29.5, mode: 'copy' });
+      expect(clip.fingerprint.checksum).toBe('abc123');
+      expect(processVideo).toHaveBeenCalledWith(clip, { onProgress: expect.any(Function) });
+      expect(clip.status).toBe('ready');
+    });
+
+    test('should fail a clip for good when its parent is gone', async () => {
+      const clipId = '507f1f77bcf86cd799439012';
+      const clip = {
+        _id: clipId,
+        status: 'uploaded',
+        ownerUserId,
+        parentVideoId: '507f1f77bcf86cd799439011',
+        clip: { start: 30, end: 150 },
+        save: jest.fn().mockResolvedValue(true),
+      };
+
+      Video.findById.mockImplementation(id => Promise.resolve(id === clipId ? clip : null));
+
+      const outcome = await processingQueue.processJob(clipId, { willRetry: true });
+
+      expect(outcome).toMatchObject({ success: false, retryable: false });
+      expect(clip.status).toBe('failed');
+      expect(extractClip).not.toHaveBeenCalled();
+      expect(processVideo).not.toHaveBeenCalled();
+    });
+
     test('should handle video not found', async () => {
       const videoId = '507f1f77bcf86cd799439011';
       Video.findById.mockResolvedValue(null);
 
-      await processingQueue.processJob(videoId);
+      const outcome = await processingQueue.processJob(videoId);
 
+      expect(outcome.success).toBe(false);
       expect(processVideo).not.toHaveBeenCalled();
     });
 
@@ -182,58 +593,59 @@ describe('Video Processing Queue', () => {
 
       expect(processVideo).not.toHaveBeenCalled();
       expect(errorHandler).toHaveBeenCalled();
-      
+
       // Clean up event listener
       processingQueue.removeListener('error', errorHandler);
     });
   });
 
+  describe('releaseLeases', () => {
+    test("should hand this worker's jobs back to the queue", async () => {
+      ProcessingJob.updateMany.mockResolvedValueOnce({ modifiedCount: 1 });
+
+      await expect(processingQueue.releaseLeases()).resolves.toBe(1);
+
+      expect(ProcessingJob.updateMany).toHaveBeenCalledWith(
+        { workerId: processingQueue.workerId, status: 'processing' },
+        { status: 'queued', workerId: null, leaseExpiresAt: null }
+      );
+    });
+  });
+
   describe('getStats', () => {
-    test('should return queue statistics', () => {
-      // Stop queue to prevent immediate processing
-      processingQueue.stop();
-      processingQueue.clear();
-      
-      processingQueue.enqueue('video1');
-      processingQueue.enqueue('video2');
-      processingQueue.enqueue('video3');
+    test('should return queue statistics', async () => {
+      ProcessingJob.countDocuments.mockImplementation(({ status }) =>
+        Promise.resolve(status === 'queued' ? 3 : 1)
+      );
 
-      const stats = processingQueue.getStats();
+      const stats = await processingQueue.getStats();
 
       expect(stats.queued).toBe(3);
-      expect(stats.processing).toBe(0);
+      expect(stats.processing).toBe(1);
+      expect(stats.dead).toBe(1);
+      expect(stats.processingOnThisWorker).toBe(0);
       expect(stats.maxConcurrent).toBeDefined();
       expect(stats.isRunning).toBe(false);
     });
   });
 
   describe('clear', () => {
-    test('should clear queue and processing set', () => {
-      // Stop queue to prevent immediate processing
-      processingQueue.stop();
-      processingQueue.clear();
-      
-      processingQueue.enqueue('video1');
-      processingQueue.enqueue('video2');
+    test('should remove queued jobs and local processing state', async () => {
+      processingQueue.processing.add('video1');
 
-      processingQueue.clear();
+      await processingQueue.clear();
 
-      const stats = processingQueue.getStats();
-      expect(stats.queued).toBe(0);
-      expect(stats.processing).toBe(0);
+      expect(ProcessingJob.deleteMany).toHaveBeenCalledWith({ status: 'queued' });
+      expect(processingQueue.processing.size).toBe(0);
     });
 
-    test('should emit cleared event', done => {
-      // Stop queue to prevent immediate processing
-      processingQueue.stop();
-      processingQueue.clear();
-      
-      processingQueue.on('cleared', () => {
-        done();
-      });
+    test('should emit cleared event', async () => {
+      const cleared = jest.fn();
+      processingQueue.on('cleared', cleared);
+
+      await processingQueue.clear();
 
-      processingQueue.enqueue('video1');
-      processingQueue.clear();
+      expect(cleared).toHaveBeenCalled();
     });
   });
 });
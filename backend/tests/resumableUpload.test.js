@@ -0,0 +1,326 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const { Readable } = require('stream');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const app = require('../src/app');
+const User = require('../src/models/User');
+const Video = require('../src/models/Video');
+const UploadSession = require('../src/models/UploadSession');
+const storage = require('../src/services/storage');
+const uploadStaging = require('../src/services/uploadStaging');
+const LocalDriver = require('../src/services/storage/localDriver');
+const processingQueue = require('../src/services/processingQueue');
+const { parseUploadMetadata } = require('../src/controllers/resumableUpload.controller');
+
+const encodeMetadata = metadata =>
+  Object.entries(metadata)
+    .map(([key, value]) => `${key} ${Buffer.from(value).toString('base64')}`)
+    .join(',');
+
+const createVideoBytes = (size = 2048) => {
+  const buffer = Buffer.alloc(size, 7);
+  buffer.writeUInt32BE(24, 0);
+  buffer.write('ftypisom', 4, 'ascii');
+  return buffer;
+};
+
+describe('parseUploadMetadata', () => {
+  test('should decode base64 values and keep keys without values', () => {
+    const header = `${encodeMetadata({ filename: 'clip.mp4', title: 'My clip' })},is_confidential`;
+
+    expect(parseUploadMetadata(header)).toEqual({
+      filename: 'clip.mp4',
+      title: 'My clip',
+      is_confidential: '',
+    });
+  });
+
+  test('should return an empty object for a missing header', () => {
+    expect(parseUploadMetadata(undefined)).toEqual({});
+  });
+});
+
+describe('Resumable Upload API', () => {
+  let editorUser;
+  let editorToken;
+  let viewerToken;
+  let otherEditorToken;
+  let storageRoot;
+  let stagingRoot;
+  const originalStagingPath = process.env.UPLOAD_STAGING_PATH;
+
+  const createUpload = (token, bytes, metadata = {}) =>
+    request(app)
+      .post('/api/videos/uploads')
+      .set('Authorization', `Bearer ${token}`)
+      .set('Tus-Resumable', '1.0.0')
+      .set('Upload-Length', String(bytes.length))
+      .set(
+        'Upload-Metadata',
+        encodeMetadata({ filename: 'clip.mp4', filetype: 'video/mp4', title: 'Resumed', ...metadata })
+      );
+
+  const patchChunk = (location, token, chunk, offset) =>
+    request(app)
+      .patch(location)
+      .set('Authorization', `Bearer ${token}`)
+      .set('Tus-Resumable', '1.0.0')
+      .set('Upload-Offset', String(offset))
+      .set('Content-Type', 'application/offset+octet-stream')
+      .send(chunk);
+
+  beforeAll(async () => {
+    storageRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'tus-storage-'));
+    stagingRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'tus-staging-'));
+    process.env.UPLOAD_STAGING_PATH = stagingRoot;
+    storage.setDriver(new LocalDriver({ root: storageRoot }));
+  });
+
+  afterAll(async () => {
+    storage.setDriver(null);
+    await fs.rm(storageRoot, { recursive: true, force: true });
+    await fs.rm(stagingRoot, { recursive: true, force: true });
+    if (originalStagingPath === undefined) {
+      delete process.env.UPLOAD_STAGING_PATH;
+    } else {
+      process.env.UPLOAD_STAGING_PATH = originalStagingPath;
+    }
+  });
+
+  beforeEach(async () => {
+    jest.spyOn(processingQueue, 'enqueue').mockImplementation(() => {});
+
+    editorUser = await User.create({
+      name: 'Editor User',
+      email: 'editor@test.com',
+      password: 'Password123!',
+      role: 'editor',
+    });
+    const otherEditor = await User.create({
+      name: 'Other Editor',
+      email: 'other@test.com',
+      password: 'Password123!',
+      role: 'editor',
+    });
+    const viewerUser = await User.create({
+      name: 'Viewer User',
+      email: 'viewer@test.com',
+      password: 'Password123!',
+      role: 'viewer',
+    });
+
+    editorToken = jwt.sign({ id: editorUser._id }, process.env.JWT_SECRET);
+    otherEditorToken = jwt.sign({ id: otherEditor._id }, process.env.JWT_SECRET);
+    viewerToken = jwt.sign({ id: viewerUser._id }, process.env.JWT_SECRET);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should upload in chunks, resume from HEAD and create the video', async () => {
+    const bytes = createVideoBytes();
+
+    const created = await createUpload(editorToken, bytes).expect(201);
+    const location = created.headers.location;
+    expect(location).toMatch(/^\/api\/videos\/uploads\/[a-f0-9]{24}$/);
+    expect(created.headers['upload-offset']).toBe('0');
+    expect(created.headers['tus-resumable']).toBe('1.0.0');
+
+    await patchChunk(location, editorToken, bytes.subarray(0, 1000), 0).expect(204);
+
+    const head = await request(app)
+      .head(location)
+      .set('Authorization', `Bearer ${editorToken}`)
+      .set('Tus-Resumable', '1.0.0')
+      .expect(200);
+    expect(head.headers['upload-offset']).toBe('1000');
+    expect(head.headers['upload-length']).toBe(String(bytes.length));
+
+    const last = await patchChunk(location, editorToken, bytes.subarray(1000), 1000).expect(200);
+    expect(last.headers['upload-offset']).toBe(String(bytes.length));
+    expect(last.body.warnings).toBeUndefined();
+
+    const videoId = last.headers['upload-video-id'];
+    expect(last.body.data.video._id).toBe(videoId);
+    const video = await Video.findById(videoId);
+    expect(video.title).toBe('Resumed');
+    expect(video.ownerUserId.toString()).toBe(editorUser._id.toString());
+    expect(video.fileSize).toBe(bytes.length);
+
+    const stored = await storage.downloadToBuffer(video.gridFsFileId);
+    expect(stored.equals(bytes)).toBe(true);
+    expect(processingQueue.enqueue).toHaveBeenCalledWith(videoId);
+  });
+
+  test('should answer a retried last chunk with the video it already created', async () => {
+    const bytes = createVideoBytes();
+    const created = await createUpload(editorToken, bytes).expect(201);
+    const location = created.headers.location;
+
+    const last = await patchChunk(location, editorToken, bytes, 0).expect(200);
+    const retry = await patchChunk(location, editorToken, Buffer.alloc(0), bytes.length).expect(200);
+
+    expect(retry.headers['upload-video-id']).toBe(last.headers['upload-video-id']);
+    expect(retry.body.data.video._id).toBe(last.body.data.video._id);
+    expect(await Video.countDocuments()).toBe(1);
+    expect(processingQueue.enqueue).toHaveBeenCalledTimes(1);
+
+    const head = await request(app)
+      .head(location)
+      .set('Authorization', `Bearer ${editorToken}`)
+      .set('Tus-Resumable', '1.0.0')
+      .expect(200);
+    expect(head.headers['upload-video-id']).toBe(last.headers['upload-video-id']);
+  });
+
+  test('should not finalize again while another request is finalizing', async () => {
+    const bytes = createVideoBytes();
+    const created = await createUpload(editorToken, bytes).expect(201);
+    const location = created.headers.location;
+    const uploadId = location.split('/').pop();
+    await patchChunk(location, editorToken, bytes.subarray(0, bytes.length - 1), 0).expect(204);
+    await fs.appendFile(uploadStaging.stagingPath(uploadId), bytes.subarray(bytes.length - 1));
+
+    await UploadSession.updateOne(
+      { _id: uploadId },
+      { status: 'finalizing', uploadOffset: bytes.length, lockedUntil: new Date(Date.now() + 60000) }
+    );
+
+    await patchChunk(location, editorToken, Buffer.alloc(0), bytes.length).expect(409);
+    await request(app)
+      .head(location)
+      .set('Authorization', `Bearer ${editorToken}`)
+      .set('Tus-Resumable', '1.0.0')
+      .expect(409);
+    expect(await Video.countDocuments()).toBe(0);
+
+    // Once the finalizing request's lock is gone, a retry takes over
+    await UploadSession.updateOne({ _id: uploadId }, { lockedUntil: null });
+    const resumed = await patchChunk(location, editorToken, Buffer.alloc(0), bytes.length).expect(200);
+
+    const video = await Video.findById(resumed.headers['upload-video-id']);
+    expect(video.fileSize).toBe(bytes.length);
+    expect(await Video.countDocuments()).toBe(1);
+  });
+
+  test('should warn when the tenant already has a video with identical content', async () => {
+    const bytes = createVideoBytes();
+    const first = await createUpload(editorToken, bytes, { title: 'Original' }).expect(201);
+    const original = await patchChunk(first.headers.location, editorToken, bytes, 0).expect(200);
+
+    const second = await createUpload(editorToken, bytes, { title: 'Copy' }).expect(201);
+    const copy = await patchChunk(second.headers.location, editorToken, bytes, 0).expect(200);
+
+    expect(copy.body.warnings).toHaveLength(1);
+    expect(copy.body.warnings[0]).toMatchObject({
+      type: 'duplicate',
+      message: 'This file is identical to 1 video(s) already uploaded',
+    });
+    expect(copy.body.warnings[0].videos.map(video => video._id)).toEqual([
+      original.body.data.video._id,
+    ]);
+  });
+
+  test('should not create the video when the staged bytes cannot be read', async () => {
+    const bytes = createVideoBytes();
+    const created = await createUpload(editorToken, bytes).expect(201);
+    const storedBefore = await storage.list();
+    jest.spyOn(uploadStaging, 'createReadStream').mockImplementation(() => {
+      let sent = false;
+      return new Readable({
+        read() {
+          if (sent) {
+            this.destroy(new Error('EIO: i/o error, read'));
+          } else {
+            sent = true;
+            this.push(bytes.subarray(0, 1000));
+          }
+        },
+      });
+    });
+
+    await patchChunk(created.headers.location, editorToken, bytes, 0).expect(500);
+
+    expect(await Video.countDocuments()).toBe(0);
+    expect(await storage.list()).toHaveLength(storedBefore.length);
+    const session = await UploadSession.findById(created.headers.location.split('/').pop());
+    expect(session.status).toBe('finalizing');
+    expect(session.lockedUntil).toBeNull();
+  });
+
+  test('should reject a chunk at the wrong offset', async () => {
+    const bytes = createVideoBytes();
+    const created = await createUpload(editorToken, bytes).expect(201);
+
+    const response = await patchChunk(created.headers.location, editorToken, bytes, 10).expect(409);
+    expect(response.headers['upload-offset']).toBe('0');
+  });
+
+  test('should reject chunks that overrun the declared length', async () => {
+    const bytes = createVideoBytes();
+    const created = await createUpload(editorToken, bytes.subarray(0, 100)).expect(201);
+
+    await patchChunk(created.headers.location, editorToken, bytes, 0).expect(413);
+  });
+
+  test('should reject uploads whose content does not match the declared type', async () => {
+    const bytes = Buffer.alloc(64, 1);
+    const created = await createUpload(editorToken, bytes).expect(201);
+
+    const response = await patchChunk(created.headers.location, editorToken, bytes, 0).expect(400);
+    expect(response.body.error).toMatch(/does not match/);
+    expect(await Video.countDocuments()).toBe(0);
+    expect(await UploadSession.countDocuments()).toBe(0);
+  });
+
+  test('should require the Tus-Resumable header', async () => {
+    await request(app)
+      .post('/api/videos/uploads')
+      .set('Authorization', `Bearer ${editorToken}`)
+      .set('Upload-Length', '100')
+      .expect(412);
+  });
+
+  test('should reject uploads larger than the maximum size', async () => {
+    await request(app)
+      .post('/api/videos/uploads')
+      .set('Authorization', `Bearer ${editorToken}`)
+      .set('Tus-Resumable', '1.0.0')
+      .set('Upload-Length', String(10 * 1024 * 1024 * 1024))
+      .set('Upload-Metadata', encodeMetadata({ filename: 'big.mp4', filetype: 'video/mp4', title: 'Big' }))
+      .expect(413);
+  });
+
+  test('should not allow viewers to create uploads', async () => {
+    await createUpload(viewerToken, createVideoBytes()).expect(403);
+  });
+
+  test("should hide other users' uploads", async () => {
+    const created = await createUpload(editorToken, createVideoBytes()).expect(201);
+
+    await request(app)
+      .head(created.headers.location)
+      .set('Authorization', `Bearer ${otherEditorToken}`)
+      .set('Tus-Resumable', '1.0.0')
+      .expect(404);
+  });
+
+  test('should terminate an upload and discard its staged bytes', async () => {
+    const bytes = createVideoBytes();
+    const created = await createUpload(editorToken, bytes).expect(201);
+    const location = created.headers.location;
+    await patchChunk(location, editorToken, bytes.subarray(0, 500), 0).expect(204);
+
+    await request(app)
+      .delete(location)
+      .set('Authorization', `Bearer ${editorToken}`)
+      .set('Tus-Resumable', '1.0.0')
+      .expect(204);
+
+    expect(await UploadSession.countDocuments()).toBe(0);
+    expect(await fs.readdir(stagingRoot)).toHaveLength(0);
+  });
+});
@@ -0,0 +1,259 @@
+const {
+  DEFAULT_RULE_SET,
+  buildRuleContext,
+  evaluateCondition,
+  evaluateRuleSet,
+  validateRules,
+} = require('../src/services/sensitivityRules');
+
+describe('Sensitivity Rules Service', () => {
+  const metadata = {
+    duration: 60,
+    size: 10000000,
+    bitRate: 1333333,
+    format: 'mp4',
+    video: { width: 1920, height: 1080, codec: 'h264' },
+    audio: { codec: 'aac' },
+  };
+
+  describe('buildRuleContext', () => {
+    test('should derive aspect ratio, bytes per second and audio presence', () => {
+      const context = buildRuleContext(metadata, 'Title', 'Description');
+
+      expect(context.aspectRatio).toBeCloseTo(16 / 9);
+      expect(context.bytesPerSecond).toBeCloseTo(10000000 / 60);
+      expect(context.hasAudio).toBe(true);
+      expect(context.codec).toBe('h264');
+      expect(context.title).toBe('Title');
+    });
+
+    test('should expose classifier scores per label', () => {
+      const context = buildRuleContext(metadata, '', '', {
+        labelScores: { nsfw: 0.4, weapon: 0.9 },
+        sensitiveScore: 0.4,
+      });
+
+      expect(context['frames.weapon']).toBe(0.9);
+      expect(context.frameSensitiveScore).toBe(0.4);
+    });
+
+    test('should expose the measured loudness of the audio', () => {
+      const context = buildRuleContext({
+        ...metadata,
+        audio: { codec: 'aac', loudness: { integrated: -31.5, truePeak: 0.2, range: 4 } },
+      });
+
+      expect(context.integratedLoudness).toBe(-31.5);
+      expect(context.truePeak).toBe(0.2);
+      expect(context.loudnessRange).toBe(4);
+    });
+
+    test('should leave derived fields undefined when they cannot be computed', () => {
+      const context = buildRuleContext({ duration: 0, size: 100 });
+
+      expect(context.aspectRatio).toBeUndefined();
+      expect(context.bytesPerSecond).toBeUndefined();
+      expect(context.hasAudio).toBe(false);
+      expect(context.frameSensitiveScore).toBeUndefined();
+    });
+  });
+
+  describe('evaluateCondition', () => {
+    const context = { duration: 10, hasAudio: false, codec: 'h264' };
+
+    test('should compare numbers, booleans and lists', () => {
+      expect(evaluateCondition({ field: 'duration', operator: 'lt', value: 20 }, context)).toBe(true);
+      expect(evaluateCondition({ field: 'duration', operator: 'gte', value: 10 }, context)).toBe(true);
+      expect(evaluateCondition({ field: 'hasAudio', operator: 'eq', value: false }, context)).toBe(true);
+      expect(
+        evaluateCondition({ field: 'duration', operator: 'between', value: [5, 15] }, context)
+      ).toBe(true);
+      expect(
+        evaluateCondition({ field: 'duration', operator: 'outside', value: [5, 15] }, context)
+      ).toBe(false);
+      expect(
+        evaluateCondition({ field: 'codec', operator: 'in', value: ['hevc', 'h264'] }, context)
+      ).toBe(true);
+    });
+
+    test('should never match a missing field', () => {
+      expect(evaluateCondition({ field: 'aspectRatio', operator: 'lt', value: 1 }, context)).toBe(
+        false
+      );
+      expect(evaluateCondition({ field: 'aspectRatio', operator: 'ne', value: 1 }, context)).toBe(
+        false
+      );
+    });
+  });
+
+  describe('evaluateRuleSet', () => {
+    const ruleSet = {
+      version: 3,
+      flagThreshold: 2,
+      rules: [
+        {
+          key: 'short',
+          type: 'metadata',
+          conditions: [{ field: 'duration', operator: 'lt', value: 30 }],
+          weight: 1,
+          message: 'Short video',
+        },
+        {
+          key: 'no-audio',
+          type: 'metadata',
+          conditions: [{ field: 'hasAudio', operator: 'eq', value: false }],
+          weight: 1.5,
+          message: 'No audio',
+        },
+        {
+          key: 'banned',
+          type: 'regex',
+          fields: ['title'],
+          patterns: ['\\bbanned\\s+\\w+'],
+          severity: 'flag',
+          message: 'Banned phrase: {match}',
+        },
+        {
+          key: 'disabled',
+          type: 'keywords',
+          terms: ['video'],
+          enabled: false,
+          message: 'Never reported',
+        },
+      ],
+    };
+
+    test('should be safe when no rule matches', () => {
+      const result = evaluateRuleSet(ruleSet, buildRuleContext(metadata, 'A video'));
+
+      expect(result.sensitivity).toBe('safe');
+      expect(result.flags).toEqual([]);
+      expect(result.score).toBe(0);
+      expect(result.results.map(r => r.ruleKey)).toEqual(['short', 'no-audio', 'banned']);
+    });
+
+    test('should be unknown when the score stays below the threshold', () => {
+      const result = evaluateRuleSet(ruleSet, buildRuleContext({ ...metadata, duration: 10 }));
+
+      expect(result.sensitivity).toBe('unknown');
+      expect(result.flags).toEqual(['Short video']);
+      expect(result.score).toBe(1);
+    });
+
+    test('should flag when the summed weights reach the threshold', () => {
+      const result = evaluateRuleSet(
+        ruleSet,
+        buildRuleContext({ ...metadata, duration: 10, audio: undefined })
+      );
+
+      expect(result.sensitivity).toBe('flagged');
+      expect(result.score).toBe(2.5);
+    });
+
+    test('should flag on any match of a flag-severity rule', () => {
+      const result = evaluateRuleSet(
+        ruleSet,
+        buildRuleContext(metadata, 'Contains BANNED words here')
+      );
+
+      expect(result.sensitivity).toBe('flagged');
+      expect(result.flags).toEqual(['Banned phrase: BANNED words']);
+      expect(result.results[2]).toMatchObject({ matched: true, matches: ['BANNED words'] });
+    });
+
+    test('should honour case-sensitive keyword rules', () => {
+      const caseSensitive = {
+        flagThreshold: 1,
+        rules: [
+          { key: 'acronym', type: 'keywords', terms: ['NSFW'], caseSensitive: true, message: '{match}' },
+        ],
+      };
+
+      expect(evaluateRuleSet(caseSensitive, buildRuleContext(metadata, 'nsfw')).sensitivity).toBe(
+        'safe'
+      );
+      expect(evaluateRuleSet(caseSensitive, buildRuleContext(metadata, 'NSFW')).sensitivity).toBe(
+        'flagged'
+      );
+    });
+  });
+
+  describe('DEFAULT_RULE_SET', () => {
+    test('should flag three weak signals like the original rules', () => {
+      const result = evaluateRuleSet(
+        DEFAULT_RULE_SET,
+        buildRuleContext({ duration: 3, size: 1000, video: { width: 4000, height: 1000 } })
+      );
+
+      expect(result.sensitivity).toBe('flagged');
+      expect(result.flags).toEqual([
+        'Very short duration (< 5 seconds)',
+        'Unusual aspect ratio',
+        'Unusually low bitrate/quality',
+      ]);
+    });
+
+    test('should flag on classifier scores alone', () => {
+      const result = evaluateRuleSet(
+        DEFAULT_RULE_SET,
+        buildRuleContext(metadata, 'Holiday', '', { labelScores: {}, sensitiveScore: 0.8 })
+      );
+
+      expect(result.sensitivity).toBe('flagged');
+      expect(result.flags).toEqual(['Frames classified as sensitive content']);
+    });
+
+    test('should report a mostly black, silent video', () => {
+      const result = evaluateRuleSet(
+        DEFAULT_RULE_SET,
+        buildRuleContext(metadata, 'Holiday', '', null, {
+          blackRatio: 0.6,
+          freezeRatio: 0.2,
+          silenceRatio: 0.9,
+        })
+      );
+
+      expect(result.flags).toEqual([
+        'Mostly black frames (>= 50% of the video)',
+        'Mostly silent audio (>= 50% of the video)',
+      ]);
+    });
+
+    test('should pass its own validation', () => {
+      expect(validateRules(DEFAULT_RULE_SET.rules)).toEqual([]);
+    });
+  });
+
+  describe('validateRules', () => {
+    test('should report unknown fields, bad ranges, invalid regexes and duplicate keys', () => {
+      const errors = validateRules([
+        {
+          key: 'a',
+          type: 'metadata',
+          conditions: [
+            { field: 'colour', operator: 'eq', value: 'red' },
+            { field: 'duration', operator: 'between', value: [1] },
+          ],
+          message: 'x',
+        },
+        { key: 'a', type: 'regex', patterns: ['(unclosed'], message: 'x' },
+        { key: 'b', type: 'keywords', terms: [], message: 'x' },
+        { key: 'c', type: 'regex', patterns: ['a'.repeat(201)], message: 'x' },
+        {
+          key: 'd',
+          type: 'metadata',
+          conditions: [{ field: 'frames.weapon', operator: 'gte', value: 0.5 }],
+          message: 'x',
+        },
+      ]);
+
+      expect(errors).toHaveLength(6);
+      expect(errors[0]).toContain('unknown field "colour"');
+      expect(errors[1]).toContain('between needs [min, max]');
+      expect(errors[2]).toContain('duplicate key "a"');
+      expect(errors[3]).toContain('invalid pattern');
+      expect(errors[4]).toContain('at least one term');
+      expect(errors[5]).toContain('cannot exceed 200 characters');
+    });
+  });
+});
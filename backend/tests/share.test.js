@@ -0,0 +1,312 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const app = require('../src/app');
+const User = require('../src/models/User');
+const Video = require('../src/models/Video');
+const ShareLink = require('../src/models/ShareLink');
+const DownloadAudit = require('../src/models/DownloadAudit');
+const storage = require('../src/services/storage');
+const LocalDriver = require('../src/services/storage/localDriver');
+
+describe('Share Links API', () => {
+  const contents = Buffer.from('demo-video-bytes');
+  let storageRoot;
+  let editorUser;
+  let editorToken;
+  let otherEditorToken;
+  let viewerToken;
+  let video;
+
+  const createLink = (settings = {}) =>
+    request(app)
+      .post(`/api/videos/${video._id}/share-links`)
+      .set('Authorization', `Bearer ${editorToken}`)
+      .send(settings);
+
+  const openLink = (token, body = {}) => request(app).post(`/api/share/${token}/access`).send(body);
+
+  const renewLink = (token, query) =>
+    request(app)
+      .post(`/api/share/${token}/renew`)
+      .send(Object.fromEntries(new URLSearchParams(query)));
+
+  beforeAll(async () => {
+    storageRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'share-storage-'));
+    storage.setDriver(new LocalDriver({ root: storageRoot }));
+  });
+
+  afterAll(async () => {
+    storage.setDriver(null);
+    await fs.rm(storageRoot, { recursive: true, force: true });
+  });
+
+  beforeEach(async () => {
+    editorUser = await User.create({
+      name: 'Editor User',
+      email: 'editor@test.com',
+      password: 'Password123!',
+      role: 'editor',
+    });
+    const otherEditor = await User.create({
+      name: 'Other Editor',
+      email: 'other-editor@test.com',
+      password: 'Password123!',
+      role: 'editor',
+    });
+    const viewerUser = await User.create({
+      name: 'Viewer User',
+      email: 'viewer@test.com',
+      password: 'Password123!',
+      role: 'viewer',
+    });
+
+    editorToken = jwt.sign({ id: editorUser._id }, process.env.JWT_SECRET);
+    otherEditorToken = jwt.sign({ id: otherEditor._id }, process.env.JWT_SECRET);
+    viewerToken = jwt.sign({ id: viewerUser._id }, process.env.JWT_SECRET);
+
+    const { fileId } = await storage.upload(contents, 'demo.mp4', {});
+    video = await Video.create({
+      title: 'Product Demo',
+      ownerUserId: editorUser._id,
+      status: 'ready',
+      sensitivity: 'safe',
+      originalFilename: 'product-demo.mp4',
+      storedFilename: 'demo.mp4',
+      gridFsFileId: fileId,
+      fileSize: contents.length,
+      mimeType: 'video/mp4',
+      duration: 90,
+    });
+  });
+
+  describe('Owner management', () => {
+    test('should create a link without exposing its password', async () => {
+      const response = await createLink({
+        label: 'Acme Corp',
+        password: 'demo-pass',
+        maxViews: 3,
+        allowDownload: true,
+      }).expect(201);
+
+      const { shareLink } = response.body.data;
+      expect(shareLink).toMatchObject({
+        label: 'Acme Corp',
+        hasPassword: true,
+        maxViews: 3,
+        viewCount: 0,
+        allowDownload: true,
+        status: 'active',
+      });
+      expect(shareLink.token).toMatch(/^[\w-]{32}$/);
+      expect(shareLink.password).toBeUndefined();
+
+      const stored = await ShareLink.findById(shareLink._id).select('+password');
+      expect(stored.password).not.toBe('demo-pass');
+    });
+
+    test('should reject invalid settings', async () => {
+      await createLink({ maxViews: 0 }).expect(400);
+      await createLink({ expiresAt: new Date(Date.now() - 1000).toISOString() }).expect(400);
+      await createLink({ password: 'abc' }).expect(400);
+    });
+
+    test('should only let the owner manage links', async () => {
+      await request(app)
+        .post(`/api/videos/${video._id}/share-links`)
+        .set('Authorization', `Bearer ${otherEditorToken}`)
+        .send({})
+        .expect(403);
+
+      await request(app)
+        .post(`/api/videos/${video._id}/share-links`)
+        .set('Authorization', `Bearer ${viewerToken}`)
+        .send({})
+        .expect(403);
+
+      await request(app)
+        .get(`/api/videos/${video._id}/share-links`)
+        .set('Authorization', `Bearer ${otherEditorToken}`)
+        .expect(403);
+    });
+
+    test('should list and revoke links', async () => {
+      const created = await createLink({ label: 'Prospect' }).expect(201);
+      const { _id: linkId, token } = created.body.data.shareLink;
+
+      const list = await request(app)
+        .get(`/api/videos/${video._id}/share-links`)
+        .set('Authorization', `Bearer ${editorToken}`)
+        .expect(200);
+      expect(list.body.data.shareLinks).toHaveLength(1);
+      expect(list.body.data.shareLinks[0].createdBy.email).toBe(editorUser.email);
+
+      const revoked = await request(app)
+        .delete(`/api/videos/${video._id}/share-links/${linkId}`)
+        .set('Authorization', `Bearer ${editorToken}`)
+        .expect(200);
+      expect(revoked.body.data.shareLink.status).toBe('revoked');
+
+      await request(app).get(`/api/share/${token}`).expect(410);
+    });
+  });
+
+  describe('Public access', () => {
+    test('should show the landing details without an account', async () => {
+      const created = await createLink({ password: 'demo-pass', maxViews: 2 });
+
+      const response = await request(app).get(`/api/share/${created.body.data.shareLink.token}`).expect(200);
+
+      expect(response.body.data.video).toMatchObject({ title: 'Product Demo', duration: 90 });
+      expect(response.body.data.shareLink).toMatchObject({
+        requiresPassword: true,
+        allowDownload: false,
+        viewsLeft: 2,
+      });
+      expect(response.body.data.video.gridFsFileId).toBeUndefined();
+    });
+
+    test('should stream through a signed URL once the password is given', async () => {
+      const { token } = (await createLink({ password: 'demo-pass' })).body.data.shareLink;
+
+      const wrong = await openLink(token, { password: 'guess' }).expect(401);
+      expect(wrong.body.error).toBe('Incorrect password');
+
+      const opened = await openLink(token, { password: 'demo-pass' }).expect(200);
+      expect(opened.body.data.downloadUrl).toBeNull();
+
+      const stream = await request(app)
+        .get(opened.body.data.streamUrl)
+        .set('Range', 'bytes=0-3')
+        .expect(206);
+      expect(stream.headers['content-range']).toBe(`bytes 0-3/${contents.length}`);
+
+      await request(app).get(`/api/share/${token}/stream`).expect(401);
+      await request(app).get(`/api/share/${token}/download?${opened.body.data.query}`).expect(403);
+    });
+
+    test('should stop opening the link after the view limit', async () => {
+      const { token } = (await createLink({ maxViews: 1 })).body.data.shareLink;
+
+      const first = await openLink(token).expect(200);
+      expect(first.body.data.viewsLeft).toBe(0);
+
+      const second = await openLink(token).expect(410);
+      expect(second.body.error).toBe('This share link has reached its view limit');
+
+      // The view already opened keeps playing and can be renewed
+      await request(app).get(first.body.data.streamUrl).expect(200);
+      const renewed = await renewLink(token, first.body.data.query).expect(200);
+      await request(app).get(renewed.body.data.streamUrl).expect(200);
+    });
+
+    test('should renew media URLs, no later than the link expires', async () => {
+      const expiresAt = new Date(Date.now() + 90 * 1000);
+      const { token } = (await createLink({ expiresAt: expiresAt.toISOString() })).body.data.shareLink;
+      const opened = await openLink(token).expect(200);
+      expect(new Date(opened.body.data.expiresAt).getTime()).toBeLessThanOrEqual(expiresAt.getTime());
+
+      const renewed = await renewLink(token, opened.body.data.query).expect(200);
+
+      expect(new Date(renewed.body.data.expiresAt).getTime()).toBeLessThanOrEqual(expiresAt.getTime());
+      await request(app).get(renewed.body.data.streamUrl).expect(200);
+      expect((await ShareLink.findOne({ token })).viewCount).toBe(1);
+    });
+
+    test('should not renew once the link is revoked', async () => {
+      const { _id: linkId, token } = (await createLink()).body.data.shareLink;
+      const opened = await openLink(token).expect(200);
+
+      await request(app)
+        .delete(`/api/videos/${video._id}/share-links/${linkId}`)
+        .set('Authorization', `Bearer ${editorToken}`)
+        .expect(200);
+
+      const renewed = await renewLink(token, opened.body.data.query).expect(410);
+      expect(renewed.body.error).toBe('This share link has been revoked');
+      expect((await ShareLink.findById(linkId).select('+sessions')).sessions).toHaveLength(0);
+    });
+
+    test('should not renew once the link has expired', async () => {
+      const { _id: linkId, token } = (await createLink()).body.data.shareLink;
+      const opened = await openLink(token).expect(200);
+
+      await ShareLink.updateOne({ _id: linkId }, { expiresAt: new Date(Date.now() - 1000) });
+
+      const renewed = await renewLink(token, opened.body.data.query).expect(410);
+      expect(renewed.body.error).toBe('This share link has expired');
+    });
+
+    test('should not renew once the viewing session has run out', async () => {
+      const { _id: linkId, token } = (await createLink()).body.data.shareLink;
+      const first = await openLink(token).expect(200);
+      const second = await openLink(token).expect(200);
+      expect(first.body.data.query).not.toBe(second.body.data.query);
+
+      const { sessions } = await ShareLink.findById(linkId).select('+sessions');
+      expect(sessions).toHaveLength(2);
+      await ShareLink.updateOne(
+        { _id: linkId },
+        { 'sessions.0.expiresAt': new Date(Date.now() - 1000) }
+      );
+
+      const ended = await renewLink(token, first.body.data.query).expect(410);
+      expect(ended.body.error).toBe('This viewing session has ended, open the link again');
+      await renewLink(token, second.body.data.query).expect(200);
+
+      // The nonce is part of the signature, so it cannot be swapped for a live one
+      const forged = new URLSearchParams(first.body.data.query);
+      forged.set('uid', new URLSearchParams(second.body.data.query).get('uid'));
+      await renewLink(token, forged.toString()).expect(401);
+    });
+
+    test('should stop serving media once revoked or expired', async () => {
+      const { _id: linkId, token } = (await createLink()).body.data.shareLink;
+      const opened = await openLink(token).expect(200);
+
+      await ShareLink.updateOne({ _id: linkId }, { expiresAt: new Date(Date.now() - 1000) });
+      const expired = await request(app).get(opened.body.data.streamUrl).expect(410);
+      expect(expired.body.error).toBe('This share link has expired');
+
+      await ShareLink.updateOne({ _id: linkId }, { expiresAt: null, revokedAt: new Date() });
+      await request(app).get(opened.body.data.streamUrl).expect(410);
+    });
+
+    test('should not accept signed URLs of another link or of a user', async () => {
+      const first = (await createLink()).body.data.shareLink;
+      const second = (await createLink()).body.data.shareLink;
+      const opened = await openLink(first.token).expect(200);
+
+      await request(app).get(`/api/share/${second.token}/stream?${opened.body.data.query}`).expect(401);
+      await request(app).get(`/api/videos/${video._id}/stream?${opened.body.data.query}`).expect(401);
+    });
+
+    test('should send and audit downloads when the link allows them', async () => {
+      const { _id: linkId, token } = (await createLink({ allowDownload: true })).body.data.shareLink;
+      const opened = await openLink(token).expect(200);
+
+      const response = await request(app).get(opened.body.data.downloadUrl).expect(200);
+
+      expect(response.headers['content-disposition']).toBe('attachment; filename="product-demo.mp4"');
+      const audits = await DownloadAudit.find({ videoId: video._id });
+      expect(audits).toHaveLength(1);
+      expect(audits[0]).toMatchObject({ role: 'guest', filename: 'product-demo.mp4' });
+      expect(audits[0].shareLinkId.toString()).toBe(linkId);
+    });
+
+    test('should hide videos held for moderation', async () => {
+      const { token } = (await createLink()).body.data.shareLink;
+      await Video.updateOne({ _id: video._id }, { 'moderation.status': 'rejected' });
+
+      await request(app).get(`/api/share/${token}`).expect(403);
+      await openLink(token).expect(403);
+      expect((await ShareLink.findOne({ token })).viewCount).toBe(0);
+    });
+
+    test('should return 404 for unknown links', async () => {
+      await request(app).get(`/api/share/${'x'.repeat(32)}`).expect(404);
+    });
+  });
+});
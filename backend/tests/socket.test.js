@@ -264,6 +264,18 @@ describe('Socket.io Server', () => {
       emitProcessingProgress(io, mockUserId, videoId, 75);
     });
 
+    test('emitProcessingProgress should include the processing stage', done => {
+      const videoId = '507f1f77bcf86cd799439013';
+
+      clientSocket.on('processing:progress', payload => {
+        expect(payload.percent).toBe(40);
+        expect(payload.stage).toBe('thumbnail');
+        done();
+      });
+
+      emitProcessingProgress(io, mockUserId, videoId, 40, 'thumbnail');
+    });
+
     test('emitProcessingStatus should emit status event', done => {
       const videoId = '507f1f77bcf86cd799439013';
 
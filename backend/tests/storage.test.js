@@ -0,0 +1,232 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const { Readable } = require('stream');
+const storage = require('../src/services/storage');
+const LocalDriver = require('../src/services/storage/localDriver');
+const S3Driver = require('../src/services/storage/s3Driver');
+
+const readAll = async stream => {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+};
+
+/**
+ * Minimal in-memory stand-in for an S3-compatible client
+ */
+const createFakeS3Client = () => {
+  const objects = new Map();
+  const notFound = () => Object.assign(new Error('Not Found'), { name: 'NotFound' });
+
+  return {
+    objects,
+    // Configuration read by @aws-sdk/lib-storage when it builds the object location
+    config: {
+      endpoint: async () => ({ protocol: 'http:', hostname: 'localhost', port: 9000, path: '/' }),
+      forcePathStyle: true,
+      requestChecksumCalculation: async () => 'WHEN_REQUIRED',
+    },
+    async send(command) {
+      const input = command.input;
+      switch (command.constructor.name) {
+        case 'PutObjectCommand': {
+          const body = Buffer.isBuffer(input.Body) ? input.Body : await readAll(input.Body);
+          objects.set(input.Key, { body, metadata: input.Metadata, lastModified: new Date() });
+          return { ETag: '"fake"' };
+        }
+        case 'GetObjectCommand': {
+          const object = objects.get(input.Key);
+          if (!object) throw Object.assign(new Error('NoSuchKey'), { name: 'NoSuchKey' });
+          let body = object.body;
+          if (input.Range) {
+            const [start, end] = input.Range.replace('bytes=', '').split('-');
+            body = body.subarray(Number(start), end ? Number(end) + 1 : undefined);
+          }
+          return { Body: Readable.from([body]) };
+        }
+        case 'HeadObjectCommand': {
+          const object = objects.get(input.Key);
+          if (!object) throw notFound();
+          return {
+            ContentLength: object.body.length,
+            LastModified: object.lastModified,
+            Metadata: object.metadata,
+          };
+        }
+        case 'DeleteObjectCommand':
+          objects.delete(input.Key);
+          return {};
+        case 'ListObjectsV2Command':
+          return {
+            Contents: [...objects.keys()]
+              .filter(key => key.startsWith(input.Prefix))
+              .map(Key => ({ Key })),
+            IsTruncated: false,
+          };
+        default:
+          throw new Error(`Unsupported command: ${command.constructor.name}`);
+      }
+    },
+  };
+};
+
+const behavesLikeStorageDriver = (name, createDriver) => {
+  describe(`${name} driver`, () => {
+    let driver;
+
+    beforeEach(async () => {
+      driver = await createDriver();
+    });
+
+    test('should upload a buffer and read it back', async () => {
+      const content = Buffer.from('hello storage');
+      const result = await driver.upload(content, 'hello.txt', { videoId: 'abc' });
+
+      expect(result.fileId).toBeDefined();
+      expect(result.filename).toBe('hello.txt');
+      expect(result.length).toBe(content.length);
+
+      const read = await readAll(driver.createReadStream(result.fileId));
+      expect(read.toString()).toBe('hello storage');
+    });
+
+    test('should upload from a stream', async () => {
+      const result = await driver.upload(
+        Readable.from([Buffer.from('chunk-1 '), Buffer.from('chunk-2')]),
+        'stream.txt',
+      );
+
+      expect(result.length).toBe(15);
+      const read = await readAll(driver.createReadStream(result.fileId));
+      expect(read.toString()).toBe('chunk-1 chunk-2');
+    });
+
+    test('should read an inclusive byte range', async () => {
+      const { fileId } = await driver.upload(Buffer.from('0123456789'), 'digits.txt');
+
+      const read = await readAll(driver.createReadStream(fileId, { start: 2, end: 5 }));
+      expect(read.toString()).toBe('2345');
+    });
+
+    test('should stat a stored file', async () => {
+      const { fileId } = await driver.upload(Buffer.from('abc'), 'stat.txt', {
+        mimeType: 'text/plain',
+      });
+
+      const info = await driver.stat(fileId);
+      expect(info.fileId.toString()).toBe(fileId.toString());
+      expect(info.filename).toBe('stat.txt');
+      expect(info.length).toBe(3);
+      expect(info.uploadDate).toBeInstanceOf(Date);
+      expect(info.metadata.mimeType).toBe('text/plain');
+    });
+
+    test('should reject stat for missing files with FILE_NOT_FOUND', async () => {
+      await expect(driver.stat('507f1f77bcf86cd799439011')).rejects.toMatchObject({
+        code: 'FILE_NOT_FOUND',
+      });
+    });
+
+    test('should delete files and ignore missing ones', async () => {
+      const { fileId } = await driver.upload(Buffer.from('bye'), 'bye.txt');
+
+      await driver.delete(fileId);
+      await expect(driver.stat(fileId)).rejects.toMatchObject({ code: 'FILE_NOT_FOUND' });
+      await expect(driver.delete(fileId)).resolves.toBeUndefined();
+    });
+
+    test('should list files filtered by metadata', async () => {
+      await driver.upload(Buffer.from('a'), 'a.txt', { videoId: 'v1' });
+      await driver.upload(Buffer.from('b'), 'b.txt', { videoId: 'v2' });
+
+      const files = await driver.list({ metadata: { videoId: 'v1' } });
+      expect(files).toHaveLength(1);
+      expect(files[0].filename).toBe('a.txt');
+    });
+  });
+};
+
+describe('Storage Service', () => {
+  const tempDirs = [];
+
+  afterAll(async () => {
+    for (const dir of tempDirs) {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  behavesLikeStorageDriver('local', async () => {
+    const root = await fs.mkdtemp(path.join(os.tmpdir(), 'storage-test-'));
+    tempDirs.push(root);
+    return new LocalDriver({ root });
+  });
+
+  behavesLikeStorageDriver('s3', async () => {
+    return new S3Driver({ bucket: 'test-bucket', client: createFakeS3Client() });
+  });
+
+  describe('local driver paths', () => {
+    test('should refuse file IDs that are not ObjectIds', () => {
+      const driver = new LocalDriver({ root: os.tmpdir() });
+      expect(() => driver.createReadStream('../../etc/passwd')).toThrow(/not found/i);
+    });
+  });
+
+  describe('driver selection', () => {
+    const originalDriver = process.env.STORAGE_DRIVER;
+
+    afterEach(() => {
+      if (originalDriver === undefined) {
+        delete process.env.STORAGE_DRIVER;
+      } else {
+        process.env.STORAGE_DRIVER = originalDriver;
+      }
+      storage.setDriver(null);
+    });
+
+    test('should default to the gridfs driver', () => {
+      delete process.env.STORAGE_DRIVER;
+      expect(storage.getDriver().name).toBe('gridfs');
+    });
+
+    test('should select the driver named in STORAGE_DRIVER', () => {
+      process.env.STORAGE_DRIVER = 'local';
+      expect(storage.getDriver().name).toBe('local');
+    });
+
+    test('should reject unknown drivers', () => {
+      expect(() => storage.createDriver('ftp')).toThrow(/Unknown storage driver/);
+    });
+
+    test('should route helpers through the active driver', async () => {
+      const root = await fs.mkdtemp(path.join(os.tmpdir(), 'storage-test-'));
+      tempDirs.push(root);
+      storage.setDriver(new LocalDriver({ root }));
+
+      const { fileId } = await storage.upload(Buffer.from('via facade'), 'facade.txt');
+      expect(await storage.exists(fileId)).toBe(true);
+      expect((await storage.downloadToBuffer(fileId)).toString()).toBe('via facade');
+
+      await storage.deleteFile(fileId);
+      expect(await storage.exists(fileId)).toBe(false);
+    });
+
+    test('should report bytes copied while downloading to a file', async () => {
+      const root = await fs.mkdtemp(path.join(os.tmpdir(), 'storage-test-'));
+      tempDirs.push(root);
+      storage.setDriver(new LocalDriver({ root }));
+      const contents = Buffer.alloc(200 * 1024, 1);
+
+      const { fileId } = await storage.upload(contents, 'big.bin');
+      const target = path.join(root, 'copy.bin');
+      const onProgress = jest.fn();
+      await storage.downloadToFile(fileId, target, { onProgress });
+
+      expect((await fs.readFile(target)).equals(contents)).toBe(true);
+      expect(onProgress).toHaveBeenLastCalledWith(contents.length);
+    });
+  });
+});
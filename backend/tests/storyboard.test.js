@@ -0,0 +1,77 @@
+const {
+  planStoryboard,
+  formatVttTimestamp,
+  buildThumbnailsVtt,
+} = require('../src/services/storyboard');
+
+describe('Storyboard Service', () => {
+  describe('planStoryboard', () => {
+    test('should sample a frame every interval', () => {
+      const layout = planStoryboard(120, 1920, 1080);
+
+      expect(layout).toMatchObject({
+        interval: 5,
+        frameCount: 24,
+        columns: 10,
+        rows: 10,
+        tileWidth: 160,
+        tileHeight: 90,
+        sheetCount: 1,
+      });
+    });
+
+    test('should widen the interval for very long videos', () => {
+      const layout = planStoryboard(4 * 3600, 1280, 720);
+
+      expect(layout.interval).toBe(15);
+      expect(layout.frameCount).toBe(960);
+      expect(layout.sheetCount).toBe(10);
+    });
+
+    test('should keep the tile height even', () => {
+      expect(planStoryboard(60, 1000, 563).tileHeight % 2).toBe(0);
+    });
+
+    test('should return null without a duration or resolution', () => {
+      expect(planStoryboard(0, 1920, 1080)).toBeNull();
+      expect(planStoryboard(60, undefined, undefined)).toBeNull();
+    });
+  });
+
+  describe('formatVttTimestamp', () => {
+    test('should format hours, minutes, seconds and milliseconds', () => {
+      expect(formatVttTimestamp(0)).toBe('00:00:00.000');
+      expect(formatVttTimestamp(65.5)).toBe('00:01:05.500');
+      expect(formatVttTimestamp(3725.25)).toBe('01:02:05.250');
+    });
+  });
+
+  describe('buildThumbnailsVtt', () => {
+    const layout = {
+      interval: 5,
+      frameCount: 4,
+      columns: 2,
+      rows: 1,
+      tileWidth: 160,
+      tileHeight: 90,
+    };
+    const vtt = buildThumbnailsVtt(layout, 17, index => `storyboard/${index}.jpg`);
+
+    test('should start with the WebVTT header', () => {
+      expect(vtt.startsWith('WEBVTT\n\n')).toBe(true);
+    });
+
+    test('should map each interval to a tile', () => {
+      expect(vtt).toContain('00:00:00.000 --> 00:00:05.000\nstoryboard/0.jpg#xywh=0,0,160,90');
+      expect(vtt).toContain('00:00:05.000 --> 00:00:10.000\nstoryboard/0.jpg#xywh=160,0,160,90');
+    });
+
+    test('should move to the next sheet once one is full', () => {
+      expect(vtt).toContain('00:00:10.000 --> 00:00:15.000\nstoryboard/1.jpg#xywh=0,0,160,90');
+    });
+
+    test('should end the last cue at the end of the video', () => {
+      expect(vtt).toContain('00:00:15.000 --> 00:00:17.000\nstoryboard/1.jpg#xywh=160,0,160,90');
+    });
+  });
+});
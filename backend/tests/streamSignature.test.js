@@ -0,0 +1,78 @@
+const {
+  getStreamUrlTtl,
+  signStreamAccess,
+  toStreamQuery,
+  verifyStreamAccess,
+} = require('../src/utils/streamSignature');
+
+describe('Stream Signature', () => {
+  const videoId = '65a1b2c3d4e5f6a7b8c9d0e1';
+  const userId = '65a1b2c3d4e5f6a7b8c9d0e2';
+  const now = Date.UTC(2026, 0, 1, 12, 1, 30);
+  const originalEnv = process.env;
+
+  beforeEach(() => {
+    process.env = { ...originalEnv, JWT_SECRET: 'test-secret' };
+    delete process.env.STREAM_URL_TTL_SECONDS;
+    delete process.env.STREAM_URL_SECRET;
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  const asQuery = access => Object.fromEntries(new URLSearchParams(toStreamQuery(access)));
+
+  test('should default to a five minute lifetime', () => {
+    expect(getStreamUrlTtl()).toBe(300);
+  });
+
+  test('should expire between one and two lifetimes from now, on a stable boundary', () => {
+    const access = signStreamAccess(videoId, userId, now);
+    const lifetime = access.expiresAt.getTime() - now;
+
+    expect(lifetime).toBeGreaterThanOrEqual(300 * 1000);
+    expect(lifetime).toBeLessThanOrEqual(600 * 1000);
+    expect(access.exp % 300).toBe(0);
+    // Signing again a little later gives the same URL, which browsers can cache
+    expect(signStreamAccess(videoId, userId, now + 30 * 1000)).toEqual(access);
+  });
+
+  test('should not expire later than notAfter', () => {
+    const notAfter = new Date(now + 60 * 1000);
+    const access = signStreamAccess(videoId, userId, now, notAfter);
+
+    expect(access.expiresAt).toEqual(notAfter);
+    expect(verifyStreamAccess(videoId, asQuery(access), now)).toBe(true);
+    expect(signStreamAccess(videoId, userId, now, new Date(now + 3600 * 1000))).toEqual(
+      signStreamAccess(videoId, userId, now)
+    );
+  });
+
+  test('should verify a signature for the same video and user until it expires', () => {
+    const access = signStreamAccess(videoId, userId, now);
+    const query = asQuery(access);
+
+    expect(query).toEqual({ uid: userId, exp: String(access.exp), sig: access.sig });
+    expect(verifyStreamAccess(videoId, query, now)).toBe(true);
+    expect(verifyStreamAccess(videoId, query, access.expiresAt.getTime())).toBe(false);
+  });
+
+  test('should reject signatures for another video, user or expiry', () => {
+    const query = asQuery(signStreamAccess(videoId, userId, now));
+
+    expect(verifyStreamAccess('65a1b2c3d4e5f6a7b8c9d0e3', query, now)).toBe(false);
+    expect(verifyStreamAccess(videoId, { ...query, uid: '65a1b2c3d4e5f6a7b8c9d0e3' }, now)).toBe(false);
+    expect(verifyStreamAccess(videoId, { ...query, exp: String(Number(query.exp) + 300) }, now)).toBe(false);
+    expect(verifyStreamAccess(videoId, { ...query, sig: 'short' }, now)).toBe(false);
+    expect(verifyStreamAccess(videoId, {}, now)).toBe(false);
+  });
+
+  test('should sign with STREAM_URL_SECRET when it is set', () => {
+    const withJwtSecret = signStreamAccess(videoId, userId, now);
+    process.env.STREAM_URL_SECRET = 'another-secret';
+
+    expect(signStreamAccess(videoId, userId, now).sig).not.toBe(withJwtSecret.sig);
+    expect(verifyStreamAccess(videoId, asQuery(withJwtSecret), now)).toBe(false);
+  });
+});
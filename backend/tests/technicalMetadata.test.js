@@ -0,0 +1,139 @@
+const {
+  parseFrameRate,
+  getRotation,
+  getHdrFormat,
+  getBitDepth,
+  buildTechnicalMetadata,
+  buildTechnicalFilter,
+} = require('../src/services/technicalMetadata');
+
+describe('Technical Metadata Service', () => {
+  describe('parseFrameRate', () => {
+    test('should parse rational and decimal rates without evaluating them', () => {
+      expect(parseFrameRate('30000/1001')).toBe(29.97);
+      expect(parseFrameRate('25/1')).toBe(25);
+      expect(parseFrameRate('23.976')).toBe(23.976);
+    });
+
+    test('should return null for unknown or unsafe values', () => {
+      expect(parseFrameRate('0/0')).toBeNull();
+      expect(parseFrameRate('30/0')).toBeNull();
+      expect(parseFrameRate(undefined)).toBeNull();
+      expect(parseFrameRate('process.exit(1)')).toBeNull();
+    });
+  });
+
+  describe('getRotation', () => {
+    test('should read the rotate tag or the display matrix', () => {
+      expect(getRotation({ tags: { rotate: '90' } })).toBe(90);
+      expect(getRotation({ side_data_list: [{ side_data_type: 'Display Matrix', rotation: -90 }] })).toBe(90);
+      expect(getRotation({ side_data_list: [{ rotation: 90 }] })).toBe(270);
+      expect(getRotation({ side_data_list: [{ rotation: -180 }] })).toBe(180);
+      expect(getRotation({})).toBe(0);
+    });
+  });
+
+  describe('color details', () => {
+    test('should detect HDR formats', () => {
+      expect(getHdrFormat({ color_transfer: 'smpte2084' })).toBe('HDR10');
+      expect(getHdrFormat({ color_transfer: 'arib-std-b67' })).toBe('HLG');
+      expect(getHdrFormat({ side_data_list: [{ side_data_type: 'DOVI configuration record' }] })).toBe('Dolby Vision');
+      expect(getHdrFormat({ color_transfer: 'bt709' })).toBeNull();
+    });
+
+    test('should read the bit depth from the stream or its pixel format', () => {
+      expect(getBitDepth({ bits_per_raw_sample: '10', pix_fmt: 'yuv420p10le' })).toBe(10);
+      expect(getBitDepth({ pix_fmt: 'yuv420p12le' })).toBe(12);
+      expect(getBitDepth({ pix_fmt: 'yuv420p' })).toBe(8);
+      expect(getBitDepth({})).toBeNull();
+    });
+  });
+
+  describe('buildTechnicalMetadata', () => {
+    test('should keep every stream and summarize the main ones', () => {
+      const technical = buildTechnicalMetadata({
+        format: { format_name: 'mov,mp4,m4a,3gp,3g2,mj2', duration: '12.5', size: '1048576', bit_rate: '671088' },
+        streams: [
+          {
+            index: 0,
+            codec_type: 'video',
+            codec_name: 'hevc',
+            profile: 'Main 10',
+            width: 3840,
+            height: 2160,
+            avg_frame_rate: '60000/1001',
+            r_frame_rate: '60/1',
+            pix_fmt: 'yuv420p10le',
+            color_transfer: 'smpte2084',
+            color_space: 'bt2020nc',
+            tags: { rotate: '90' },
+            disposition: { default: 1 },
+          },
+          { index: 1, codec_type: 'audio', codec_name: 'aac', sample_rate: '48000', channels: 2, tags: { language: 'eng' } },
+          { index: 2, codec_type: 'audio', codec_name: 'ac3', sample_rate: '48000', channels: 6, tags: { language: 'fra' } },
+          { index: 3, codec_type: 'subtitle', codec_name: 'mov_text', tags: { language: 'eng' } },
+          { index: 4, codec_type: 'data', codec_name: 'bin_data' },
+        ],
+      });
+
+      expect(technical).toMatchObject({
+        container: ['mov', 'mp4', 'm4a', '3gp', '3g2', 'mj2'],
+        duration: 12.5,
+        size: 1048576,
+        bitRate: 671088,
+        video: {
+          codec: 'hevc',
+          frameRate: 59.94,
+          pixelFormat: 'yuv420p10le',
+          bitDepth: 10,
+          rotation: 90,
+          colorSpace: 'bt2020nc',
+          hdr: true,
+          hdrFormat: 'HDR10',
+        },
+        audio: { codec: 'aac', sampleRate: 48000, channels: 2 },
+        streamCounts: { video: 1, audio: 2, subtitle: 1, data: 1, attachment: 0 },
+      });
+      expect(technical.streams).toHaveLength(5);
+      expect(technical.streams[2]).toMatchObject({ type: 'audio', codec: 'ac3', language: 'fra', channels: 6 });
+    });
+
+    test('should not take cover art for the video stream', () => {
+      const technical = buildTechnicalMetadata({
+        format: { format_name: 'matroska,webm' },
+        streams: [
+          { index: 0, codec_type: 'video', codec_name: 'mjpeg', disposition: { attached_pic: 1 } },
+          { index: 1, codec_type: 'video', codec_name: 'vp9', avg_frame_rate: '0/0', r_frame_rate: '25/1' },
+        ],
+      });
+
+      expect(technical.video).toMatchObject({ codec: 'vp9', frameRate: 25, hdr: false, hdrFormat: null });
+      expect(technical.audio).toBeNull();
+      expect(technical.streams[0].attachedPicture).toBe(true);
+    });
+  });
+
+  describe('buildTechnicalFilter', () => {
+    test('should build a query from the given filters only', () => {
+      expect(buildTechnicalFilter({ status: 'ready' })).toEqual({});
+      expect(
+        buildTechnicalFilter({
+          videoCodec: 'h264',
+          hdr: false,
+          rotation: 0,
+          minHeight: 1080,
+          minFrameRate: 24,
+          maxFrameRate: 30,
+          hasSubtitles: true,
+        })
+      ).toEqual({
+        'technicalMetadata.video.codec': 'h264',
+        'technicalMetadata.video.hdr': false,
+        'technicalMetadata.video.rotation': 0,
+        'technicalMetadata.video.height': { $gte: 1080 },
+        'technicalMetadata.video.frameRate': { $gte: 24, $lte: 30 },
+        'technicalMetadata.streamCounts.subtitle': { $gt: 0 },
+      });
+    });
+  });
+});
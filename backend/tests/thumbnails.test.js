@@ -0,0 +1,51 @@
+const { buildScaleFilter, getVariantKey, getVariant } = require('../src/services/thumbnails');
+
+describe('Thumbnail Service', () => {
+  describe('getVariantKey', () => {
+    test('should describe the size and format', () => {
+      expect(getVariantKey({ width: 320, height: null, format: 'webp' })).toBe('320x.webp');
+      expect(getVariantKey({ width: null, height: 180, format: 'jpeg' })).toBe('x180.jpeg');
+      expect(getVariantKey({ width: 320, height: 180, format: 'jpeg' })).toBe('320x180.jpeg');
+    });
+  });
+
+  describe('buildScaleFilter', () => {
+    test('should scale by width and keep the aspect ratio', () => {
+      expect(buildScaleFilter({ width: 320 })).toBe("scale=w='min(iw,320)':h=-2");
+    });
+
+    test('should scale by height and keep the aspect ratio', () => {
+      expect(buildScaleFilter({ height: 180 })).toBe("scale=w=-2:h='min(ih,180)'");
+    });
+
+    test('should fit inside the box when both sides are given', () => {
+      expect(buildScaleFilter({ width: 320, height: 320 })).toContain(
+        'force_original_aspect_ratio=decrease'
+      );
+    });
+
+    test('should not scale when no size is given', () => {
+      expect(buildScaleFilter({})).toBeNull();
+    });
+  });
+
+  describe('getVariant', () => {
+    const video = {
+      _id: 'video123',
+      thumbnailGridFsFileId: 'thumb123',
+      thumbnailVariants: [{ key: '320x.webp', fileId: 'variant123' }],
+    };
+
+    test('should serve the original for a plain JPEG request', async () => {
+      const result = await getVariant(video, { width: null, height: null, format: 'jpeg' });
+
+      expect(result).toEqual({ fileId: 'thumb123', mimeType: 'image/jpeg' });
+    });
+
+    test('should serve a cached variant without rendering it again', async () => {
+      const result = await getVariant(video, { width: 320, height: null, format: 'webp' });
+
+      expect(result).toEqual({ fileId: 'variant123', mimeType: 'image/webp' });
+    });
+  });
+});
@@ -0,0 +1,171 @@
+const crypto = require('crypto');
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const express = require('express');
+const request = require('supertest');
+const LocalDriver = require('../src/services/storage/localDriver');
+const { errorHandler } = require('../src/middleware/errorHandler');
+
+const mp4Header = () => {
+  const buffer = Buffer.alloc(1024);
+  buffer.writeUInt32BE(24, 0);
+  buffer.write('ftypisom', 4, 'ascii');
+  return buffer;
+};
+
+/**
+ * Build a small app around the upload middleware, loaded with the given max size
+ */
+const createApp = (driver, maxVideoSize = String(100 * 1024 * 1024)) => {
+  let uploadMiddleware;
+  jest.isolateModules(() => {
+    process.env.MAX_VIDEO_SIZE = maxVideoSize;
+    require('../src/services/storage').setDriver(driver);
+    uploadMiddleware = require('../src/middleware/upload');
+  });
+  const { upload, handleMulterError } = uploadMiddleware;
+
+  const app = express();
+  app.post('/upload', upload.single('video'), handleMulterError, (req, res) => {
+    res.status(201).json({ file: req.file, body: req.body });
+  });
+  app.use(errorHandler);
+  return app;
+};
+
+describe('Streaming Upload Middleware', () => {
+  let root;
+  let driver;
+  const originalMaxSize = process.env.MAX_VIDEO_SIZE;
+
+  beforeEach(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'upload-test-'));
+    driver = new LocalDriver({ root });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.rm(root, { recursive: true, force: true });
+    if (originalMaxSize === undefined) {
+      delete process.env.MAX_VIDEO_SIZE;
+    } else {
+      process.env.MAX_VIDEO_SIZE = originalMaxSize;
+    }
+  });
+
+  test('should stream the file into storage and describe it on req.file', async () => {
+    const response = await request(createApp(driver))
+      .post('/upload')
+      .field('title', 'Streamed')
+      .attach('video', mp4Header(), { filename: 'my clip.mp4', contentType: 'video/mp4' })
+      .expect(201);
+
+    const { file } = response.body;
+    expect(file.fileId).toBeDefined();
+    expect(file.size).toBe(1024);
+    expect(file.storedFilename).toMatch(/^my_clip-\d+-\d+\.mp4$/);
+    expect(file.buffer).toBeUndefined();
+    expect(file.checksum).toBe(crypto.createHash('sha256').update(mp4Header()).digest('hex'));
+
+    const stored = await driver.stat(file.fileId);
+    expect(stored.length).toBe(1024);
+    expect(stored.metadata.originalFilename).toBe('my clip.mp4');
+  });
+
+  test('should reject content that does not match the declared type', async () => {
+    const response = await request(createApp(driver))
+      .post('/upload')
+      .attach('video', Buffer.from('definitely not a video file'), {
+        filename: 'fake.mp4',
+        contentType: 'video/mp4',
+      })
+      .expect(400);
+
+    expect(response.body.error).toMatch(/does not match/);
+    expect(await driver.list()).toHaveLength(0);
+  });
+
+  test('should reject files smaller than a container header', async () => {
+    await request(createApp(driver))
+      .post('/upload')
+      .attach('video', Buffer.from('tiny'), { filename: 'tiny.webm', contentType: 'video/webm' })
+      .expect(400);
+
+    expect(await driver.list()).toHaveLength(0);
+  });
+
+  test('should reject disallowed MIME types before storing anything', async () => {
+    const response = await request(createApp(driver))
+      .post('/upload')
+      .attach('video', Buffer.from('hello'), { filename: 'doc.txt', contentType: 'text/plain' })
+      .expect(400);
+
+    expect(response.body.error).toMatch(/Invalid file type/);
+    expect(await driver.list()).toHaveLength(0);
+  });
+
+  test('should stop at the size limit and remove the partial file', async () => {
+    const response = await request(createApp(driver, '512'))
+      .post('/upload')
+      .attach('video', mp4Header(), { filename: 'big.mp4', contentType: 'video/mp4' })
+      .expect(400);
+
+    expect(response.body.error).toMatch(/File too large/);
+    expect(await driver.list()).toHaveLength(0);
+  });
+});
+
+describe('Caption Upload Middleware', () => {
+  const originalMaxSize = process.env.MAX_CAPTION_SIZE;
+
+  const createCaptionApp = maxCaptionSize => {
+    let uploadMiddleware;
+    jest.isolateModules(() => {
+      process.env.MAX_CAPTION_SIZE = maxCaptionSize;
+      uploadMiddleware = require('../src/middleware/upload');
+    });
+    const { captionUpload, handleCaptionUploadError } = uploadMiddleware;
+
+    const app = express();
+    app.post('/captions', captionUpload.single('caption'), handleCaptionUploadError, (req, res) => {
+      res.status(201).json({ text: req.file.buffer.toString('utf8') });
+    });
+    app.use(errorHandler);
+    return app;
+  };
+
+  afterEach(() => {
+    if (originalMaxSize === undefined) {
+      delete process.env.MAX_CAPTION_SIZE;
+    } else {
+      process.env.MAX_CAPTION_SIZE = originalMaxSize;
+    }
+  });
+
+  test('should keep caption files in memory', async () => {
+    const response = await request(createCaptionApp(String(1024)))
+      .post('/captions')
+      .attach('caption', Buffer.from('WEBVTT\n'), 'captions.vtt')
+      .expect(201);
+
+    expect(response.body.text).toBe('WEBVTT\n');
+  });
+
+  test('should reject other file types and files over the caption limit', async () => {
+    const app = createCaptionApp(String(2048));
+
+    const wrongType = await request(app)
+      .post('/captions')
+      .attach('caption', Buffer.from('WEBVTT\n'), 'captions.docx')
+      .expect(400);
+    expect(wrongType.body.error).toMatch(/Allowed formats: \.srt, \.vtt/);
+
+    const tooLarge = await request(app)
+      .post('/captions')
+      .attach('caption', Buffer.alloc(4096, 'a'), 'captions.srt')
+      .expect(400);
+    expect(tooLarge.body.error).toBe('File too large. Maximum size is 2KB');
+  });
+});
@@ -0,0 +1,98 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const { Readable } = require('stream');
+const mongoose = require('mongoose');
+const UploadSession = require('../src/models/UploadSession');
+const uploadStaging = require('../src/services/uploadStaging');
+const uploadSweeper = require('../src/services/uploadSweeper');
+
+describe('Upload Sweeper', () => {
+  const ownerUserId = new mongoose.Types.ObjectId();
+  const originalStagingPath = process.env.UPLOAD_STAGING_PATH;
+  let stagingRoot;
+
+  const createSession = async (fields = {}) => {
+    const session = await UploadSession.create({
+      ownerUserId,
+      uploadLength: 2048,
+      uploadOffset: 1000,
+      filename: 'clip.mp4',
+      mimeType: 'video/mp4',
+      title: 'Abandoned',
+      expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+      ...fields,
+    });
+    await uploadStaging.writeChunk(session._id, Readable.from([Buffer.alloc(1000)]), 0, 2048);
+    return session;
+  };
+
+  const stagedFiles = () => fs.readdir(stagingRoot);
+
+  beforeAll(async () => {
+    stagingRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'sweep-staging-'));
+    process.env.UPLOAD_STAGING_PATH = stagingRoot;
+  });
+
+  afterAll(async () => {
+    await fs.rm(stagingRoot, { recursive: true, force: true });
+    if (originalStagingPath === undefined) {
+      delete process.env.UPLOAD_STAGING_PATH;
+    } else {
+      process.env.UPLOAD_STAGING_PATH = originalStagingPath;
+    }
+  });
+
+  afterEach(async () => {
+    for (const name of await stagedFiles()) {
+      await fs.unlink(path.join(stagingRoot, name));
+    }
+  });
+
+  test('should delete expired sessions and their staged bytes', async () => {
+    const expired = await createSession({ expiresAt: new Date(Date.now() - 1000) });
+    const live = await createSession();
+
+    const result = await uploadSweeper.sweep();
+
+    expect(result.sessions).toBe(1);
+    expect(await UploadSession.exists({ _id: expired._id })).toBeNull();
+    expect(await UploadSession.exists({ _id: live._id })).not.toBeNull();
+    expect(await stagedFiles()).toEqual([`${live._id}.part`]);
+  });
+
+  test('should leave an expired session alone while a request holds its lock', async () => {
+    const writing = await createSession({
+      expiresAt: new Date(Date.now() - 1000),
+      lockedUntil: new Date(Date.now() + 60 * 1000),
+    });
+
+    await uploadSweeper.sweep();
+
+    expect(await UploadSession.exists({ _id: writing._id })).not.toBeNull();
+    expect(await stagedFiles()).toHaveLength(1);
+  });
+
+  test('should delete abandoned finalizations once they expire', async () => {
+    const stuck = await createSession({ status: 'finalizing', expiresAt: new Date(Date.now() - 1000) });
+
+    await uploadSweeper.sweep();
+
+    expect(await UploadSession.exists({ _id: stuck._id })).toBeNull();
+    expect(await stagedFiles()).toHaveLength(0);
+  });
+
+  test('should delete old staged files that no session points to', async () => {
+    const orphan = new mongoose.Types.ObjectId();
+    const recent = new mongoose.Types.ObjectId();
+    await fs.writeFile(uploadStaging.stagingPath(orphan), Buffer.alloc(10));
+    await fs.writeFile(uploadStaging.stagingPath(recent), Buffer.alloc(10));
+    const dayAgo = new Date(Date.now() - 25 * 60 * 60 * 1000);
+    await fs.utimes(uploadStaging.stagingPath(orphan), dayAgo, dayAgo);
+
+    const result = await uploadSweeper.sweep();
+
+    expect(result.files).toBe(1);
+    expect(await stagedFiles()).toEqual([`${recent}.part`]);
+  });
+});
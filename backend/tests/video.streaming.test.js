@@ -4,12 +4,13 @@ const mongoose = require('mongoose');
 const Video = require('../src/models/Video');
 const User = require('../src/models/User');
 const jwt = require('jsonwebtoken');
+const { signStreamAccess, toStreamQuery } = require('../src/utils/streamSignature');
 const path = require('path');
 const fs = require('fs').promises;
 
 describe('Video Streaming API', () => {
   let adminUser, editorUser, viewerUser;
-  let adminToken, viewerToken;
+  let adminToken, editorToken, viewerToken;
   let testVideo;
   const testVideoPath = path.join(__dirname, '../uploads/videos/test-video.mp4');
   const tenantId = new mongoose.Types.ObjectId();  // ObjectId for User model
@@ -142,6 +143,64 @@ describe('Video Streaming API', () => {
 
         expect(response.headers['content-type']).toMatch(/video/);
       });
+
+      test('should allow access with a signed stream URL', async () => {
+        const query = toStreamQuery(signStreamAccess(testVideo._id, adminUser._id));
+
+        const response = await request(app)
+          .get(`/api/videos/${testVideo._id}/stream?${query}`)
+          .expect(200);
+
+        expect(response.headers['content-type']).toMatch(/video/);
+      });
+
+      test('should reject an expired, tampered or foreign signed URL', async () => {
+        const expired = signStreamAccess(testVideo._id, adminUser._id, Date.now() - 60 * 60 * 1000);
+        await request(app)
+          .get(`/api/videos/${testVideo._id}/stream?${toStreamQuery(expired)}`)
+          .expect(401);
+
+        const forOwner = signStreamAccess(testVideo._id, adminUser._id);
+        await request(app)
+          .get(`/api/videos/${testVideo._id}/stream?${toStreamQuery({ ...forOwner, uid: viewerUser._id })}`)
+          .expect(401);
+
+        const otherVideoId = new mongoose.Types.ObjectId();
+        const response = await request(app)
+          .get(`/api/videos/${otherVideoId}/stream?${toStreamQuery(forOwner)}`)
+          .expect(401);
+
+        expect(response.body.error).toBe('Invalid or expired stream URL');
+      });
+
+      test('should not accept the session token in the query string', async () => {
+        await request(app)
+          .get(`/api/videos/${testVideo._id}/stream?token=${adminToken}`)
+          .expect(401);
+      });
+    });
+
+    describe('GET /api/videos/:id/stream-url', () => {
+      test('should issue a signed URL that expires within minutes', async () => {
+        const response = await request(app)
+          .get(`/api/videos/${testVideo._id}/stream-url`)
+          .set('Authorization', `Bearer ${adminToken}`)
+          .expect(200);
+
+        const { url, query, expiresAt } = response.body.data;
+        expect(response.headers['cache-control']).toBe('no-store');
+        expect(url).toBe(`/api/videos/${testVideo._id}/stream?${query}`);
+        expect(new Date(expiresAt).getTime() - Date.now()).toBeLessThanOrEqual(10 * 60 * 1000);
+
+        await request(app).get(url).expect(200);
+      });
+
+      test('should not issue URLs for videos the user cannot stream', async () => {
+        await request(app)
+          .get(`/api/videos/${testVideo._id}/stream-url`)
+          .set('Authorization', `Bearer ${viewerToken}`)
+          .expect(403);
+      });
     });
 
     describe('Error Handling', () => {
@@ -289,13 +348,11 @@ describe('Video Streaming API', () => {
         expect(response.headers['content-range']).toBe(`bytes */${testVideo.fileSize}`);
       });
 
-      test('should return 416 for invalid range (end >= fileSize)', async () => {
-        const invalidEnd = testVideo.fileSize + 100;
-        
+      test('should return 416 for a suffix range of zero bytes', async () => {
         const response = await request(app)
           .get(`/api/videos/${testVideo._id}/stream`)
           .set('Authorization', `Bearer ${adminToken}`)
-          .set('Range', `bytes=0-${invalidEnd}`)
+          .set('Range', 'bytes=-0')
           .expect(416);
 
         expect(response.headers['content-range']).toBe(`bytes */${testVideo.fileSize}`);
@@ -337,10 +394,35 @@ describe('Video Streaming API', () => {
           .get(`/api/videos/${testVideo._id}/stream`)
           .set('Authorization', `Bearer ${adminToken}`)
           .set('Range', `bytes=${start}-${requestedEnd}`)
-          .expect(416);
+          .expect(206);
 
-        // Should reject as invalid range
-        expect(response.headers['content-range']).toBe(`bytes */${testVideo.fileSize}`);
+        // The range is shortened to the end of the file (RFC 7233 section 2.1)
+        expect(response.headers['content-range']).toBe(
+          `bytes ${start}-${testVideo.fileSize - 1}/${testVideo.fileSize}`,
+        );
+      });
+
+      test('should serve the last bytes for a suffix range', async () => {
+        const response = await request(app)
+          .get(`/api/videos/${testVideo._id}/stream`)
+          .set('Authorization', `Bearer ${adminToken}`)
+          .set('Range', 'bytes=-500')
+          .expect(206);
+
+        expect(response.headers['content-range']).toBe(
+          `bytes ${testVideo.fileSize - 500}-${testVideo.fileSize - 1}/${testVideo.fileSize}`,
+        );
+        expect(response.headers['content-length']).toBe('500');
+      });
+
+      test('should ignore ranges in other units', async () => {
+        const response = await request(app)
+          .get(`/api/videos/${testVideo._id}/stream`)
+          .set('Authorization', `Bearer ${adminToken}`)
+          .set('Range', 'items=0-9')
+          .expect(200);
+
+        expect(response.headers['content-range']).toBeUndefined();
       });
     });
 
@@ -378,4 +460,748 @@ describe('Video Streaming API', () => {
       });
     });
   });
+
+  describe('Ranged reads from storage', () => {
+    const os = require('os');
+    const storage = require('../src/services/storage');
+    const LocalDriver = require('../src/services/storage/localDriver');
+    let storageRoot;
+    let storedVideo;
+    let contents;
+
+    beforeAll(async () => {
+      storageRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'stream-storage-'));
+      storage.setDriver(new LocalDriver({ root: storageRoot }));
+
+      contents = Buffer.alloc(256 * 1024);
+      for (let i = 0; i < contents.length; i++) contents[i] = i % 251;
+      const { fileId } = await storage.upload(contents, 'ranged.mp4', {});
+
+      storedVideo = await Video.create({
+        title: 'Ranged streaming video',
+        ownerUserId: adminUser._id,
+        tenantId: tenantIdStr,
+        status: 'ready',
+        sensitivity: 'safe',
+        originalFilename: 'ranged.mp4',
+        storedFilename: 'ranged.mp4',
+        gridFsFileId: fileId,
+        fileSize: contents.length,
+        mimeType: 'video/mp4',
+      });
+    });
+
+    afterAll(async () => {
+      storage.setDriver(null);
+      await fs.rm(storageRoot, { recursive: true, force: true });
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should read only the requested range from storage', async () => {
+      const readSpy = jest.spyOn(storage, 'createReadStream');
+      const start = 200000;
+      const end = 200099;
+
+      const response = await request(app)
+        .get(`/api/videos/${storedVideo._id}/stream`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .set('Range', `bytes=${start}-${end}`)
+        .buffer(true)
+        .parse((res, callback) => {
+          const chunks = [];
+          res.on('data', chunk => chunks.push(chunk));
+          res.on('end', () => callback(null, Buffer.concat(chunks)));
+        })
+        .expect(206);
+
+      expect(readSpy).toHaveBeenCalledWith(storedVideo.gridFsFileId, { start, end });
+      expect(response.body.equals(contents.subarray(start, end + 1))).toBe(true);
+    });
+
+    test('should stream the last byte without reading the rest of the file', async () => {
+      const readSpy = jest.spyOn(storage, 'createReadStream');
+      const last = contents.length - 1;
+
+      const response = await request(app)
+        .get(`/api/videos/${storedVideo._id}/stream`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .set('Range', `bytes=${last}-`)
+        .expect(206);
+
+      expect(readSpy).toHaveBeenCalledWith(storedVideo.gridFsFileId, { start: last, end: last });
+      expect(response.headers['content-length']).toBe('1');
+    });
+
+    test('should return 416 for a reversed range', async () => {
+      await request(app)
+        .get(`/api/videos/${storedVideo._id}/stream`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .set('Range', 'bytes=500-100')
+        .expect(416);
+    });
+
+    test('should send multiple ranges as multipart/byteranges', async () => {
+      const readSpy = jest.spyOn(storage, 'createReadStream');
+
+      const response = await request(app)
+        .get(`/api/videos/${storedVideo._id}/stream`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .set('Range', 'bytes=1000-1099, -100, 0-9')
+        .buffer(true)
+        .parse((res, callback) => {
+          const chunks = [];
+          res.on('data', chunk => chunks.push(chunk));
+          res.on('end', () => callback(null, Buffer.concat(chunks)));
+        })
+        .expect(206);
+
+      const [, boundary] = /^multipart\/byteranges; boundary=(\S+)$/.exec(response.headers['content-type']);
+      const size = contents.length;
+      const expected = Buffer.concat([
+        Buffer.from(`--${boundary}\r\nContent-Type: video/mp4\r\nContent-Range: bytes 0-9/${size}\r\n\r\n`),
+        contents.subarray(0, 10),
+        Buffer.from(`\r\n--${boundary}\r\nContent-Type: video/mp4\r\nContent-Range: bytes 1000-1099/${size}\r\n\r\n`),
+        contents.subarray(1000, 1100),
+        Buffer.from(`\r\n--${boundary}\r\nContent-Type: video/mp4\r\nContent-Range: bytes ${size - 100}-${size - 1}/${size}\r\n\r\n`),
+        contents.subarray(size - 100),
+        Buffer.from(`\r\n--${boundary}--\r\n`),
+      ]);
+
+      expect(response.body.equals(expected)).toBe(true);
+      expect(response.headers['content-length']).toBe(String(expected.length));
+      expect(readSpy).toHaveBeenCalledTimes(3);
+    });
+
+    test('should send overlapping ranges as one range', async () => {
+      const response = await request(app)
+        .get(`/api/videos/${storedVideo._id}/stream`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .set('Range', 'bytes=100-199, 150-299')
+        .expect(206);
+
+      expect(response.headers['content-type']).toBe('video/mp4');
+      expect(response.headers['content-range']).toBe(`bytes 100-299/${contents.length}`);
+    });
+
+    test('should send validators and the private cache policy', async () => {
+      const response = await request(app)
+        .get(`/api/videos/${storedVideo._id}/stream`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .set('Range', 'bytes=0-9')
+        .expect(206);
+
+      expect(response.headers.etag).toMatch(/^"[^"]+"$/);
+      expect(response.headers['last-modified']).toBeDefined();
+      expect(response.headers['cache-control']).toBe('private, no-cache');
+    });
+
+    test('should return 304 while the cached copy is current', async () => {
+      const first = await request(app)
+        .get(`/api/videos/${storedVideo._id}/stream`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .set('Range', 'bytes=0-9')
+        .expect(206);
+
+      const response = await request(app)
+        .get(`/api/videos/${storedVideo._id}/stream`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .set('If-None-Match', first.headers.etag)
+        .expect(304);
+
+      expect(response.headers.etag).toBe(first.headers.etag);
+      expect(response.text).toBe('');
+    });
+
+    test('should honour If-Range only for the current version', async () => {
+      const first = await request(app)
+        .get(`/api/videos/${storedVideo._id}/stream`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .set('Range', 'bytes=0-9')
+        .expect(206);
+
+      await request(app)
+        .get(`/api/videos/${storedVideo._id}/stream`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .set('Range', 'bytes=10-19')
+        .set('If-Range', first.headers.etag)
+        .expect(206);
+
+      await request(app)
+        .get(`/api/videos/${storedVideo._id}/stream`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .set('Range', 'bytes=10-19')
+        .set('If-Range', first.headers['last-modified'])
+        .expect(206);
+
+      // A different version: the whole file replaces the client's copy
+      const response = await request(app)
+        .get(`/api/videos/${storedVideo._id}/stream`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .set('Range', 'bytes=10-19')
+        .set('If-Range', '"an-older-version"')
+        .expect(200);
+
+      expect(response.headers['content-length']).toBe(String(contents.length));
+      expect(response.headers['content-range']).toBeUndefined();
+    });
+
+    test('should cache signed URLs no longer than the signature lasts', async () => {
+      const { signStreamAccess, toStreamQuery } = require('../src/utils/streamSignature');
+      const access = signStreamAccess(storedVideo._id, adminUser._id);
+
+      const response = await request(app)
+        .get(`/api/videos/${storedVideo._id}/stream?${toStreamQuery(access)}`)
+        .set('Range', 'bytes=0-9')
+        .expect(206);
+
+      const maxAge = parseInt(/max-age=(\d+)/.exec(response.headers['cache-control'])[1], 10);
+      expect(maxAge).toBeLessThanOrEqual((access.expiresAt.getTime() - Date.now()) / 1000 + 1);
+    });
+  });
+
+  describe('HLS playback', () => {
+    const os = require('os');
+    const storage = require('../src/services/storage');
+    const LocalDriver = require('../src/services/storage/localDriver');
+    const hls = require('../src/services/hls');
+    let storageRoot;
+    let renditionDir;
+    let hlsVideo;
+    let segmentId;
+
+    beforeAll(async () => {
+      storageRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'hls-storage-'));
+      renditionDir = await fs.mkdtemp(path.join(os.tmpdir(), 'hls-rendition-'));
+      storage.setDriver(new LocalDriver({ root: storageRoot }));
+
+      const { fileId } = await storage.upload(Buffer.from('original'), 'hls-source.mp4', {});
+      hlsVideo = await Video.create({
+        title: 'HLS video',
+        ownerUserId: adminUser._id,
+        tenantId: tenantIdStr,
+        status: 'ready',
+        sensitivity: 'safe',
+        originalFilename: 'hls-source.mp4',
+        storedFilename: 'hls-source.mp4',
+        gridFsFileId: fileId,
+        fileSize: 8,
+        mimeType: 'video/mp4',
+      });
+
+      await fs.writeFile(path.join(renditionDir, 'segment_00000.ts'), 'segment-bytes');
+      await fs.writeFile(
+        path.join(renditionDir, 'index.m3u8'),
+        '#EXTM3U\n#EXTINF:6.0,\nsegment_00000.ts\n#EXT-X-ENDLIST\n'
+      );
+      const rendition = { name: '360p', width: 640, height: 360, bandwidth: 896000 };
+      const stored = await hls.storeRendition(hlsVideo._id, rendition, renditionDir);
+      segmentId = stored.fileIds[0].toString();
+
+      hlsVideo.hls = {
+        status: 'ready',
+        renditions: [{ ...rendition, playlistFileId: stored.playlistFileId, segmentCount: 1 }],
+        fileIds: stored.fileIds,
+      };
+      await hlsVideo.save();
+    });
+
+    afterAll(async () => {
+      storage.setDriver(null);
+      await fs.rm(storageRoot, { recursive: true, force: true });
+      await fs.rm(renditionDir, { recursive: true, force: true });
+    });
+
+    test('should serve the master playlist', async () => {
+      const response = await request(app)
+        .get(`/api/videos/${hlsVideo._id}/hls/master.m3u8`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.headers['content-type']).toContain('application/vnd.apple.mpegurl');
+      expect(response.text).toContain('RESOLUTION=640x360');
+      expect(response.text).toContain('360p/index.m3u8');
+    });
+
+    test('should carry the signature over to playlist entries', async () => {
+      const query = toStreamQuery(signStreamAccess(hlsVideo._id, adminUser._id));
+
+      const response = await request(app)
+        .get(`/api/videos/${hlsVideo._id}/hls/360p/index.m3u8?${query}`)
+        .expect(200);
+
+      expect(response.text).toContain(`${segmentId}.ts?${query}`);
+    });
+
+    test('should stream a segment of the rendition', async () => {
+      const response = await request(app)
+        .get(`/api/videos/${hlsVideo._id}/hls/360p/${segmentId}.ts`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .buffer(true)
+        .parse((res, callback) => {
+          const chunks = [];
+          res.on('data', chunk => chunks.push(chunk));
+          res.on('end', () => callback(null, Buffer.concat(chunks)));
+        })
+        .expect(200);
+
+      expect(response.headers['content-type']).toBe('video/mp2t');
+      expect(response.body.toString()).toBe('segment-bytes');
+    });
+
+    test('should serve byte ranges of a segment', async () => {
+      const response = await request(app)
+        .get(`/api/videos/${hlsVideo._id}/hls/360p/${segmentId}.ts`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .set('Range', 'bytes=-5')
+        .expect(206);
+
+      expect(response.headers['content-range']).toBe('bytes 8-12/13');
+      expect(response.headers['cache-control']).toBe('private, no-cache');
+    });
+
+    test('should cache signed segments no longer than the signature lasts', async () => {
+      const access = signStreamAccess(hlsVideo._id, adminUser._id, Date.now(), new Date(Date.now() + 60 * 1000));
+
+      const response = await request(app)
+        .get(`/api/videos/${hlsVideo._id}/hls/360p/${segmentId}.ts?${toStreamQuery(access)}`)
+        .expect(200);
+
+      const maxAge = parseInt(/max-age=(\d+)/.exec(response.headers['cache-control'])[1], 10);
+      expect(maxAge).toBeLessThanOrEqual(60);
+    });
+
+    test('should not serve a segment through another rendition', async () => {
+      await request(app)
+        .get(`/api/videos/${hlsVideo._id}/hls/720p/${segmentId}.ts`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(404);
+    });
+
+    test('should not serve files that are not segments of the video', async () => {
+      await request(app)
+        .get(`/api/videos/${hlsVideo._id}/hls/360p/${hlsVideo.gridFsFileId}.ts`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(404);
+    });
+
+    test('should return 404 for an unknown rendition', async () => {
+      await request(app)
+        .get(`/api/videos/${hlsVideo._id}/hls/1080p/index.m3u8`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(404);
+    });
+
+    test('should deny viewers without an assignment', async () => {
+      await request(app)
+        .get(`/api/videos/${hlsVideo._id}/hls/master.m3u8`)
+        .set('Authorization', `Bearer ${viewerToken}`)
+        .expect(403);
+    });
+
+    test('should return 404 when the video has no renditions', async () => {
+      await request(app)
+        .get(`/api/videos/${testVideo._id}/hls/master.m3u8`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(404);
+    });
+  });
+
+  describe('GET /api/videos/:id/thumbnail', () => {
+    const os = require('os');
+    const storage = require('../src/services/storage');
+    const LocalDriver = require('../src/services/storage/localDriver');
+    let storageRoot;
+    let thumbVideo;
+    const thumbnail = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0x00, 0x10]);
+
+    beforeAll(async () => {
+      storageRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'thumb-storage-'));
+      storage.setDriver(new LocalDriver({ root: storageRoot }));
+
+      const source = await storage.upload(Buffer.from('original'), 'thumb-source.mp4', {});
+      const thumb = await storage.upload(thumbnail, 'thumb-source.jpg', { type: 'thumbnail' });
+      thumbVideo = await Video.create({
+        title: 'Thumbnail video',
+        ownerUserId: adminUser._id,
+        tenantId: tenantIdStr,
+        status: 'ready',
+        sensitivity: 'safe',
+        originalFilename: 'thumb-source.mp4',
+        storedFilename: 'thumb-source.mp4',
+        gridFsFileId: source.fileId,
+        thumbnailGridFsFileId: thumb.fileId,
+        fileSize: 8,
+        mimeType: 'video/mp4',
+      });
+    });
+
+    afterAll(async () => {
+      storage.setDriver(null);
+      await fs.rm(storageRoot, { recursive: true, force: true });
+    });
+
+    test('should serve the thumbnail with revalidation headers', async () => {
+      const response = await request(app)
+        .get(`/api/videos/${thumbVideo._id}/thumbnail`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.headers['content-type']).toBe('image/jpeg');
+      expect(response.headers['cache-control']).toBe('private, no-cache');
+      expect(response.headers.etag).toBeDefined();
+      expect(Buffer.compare(response.body, thumbnail)).toBe(0);
+    });
+
+    test('should accept a signed URL for <img> tags', async () => {
+      const query = toStreamQuery(signStreamAccess(thumbVideo._id, adminUser._id));
+
+      await request(app)
+        .get(`/api/videos/${thumbVideo._id}/thumbnail?${query}`)
+        .expect(200);
+    });
+
+    test('should cache signed thumbnails no longer than the signature lasts', async () => {
+      const access = signStreamAccess(thumbVideo._id, adminUser._id, Date.now(), new Date(Date.now() + 60 * 1000));
+
+      const response = await request(app)
+        .get(`/api/videos/${thumbVideo._id}/thumbnail?${toStreamQuery(access)}`)
+        .expect(200);
+
+      const maxAge = parseInt(/max-age=(\d+)/.exec(response.headers['cache-control'])[1], 10);
+      expect(maxAge).toBeLessThanOrEqual(60);
+      expect(response.headers['cache-control']).not.toContain('immutable');
+    });
+
+    test('should return 304 when the cached copy is still current', async () => {
+      const first = await request(app)
+        .get(`/api/videos/${thumbVideo._id}/thumbnail`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      await request(app)
+        .get(`/api/videos/${thumbVideo._id}/thumbnail`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .set('If-None-Match', first.headers.etag)
+        .expect(304);
+    });
+
+    test('should reject unsupported formats and sizes', async () => {
+      await request(app)
+        .get(`/api/videos/${thumbVideo._id}/thumbnail?format=png`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(400);
+
+      await request(app)
+        .get(`/api/videos/${thumbVideo._id}/thumbnail?w=5000`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(400);
+    });
+
+    test('should deny viewers without an assignment', async () => {
+      await request(app)
+        .get(`/api/videos/${thumbVideo._id}/thumbnail`)
+        .set('Authorization', `Bearer ${viewerToken}`)
+        .expect(403);
+    });
+
+    test('should return 404 when the video has no thumbnail', async () => {
+      await request(app)
+        .get(`/api/videos/${testVideo._id}/thumbnail`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(404);
+    });
+  });
+
+  describe('Storyboard', () => {
+    const os = require('os');
+    const storage = require('../src/services/storage');
+    const LocalDriver = require('../src/services/storage/localDriver');
+    let storageRoot;
+    let storyboardVideo;
+    const sheet = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0x00, 0x10]);
+
+    beforeAll(async () => {
+      storageRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'storyboard-storage-'));
+      storage.setDriver(new LocalDriver({ root: storageRoot }));
+
+      const source = await storage.upload(Buffer.from('original'), 'storyboard.mp4', {});
+      const stored = await storage.upload(sheet, 'storyboard-0.jpg', { type: 'storyboard' });
+      storyboardVideo = await Video.create({
+        title: 'Storyboard video',
+        ownerUserId: adminUser._id,
+        tenantId: tenantIdStr,
+        status: 'ready',
+        sensitivity: 'safe',
+        originalFilename: 'storyboard.mp4',
+        storedFilename: 'storyboard.mp4',
+        gridFsFileId: source.fileId,
+        fileSize: 8,
+        mimeType: 'video/mp4',
+        duration: 12,
+        storyboard: {
+          status: 'ready',
+          interval: 5,
+          frameCount: 3,
+          columns: 10,
+          rows: 10,
+          tileWidth: 160,
+          tileHeight: 90,
+          sheets: [stored.fileId],
+        },
+      });
+    });
+
+    afterAll(async () => {
+      storage.setDriver(null);
+      await fs.rm(storageRoot, { recursive: true, force: true });
+    });
+
+    test('should serve the WebVTT thumbnails track', async () => {
+      const response = await request(app)
+        .get(`/api/videos/${storyboardVideo._id}/storyboard.vtt`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.headers['content-type']).toContain('text/vtt');
+      expect(response.text).toContain('00:00:10.000 --> 00:00:12.000');
+      // Sprites are loaded by <img>-like requests, so their URLs are signed
+      expect(response.text).toMatch(/storyboard\/0\.jpg\?uid=\w+&exp=\d+&sig=[\w-]+#xywh=320,0,160,90/);
+    });
+
+    test('should carry the signature over to sprite URLs', async () => {
+      const query = toStreamQuery(signStreamAccess(storyboardVideo._id, adminUser._id));
+
+      const response = await request(app)
+        .get(`/api/videos/${storyboardVideo._id}/storyboard.vtt?${query}`)
+        .expect(200);
+
+      expect(response.text).toContain(`storyboard/0.jpg?${query}#xywh=0,0,160,90`);
+    });
+
+    test('should serve a sprite sheet', async () => {
+      const response = await request(app)
+        .get(`/api/videos/${storyboardVideo._id}/storyboard/0.jpg`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.headers['content-type']).toBe('image/jpeg');
+      expect(Buffer.compare(response.body, sheet)).toBe(0);
+    });
+
+    test('should cache signed sprite sheets no longer than the signature lasts', async () => {
+      const access = signStreamAccess(storyboardVideo._id, adminUser._id, Date.now(), new Date(Date.now() + 60 * 1000));
+
+      const response = await request(app)
+        .get(`/api/videos/${storyboardVideo._id}/storyboard/0.jpg?${toStreamQuery(access)}`)
+        .expect(200);
+
+      const maxAge = parseInt(/max-age=(\d+)/.exec(response.headers['cache-control'])[1], 10);
+      expect(maxAge).toBeLessThanOrEqual(60);
+    });
+
+    test('should return 404 for a sheet that does not exist', async () => {
+      await request(app)
+        .get(`/api/videos/${storyboardVideo._id}/storyboard/3.jpg`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(404);
+    });
+
+    test('should return 404 when the video has no storyboard', async () => {
+      await request(app)
+        .get(`/api/videos/${testVideo._id}/storyboard.vtt`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(404);
+    });
+
+    test('should deny viewers without an assignment', async () => {
+      await request(app)
+        .get(`/api/videos/${storyboardVideo._id}/storyboard.vtt`)
+        .set('Authorization', `Bearer ${viewerToken}`)
+        .expect(403);
+    });
+  });
+
+  describe('Downloads', () => {
+    const os = require('os');
+    const storage = require('../src/services/storage');
+    const LocalDriver = require('../src/services/storage/localDriver');
+    const VideoAssignment = require('../src/models/VideoAssignment');
+    const DownloadAudit = require('../src/models/DownloadAudit');
+    let storageRoot;
+    let downloadVideo;
+    let assignment;
+    const contents = Buffer.from('original-file-bytes');
+
+    beforeAll(async () => {
+      storageRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'download-storage-'));
+      storage.setDriver(new LocalDriver({ root: storageRoot }));
+
+      const { fileId } = await storage.upload(contents, 'stored.mp4', {});
+      downloadVideo = await Video.create({
+        title: 'Download streaming video',
+        ownerUserId: adminUser._id,
+        tenantId: tenantIdStr,
+        status: 'ready',
+        sensitivity: 'safe',
+        originalFilename: 'Quarterly review.mp4',
+        storedFilename: 'stored.mp4',
+        gridFsFileId: fileId,
+        fileSize: contents.length,
+        mimeType: 'video/mp4',
+      });
+    });
+
+    beforeEach(async () => {
+      await DownloadAudit.deleteMany({});
+      await VideoAssignment.deleteMany({ videoId: downloadVideo._id });
+      await Video.updateOne({ _id: downloadVideo._id }, { allowDownload: false });
+      assignment = await VideoAssignment.create({
+        videoId: downloadVideo._id,
+        userId: viewerUser._id,
+        assignedBy: adminUser._id,
+      });
+    });
+
+    afterAll(async () => {
+      storage.setDriver(null);
+      await fs.rm(storageRoot, { recursive: true, force: true });
+    });
+
+    test('should send the original file as an attachment and audit it', async () => {
+      const response = await request(app)
+        .get(`/api/videos/${downloadVideo._id}/download`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .set('User-Agent', 'download-test')
+        .expect(200);
+
+      expect(response.headers['content-disposition']).toBe('attachment; filename="Quarterly review.mp4"');
+      expect(response.headers['content-length']).toBe(String(contents.length));
+
+      const audits = await DownloadAudit.find({ videoId: downloadVideo._id });
+      expect(audits).toHaveLength(1);
+      expect(audits[0]).toMatchObject({
+        role: 'admin',
+        filename: 'Quarterly review.mp4',
+        fileSize: contents.length,
+        userAgent: 'download-test',
+      });
+      expect(audits[0].userId.toString()).toBe(adminUser._id.toString());
+    });
+
+    test('should audit a resumed download only once', async () => {
+      await request(app)
+        .get(`/api/videos/${downloadVideo._id}/download`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .set('Range', 'bytes=0-7')
+        .expect(206);
+
+      await request(app)
+        .get(`/api/videos/${downloadVideo._id}/download`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .set('Range', 'bytes=8-')
+        .expect(206);
+
+      expect(await DownloadAudit.countDocuments({ videoId: downloadVideo._id })).toBe(1);
+    });
+
+    test('should deny viewers unless downloads are enabled', async () => {
+      const query = toStreamQuery(signStreamAccess(downloadVideo._id, viewerUser._id));
+
+      const response = await request(app)
+        .get(`/api/videos/${downloadVideo._id}/download?${query}`)
+        .expect(403);
+
+      expect(response.body.error).toBe('Downloads are not enabled for this video');
+      expect(await DownloadAudit.countDocuments({ videoId: downloadVideo._id })).toBe(0);
+    });
+
+    test('should let the owner enable downloads for the video', async () => {
+      await request(app)
+        .patch(`/api/videos/${downloadVideo._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ allowDownload: true })
+        .expect(200);
+
+      await request(app)
+        .get(`/api/videos/${downloadVideo._id}/download`)
+        .set('Authorization', `Bearer ${viewerToken}`)
+        .expect(200);
+    });
+
+    test('should let an assignment override the video setting', async () => {
+      const enabled = await request(app)
+        .patch(`/api/videos/${downloadVideo._id}/assign/${viewerUser._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ allowDownload: true })
+        .expect(200);
+      expect(enabled.body.data.assignment.allowDownload).toBe(true);
+
+      await request(app)
+        .get(`/api/videos/${downloadVideo._id}/download`)
+        .set('Authorization', `Bearer ${viewerToken}`)
+        .expect(200);
+
+      // Denied for this viewer although the video allows downloads
+      await Video.updateOne({ _id: downloadVideo._id }, { allowDownload: true });
+      await VideoAssignment.updateOne({ _id: assignment._id }, { allowDownload: false });
+
+      await request(app)
+        .get(`/api/videos/${downloadVideo._id}/download`)
+        .set('Authorization', `Bearer ${viewerToken}`)
+        .expect(403);
+    });
+
+    test('should reject invalid download settings', async () => {
+      await request(app)
+        .patch(`/api/videos/${downloadVideo._id}/assign/${viewerUser._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ allowDownload: 'sometimes' })
+        .expect(400);
+
+      await request(app)
+        .patch(`/api/videos/${downloadVideo._id}/assign/${viewerUser._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({})
+        .expect(400);
+    });
+
+    test('should tell viewers whether they may download', async () => {
+      const before = await request(app)
+        .get(`/api/videos/${downloadVideo._id}`)
+        .set('Authorization', `Bearer ${viewerToken}`)
+        .expect(200);
+      expect(before.body.data.canDownload).toBe(false);
+
+      await VideoAssignment.updateOne({ _id: assignment._id }, { allowDownload: true });
+
+      const after = await request(app)
+        .get(`/api/videos/${downloadVideo._id}`)
+        .set('Authorization', `Bearer ${viewerToken}`)
+        .expect(200);
+      expect(after.body.data.canDownload).toBe(true);
+    });
+
+    test('should list the download log to the owner only', async () => {
+      await request(app)
+        .get(`/api/videos/${downloadVideo._id}/download`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      const response = await request(app)
+        .get(`/api/videos/${downloadVideo._id}/downloads`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.data.pagination.total).toBe(1);
+      expect(response.body.data.downloads[0].userId.email).toBe(adminUser.email);
+
+      await request(app)
+        .get(`/api/videos/${downloadVideo._id}/downloads`)
+        .set('Authorization', `Bearer ${editorToken}`)
+        .expect(403);
+    });
+  });
 });
@@ -4,12 +4,18 @@ const request = require('supertest');
 const app = require('../src/app');
 const User = require('../src/models/User');
 const Video = require('../src/models/Video');
+const { getHashBands } = require('../src/services/fingerprint');
+const { signStreamAccess, toStreamQuery } = require('../src/utils/streamSignature');
 const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
 
 // Create test video file
 const createTestVideoFile = async (filename = 'test-video.mp4', size = 1024) => {
   const testFilePath = path.join(__dirname, filename);
   const buffer = Buffer.alloc(size);
+  // Minimal ISO BMFF header so the upload passes content sniffing
+  buffer.writeUInt32BE(24, 0);
+  buffer.write('ftypisom', 4, 'ascii');
   await fs.writeFile(testFilePath, buffer);
   return testFilePath;
 };
@@ -131,6 +137,33 @@ describe('Video Upload API', () => {
       await cleanupTestFiles(['test-video.mp4']);
     });
 
+    test('should warn when the same file was already uploaded', async () => {
+      const testFile = await createTestVideoFile('test-video.mp4', 1024);
+
+      const first = await request(app)
+        .post('/api/videos/upload')
+        .set('Authorization', `Bearer ${editorToken}`)
+        .field('title', 'Original')
+        .attach('video', testFile);
+      expect(first.status).toBe(201);
+      expect(first.body.warnings).toBeUndefined();
+
+      const second = await request(app)
+        .post('/api/videos/upload')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .field('title', 'Renamed copy')
+        .attach('video', testFile);
+
+      expect(second.status).toBe(201);
+      expect(second.body.warnings).toHaveLength(1);
+      expect(second.body.warnings[0]).toMatchObject({ type: 'duplicate' });
+      expect(second.body.warnings[0].videos).toEqual([
+        expect.objectContaining({ _id: first.body.data.video._id, title: 'Original' }),
+      ]);
+
+      await cleanupTestFiles(['test-video.mp4']);
+    });
+
     test('should reject upload without authentication', async () => {
       const testFile = await createTestVideoFile('test-video.mp4', 1024);
 
@@ -332,6 +365,8 @@ describe('Video Upload API', () => {
       expect(response.body.success).toBe(true);
       expect(response.body.data.videos).toHaveLength(2);
       expect(response.body.data.pagination.total).toBe(2);
+      // Signed for the list's thumbnails
+      expect(response.body.data.videos[0].streamQuery).toMatch(/^uid=\w+&exp=\d+&sig=[\w-]+$/);
     });
 
     test('should filter videos by status', async () => {
@@ -354,6 +389,41 @@ describe('Video Upload API', () => {
       expect(response.body.data.pagination.hasMore).toBe(true);
     });
 
+    test('should filter videos by technical metadata', async () => {
+      await Video.updateOne(
+        { title: 'Video 2' },
+        {
+          technicalMetadata: {
+            container: ['mov', 'mp4'],
+            video: { codec: 'hevc', width: 3840, height: 2160, frameRate: 59.94, rotation: 0, hdr: true },
+            streamCounts: { video: 1, audio: 2, subtitle: 1, data: 0, attachment: 0 },
+          },
+        }
+      );
+
+      const response = await request(app)
+        .get('/api/videos?videoCodec=HEVC&hdr=true&minHeight=2160&minFrameRate=50&container=mp4&minAudioTracks=2')
+        .set('Authorization', `Bearer ${editorToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.videos).toHaveLength(1);
+      expect(response.body.data.videos[0].technicalMetadata.video.hdr).toBe(true);
+
+      const sdrResponse = await request(app)
+        .get('/api/videos?hdr=false')
+        .set('Authorization', `Bearer ${editorToken}`);
+
+      expect(sdrResponse.body.data.videos).toHaveLength(0);
+    });
+
+    test('should reject invalid technical filters', async () => {
+      const response = await request(app)
+        .get('/api/videos?rotation=45')
+        .set('Authorization', `Bearer ${editorToken}`);
+
+      expect(response.status).toBe(400);
+    });
+
     test('should reject without authentication', async () => {
       const response = await request(app).get('/api/videos');
 
@@ -429,6 +499,368 @@ describe('Video Upload API', () => {
     });
   });
 
+  describe('GET /api/videos/:id/duplicates', () => {
+    const createFingerprintedVideo = (title, owner, fingerprint) =>
+      Video.create({
+        title,
+        ownerUserId: owner._id,
+        status: 'ready',
+        originalFilename: `${title}.mp4`,
+        storedFilename: `stored-${title}.mp4`,
+        gridFsFileId: new mongoose.Types.ObjectId(),
+        fileSize: 1024,
+        mimeType: 'video/mp4',
+        fingerprint: { status: 'ready', ...fingerprint },
+      });
+
+    const hashes = ['0f0f0f0f0f0f0f0f', 'ffff0000ffff0000', '123456789abcdef0'];
+    const fingerprint = {
+      checksum: 'a'.repeat(64),
+      frameHashes: hashes,
+      bands: getHashBands(hashes),
+    };
+
+    let original;
+
+    beforeEach(async () => {
+      original = await createFingerprintedVideo('original', editorUser, fingerprint);
+    });
+
+    test('should list exact and near duplicates, most similar first', async () => {
+      const exact = await createFingerprintedVideo('exact', adminUser, fingerprint);
+      // One bit off in one frame
+      const nearHashes = ['0f0f0f0f0f0f0f0e', ...hashes.slice(1)];
+      const near = await createFingerprintedVideo('near', adminUser, {
+        checksum: 'b'.repeat(64),
+        frameHashes: nearHashes,
+        bands: fingerprint.bands,
+      });
+      await createFingerprintedVideo('unrelated', adminUser, {
+        checksum: 'c'.repeat(64),
+        frameHashes: ['fedcba9876543210'],
+        bands: getHashBands(['fedcba9876543210']),
+      });
+
+      const response = await request(app)
+        .get(`/api/videos/${original._id}/duplicates`)
+        .set('Authorization', `Bearer ${editorToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.fingerprintStatus).toBe('ready');
+      const { duplicates } = response.body.data;
+      expect(duplicates.map(d => d.video._id)).toEqual([exact._id.toString(), near._id.toString()]);
+      expect(duplicates[0]).toMatchObject({ similarity: 1, match: 'exact' });
+      expect(duplicates[1].match).toBe('near');
+      expect(duplicates[1].similarity).toBeGreaterThan(0.99);
+    });
+
+    test('should not match videos in another tenant', async () => {
+      const other = await createFingerprintedVideo('other-tenant', adminUser, fingerprint);
+      other.tenantId = 'other';
+      await other.save();
+
+      const response = await request(app)
+        .get(`/api/videos/${original._id}/duplicates`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.duplicates).toEqual([]);
+    });
+
+    test('should reject viewers', async () => {
+      const response = await request(app)
+        .get(`/api/videos/${original._id}/duplicates`)
+        .set('Authorization', `Bearer ${viewerToken}`);
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe('Chapters', () => {
+    let video;
+
+    beforeEach(async () => {
+      video = await Video.create({
+        title: 'Training',
+        ownerUserId: editorUser._id,
+        status: 'ready',
+        duration: 600,
+        originalFilename: 'training.mp4',
+        storedFilename: 'stored-training.mp4',
+        gridFsFileId: new mongoose.Types.ObjectId(),
+        fileSize: 1024,
+        mimeType: 'video/mp4',
+        chapters: [
+          { start: 0, title: 'Chapter 1', source: 'auto' },
+          { start: 240, title: 'Chapter 2', source: 'auto' },
+        ],
+      });
+    });
+
+    test('should list chapters with their end times', async () => {
+      const response = await request(app)
+        .get(`/api/videos/${video._id}/chapters`)
+        .set('Authorization', `Bearer ${editorToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.chapters).toEqual([
+        expect.objectContaining({ start: 0, end: 240, title: 'Chapter 1' }),
+        expect.objectContaining({ start: 240, end: 600, title: 'Chapter 2' }),
+      ]);
+    });
+
+    test('should serve the chapters as a WebVTT track', async () => {
+      const response = await request(app)
+        .get(`/api/videos/${video._id}/chapters.vtt?${toStreamQuery(signStreamAccess(video._id, editorUser._id))}`);
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toMatch(/^text\/vtt/);
+      expect(response.text).toContain('00:04:00.000 --> 00:10:00.000\nChapter 2');
+    });
+
+    test('should let the owner add, rename and delete chapters', async () => {
+      const created = await request(app)
+        .post(`/api/videos/${video._id}/chapters`)
+        .set('Authorization', `Bearer ${editorToken}`)
+        .send({ start: 420, title: 'Questions' });
+
+      expect(created.status).toBe(201);
+      expect(created.body.data.chapters.map(c => c.start)).toEqual([0, 240, 420]);
+
+      const [first] = created.body.data.chapters;
+      const renamed = await request(app)
+        .patch(`/api/videos/${video._id}/chapters/${first._id}`)
+        .set('Authorization', `Bearer ${editorToken}`)
+        .send({ title: 'Welcome' });
+
+      expect(renamed.status).toBe(200);
+      expect(renamed.body.data.chapters[0]).toMatchObject({ title: 'Welcome', source: 'manual' });
+
+      const deleted = await request(app)
+        .delete(`/api/videos/${video._id}/chapters/${first._id}`)
+        .set('Authorization', `Bearer ${editorToken}`);
+
+      expect(deleted.status).toBe(200);
+      expect(deleted.body.data.chapters.map(c => c.title)).toEqual(['Chapter 2', 'Questions']);
+    });
+
+    test('should reject a chapter past the end or on a taken start', async () => {
+      const pastEnd = await request(app)
+        .post(`/api/videos/${video._id}/chapters`)
+        .set('Authorization', `Bearer ${editorToken}`)
+        .send({ start: 600, title: 'Too late' });
+      expect(pastEnd.status).toBe(400);
+
+      const taken = await request(app)
+        .post(`/api/videos/${video._id}/chapters`)
+        .set('Authorization', `Bearer ${editorToken}`)
+        .send({ start: 240, title: 'Duplicate' });
+      expect(taken.status).toBe(409);
+    });
+
+    test('should not let other users edit chapters', async () => {
+      const response = await request(app)
+        .post(`/api/videos/${video._id}/chapters`)
+        .set('Authorization', `Bearer ${viewerToken}`)
+        .send({ start: 60, title: 'Nope' });
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe('Captions', () => {
+    const srt = '1\r\n00:00:01,000 --> 00:00:03,500\r\nWelcome to the training\r\n';
+    let video;
+
+    beforeEach(async () => {
+      video = await Video.create({
+        title: 'Training',
+        ownerUserId: editorUser._id,
+        status: 'ready',
+        duration: 600,
+        originalFilename: 'training.mp4',
+        storedFilename: 'stored-training.mp4',
+        gridFsFileId: new mongoose.Types.ObjectId(),
+        fileSize: 1024,
+        mimeType: 'video/mp4',
+      });
+    });
+
+    test('should convert an uploaded SRT file and serve it as WebVTT', async () => {
+      const created = await request(app)
+        .post(`/api/videos/${video._id}/captions`)
+        .set('Authorization', `Bearer ${editorToken}`)
+        .field('language', 'en')
+        .attach('caption', Buffer.from(srt), 'training.en.srt');
+
+      expect(created.status).toBe(201);
+      expect(created.body.data.caption).toMatchObject({
+        language: 'en',
+        label: 'English',
+        kind: 'subtitles',
+        source: 'upload',
+        originalFormat: 'srt',
+        cueCount: 1,
+      });
+
+      const access = signStreamAccess(video._id, editorUser._id, Date.now(), new Date(Date.now() + 60 * 1000));
+      const track = await request(app).get(
+        `/api/videos/${video._id}/captions/${created.body.data.caption._id}.vtt?${toStreamQuery(access)}`
+      );
+
+      expect(track.status).toBe(200);
+      expect(track.headers['content-type']).toMatch(/^text\/vtt/);
+      // Not cached past the signature's expiry
+      expect(parseInt(/max-age=(\d+)/.exec(track.headers['cache-control'])[1], 10)).toBeLessThanOrEqual(60);
+      expect(track.text).toContain('00:00:01.000 --> 00:00:03.500\nWelcome to the training');
+    });
+
+    test('should replace the uploaded track for the same language and kind', async () => {
+      await request(app)
+        .post(`/api/videos/${video._id}/captions`)
+        .set('Authorization', `Bearer ${editorToken}`)
+        .field('language', 'en')
+        .attach('caption', Buffer.from(srt), 'first.srt');
+
+      const replaced = await request(app)
+        .post(`/api/videos/${video._id}/captions`)
+        .set('Authorization', `Bearer ${editorToken}`)
+        .field('language', 'en')
+        .field('label', 'English (revised)')
+        .attach('caption', Buffer.from(`WEBVTT\n\n${srt.replace(',', '.').replace(',', '.')}`), 'second.vtt');
+
+      expect(replaced.status).toBe(200);
+      expect(replaced.body.message).toBe('Captions replaced');
+
+      const updated = await Video.findById(video._id);
+      expect(updated.captions).toHaveLength(1);
+      expect(updated.captions[0]).toMatchObject({ label: 'English (revised)', originalFormat: 'vtt' });
+    });
+
+    test('should reject unreadable caption files and invalid languages', async () => {
+      const noCues = await request(app)
+        .post(`/api/videos/${video._id}/captions`)
+        .set('Authorization', `Bearer ${editorToken}`)
+        .field('language', 'en')
+        .attach('caption', Buffer.from('WEBVTT\n\nNOTE nothing here\n'), 'empty.vtt');
+      expect(noCues.status).toBe(400);
+
+      const wrongType = await request(app)
+        .post(`/api/videos/${video._id}/captions`)
+        .set('Authorization', `Bearer ${editorToken}`)
+        .field('language', 'en')
+        .attach('caption', Buffer.from(srt), 'captions.txt');
+      expect(wrongType.status).toBe(400);
+
+      const badLanguage = await request(app)
+        .post(`/api/videos/${video._id}/captions`)
+        .set('Authorization', `Bearer ${editorToken}`)
+        .field('language', 'English')
+        .attach('caption', Buffer.from(srt), 'captions.srt');
+      expect(badLanguage.status).toBe(400);
+    });
+
+    test('should let the owner delete a track but not other users', async () => {
+      const created = await request(app)
+        .post(`/api/videos/${video._id}/captions`)
+        .set('Authorization', `Bearer ${editorToken}`)
+        .field('language', 'en')
+        .attach('caption', Buffer.from(srt), 'captions.srt');
+      const captionId = created.body.data.caption._id;
+
+      const forbidden = await request(app)
+        .delete(`/api/videos/${video._id}/captions/${captionId}`)
+        .set('Authorization', `Bearer ${viewerToken}`);
+      expect(forbidden.status).toBe(403);
+
+      const deleted = await request(app)
+        .delete(`/api/videos/${video._id}/captions/${captionId}`)
+        .set('Authorization', `Bearer ${editorToken}`);
+      expect(deleted.status).toBe(200);
+      expect(deleted.body.data.captions).toEqual([]);
+    });
+  });
+
+  describe('POST /api/videos/:id/clips', () => {
+    let video;
+
+    beforeEach(async () => {
+      video = await Video.create({
+        title: 'All-hands',
+        ownerUserId: editorUser._id,
+        status: 'ready',
+        duration: 3600,
+        originalFilename: 'all-hands.mp4',
+        storedFilename: 'stored-all-hands.mp4',
+        gridFsFileId: new mongoose.Types.ObjectId(),
+        fileSize: 1024,
+        mimeType: 'video/mp4',
+      });
+    });
+
+    test('should create a clip owned by the editor and linked to its parent', async () => {
+      const response = await request(app)
+        .post(`/api/videos/${video._id}/clips`)
+        .set('Authorization', `Bearer ${editorToken}`)
+        .send({ start: 600, end: 720 });
+
+      expect(response.status).toBe(201);
+      expect(response.body.data.video).toMatchObject({
+        title: 'All-hands (clip)',
+        status: 'uploaded',
+        parentVideoId: video._id.toString(),
+        clip: { start: 600, end: 720 },
+      });
+
+      const clip = await Video.findById(response.body.data.video._id);
+      expect(clip.ownerUserId.toString()).toBe(editorUser._id.toString());
+      expect(clip.gridFsFileId).toBeUndefined();
+      expect(clip.originalFilename).toBe('all-hands-clip.mp4');
+    });
+
+    test('should reject ranges that are too short or past the end', async () => {
+      const tooShort = await request(app)
+        .post(`/api/videos/${video._id}/clips`)
+        .set('Authorization', `Bearer ${editorToken}`)
+        .send({ start: 600, end: 600.5 });
+      expect(tooShort.status).toBe(400);
+
+      const pastEnd = await request(app)
+        .post(`/api/videos/${video._id}/clips`)
+        .set('Authorization', `Bearer ${editorToken}`)
+        .send({ start: 3500, end: 3700 });
+      expect(pastEnd.status).toBe(400);
+      expect(pastEnd.body.error).toBe('Clip must end before the end of the video');
+    });
+
+    test('should not clip videos held for moderation or rejected', async () => {
+      for (const status of ['pending', 'in_review', 'rejected']) {
+        await Video.updateOne({ _id: video._id }, { 'moderation.status': status });
+
+        for (const token of [editorToken, adminToken]) {
+          const response = await request(app)
+            .post(`/api/videos/${video._id}/clips`)
+            .set('Authorization', `Bearer ${token}`)
+            .send({ start: 600, end: 720 });
+
+          expect(response.status).toBe(403);
+          expect(response.body.error).toBe('Videos held for moderation or rejected cannot be clipped');
+        }
+      }
+
+      expect(await Video.countDocuments({ parentVideoId: video._id })).toBe(0);
+    });
+
+    test('should not let viewers create clips', async () => {
+      const response = await request(app)
+        .post(`/api/videos/${video._id}/clips`)
+        .set('Authorization', `Bearer ${viewerToken}`)
+        .send({ start: 600, end: 720 });
+
+      expect(response.status).toBe(403);
+    });
+  });
+
   describe('PATCH /api/videos/:id', () => {
     let editorVideo;
 
@@ -467,11 +899,60 @@ describe('Video Upload API', () => {
         .send({
           status: 'ready',
           sensitivity: 'safe',
+          sensitivityReason: 'Reviewed manually',
         });
 
       expect(response.status).toBe(200);
       expect(response.body.data.video.status).toBe('ready');
       expect(response.body.data.video.sensitivity).toBe('safe');
+      expect(response.body.data.video.moderation.history).toEqual([
+        expect.objectContaining({
+          action: 'sensitivity_changed',
+          fromSensitivity: 'unknown',
+          toSensitivity: 'safe',
+          reason: 'Reviewed manually',
+        }),
+      ]);
+    });
+
+    test('should require a reason when changing sensitivity', async () => {
+      const response = await request(app)
+        .patch(`/api/videos/${editorVideo._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          sensitivity: 'safe',
+        });
+
+      expect(response.status).toBe(400);
+      const video = await Video.findById(editorVideo._id);
+      expect(video.sensitivity).toBe('unknown');
+    });
+
+    test('should send a video marked flagged to the review queue', async () => {
+      const response = await request(app)
+        .patch(`/api/videos/${editorVideo._id}`)
+        .set('Authorization', `Bearer ${editorToken}`)
+        .send({
+          sensitivity: 'flagged',
+          sensitivityReason: 'Contains a graphic scene',
+        });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.video.moderation.status).toBe('pending');
+    });
+
+    test('should not change sensitivity while the video awaits review', async () => {
+      await Video.updateOne({ _id: editorVideo._id }, { 'moderation.status': 'pending' });
+
+      const response = await request(app)
+        .patch(`/api/videos/${editorVideo._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          sensitivity: 'safe',
+          sensitivityReason: 'Looks fine',
+        });
+
+      expect(response.status).toBe(409);
     });
 
     test('should not allow non-admin to update status', async () => {
@@ -1,4 +1,27 @@
-const { analyzeSensitivity } = require('../src/services/videoProcessing');
+const EventEmitter = require('events');
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const mongoose = require('mongoose');
+const ffmpeg = require('fluent-ffmpeg');
+const ffmpegPath = require('@ffmpeg-installer/ffmpeg').path;
+const ffprobePath = require('@ffprobe-installer/ffprobe').path;
+const storage = require('../src/services/storage');
+const LocalDriver = require('../src/services/storage/localDriver');
+const sensitivityRules = require('../src/services/sensitivityRules');
+const classifier = require('../src/services/classifier');
+const StubClassifier = require('../src/services/classifier/stubClassifier');
+const {
+  analyzeSensitivity,
+  buildHlsOutputOptions,
+  createProgressTracker,
+  getSampleTimes,
+  parseTimemark,
+  processVideo,
+  reportFfmpegProgress,
+} = require('../src/services/videoProcessing');
 
 describe('Video Processing Service', () => {
   describe('analyzeSensitivity', () => {
@@ -166,5 +189,206 @@ describe('Video Processing Service', () => {
 
       expect(result.analyzedAt).toBeInstanceOf(Date);
     });
+
+    test('should flag sensitive frames even with a harmless title', () => {
+      const metadata = {
+        duration: 60,
+        size: 10000000,
+        video: { width: 1920, height: 1080 },
+        audio: { codec: 'aac' },
+      };
+      const frameSummary = { labelScores: { nsfw: 0.93 }, sensitiveScore: 0.93 };
+
+      const result = analyzeSensitivity(metadata, 'Holiday video', '', undefined, frameSummary);
+
+      expect(result.sensitivity).toBe('flagged');
+      expect(result.flags).toEqual(['Frames classified as sensitive content']);
+    });
+  });
+
+  describe('getSampleTimes', () => {
+    test('should spread samples evenly across the video', () => {
+      expect(getSampleTimes(80, 4)).toEqual([10, 30, 50, 70]);
+    });
+
+    test('should return no samples without a duration', () => {
+      expect(getSampleTimes(0, 4)).toEqual([]);
+      expect(getSampleTimes(undefined, 4)).toEqual([]);
+    });
+  });
+
+  describe('createProgressTracker', () => {
+    const stages = [
+      { name: 'download', weight: 50 },
+      { name: 'probe', weight: 10 },
+      { name: 'transcode', weight: 40 },
+    ];
+
+    test('should weight progress by stage', () => {
+      const onProgress = jest.fn();
+      const update = createProgressTracker(stages, onProgress);
+
+      update('download', 0.5);
+      update('probe', 0);
+      update('transcode', 0.5);
+      update('transcode', 1);
+
+      expect(onProgress.mock.calls).toEqual([
+        ['download', 25],
+        ['probe', 50],
+        ['transcode', 80],
+        ['transcode', 100],
+      ]);
+    });
+
+    test('should only report when the percentage or stage changes', () => {
+      const onProgress = jest.fn();
+      const update = createProgressTracker(stages, onProgress);
+
+      update('download', 0.1);
+      update('download', 0.101);
+      update('download', 0.102);
+
+      expect(onProgress).toHaveBeenCalledTimes(1);
+    });
+
+    test('should never move backwards', () => {
+      const onProgress = jest.fn();
+      const update = createProgressTracker(stages, onProgress);
+
+      update('probe', 1);
+      update('download', 0.2);
+
+      expect(onProgress).toHaveBeenLastCalledWith('download', 60);
+    });
+  });
+
+  describe('ffmpeg progress', () => {
+    test('should parse timemarks into seconds', () => {
+      expect(parseTimemark('00:01:30.50')).toBe(90.5);
+      expect(parseTimemark('01:00:00.00')).toBe(3600);
+      expect(parseTimemark(undefined)).toBe(0);
+    });
+
+    test('should report the fraction of the input processed', () => {
+      const command = new EventEmitter();
+      const onProgress = jest.fn();
+
+      reportFfmpegProgress(command, 120, onProgress);
+      command.emit('progress', { timemark: '00:00:30.00' });
+
+      expect(onProgress).toHaveBeenCalledWith(0.25);
+    });
+  });
+
+  describe('buildHlsOutputOptions', () => {
+    const rendition = { name: '720p', width: 1280, height: 720, videoBitrate: 2800, audioBitrate: 128 };
+
+    test('should align keyframes with segment boundaries', () => {
+      const options = buildHlsOutputOptions(rendition, '/tmp/720p', 6);
+
+      expect(options).toContain('-force_key_frames expr:gte(t,n_forced*6)');
+      expect(options).toContain('-hls_time 6');
+      expect(options).toContain('-b:v 2800k');
+    });
+
+    test('should scale the short side to the rendition height', () => {
+      const options = buildHlsOutputOptions(rendition, '/tmp/720p', 6);
+
+      expect(options.find(o => o.startsWith('-vf'))).toContain("'if(gte(iw,ih),720,-2)'");
+    });
+
+    test('should skip audio for silent renditions', () => {
+      const options = buildHlsOutputOptions({ ...rendition, audioBitrate: 0 }, '/tmp/720p', 6);
+
+      expect(options).not.toContain('-map 0:a:0');
+      expect(options).not.toContain('-c:a aac');
+    });
+
+    test('should filter the audio when normalizing loudness', () => {
+      const options = buildHlsOutputOptions(rendition, '/tmp/720p', 6, 'loudnorm=I=-16');
+
+      expect(options).toContain('-af loudnorm=I=-16');
+      expect(
+        buildHlsOutputOptions({ ...rendition, audioBitrate: 0 }, '/tmp/720p', 6, 'loudnorm=I=-16')
+      ).not.toContain('-af loudnorm=I=-16');
+    });
+  });
+
+  describe('processVideo', () => {
+    let workDir;
+    let storageRoot;
+    let video;
+
+    beforeAll(async () => {
+      // The processing pipeline runs the real binaries here
+      ffmpeg.setFfmpegPath(ffmpegPath);
+      ffmpeg.setFfprobePath(ffprobePath);
+
+      workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'processing-'));
+      storageRoot = path.join(workDir, 'storage');
+      storage.setDriver(new LocalDriver({ root: storageRoot }));
+
+      // Two seconds of picture, sound and an embedded subtitle track
+      const subtitlePath = path.join(workDir, 'captions.srt');
+      const sourcePath = path.join(workDir, 'source.mp4');
+      await fs.writeFile(subtitlePath, '1\n00:00:00,000 --> 00:00:01,500\nHello\n');
+      await promisify(execFile)(ffmpegPath, [
+        '-loglevel', 'error',
+        '-f', 'lavfi', '-i', 'testsrc=duration=2:size=320x240:rate=15',
+        '-f', 'lavfi', '-i', 'sine=duration=2',
+        '-i', subtitlePath,
+        '-map', '0', '-map', '1', '-map', '2',
+        '-c:v', 'libx264', '-preset', 'ultrafast', '-c:a', 'aac', '-c:s', 'mov_text',
+        '-shortest', sourcePath,
+      ]);
+
+      const source = await fs.readFile(sourcePath);
+      const { fileId } = await storage.upload(source, 'source.mp4', {});
+      video = {
+        _id: new mongoose.Types.ObjectId(),
+        title: 'Sample',
+        tenantId: 'default',
+        storedFilename: 'source.mp4',
+        gridFsFileId: fileId,
+        fileSize: source.length,
+      };
+    }, 60000);
+
+    afterAll(async () => {
+      storage.setDriver(null);
+      await fs.rm(workDir, { recursive: true, force: true });
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+      classifier.setClassifier(null);
+    });
+
+    test('should delete the files it stored when a later step fails', async () => {
+      jest.spyOn(sensitivityRules, 'getActiveRuleSet').mockRejectedValue(new Error('Rule set unavailable'));
+
+      const result = await processVideo(video);
+
+      expect(result).toEqual({ success: false, error: 'Rule set unavailable' });
+      const remaining = await storage.list();
+      expect(remaining.map(file => file.fileId.toString())).toEqual([video.gridFsFileId.toString()]);
+    }, 120000);
+
+    test('should fail rather than decide from metadata when frame classification fails', async () => {
+      classifier.setClassifier(new StubClassifier({
+        labels: () => {
+          throw new Error('Classifier unavailable');
+        },
+      }));
+      const getActiveRuleSet = jest.spyOn(sensitivityRules, 'getActiveRuleSet');
+
+      const result = await processVideo(video);
+
+      expect(result).toEqual({ success: false, error: 'Frame classification failed: Classifier unavailable' });
+      expect(getActiveRuleSet).not.toHaveBeenCalled();
+      const remaining = await storage.list();
+      expect(remaining.map(file => file.fileId.toString())).toEqual([video.gridFsFileId.toString()]);
+    }, 120000);
   });
 });
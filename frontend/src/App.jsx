@@ -8,6 +8,7 @@ import Register from './pages/Register';
 import Upload from './pages/Upload';
 import Videos from './pages/Videos';
 import VideoDetail from './pages/VideoDetail';
+import SharedVideo from './pages/SharedVideo';
 import NotFound from './pages/NotFound';
 
 function App() {
@@ -43,6 +44,7 @@ function App() {
                 </ProtectedRoute>
               }
             />
+            <Route path="/share/:token" element={<SharedVideo />} />
             <Route path="*" element={<NotFound />} />
           </Routes>
         </Layout>
@@ -2,13 +2,24 @@ import { useState, useEffect } from 'react';
 import PropTypes from 'prop-types';
 import api from '../utils/api';
 
-export default function AssignVideo({ videoId, onClose, onAssigned }) {
+// Per-viewer download setting; null follows the video's setting
+const DOWNLOAD_OPTIONS = [
+  { value: 'inherit', label: 'Video default', allowDownload: null },
+  { value: 'allow', label: 'Allowed', allowDownload: true },
+  { value: 'deny', label: 'Not allowed', allowDownload: false },
+];
+
+const getDownloadOption = allowDownload =>
+  DOWNLOAD_OPTIONS.find(option => option.allowDownload === (allowDownload ?? null));
+
+export default function AssignVideo({ videoId, allowDownload = false, onClose, onAssigned }) {
   const [viewers, setViewers] = useState([]);
   const [assignments, setAssignments] = useState([]);
   const [selectedViewers, setSelectedViewers] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
   const [searchEmail, setSearchEmail] = useState('');
+  const [videoAllowsDownload, setVideoAllowsDownload] = useState(allowDownload);
 
   useEffect(() => {
     fetchAssignments();
@@ -91,6 +102,39 @@ export default function AssignVideo({ videoId, onClose, onAssigned }) {
     }
   };
 
+  const handleVideoDownloadChange = async (enabled) => {
+    try {
+      setLoading(true);
+      setError('');
+      await api.patch(`/videos/${videoId}`, { allowDownload: enabled });
+      setVideoAllowsDownload(enabled);
+
+      if (onAssigned) {
+        onAssigned();
+      }
+    } catch (err) {
+      setError(err.response?.data?.error || 'Error changing download setting');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleAssignmentDownloadChange = async (userId, value) => {
+    try {
+      setLoading(true);
+      setError('');
+      const option = DOWNLOAD_OPTIONS.find(o => o.value === value);
+      await api.patch(`/videos/${videoId}/assign/${userId}`, {
+        allowDownload: option.allowDownload,
+      });
+      await fetchAssignments();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Error changing download setting');
+    } finally {
+      setLoading(false);
+    }
+  };
+
   const toggleViewer = (viewerId) => {
     setSelectedViewers(prev => 
       prev.includes(viewerId) 
@@ -185,6 +229,20 @@ export default function AssignVideo({ videoId, onClose, onAssigned }) {
             </div>
           )}
 
+          {/* Download Setting */}
+          <label className="mb-6 flex items-center cursor-pointer">
+            <input
+              type="checkbox"
+              checked={videoAllowsDownload}
+              onChange={(e) => handleVideoDownloadChange(e.target.checked)}
+              disabled={loading}
+              className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+            />
+            <span className="ml-3 text-sm text-gray-700">
+              Allow viewers to download the original file
+            </span>
+          </label>
+
           {/* Current Assignments */}
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-2">
@@ -210,13 +268,28 @@ export default function AssignVideo({ videoId, onClose, onAssigned }) {
                         Assigned {new Date(assignment.assignedAt).toLocaleDateString()}
                       </p>
                     </div>
-                    <button
-                      onClick={() => handleUnassign(assignment.userId._id)}
-                      disabled={loading}
-                      className="px-3 py-1 text-sm text-red-600 hover:text-red-700 hover:bg-red-50 rounded disabled:opacity-50"
-                    >
-                      Remove
-                    </button>
+                    <div className="flex items-center gap-2">
+                      <select
+                        aria-label={`Downloads for ${assignment.userId.name}`}
+                        value={getDownloadOption(assignment.allowDownload).value}
+                        onChange={(e) => handleAssignmentDownloadChange(assignment.userId._id, e.target.value)}
+                        disabled={loading}
+                        className="px-2 py-1 text-sm border border-gray-300 rounded disabled:opacity-50"
+                      >
+                        {DOWNLOAD_OPTIONS.map(option => (
+                          <option key={option.value} value={option.value}>
+                            Download: {option.label}
+                          </option>
+                        ))}
+                      </select>
+                      <button
+                        onClick={() => handleUnassign(assignment.userId._id)}
+                        disabled={loading}
+                        className="px-3 py-1 text-sm text-red-600 hover:text-red-700 hover:bg-red-50 rounded disabled:opacity-50"
+                      >
+                        Remove
+                      </button>
+                    </div>
                   </div>
                 ))}
               </div>
@@ -240,6 +313,7 @@ export default function AssignVideo({ videoId, onClose, onAssigned }) {
 
 AssignVideo.propTypes = {
   videoId: PropTypes.string.isRequired,
+  allowDownload: PropTypes.bool,
   onClose: PropTypes.func.isRequired,
   onAssigned: PropTypes.func,
 };
@@ -0,0 +1,110 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import api from '../utils/api';
+
+const formatTime = seconds => {
+  const mins = Math.floor(seconds / 60);
+  const secs = Math.floor(seconds % 60).toString().padStart(2, '0');
+  return `${mins}:${secs}`;
+};
+
+/**
+ * Form that turns a time range of a video into a new video
+ * Start and end can be typed in seconds or taken from the player position.
+ */
+export default function CreateClip({ videoId, duration, currentTime = 0, onCreated }) {
+  const [start, setStart] = useState('');
+  const [end, setEnd] = useState('');
+  const [title, setTitle] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleSubmit = async e => {
+    e.preventDefault();
+
+    const startTime = parseFloat(start);
+    const endTime = parseFloat(end);
+    if (Number.isNaN(startTime) || Number.isNaN(endTime) || endTime <= startTime) {
+      setError('Choose a start time before the end time');
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError('');
+      const response = await api.post(`/videos/${videoId}/clips`, {
+        start: startTime,
+        end: endTime,
+        ...(title.trim() && { title: title.trim() }),
+      });
+      onCreated(response.data.data.video);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to create clip');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const timeField = (label, value, setValue) => (
+    <div>
+      <label className="block text-sm font-medium text-gray-700 mb-1">
+        {label} (seconds)
+        <input
+          type="number"
+          min="0"
+          max={duration}
+          step="0.1"
+          value={value}
+          onChange={e => setValue(e.target.value)}
+          className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+        />
+      </label>
+      <button
+        type="button"
+        onClick={() => setValue(String(Math.round(currentTime * 10) / 10))}
+        className="text-xs text-blue-600 hover:text-blue-800"
+      >
+        Use current time ({formatTime(currentTime)})
+      </button>
+    </div>
+  );
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-3" data-testid="create-clip">
+      {error && (
+        <div className="p-3 bg-red-50 border border-red-200 rounded-lg text-red-700 text-sm">{error}</div>
+      )}
+
+      <div className="grid grid-cols-2 gap-3">
+        {timeField('Start', start, setStart)}
+        {timeField('End', end, setEnd)}
+      </div>
+
+      <label className="block text-sm font-medium text-gray-700">
+        Clip title (optional)
+        <input
+          type="text"
+          maxLength={200}
+          value={title}
+          onChange={e => setTitle(e.target.value)}
+          className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+        />
+      </label>
+
+      <button
+        type="submit"
+        disabled={loading}
+        className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:bg-blue-400"
+      >
+        {loading ? 'Creating...' : 'Create Clip'}
+      </button>
+    </form>
+  );
+}
+
+CreateClip.propTypes = {
+  videoId: PropTypes.string.isRequired,
+  duration: PropTypes.number,
+  currentTime: PropTypes.number,
+  onCreated: PropTypes.func.isRequired,
+};
@@ -0,0 +1,209 @@
+import { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import api from '../utils/api';
+
+const STATUS_STYLES = {
+  active: 'bg-green-100 text-green-800',
+  expired: 'bg-gray-100 text-gray-700',
+  exhausted: 'bg-yellow-100 text-yellow-800',
+  revoked: 'bg-red-100 text-red-800',
+};
+
+const getShareUrl = token => `${window.location.origin}/share/${token}`;
+
+/**
+ * Public share links of a video: create, copy and revoke
+ * A link works without an account and can carry a password, an expiry date,
+ * a view limit and permission to download the original file.
+ */
+export default function ShareLinks({ videoId }) {
+  const [shareLinks, setShareLinks] = useState([]);
+  const [label, setLabel] = useState('');
+  const [password, setPassword] = useState('');
+  const [expiresOn, setExpiresOn] = useState('');
+  const [maxViews, setMaxViews] = useState('');
+  const [allowDownload, setAllowDownload] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [copiedId, setCopiedId] = useState(null);
+
+  useEffect(() => {
+    fetchShareLinks();
+  }, [videoId]);
+
+  const fetchShareLinks = async () => {
+    try {
+      const response = await api.get(`/videos/${videoId}/share-links`);
+      setShareLinks(response.data.data.shareLinks);
+    } catch (err) {
+      console.error('Error fetching share links:', err);
+    }
+  };
+
+  const handleSubmit = async e => {
+    e.preventDefault();
+
+    try {
+      setLoading(true);
+      setError('');
+      const response = await api.post(`/videos/${videoId}/share-links`, {
+        ...(label.trim() && { label: label.trim() }),
+        ...(password && { password }),
+        // The link stays valid through the whole chosen day
+        ...(expiresOn && { expiresAt: new Date(`${expiresOn}T23:59:59`).toISOString() }),
+        ...(maxViews && { maxViews: parseInt(maxViews, 10) }),
+        allowDownload,
+      });
+      setShareLinks(links => [response.data.data.shareLink, ...links]);
+      setLabel('');
+      setPassword('');
+      setExpiresOn('');
+      setMaxViews('');
+      setAllowDownload(false);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to create share link');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRevoke = async linkId => {
+    if (!confirm('Revoke this link? Anyone using it will lose access.')) {
+      return;
+    }
+
+    try {
+      const response = await api.delete(`/videos/${videoId}/share-links/${linkId}`);
+      const revoked = response.data.data.shareLink;
+      setShareLinks(links => links.map(link => (link._id === linkId ? { ...link, ...revoked } : link)));
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to revoke share link');
+    }
+  };
+
+  const handleCopy = async link => {
+    try {
+      await navigator.clipboard.writeText(getShareUrl(link.token));
+      setCopiedId(link._id);
+    } catch (err) {
+      console.error('Error copying share link:', err);
+    }
+  };
+
+  const inputClass =
+    'mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+  return (
+    <div className="space-y-6" data-testid="share-links">
+      <form onSubmit={handleSubmit} className="space-y-3">
+        {error && (
+          <div className="p-3 bg-red-50 border border-red-200 rounded-lg text-red-700 text-sm">{error}</div>
+        )}
+
+        <div className="grid grid-cols-2 gap-3">
+          <label className="block text-sm font-medium text-gray-700">
+            Label (optional)
+            <input
+              type="text"
+              maxLength={200}
+              value={label}
+              onChange={e => setLabel(e.target.value)}
+              className={inputClass}
+            />
+          </label>
+          <label className="block text-sm font-medium text-gray-700">
+            Password (optional)
+            <input
+              type="password"
+              minLength={4}
+              maxLength={128}
+              value={password}
+              onChange={e => setPassword(e.target.value)}
+              className={inputClass}
+            />
+          </label>
+          <label className="block text-sm font-medium text-gray-700">
+            Expires on (optional)
+            <input type="date" value={expiresOn} onChange={e => setExpiresOn(e.target.value)} className={inputClass} />
+          </label>
+          <label className="block text-sm font-medium text-gray-700">
+            View limit (optional)
+            <input
+              type="number"
+              min="1"
+              max="100000"
+              value={maxViews}
+              onChange={e => setMaxViews(e.target.value)}
+              className={inputClass}
+            />
+          </label>
+        </div>
+
+        <label className="flex items-center text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={allowDownload}
+            onChange={e => setAllowDownload(e.target.checked)}
+            className="mr-2"
+          />
+          Allow downloading the original file
+        </label>
+
+        <button
+          type="submit"
+          disabled={loading}
+          className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:bg-blue-400"
+        >
+          {loading ? 'Creating...' : 'Create Link'}
+        </button>
+      </form>
+
+      {shareLinks.length > 0 && (
+        <ul className="divide-y divide-gray-100">
+          {shareLinks.map(link => (
+            <li key={link._id} className="py-3 flex items-center justify-between gap-4">
+              <div className="min-w-0">
+                <p className="text-sm font-medium text-gray-900 truncate">
+                  {link.label || 'Untitled link'}
+                  <span className={`ml-2 px-2 py-0.5 rounded-full text-xs ${STATUS_STYLES[link.status] || ''}`}>
+                    {link.status}
+                  </span>
+                </p>
+                <p className="text-xs text-gray-500">
+                  {link.viewCount} view{link.viewCount === 1 ? '' : 's'}
+                  {link.maxViews !== null && ` of ${link.maxViews}`}
+                  {link.expiresAt && ` · expires ${new Date(link.expiresAt).toLocaleDateString()}`}
+                  {link.hasPassword && ' · password'}
+                  {link.allowDownload && ' · downloads'}
+                </p>
+              </div>
+
+              {link.status !== 'revoked' && (
+                <div className="flex gap-2 shrink-0">
+                  <button
+                    type="button"
+                    onClick={() => handleCopy(link)}
+                    className="text-sm text-blue-600 hover:text-blue-800"
+                  >
+                    {copiedId === link._id ? 'Copied' : 'Copy URL'}
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => handleRevoke(link._id)}
+                    className="text-sm text-red-600 hover:text-red-800"
+                  >
+                    Revoke
+                  </button>
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+ShareLinks.propTypes = {
+  videoId: PropTypes.string.isRequired,
+};
@@ -0,0 +1,133 @@
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { findCue } from '../utils/storyboard';
+import { MARKER_TYPES } from '../utils/timelineMarkers';
+
+const formatTime = seconds => {
+  const hours = Math.floor(seconds / 3600);
+  const mins = Math.floor((seconds % 3600) / 60);
+  const secs = Math.floor(seconds % 60).toString().padStart(2, '0');
+  return hours > 0 ? `${hours}:${mins.toString().padStart(2, '0')}:${secs}` : `${mins}:${secs}`;
+};
+
+/**
+ * Seek bar that previews the frame under the pointer from storyboard sprites,
+ * splits the timeline into chapter segments and marks detected stretches
+ * (black, frozen, silent) along it
+ */
+export default function StoryboardScrubber({
+  cues,
+  duration,
+  currentTime = 0,
+  onSeek,
+  markers = [],
+  chapters = [],
+}) {
+  const [hover, setHover] = useState(null); // { time, offset } while the pointer is over the bar
+
+  if (!duration || (cues.length === 0 && markers.length === 0 && chapters.length === 0)) {
+    return null;
+  }
+
+  const toPercent = seconds => `${(Math.min(seconds, duration) / duration) * 100}%`;
+
+  const timeAt = e => {
+    const rect = e.currentTarget.getBoundingClientRect();
+    const offset = Math.min(Math.max(e.clientX - rect.left, 0), rect.width);
+    return { time: rect.width ? (offset / rect.width) * duration : 0, offset };
+  };
+
+  const cue = hover ? findCue(cues, hover.time) : null;
+  const chapter = hover ? findCue(chapters, hover.time) : null;
+
+  return (
+    <div
+      className="relative h-3 bg-gray-700 cursor-pointer group"
+      data-testid="storyboard-scrubber"
+      onMouseMove={e => setHover(timeAt(e))}
+      onMouseLeave={() => setHover(null)}
+      onClick={e => onSeek(timeAt(e).time)}
+    >
+      <div
+        className="absolute inset-y-0 left-0 bg-blue-500"
+        style={{ width: `${(currentTime / duration) * 100}%` }}
+      />
+
+      {/* Gaps between chapters, drawn over the progress fill */}
+      {chapters.slice(1).map(({ start }) => (
+        <div
+          key={start}
+          className="absolute inset-y-0 w-0.5 bg-black"
+          data-testid="chapter-segment"
+          style={{ left: toPercent(start) }}
+        />
+      ))}
+
+      {markers.map(marker => (
+        <div
+          key={`${marker.type}-${marker.start}`}
+          className={`absolute bottom-0 h-1 opacity-90 ${MARKER_TYPES[marker.type]?.className || 'bg-gray-400'}`}
+          data-testid="timeline-marker"
+          title={marker.label}
+          style={{ left: toPercent(marker.start), width: toPercent(marker.end - marker.start) }}
+        />
+      ))}
+
+      {hover && (
+        <div
+          className="absolute bottom-full mb-2 -translate-x-1/2 pointer-events-none"
+          style={{ left: hover.offset }}
+        >
+          {cue && (
+            <div
+              className="rounded border-2 border-white shadow-lg"
+              data-testid="storyboard-preview"
+              style={{
+                width: cue.width,
+                height: cue.height,
+                backgroundImage: `url("${cue.url}")`,
+                backgroundPosition: `-${cue.x}px -${cue.y}px`,
+              }}
+            />
+          )}
+          <div className="mt-1 text-center text-xs text-white bg-black bg-opacity-75 rounded px-1 whitespace-nowrap">
+            {chapter && <span className="font-medium">{chapter.title} · </span>}
+            {formatTime(hover.time)}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+StoryboardScrubber.propTypes = {
+  cues: PropTypes.arrayOf(
+    PropTypes.shape({
+      start: PropTypes.number.isRequired,
+      end: PropTypes.number.isRequired,
+      url: PropTypes.string.isRequired,
+      x: PropTypes.number.isRequired,
+      y: PropTypes.number.isRequired,
+      width: PropTypes.number.isRequired,
+      height: PropTypes.number.isRequired,
+    }),
+  ).isRequired,
+  duration: PropTypes.number,
+  currentTime: PropTypes.number,
+  onSeek: PropTypes.func.isRequired,
+  markers: PropTypes.arrayOf(
+    PropTypes.shape({
+      type: PropTypes.string.isRequired,
+      label: PropTypes.string,
+      start: PropTypes.number.isRequired,
+      end: PropTypes.number.isRequired,
+    }),
+  ),
+  chapters: PropTypes.arrayOf(
+    PropTypes.shape({
+      start: PropTypes.number.isRequired,
+      end: PropTypes.number.isRequired,
+      title: PropTypes.string.isRequired,
+    }),
+  ),
+};
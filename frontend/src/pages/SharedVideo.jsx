@@ -0,0 +1,195 @@
+import { useState, useEffect, useRef } from 'react';
+import { useParams } from 'react-router-dom';
+import { shareAPI } from '../utils/api';
+import { getRenewalDelay } from '../utils/streamAccess';
+
+// Wait this long before trying a failed renewal again
+const RENEW_RETRY_DELAY = 15 * 1000;
+
+const toApiUrl = path => `${import.meta.env.VITE_API_URL || 'http://localhost:5000'}${path}`;
+
+/**
+ * Landing page of a public share link
+ * Works without an account: opening the link (with its password, if it has
+ * one) counts a view and returns signed media URLs, renewed while watching.
+ */
+export default function SharedVideo() {
+  const { token } = useParams();
+  const videoRef = useRef(null);
+  const [details, setDetails] = useState(null); // { shareLink, video }
+  const [access, setAccess] = useState(null); // { query, streamUrl, downloadUrl, expiresAt, viewsLeft }
+  const [password, setPassword] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [opening, setOpening] = useState(false);
+  const [error, setError] = useState(null);
+  const [openError, setOpenError] = useState('');
+  const [renewError, setRenewError] = useState(''); // Last failed renewal, while the current URLs still play
+  const [renewFailures, setRenewFailures] = useState(0);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    shareAPI
+      .get(token)
+      .then(response => {
+        if (!cancelled) setDetails(response.data.data);
+      })
+      .catch(err => {
+        if (!cancelled) setError(err.response?.data?.error || 'This share link is not available');
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [token]);
+
+  // Signed URLs expire within minutes, so they are renewed while the page is open.
+  // A failed renewal is retried while the current URLs still work; playback only
+  // stops once the stream itself fails.
+  useEffect(() => {
+    if (!access) return undefined;
+    if (renewFailures > 0 && new Date(access.expiresAt).getTime() <= Date.now()) return undefined;
+
+    const timer = setTimeout(
+      () => {
+        shareAPI
+          .renew(token, access.query)
+          .then(response => {
+            setRenewError('');
+            setRenewFailures(0);
+            setAccess(response.data.data);
+          })
+          .catch(err => {
+            setRenewError(err.response?.data?.error || 'Failed to renew access to this video');
+            setRenewFailures(failures => failures + 1);
+          });
+      },
+      renewFailures > 0 ? RENEW_RETRY_DELAY : getRenewalDelay(access.expiresAt)
+    );
+
+    return () => clearTimeout(timer);
+  }, [access, token, renewFailures]);
+
+  // The element keeps requesting the URL it started with, so it is moved to
+  // the renewed one and resumes where it was
+  useEffect(() => {
+    const videoElement = videoRef.current;
+    if (!videoElement || !access || !videoElement.currentSrc) return;
+    if (videoElement.currentSrc.includes(access.query)) return;
+
+    const { currentTime: resumeAt, paused } = videoElement;
+    videoElement.load();
+    videoElement.currentTime = resumeAt;
+    if (!paused) videoElement.play().catch(() => {});
+  }, [access?.query]);
+
+  const handleOpen = async e => {
+    e.preventDefault();
+
+    try {
+      setOpening(true);
+      setOpenError('');
+      const response = await shareAPI.open(token, password);
+      setAccess(response.data.data);
+    } catch (err) {
+      setOpenError(err.response?.data?.error || 'Failed to open this share link');
+    } finally {
+      setOpening(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center min-h-[60vh]">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600" data-testid="loading-spinner"></div>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="max-w-xl mx-auto py-16 px-4 text-center">
+        <h1 className="text-2xl font-bold text-gray-900 mb-2">Video unavailable</h1>
+        <p className="text-gray-600">{error}</p>
+      </div>
+    );
+  }
+
+  const { shareLink, video } = details;
+
+  return (
+    <div className="max-w-4xl mx-auto py-8 px-4">
+      <h1 className="text-3xl font-bold text-gray-900 mb-2">{video.title}</h1>
+      {video.description && <p className="text-lg text-gray-600 mb-6">{video.description}</p>}
+
+      {access ? (
+        <>
+          <div className="bg-black rounded-lg overflow-hidden mb-4 shadow-lg">
+            <div className="relative" style={{ paddingTop: '56.25%' }}>
+              <video ref={videoRef} className="absolute inset-0 w-full h-full" controls autoPlay>
+                <source
+                  src={toApiUrl(access.streamUrl)}
+                  type={video.mimeType || 'video/mp4'}
+                  onError={() => setError(renewError || 'This video can no longer be played')}
+                />
+                Your browser does not support the video tag.
+              </video>
+            </div>
+          </div>
+
+          {renewError && (
+            <div className="mb-4 p-3 bg-yellow-50 border border-yellow-200 rounded-lg text-yellow-800 text-sm" role="status">
+              {renewError}. Playback continues for now; access is being retried.
+            </div>
+          )}
+
+          {access.downloadUrl && (
+            <a
+              href={toApiUrl(access.downloadUrl)}
+              download
+              className="inline-flex items-center px-4 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition-colors"
+            >
+              Download
+            </a>
+          )}
+        </>
+      ) : (
+        <form onSubmit={handleOpen} className="bg-white border border-gray-200 rounded-lg p-6 space-y-4" data-testid="open-share-link">
+          {openError && (
+            <div className="p-3 bg-red-50 border border-red-200 rounded-lg text-red-700 text-sm">{openError}</div>
+          )}
+
+          {shareLink.requiresPassword && (
+            <label className="block text-sm font-medium text-gray-700">
+              Password
+              <input
+                type="password"
+                value={password}
+                onChange={e => setPassword(e.target.value)}
+                required
+                className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              />
+            </label>
+          )}
+
+          {shareLink.viewsLeft !== null && (
+            <p className="text-sm text-gray-500">
+              This link can be opened {shareLink.viewsLeft} more time{shareLink.viewsLeft === 1 ? '' : 's'}.
+            </p>
+          )}
+
+          <button
+            type="submit"
+            disabled={opening || shareLink.viewsLeft === 0}
+            className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:bg-blue-400"
+          >
+            {opening ? 'Opening...' : `Watch${video.durationFormatted ? ` (${video.durationFormatted})` : ''}`}
+          </button>
+        </form>
+      )}
+    </div>
+  );
+}
@@ -1,10 +1,15 @@
 import { useState, useCallback, useRef, useEffect } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { Link, useNavigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 import api from '../utils/api';
 import socketService from '../services/socket';
+import { uploadResumable } from '../services/resumableUpload';
+import { getStageLabel } from '../utils/processingStages';
 
-const MAX_FILE_SIZE = 100 * 1024 * 1024; // 100MB
+const MAX_FILE_SIZE = Number(import.meta.env.VITE_MAX_FILE_SIZE) || 100 * 1024 * 1024; // Default 100MB
+// Files above this size are sent in resumable chunks instead of a single request
+const RESUMABLE_THRESHOLD =
+  Number(import.meta.env.VITE_RESUMABLE_UPLOAD_THRESHOLD) || 20 * 1024 * 1024; // Default 20MB
 const ALLOWED_TYPES = [
   'video/mp4',
   'video/quicktime',
@@ -13,6 +18,17 @@ const ALLOWED_TYPES = [
   'video/webm',
 ];
 
+const formatMaxSize = () =>
+  MAX_FILE_SIZE >= 1024 * 1024 * 1024
+    ? `${Math.round((MAX_FILE_SIZE / 1024 / 1024 / 1024) * 10) / 10}GB`
+    : `${Math.round(MAX_FILE_SIZE / 1024 / 1024)}MB`;
+
+// Direct and resumable uploads answer with the same body
+const readUploadResult = body => {
+  const duplicateWarning = body.warnings?.find(warning => warning.type === 'duplicate');
+  return { video: body.data.video, duplicates: duplicateWarning?.videos || [] };
+};
+
 export default function Upload() {
   const { user, hasMinRole } = useAuth();
   const navigate = useNavigate();
@@ -25,9 +41,12 @@ export default function Upload() {
   const [uploading, setUploading] = useState(false);
   const [uploadProgress, setUploadProgress] = useState(0);
   const [uploadSuccess, setUploadSuccess] = useState(null);
+  const [duplicates, setDuplicates] = useState([]); // Videos with identical content
+  const [nearDuplicates, setNearDuplicates] = useState([]); // Re-encoded copies, found while processing
   const [dragActive, setDragActive] = useState(false);
   const [processingStatus, setProcessingStatus] = useState(null); // Track processing status
   const [processingProgress, setProcessingProgress] = useState(0); // Track processing progress
+  const [processingStage, setProcessingStage] = useState(null); // Current processing stage
   const [uploadedVideoId, setUploadedVideoId] = useState(null); // Store uploaded video ID
 
   // Subscribe to real-time processing updates
@@ -35,21 +54,26 @@ export default function Upload() {
     if (!socketService.isConnected() || !uploadedVideoId) return;
 
     // Handle processing progress
-    socketService.onProcessingProgress((videoId, percent) => {
+    socketService.onProcessingProgress((videoId, percent, _timestamp, stage) => {
       if (videoId === uploadedVideoId) {
         setProcessingProgress(percent);
+        setProcessingStage(stage);
       }
     });
 
     // Handle status changes
-    socketService.onProcessingStatus((videoId, status, sensitivity) => {
+    socketService.onProcessingStatus((videoId, status, _sensitivity, _sensitivityFlags, _timestamp, similar) => {
       if (videoId === uploadedVideoId) {
         setProcessingStatus(status);
         if (status === 'ready') {
-          // Processing complete, show success for 2 seconds then navigate
-          setTimeout(() => {
-            navigate('/videos');
-          }, 2000);
+          setNearDuplicates(similar);
+          // Processing complete, show success for 2 seconds then navigate,
+          // unless the uploader should first see the near-duplicates
+          if (similar.length === 0) {
+            setTimeout(() => {
+              navigate('/videos');
+            }, 2000);
+          }
         }
       }
     });
@@ -98,7 +122,7 @@ export default function Upload() {
     }
 
     if (file.size > MAX_FILE_SIZE) {
-      newErrors.file = `File too large. Maximum size is ${MAX_FILE_SIZE / 1024 / 1024}MB`;
+      newErrors.file = `File too large. Maximum size is ${formatMaxSize()}`;
       return newErrors;
     }
 
@@ -175,6 +199,37 @@ export default function Upload() {
     [title],
   );
 
+  const uploadInOneRequest = async () => {
+    const formData = new FormData();
+    formData.append('video', file);
+    formData.append('title', title.trim());
+    if (description.trim()) {
+      formData.append('description', description.trim());
+    }
+
+    const response = await api.post('/videos/upload', formData, {
+      headers: {
+        'Content-Type': 'multipart/form-data',
+      },
+      // Large uploads can take far longer than the default API timeout
+      timeout: 0,
+      onUploadProgress: progressEvent => {
+        const progress = Math.round((progressEvent.loaded * 100) / progressEvent.total);
+        setUploadProgress(progress);
+      },
+    });
+    return readUploadResult(response.data);
+  };
+
+  const uploadInChunks = async () => {
+    const result = await uploadResumable(file, {
+      title: title.trim(),
+      description: description.trim(),
+      onProgress: (loaded, total) => setUploadProgress(Math.round((loaded * 100) / total)),
+    });
+    return readUploadResult(result);
+  };
+
   const handleSubmit = async e => {
     e.preventDefault();
 
@@ -188,29 +243,17 @@ export default function Upload() {
     setUploadProgress(0);
     setErrors({});
 
-    const formData = new FormData();
-    formData.append('video', file);
-    formData.append('title', title.trim());
-    if (description.trim()) {
-      formData.append('description', description.trim());
-    }
-
     try {
-      const response = await api.post('/videos/upload', formData, {
-        headers: {
-          'Content-Type': 'multipart/form-data',
-        },
-        onUploadProgress: progressEvent => {
-          const progress = Math.round((progressEvent.loaded * 100) / progressEvent.total);
-          setUploadProgress(progress);
-        },
-      });
+      const { video: uploadedVideo, duplicates: identicalVideos } =
+        file.size > RESUMABLE_THRESHOLD ? await uploadInChunks() : await uploadInOneRequest();
 
-      const uploadedVideo = response.data.data.video;
       setUploadSuccess(uploadedVideo);
+      setDuplicates(identicalVideos);
+      setNearDuplicates([]);
       setUploadedVideoId(uploadedVideo._id); // Store video ID for real-time updates
       setProcessingStatus('processing');
       setProcessingProgress(0);
+      setProcessingStage(null);
       
       // Reset form fields but keep upload success state
       setFile(null);
@@ -223,7 +266,11 @@ export default function Upload() {
     } catch (error) {
       console.error('Upload error:', error);
       setErrors({
-        submit: error.response?.data?.error || 'Failed to upload video. Please try again.',
+        submit:
+          error.response?.data?.error ||
+          (file.size > RESUMABLE_THRESHOLD
+            ? 'Upload interrupted. Select the same file again to resume where it stopped.'
+            : 'Failed to upload video. Please try again.'),
       });
       setUploadProgress(0);
     } finally {
@@ -238,6 +285,7 @@ export default function Upload() {
     setErrors({});
     setUploadProgress(0);
     setUploadSuccess(null);
+    setDuplicates([]);
     if (fileInputRef.current) {
       fileInputRef.current.value = '';
     }
@@ -246,7 +294,8 @@ export default function Upload() {
   const formatFileSize = bytes => {
     if (bytes < 1024) return `${bytes} B`;
     if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(2)} KB`;
-    return `${(bytes / (1024 * 1024)).toFixed(2)} MB`;
+    if (bytes < 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(2)} MB`;
+    return `${(bytes / (1024 * 1024 * 1024)).toFixed(2)} GB`;
   };
 
   return (
@@ -282,11 +331,29 @@ export default function Upload() {
             </p>
           </div>
 
+          {duplicates.length > 0 && (
+            <div
+              className="mt-4 p-3 bg-yellow-50 border border-yellow-200 rounded-lg text-sm text-yellow-800"
+              data-testid="duplicate-warning"
+            >
+              <p className="font-medium">This file was already uploaded:</p>
+              <ul className="list-disc list-inside mt-1">
+                {duplicates.map(duplicate => (
+                  <li key={duplicate._id}>
+                    <Link to={`/videos/${duplicate._id}`} className="underline">
+                      {duplicate.title}
+                    </Link>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
           {/* Real-time processing progress */}
           {processingStatus === 'processing' && (
             <div className="mt-4">
               <div className="flex justify-between text-sm text-green-700 mb-2">
-                <span>Processing video...</span>
+                <span>{processingStage ? `${getStageLabel(processingStage)}...` : 'Processing video...'}</span>
                 <span>{processingProgress}%</span>
               </div>
               <div className="w-full bg-green-200 rounded-full h-3">
@@ -301,7 +368,7 @@ export default function Upload() {
             </div>
           )}
 
-          {processingStatus === 'ready' && (
+          {processingStatus === 'ready' && nearDuplicates.length === 0 && (
             <div className="mt-4">
               <p className="text-sm text-green-700 font-medium">
                 ✓ Processing complete! Redirecting to your videos...
@@ -309,6 +376,25 @@ export default function Upload() {
             </div>
           )}
 
+          {processingStatus === 'ready' && nearDuplicates.length > 0 && (
+            <div
+              className="mt-4 p-3 bg-yellow-50 border border-yellow-200 rounded-lg text-sm text-yellow-800"
+              data-testid="near-duplicate-warning"
+            >
+              <p className="font-medium">✓ Processing complete. This video looks like a copy of:</p>
+              <ul className="list-disc list-inside mt-1">
+                {nearDuplicates.map(duplicate => (
+                  <li key={duplicate._id}>
+                    <Link to={`/videos/${duplicate._id}`} className="underline">
+                      {duplicate.title}
+                    </Link>{' '}
+                    ({Math.round(duplicate.similarity * 100)}% similar)
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
           {processingStatus === 'failed' && (
             <div className="mt-4">
               <p className="text-sm text-red-700 font-medium">
@@ -323,6 +409,7 @@ export default function Upload() {
                 setUploadSuccess(null);
                 setProcessingStatus(null);
                 setProcessingProgress(0);
+                setProcessingStage(null);
                 setUploadedVideoId(null);
               }}
               className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700"
@@ -391,7 +478,7 @@ export default function Upload() {
                 <p className="mt-4 text-sm text-gray-500">
                   Supported formats: MP4, MOV, AVI, MKV, WebM
                 </p>
-                <p className="text-sm text-gray-500">Maximum size: 100MB</p>
+                <p className="text-sm text-gray-500">Maximum size: {formatMaxSize()}</p>
               </>
             ) : (
               <div className="space-y-4">
@@ -1,20 +1,36 @@
 import { useState, useEffect, useRef } from 'react';
 import { useParams, useNavigate, Link } from 'react-router-dom';
+import Hls from 'hls.js';
 import { useAuth } from '../context/AuthContext';
 import api from '../utils/api';
 import AssignVideo from '../components/AssignVideo';
+import CreateClip from '../components/CreateClip';
+import ShareLinks from '../components/ShareLinks';
+import StoryboardScrubber from '../components/StoryboardScrubber';
+import { parseThumbnailsVtt, findCue } from '../utils/storyboard';
+import { parseChaptersVtt } from '../utils/chapters';
+import { MARKER_TYPES, getDetectionMarkers } from '../utils/timelineMarkers';
+import { withStreamQuery, getRenewalDelay } from '../utils/streamAccess';
 
 export default function VideoDetail() {
   const { id } = useParams();
   const navigate = useNavigate();
-  const { token, user } = useAuth();
+  const { user } = useAuth();
   const videoRef = useRef(null);
+  const hlsRef = useRef(null); // hls.js instance, while it drives the player
+  const streamQueryRef = useRef('');
   
   const [video, setVideo] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [playbackError, setPlaybackError] = useState(null);
+  const [hlsFailed, setHlsFailed] = useState(false); // Fall back to the original upload
+  const [storyboardCues, setStoryboardCues] = useState([]);
+  const [chapters, setChapters] = useState([]);
+  const [currentTime, setCurrentTime] = useState(0);
   const [showAssignModal, setShowAssignModal] = useState(false);
+  const [canDownload, setCanDownload] = useState(false);
+  const [streamAccess, setStreamAccess] = useState(null); // Signed media query: { query, expiresAt }
 
   useEffect(() => {
     fetchVideoDetails();
@@ -27,14 +43,161 @@ export default function VideoDetail() {
       console.log('Video stream URL:', streamUrl);
       console.log('VITE_API_URL:', import.meta.env.VITE_API_URL);
     }
-  }, [video, token]);
+  }, [video, streamAccess]);
+
+  // The server refuses to stream flagged videos to viewers until a moderator approves them
+  const moderationStatus = video?.moderation?.status || 'none';
+  const heldForReview =
+    user?.role === 'viewer' && ['pending', 'in_review', 'rejected'].includes(moderationStatus);
+  const isPlayable = video?.status === 'ready' && !heldForReview;
+  const playHls = isPlayable && video.hls?.status === 'ready' && !hlsFailed;
+  const hasStoryboard = isPlayable && video.storyboard?.status === 'ready';
+  const hasChapters = isPlayable && video.chapters?.length > 0;
+  const timelineMarkers = getDetectionMarkers(video?.detection);
+  const currentChapter = findCue(chapters, currentTime);
+  const hasStreamAccess = Boolean(streamAccess);
+  const streamQuery = streamAccess?.query || '';
+  streamQueryRef.current = streamQuery;
+
+  // Media URLs carry a signature that expires within minutes instead of the
+  // session token, so one is fetched for this video and renewed before it expires
+  useEffect(() => {
+    if (!isPlayable) {
+      setStreamAccess(null);
+      return undefined;
+    }
+
+    let cancelled = false;
+    let timer;
+    const renew = () => {
+      api
+        .get(`/videos/${id}/stream-url`)
+        .then(response => {
+          if (cancelled) return;
+          const { query, expiresAt } = response.data.data;
+          setStreamAccess({ query, expiresAt });
+          timer = setTimeout(renew, getRenewalDelay(expiresAt));
+        })
+        .catch(err => {
+          console.error('Error signing stream URL:', err);
+          if (!cancelled) setPlaybackError(err.response?.data?.error || 'Failed to authorize playback');
+        });
+    };
+
+    renew();
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [isPlayable, id]);
+
+  // Without hls.js the element keeps requesting the URL it started with, so it
+  // is moved to the renewed one and resumes where it was
+  useEffect(() => {
+    const videoElement = videoRef.current;
+    if (!videoElement || !streamQuery || !videoElement.currentSrc || hlsRef.current) return;
+    if (videoElement.currentSrc.includes(streamQuery)) return;
+
+    const { currentTime: resumeAt, paused } = videoElement;
+    if (playHls) {
+      videoElement.src = getHlsUrl();
+    } else {
+      videoElement.load(); // Picks up the <source> React has just updated
+    }
+    videoElement.currentTime = resumeAt;
+    if (!paused) videoElement.play().catch(() => {});
+  }, [streamQuery]);
+
+  useEffect(() => {
+    if (!hasStoryboard) {
+      setStoryboardCues([]);
+      return;
+    }
+    if (!hasStreamAccess) return;
+
+    const apiBaseUrl = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+    const trackUrl = `${apiBaseUrl}/api/videos/${id}/storyboard.vtt`;
+
+    // The server signs the sprite URLs, so the track is reloaded whenever the
+    // player's signature is renewed to keep them valid
+    api
+      .get(`/videos/${id}/storyboard.vtt`, { responseType: 'text' })
+      .then(response => setStoryboardCues(parseThumbnailsVtt(response.data, trackUrl)))
+      .catch(err => {
+        // Previews are optional; the player works without them
+        console.error('Error loading storyboard:', err);
+        setStoryboardCues([]);
+      });
+  }, [hasStoryboard, id, hasStreamAccess, streamQuery]);
+
+  useEffect(() => {
+    if (!hasChapters) {
+      setChapters([]);
+      return;
+    }
+
+    api
+      .get(`/videos/${id}/chapters.vtt`, { responseType: 'text' })
+      .then(response => setChapters(parseChaptersVtt(response.data)))
+      .catch(err => {
+        console.error('Error loading chapters:', err);
+        setChapters([]);
+      });
+  }, [hasChapters, id, video?.chapters]);
+
+  const handleSeek = time => {
+    if (videoRef.current) {
+      videoRef.current.currentTime = time;
+    }
+  };
+
+  useEffect(() => {
+    const videoElement = videoRef.current;
+    if (!playHls || !hasStreamAccess || !videoElement) return undefined;
+
+    const masterUrl = getHlsUrl();
+
+    if (Hls.isSupported()) {
+      const hls = new Hls({
+        // Playlists and segments are requested long after the master playlist,
+        // so each request carries the latest signature
+        xhrSetup: (xhr, url) => xhr.open('GET', withStreamQuery(url, streamQueryRef.current), true),
+      });
+      hlsRef.current = hls;
+      hls.on(Hls.Events.ERROR, (_event, data) => {
+        if (data.fatal) {
+          console.error('HLS playback error:', data);
+          setHlsFailed(true);
+        }
+      });
+      hls.loadSource(masterUrl);
+      hls.attachMedia(videoElement);
+      return () => {
+        hlsRef.current = null;
+        hls.destroy();
+      };
+    }
+
+    // Safari plays HLS natively
+    if (videoElement.canPlayType('application/vnd.apple.mpegurl')) {
+      const handleNativeError = () => setHlsFailed(true);
+      videoElement.addEventListener('error', handleNativeError);
+      videoElement.src = masterUrl;
+      return () => videoElement.removeEventListener('error', handleNativeError);
+    }
+
+    setHlsFailed(true);
+    return undefined;
+  }, [playHls, id, hasStreamAccess]);
 
   const fetchVideoDetails = async () => {
     try {
       setLoading(true);
       setError(null);
+      setHlsFailed(false);
       const response = await api.get(`/videos/${id}`);
       setVideo(response.data.data.video);
+      setCanDownload(Boolean(response.data.data.canDownload));
     } catch (err) {
       console.error('Error fetching video details:', err);
       setError(err.response?.data?.error || 'Failed to load video details');
@@ -93,7 +256,25 @@ export default function VideoDetail() {
     // Use VITE_API_URL if available, otherwise fallback to localhost
     const apiBaseUrl = import.meta.env.VITE_API_URL || 'http://localhost:5000';
     const streamUrl = `${apiBaseUrl}/api/videos/${id}/stream`;
-    return token ? `${streamUrl}?token=${token}` : streamUrl;
+    return streamQuery ? `${streamUrl}?${streamQuery}` : streamUrl;
+  };
+
+  const getDownloadUrl = () => {
+    const apiBaseUrl = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+    return `${apiBaseUrl}/api/videos/${id}/download?${streamQuery}`;
+  };
+
+  const getCaptionUrl = caption => {
+    const apiBaseUrl = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+    const trackUrl = `${apiBaseUrl}/api/videos/${id}/captions/${caption._id}.vtt`;
+    return streamQuery ? `${trackUrl}?${streamQuery}` : trackUrl;
+  };
+
+  const getHlsUrl = () => {
+    const apiBaseUrl = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+    const masterUrl = `${apiBaseUrl}/api/videos/${id}/hls/master.m3u8`;
+    // The server carries the signature over to every rendition and segment URL
+    return streamQuery ? `${masterUrl}?${streamQuery}` : masterUrl;
   };
 
   const getSensitivityBadge = sensitivity => {
@@ -118,6 +299,31 @@ export default function VideoDetail() {
     );
   };
 
+  const getModerationBadge = status => {
+    const labels = {
+      pending: 'Awaiting review',
+      in_review: 'In review',
+      approved: 'Approved',
+      rejected: 'Rejected',
+    };
+
+    const colors = {
+      pending: 'bg-yellow-100 text-yellow-800',
+      in_review: 'bg-blue-100 text-blue-800',
+      approved: 'bg-green-100 text-green-800',
+      rejected: 'bg-red-100 text-red-800',
+    };
+
+    return (
+      <span
+        className={`px-3 py-1 text-sm font-medium rounded-lg ${colors[status] || 'bg-gray-100 text-gray-800'}`}
+        data-testid="moderation-badge"
+      >
+        {labels[status] || status}
+      </span>
+    );
+  };
+
   const getStatusBadge = status => {
     const colors = {
       uploaded: 'bg-yellow-100 text-yellow-800',
@@ -139,6 +345,14 @@ export default function VideoDetail() {
     return `${mins}:${secs.toString().padStart(2, '0')}`;
   };
 
+  // Positions within the video, e.g. 0:00 or 1:02:05
+  const formatTimestamp = seconds => {
+    const hours = Math.floor(seconds / 3600);
+    const mins = Math.floor((seconds % 3600) / 60);
+    const secs = Math.floor(seconds % 60).toString().padStart(2, '0');
+    return hours > 0 ? `${hours}:${mins.toString().padStart(2, '0')}:${secs}` : `${mins}:${secs}`;
+  };
+
   const formatDate = dateString => {
     return new Date(dateString).toLocaleDateString('en-US', {
       year: 'numeric',
@@ -193,7 +407,9 @@ export default function VideoDetail() {
     return null;
   }
 
-  const canPlay = video.status === 'ready';
+  const canPlay = isPlayable;
+  const technicalVideo = video.technicalMetadata?.video;
+  const audioStreams = (video.technicalMetadata?.streams || []).filter(stream => stream.type === 'audio');
 
   return (
     <div className="max-w-6xl mx-auto py-8 px-4">
@@ -227,6 +443,20 @@ export default function VideoDetail() {
             )}
           </div>
           
+          {/* Download Button, when the owner allows it; the signed query stands in for the token */}
+          {canDownload && canPlay && hasStreamAccess && (
+            <a
+              href={getDownloadUrl()}
+              download
+              className="ml-4 flex items-center px-4 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition-colors"
+            >
+              <svg className="w-5 h-5 mr-2" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-4l-4 4m0 0l-4-4m4 4V4" />
+              </svg>
+              Download
+            </a>
+          )}
+
           {/* Share Button for Editors and Admins */}
           {(user?.role === 'editor' || user?.role === 'admin') && (
             <button
@@ -246,6 +476,7 @@ export default function VideoDetail() {
       {showAssignModal && (
         <AssignVideo
           videoId={id}
+          allowDownload={Boolean(video.allowDownload)}
           onClose={() => setShowAssignModal(false)}
           onAssigned={() => {
             // Optionally refresh video details after assignment
@@ -257,21 +488,60 @@ export default function VideoDetail() {
       {/* Video Player */}
       <div className="bg-black rounded-lg overflow-hidden mb-6 shadow-lg">
         {canPlay ? (
-          <div className="relative" style={{ paddingTop: '56.25%' }}>
-            <video
-              ref={videoRef}
-              className="absolute inset-0 w-full h-full"
-              controls
-              onError={handleVideoError}
-              preload="metadata"
-            >
-              <source
-                src={getStreamUrl()}
-                type={video.mimeType || 'video/mp4'}
-              />
-              Your browser does not support the video tag.
-            </video>
-          </div>
+          <>
+            <div className="relative" style={{ paddingTop: '56.25%' }}>
+              <video
+                key={playHls ? 'hls' : 'original'}
+                ref={videoRef}
+                className="absolute inset-0 w-full h-full"
+                controls
+                onError={playHls ? undefined : handleVideoError}
+                onTimeUpdate={e => setCurrentTime(e.currentTarget.currentTime)}
+                preload="metadata"
+                // Tracks come from the API's origin and only load over CORS
+                crossOrigin={video.captions?.length > 0 ? 'anonymous' : undefined}
+              >
+                {/* HLS playback attaches its own source; otherwise stream the original upload */}
+                {!playHls && hasStreamAccess && (
+                  <source
+                    src={getStreamUrl()}
+                    type={video.mimeType || 'video/mp4'}
+                  />
+                )}
+                {hasStreamAccess && video.captions?.map(caption => (
+                  <track
+                    key={caption._id}
+                    kind={caption.kind}
+                    src={getCaptionUrl(caption)}
+                    srcLang={caption.language}
+                    label={caption.label}
+                  />
+                ))}
+                Your browser does not support the video tag.
+              </video>
+            </div>
+            {/* Seek bar with frame previews, chapter segments and detected stretches */}
+            <StoryboardScrubber
+              cues={storyboardCues}
+              duration={video.duration}
+              currentTime={currentTime}
+              onSeek={handleSeek}
+              markers={timelineMarkers}
+              chapters={chapters}
+            />
+            {timelineMarkers.length > 0 && (
+              <div className="flex gap-4 px-3 py-2 text-xs text-gray-300" data-testid="timeline-legend">
+                {Object.entries(MARKER_TYPES)
+                  .filter(([type]) => timelineMarkers.some(marker => marker.type === type))
+                  .map(([type, { label, className }]) => (
+                    <span key={type} className="flex items-center gap-1">
+                      <span className={`inline-block w-3 h-1 ${className}`} />
+                      {label}
+                    </span>
+                  ))}
+              </div>
+            )}
+          </>
         ) : (
           <div className="aspect-video flex items-center justify-center bg-gray-900">
             <div className="text-center text-white p-8">
@@ -288,10 +558,25 @@ export default function VideoDetail() {
                   d="M15 10l4.553-2.276A1 1 0 0121 8.618v6.764a1 1 0 01-1.447.894L15 14M5 18h8a2 2 0 002-2V8a2 2 0 00-2-2H5a2 2 0 00-2 2v8a2 2 0 002 2z"
                 />
               </svg>
-              <h3 className="text-xl font-semibold mb-2">Video Not Ready</h3>
-              <p className="text-gray-400 mb-4">
-                This video is currently {video.status}. Please check back later.
-              </p>
+              {heldForReview ? (
+                <>
+                  <h3 className="text-xl font-semibold mb-2">
+                    {moderationStatus === 'rejected' ? 'Video Unavailable' : 'Awaiting Review'}
+                  </h3>
+                  <p className="text-gray-400 mb-4">
+                    {moderationStatus === 'rejected'
+                      ? 'This video was removed after moderation review.'
+                      : 'This video is being reviewed by a moderator. Please check back later.'}
+                  </p>
+                </>
+              ) : (
+                <>
+                  <h3 className="text-xl font-semibold mb-2">Video Not Ready</h3>
+                  <p className="text-gray-400 mb-4">
+                    This video is currently {video.status}. Please check back later.
+                  </p>
+                </>
+              )}
               {video.processingError && (
                 <div className="mt-4 p-3 bg-red-900 bg-opacity-50 rounded">
                   <p className="text-sm text-red-200">{video.processingError}</p>
@@ -343,6 +628,13 @@ export default function VideoDetail() {
               <span className="text-sm font-medium text-gray-600">Sensitivity</span>
               {getSensitivityBadge(video.sensitivity)}
             </div>
+
+            {moderationStatus !== 'none' && (
+              <div className="flex justify-between items-center py-2 border-b border-gray-100">
+                <span className="text-sm font-medium text-gray-600">Review</span>
+                {getModerationBadge(moderationStatus)}
+              </div>
+            )}
             
             {video.duration && (
               <div className="flex justify-between items-center py-2 border-b border-gray-100">
@@ -373,12 +665,122 @@ export default function VideoDetail() {
                 <span className="text-sm text-gray-900 uppercase">{video.format}</span>
               </div>
             )}
-            
+
+            {technicalVideo && (
+              <div
+                className="flex justify-between items-center py-2 border-b border-gray-100"
+                data-testid="technical-video"
+              >
+                <span className="text-sm font-medium text-gray-600">Picture</span>
+                <span className="text-sm text-gray-900 text-right">
+                  {[
+                    technicalVideo.frameRate != null && `${technicalVideo.frameRate} fps`,
+                    technicalVideo.pixelFormat,
+                    technicalVideo.bitDepth && `${technicalVideo.bitDepth}-bit`,
+                    technicalVideo.rotation > 0 && `rotated ${technicalVideo.rotation}°`,
+                  ]
+                    .filter(Boolean)
+                    .join(' · ')}
+                  {technicalVideo.hdr && (
+                    <span className="ml-2 px-2 py-0.5 text-xs font-semibold rounded-full bg-purple-100 text-purple-800">
+                      {technicalVideo.hdrFormat || 'HDR'}
+                    </span>
+                  )}
+                </span>
+              </div>
+            )}
+
+            {audioStreams.length > 0 && (
+              <div
+                className="flex justify-between items-center py-2 border-b border-gray-100"
+                data-testid="audio-tracks"
+              >
+                <span className="text-sm font-medium text-gray-600">
+                  {audioStreams.length === 1 ? 'Audio' : `Audio (${audioStreams.length} tracks)`}
+                </span>
+                <span className="text-sm text-gray-900 text-right">
+                  {audioStreams
+                    .map(stream =>
+                      [stream.language, stream.codec?.toUpperCase(), stream.channels && `${stream.channels} ch`]
+                        .filter(Boolean)
+                        .join(' ')
+                    )
+                    .join(', ')}
+                </span>
+              </div>
+            )}
+
+            {video.loudness?.status === 'ready' && (
+              <div
+                className="flex justify-between items-center py-2 border-b border-gray-100"
+                data-testid="loudness"
+              >
+                <span className="text-sm font-medium text-gray-600">Loudness</span>
+                <span className="text-sm text-gray-900 text-right">
+                  {video.loudness.integrated != null
+                    ? `${video.loudness.integrated.toFixed(1)} LUFS`
+                    : 'Silent'}
+                  {video.loudness.truePeak != null &&
+                    ` · peak ${video.loudness.truePeak.toFixed(1)} dBTP`}
+                  {video.loudness.range != null && ` · range ${video.loudness.range.toFixed(1)} LU`}
+                  {video.loudness.clipped && (
+                    <span className="ml-2 px-2 py-0.5 text-xs font-semibold rounded-full bg-red-100 text-red-800">
+                      Clipped
+                    </span>
+                  )}
+                  {video.loudness.nearSilent && video.loudness.integrated != null && (
+                    <span className="ml-2 px-2 py-0.5 text-xs font-semibold rounded-full bg-yellow-100 text-yellow-800">
+                      Near silent
+                    </span>
+                  )}
+                  {video.loudness.normalizedTo != null && (
+                    <span className="block text-xs text-gray-500">
+                      Normalized to {video.loudness.normalizedTo} LUFS for streaming
+                    </span>
+                  )}
+                </span>
+              </div>
+            )}
+
+            {video.captions?.length > 0 && (
+              <div
+                className="flex justify-between items-center py-2 border-b border-gray-100"
+                data-testid="captions"
+              >
+                <span className="text-sm font-medium text-gray-600">Captions</span>
+                <span className="text-sm text-gray-900 text-right">
+                  {video.captions
+                    .map(caption => (caption.kind === 'captions' ? `${caption.label} (CC)` : caption.label))
+                    .join(', ')}
+                </span>
+              </div>
+            )}
+
             <div className="flex justify-between items-center py-2 border-b border-gray-100">
               <span className="text-sm font-medium text-gray-600">File Size</span>
               <span className="text-sm text-gray-900">{video.fileSizeFormatted}</span>
             </div>
             
+            {video.parentVideoId && (
+              <div
+                className="flex justify-between items-center py-2 border-b border-gray-100"
+                data-testid="clip-source"
+              >
+                <span className="text-sm font-medium text-gray-600">Clip of</span>
+                <span className="text-sm text-gray-900 text-right">
+                  {video.parentVideoId.title ? (
+                    <Link to={`/videos/${video.parentVideoId._id}`} className="text-blue-600 hover:text-blue-800">
+                      {video.parentVideoId.title}
+                    </Link>
+                  ) : (
+                    'A deleted video'
+                  )}
+                  {video.clip?.start != null &&
+                    ` (${formatTimestamp(video.clip.start)}–${formatTimestamp(video.clip.end)})`}
+                </span>
+              </div>
+            )}
+
             <div className="flex justify-between items-center py-2">
               <span className="text-sm font-medium text-gray-600">Uploaded</span>
               <span className="text-sm text-gray-900">{formatDate(video.createdAt)}</span>
@@ -386,6 +788,90 @@ export default function VideoDetail() {
           </div>
         </div>
 
+        {/* Chapters Card */}
+        {chapters.length > 0 && (
+          <div className="bg-white border border-gray-200 rounded-lg p-6" data-testid="chapter-list">
+            <h2 className="text-xl font-semibold mb-4">Chapters</h2>
+
+            <ol className="space-y-1">
+              {chapters.map(chapter => (
+                <li key={chapter.start}>
+                  <button
+                    type="button"
+                    onClick={() => handleSeek(chapter.start)}
+                    aria-current={chapter === currentChapter ? 'true' : undefined}
+                    className={`w-full flex justify-between items-center py-2 px-2 rounded text-left hover:bg-gray-50 ${
+                      chapter === currentChapter ? 'bg-blue-50 text-blue-800' : 'text-gray-900'
+                    }`}
+                  >
+                    <span className="text-sm font-medium">{chapter.title}</span>
+                    <span className="text-sm text-gray-500">{formatTimestamp(chapter.start)}</span>
+                  </button>
+                </li>
+              ))}
+            </ol>
+          </div>
+        )}
+
+        {/* Create Clip Card for Editors and Admins */}
+        {isPlayable && (user?.role === 'editor' || user?.role === 'admin') && (
+          <div className="bg-white border border-gray-200 rounded-lg p-6">
+            <h2 className="text-xl font-semibold mb-4">Create Clip</h2>
+            <p className="text-sm text-gray-600 mb-4">
+              Share part of this video as a new video; this one stays as it is.
+            </p>
+
+            <CreateClip
+              videoId={id}
+              duration={video.duration}
+              currentTime={currentTime}
+              onCreated={clip => navigate(`/videos/${clip._id}`)}
+            />
+          </div>
+        )}
+
+        {/* Public Share Links Card for Editors and Admins */}
+        {isPlayable && (user?.role === 'editor' || user?.role === 'admin') && (
+          <div className="bg-white border border-gray-200 rounded-lg p-6">
+            <h2 className="text-xl font-semibold mb-4">Public Links</h2>
+            <p className="text-sm text-gray-600 mb-4">
+              Let people without an account watch this video through a link.
+            </p>
+
+            <ShareLinks videoId={id} />
+          </div>
+        )}
+
+        {/* Frame Analysis Card */}
+        {video.frameAnalysis?.status === 'ready' && video.frameAnalysis.frames.length > 0 && (
+          <div className="bg-white border border-gray-200 rounded-lg p-6" data-testid="frame-analysis">
+            <h2 className="text-xl font-semibold mb-4">Frame Analysis</h2>
+
+            <p className="text-sm text-gray-600 mb-4">
+              Top labels for {video.frameAnalysis.frames.length} sampled frames
+            </p>
+
+            <div className="space-y-2">
+              {video.frameAnalysis.frames.map(frame => (
+                <div
+                  key={frame.time}
+                  className="flex justify-between items-center py-2 border-b border-gray-100"
+                >
+                  <span className="text-sm font-medium text-gray-600">{formatDuration(frame.time)}</span>
+                  <span className="text-sm text-gray-900">
+                    {frame.labels.length > 0
+                      ? frame.labels
+                          .slice(0, 3)
+                          .map(({ label, score }) => `${label} ${Math.round(score * 100)}%`)
+                          .join(', ')
+                      : 'No labels'}
+                  </span>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
         {/* Sensitivity Analysis Card */}
         {video.sensitivityFlags && video.sensitivityFlags.length > 0 && (
           <div className="bg-white border border-gray-200 rounded-lg p-6">
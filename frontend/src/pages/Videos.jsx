@@ -3,6 +3,7 @@ import { Link } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 import api from '../utils/api';
 import socketService from '../services/socket';
+import { getStageLabel } from '../utils/processingStages';
 
 export default function Videos() {
   const { user } = useAuth();
@@ -11,7 +12,8 @@ export default function Videos() {
   const [error, setError] = useState(null);
   const [statusFilter, setStatusFilter] = useState('all');
   const [sensitivityFilter, setSensitivityFilter] = useState('all');
-  const [processingProgress, setProcessingProgress] = useState({}); // Track progress by videoId
+  const [processingProgress, setProcessingProgress] = useState({}); // Track { percent, stage } by videoId
+  const [brokenThumbnails, setBrokenThumbnails] = useState({}); // Thumbnails that failed to load
 
   useEffect(() => {
     fetchVideos();
@@ -22,10 +24,10 @@ export default function Videos() {
     if (!socketService.isConnected()) return;
 
     // Handle processing progress updates
-    socketService.onProcessingProgress((videoId, percent) => {
+    socketService.onProcessingProgress((videoId, percent, _timestamp, stage) => {
       setProcessingProgress(prev => ({
         ...prev,
-        [videoId]: percent,
+        [videoId]: { percent, stage },
       }));
     });
 
@@ -91,6 +93,15 @@ export default function Videos() {
     }
   };
 
+  const getThumbnailUrl = video => {
+    const apiBaseUrl = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+    // v changes when the video is reprocessed, since thumbnails are cached for a long time
+    const params = new URLSearchParams({ w: '640', format: 'webp', v: video.thumbnailGridFsFileId });
+    // The list signs each video's media URLs, so no session token goes in the query string
+    new URLSearchParams(video.streamQuery).forEach((value, name) => params.set(name, value));
+    return `${apiBaseUrl}/api/videos/${video._id}/thumbnail?${params}`;
+  };
+
   const getStatusBadge = status => {
     const colors = {
       uploaded: 'bg-yellow-100 text-yellow-800',
@@ -262,7 +273,16 @@ export default function Videos() {
             <div key={video._id} className="bg-white border border-gray-200 rounded-lg shadow-sm overflow-hidden hover:shadow-md transition-shadow">
               {/* Thumbnail - clickable */}
               <Link to={`/videos/${video._id}`} className="block">
-                <div className="bg-gray-200 aspect-video flex items-center justify-center hover:bg-gray-300 transition-colors cursor-pointer">
+                <div className="relative bg-gray-200 aspect-video flex items-center justify-center hover:bg-gray-300 transition-colors cursor-pointer">
+                  {video.status === 'ready' && video.thumbnailGridFsFileId && !brokenThumbnails[video._id] && (
+                    <img
+                      src={getThumbnailUrl(video)}
+                      alt={video.title}
+                      loading="lazy"
+                      className="absolute inset-0 w-full h-full object-cover"
+                      onError={() => setBrokenThumbnails(prev => ({ ...prev, [video._id]: true }))}
+                    />
+                  )}
                   <svg
                     className="h-16 w-16 text-gray-400"
                     fill="none"
@@ -294,6 +314,11 @@ export default function Videos() {
                   <div className="flex flex-col gap-1 items-end">
                     {getStatusBadge(video.status)}
                     {video.sensitivity && getSensitivityBadge(video.sensitivity)}
+                    {['pending', 'in_review'].includes(video.moderation?.status) && (
+                      <span className="px-2 py-1 text-xs font-medium rounded border bg-yellow-50 text-yellow-700 border-yellow-200">
+                        in review
+                      </span>
+                    )}
                   </div>
                 </div>
 
@@ -305,13 +330,13 @@ export default function Videos() {
                 {video.status === 'processing' && processingProgress[video._id] !== undefined && (
                   <div className="mb-3">
                     <div className="flex justify-between text-xs text-gray-600 mb-1">
-                      <span>Processing</span>
-                      <span>{processingProgress[video._id]}%</span>
+                      <span>{getStageLabel(processingProgress[video._id].stage)}</span>
+                      <span>{processingProgress[video._id].percent}%</span>
                     </div>
                     <div className="w-full bg-gray-200 rounded-full h-2">
                       <div
                         className="bg-blue-600 h-2 rounded-full transition-all duration-300"
-                        style={{ width: `${processingProgress[video._id]}%` }}
+                        style={{ width: `${processingProgress[video._id].percent}%` }}
                       ></div>
                     </div>
                   </div>
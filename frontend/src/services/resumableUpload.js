@@ -0,0 +1,132 @@
+import api from '../utils/api';
+
+const TUS_VERSION = '1.0.0';
+const CHUNK_SIZE = 5 * 1024 * 1024; // 5MB per PATCH
+const MAX_RETRIES = 5;
+const RETRY_BASE_DELAY = 1000;
+const STORAGE_PREFIX = 'tus-upload:';
+
+const tusHeaders = extra => ({ 'Tus-Resumable': TUS_VERSION, ...extra });
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Base64 for Upload-Metadata values, safe for non-ASCII text
+const encodeValue = value => btoa(String.fromCharCode(...new TextEncoder().encode(value)));
+
+const encodeMetadata = metadata =>
+  Object.entries(metadata)
+    .filter(([, value]) => value)
+    .map(([key, value]) => `${key} ${encodeValue(value)}`)
+    .join(',');
+
+/**
+ * Key identifying a file across page reloads, so re-selecting it resumes the upload
+ * @param {File} file
+ * @returns {string}
+ */
+export const fingerprint = file =>
+  `${STORAGE_PREFIX}${file.name}-${file.size}-${file.lastModified}`;
+
+const createUpload = async (file, { title, description }) => {
+  const response = await api.post('/videos/uploads', null, {
+    headers: tusHeaders({
+      'Upload-Length': String(file.size),
+      'Upload-Metadata': encodeMetadata({
+        filename: file.name,
+        filetype: file.type,
+        title,
+        description,
+      }),
+    }),
+  });
+  return response.headers.location.split('/').pop();
+};
+
+// Once every byte has arrived (the video may still be being created), an empty
+// PATCH at the end returns the created video and its upload warnings
+const getOffset = async (uploadId, uploadLength) => {
+  try {
+    const response = await api.head(`/videos/uploads/${uploadId}`, { headers: tusHeaders() });
+    return response.headers['upload-video-id'] ? uploadLength : Number(response.headers['upload-offset']);
+  } catch (error) {
+    if (error.status === 409) return uploadLength;
+    throw error;
+  }
+};
+
+/**
+ * Upload a file in chunks over the tus protocol, resuming a previous attempt
+ * for the same file when the server still has it
+ * @param {File} file - File to upload
+ * @param {Object} options
+ * @param {string} options.title - Video title
+ * @param {string} [options.description] - Video description
+ * @param {Function} [options.onProgress] - Called with (bytesUploaded, bytesTotal)
+ * @returns {Promise<Object>} Response body of the last chunk, as for a direct
+ *   upload: { data: { video }, warnings }
+ */
+export async function uploadResumable(file, { title, description, onProgress } = {}) {
+  const key = fingerprint(file);
+  let uploadId = localStorage.getItem(key);
+  let offset = 0;
+  let result;
+
+  if (uploadId) {
+    try {
+      offset = await getOffset(uploadId, file.size);
+    } catch {
+      // Expired or unknown upload, start over
+      uploadId = null;
+    }
+  }
+
+  if (!uploadId) {
+    uploadId = await createUpload(file, { title, description });
+    localStorage.setItem(key, uploadId);
+    offset = 0;
+  }
+
+  let retries = 0;
+  while (!result) {
+    onProgress?.(offset, file.size);
+
+    try {
+      const response = await api.patch(
+        `/videos/uploads/${uploadId}`,
+        file.slice(offset, offset + CHUNK_SIZE),
+        {
+          headers: tusHeaders({
+            'Upload-Offset': String(offset),
+            'Content-Type': 'application/offset+octet-stream',
+          }),
+          timeout: 0,
+        },
+      );
+      offset = Number(response.headers['upload-offset']);
+      if (response.headers['upload-video-id']) result = response.data;
+      retries = 0;
+    } catch (error) {
+      // Client errors other than an offset conflict will not succeed on retry
+      if (error.status && error.status !== 409 && error.status < 500) {
+        localStorage.removeItem(key);
+        throw error;
+      }
+      if (retries >= MAX_RETRIES) throw error;
+
+      await sleep(RETRY_BASE_DELAY * 2 ** retries);
+      retries += 1;
+      // Ask the server how much actually arrived before sending more
+      try {
+        offset = await getOffset(uploadId, file.size);
+      } catch {
+        // Still unreachable; a stale offset is corrected by the next 409
+      }
+    }
+  }
+
+  localStorage.removeItem(key);
+  onProgress?.(file.size, file.size);
+  return result;
+}
+
+export default { uploadResumable, fingerprint };
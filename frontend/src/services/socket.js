@@ -66,7 +66,7 @@ class SocketService {
 
   /**
    * Subscribe to processing progress events
-   * @param {Function} callback - Callback function (videoId, percent, timestamp)
+   * @param {Function} callback - Callback function (videoId, percent, timestamp, stage)
    */
   onProcessingProgress(callback) {
     if (!this.socket) {
@@ -75,7 +75,7 @@ class SocketService {
     }
 
     const handler = payload => {
-      callback(payload.videoId, payload.percent, payload.timestamp);
+      callback(payload.videoId, payload.percent, payload.timestamp, payload.stage);
     };
 
     this.socket.on('processing:progress', handler);
@@ -84,7 +84,7 @@ class SocketService {
 
   /**
    * Subscribe to processing status change events
-   * @param {Function} callback - Callback function (videoId, status, sensitivity, sensitivityFlags, timestamp)
+   * @param {Function} callback - Callback function (videoId, status, sensitivity, sensitivityFlags, timestamp, duplicates)
    */
   onProcessingStatus(callback) {
     if (!this.socket) {
@@ -99,6 +99,7 @@ class SocketService {
         payload.sensitivity,
         payload.sensitivityFlags,
         payload.timestamp,
+        payload.duplicates || [],
       );
     };
 
@@ -0,0 +1,82 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { fireEvent, render, screen, waitFor } from '@testing-library/react';
+import ShareLinks from '../components/ShareLinks';
+import api from '../utils/api';
+
+// Mock api
+vi.mock('../utils/api');
+
+const activeLink = {
+  _id: 'link-1',
+  token: 'a'.repeat(32),
+  label: 'Acme Corp',
+  status: 'active',
+  viewCount: 1,
+  maxViews: 5,
+  expiresAt: null,
+  hasPassword: true,
+  allowDownload: false,
+};
+
+describe('ShareLinks Component', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(window, 'confirm').mockReturnValue(true);
+  });
+
+  it('should list the links of the video', async () => {
+    api.get.mockResolvedValue({ data: { data: { shareLinks: [activeLink] } } });
+
+    render(<ShareLinks videoId="video-123" />);
+
+    expect(await screen.findByText('Acme Corp')).toBeInTheDocument();
+    expect(api.get).toHaveBeenCalledWith('/videos/video-123/share-links');
+    expect(screen.getByText(/1 view of 5/)).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'Revoke' })).toBeInTheDocument();
+  });
+
+  it('should create a link with the chosen settings', async () => {
+    api.get.mockResolvedValue({ data: { data: { shareLinks: [] } } });
+    api.post.mockResolvedValue({ data: { data: { shareLink: { ...activeLink, label: 'Prospect', viewCount: 0 } } } });
+
+    render(<ShareLinks videoId="video-123" />);
+
+    fireEvent.change(screen.getByLabelText('Label (optional)'), { target: { value: 'Prospect' } });
+    fireEvent.change(screen.getByLabelText('Password (optional)'), { target: { value: 'demo-pass' } });
+    fireEvent.change(screen.getByLabelText('View limit (optional)'), { target: { value: '5' } });
+    fireEvent.click(screen.getByLabelText('Allow downloading the original file'));
+    fireEvent.click(screen.getByRole('button', { name: 'Create Link' }));
+
+    expect(await screen.findByText('Prospect')).toBeInTheDocument();
+    expect(api.post).toHaveBeenCalledWith('/videos/video-123/share-links', {
+      label: 'Prospect',
+      password: 'demo-pass',
+      maxViews: 5,
+      allowDownload: true,
+    });
+  });
+
+  it('should show the server error when a link is rejected', async () => {
+    api.get.mockResolvedValue({ data: { data: { shareLinks: [] } } });
+    api.post.mockRejectedValue({ response: { data: { error: 'Only ready videos can be shared (status: processing)' } } });
+
+    render(<ShareLinks videoId="video-123" />);
+
+    fireEvent.click(screen.getByRole('button', { name: 'Create Link' }));
+
+    expect(await screen.findByText('Only ready videos can be shared (status: processing)')).toBeInTheDocument();
+  });
+
+  it('should revoke a link and keep it listed', async () => {
+    api.get.mockResolvedValue({ data: { data: { shareLinks: [activeLink] } } });
+    api.delete.mockResolvedValue({ data: { data: { shareLink: { ...activeLink, status: 'revoked' } } } });
+
+    render(<ShareLinks videoId="video-123" />);
+
+    fireEvent.click(await screen.findByRole('button', { name: 'Revoke' }));
+
+    await waitFor(() => expect(screen.getByText('revoked')).toBeInTheDocument());
+    expect(api.delete).toHaveBeenCalledWith('/videos/video-123/share-links/link-1');
+    expect(screen.queryByRole('button', { name: 'Revoke' })).not.toBeInTheDocument();
+  });
+});
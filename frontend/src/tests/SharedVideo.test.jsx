@@ -0,0 +1,156 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { fireEvent, render, screen, waitFor } from '@testing-library/react';
+import { MemoryRouter, Route, Routes } from 'react-router-dom';
+import SharedVideo from '../pages/SharedVideo';
+import { shareAPI } from '../utils/api';
+
+// Mock the API
+vi.mock('../utils/api', () => ({
+  shareAPI: {
+    get: vi.fn(),
+    open: vi.fn(),
+    renew: vi.fn(),
+  },
+}));
+
+const TOKEN = 'a'.repeat(32);
+const streamQuery = 'uid=share&exp=1767225900&sig=signed';
+
+const renderPage = () =>
+  render(
+    <MemoryRouter initialEntries={[`/share/${TOKEN}`]}>
+      <Routes>
+        <Route path="/share/:token" element={<SharedVideo />} />
+      </Routes>
+    </MemoryRouter>
+  );
+
+const mockLanding = (shareLink = {}) => {
+  shareAPI.get.mockResolvedValue({
+    data: {
+      data: {
+        shareLink: { requiresPassword: false, allowDownload: false, expiresAt: null, viewsLeft: null, ...shareLink },
+        video: { title: 'Product Demo', description: 'A short tour', durationFormatted: '1:30', mimeType: 'video/mp4' },
+      },
+    },
+  });
+};
+
+const mockAccess = (access = {}) => {
+  shareAPI.open.mockResolvedValue({
+    data: {
+      data: {
+        query: streamQuery,
+        streamUrl: `/api/share/${TOKEN}/stream?${streamQuery}`,
+        downloadUrl: null,
+        expiresAt: new Date(Date.now() + 15 * 60 * 1000).toISOString(),
+        viewsLeft: null,
+        ...access,
+      },
+    },
+  });
+};
+
+describe('SharedVideo Page', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('should show the video title before the link is opened', async () => {
+    mockLanding();
+    renderPage();
+
+    expect(await screen.findByText('Product Demo')).toBeInTheDocument();
+    expect(screen.getByText('A short tour')).toBeInTheDocument();
+    expect(shareAPI.get).toHaveBeenCalledWith(TOKEN);
+    expect(screen.getByRole('button', { name: 'Watch (1:30)' })).toBeInTheDocument();
+    expect(document.querySelector('video')).toBeNull();
+  });
+
+  it('should play the signed stream once opened', async () => {
+    mockLanding();
+    mockAccess();
+    renderPage();
+
+    fireEvent.click(await screen.findByRole('button', { name: /watch/i }));
+
+    await waitFor(() => {
+      expect(document.querySelector('video source')).not.toBeNull();
+    });
+    expect(shareAPI.open).toHaveBeenCalledWith(TOKEN, '');
+    expect(document.querySelector('video source').getAttribute('src')).toContain(
+      `/api/share/${TOKEN}/stream?${streamQuery}`
+    );
+    expect(screen.queryByText('Download')).not.toBeInTheDocument();
+  });
+
+  it('should send the password and show why it was rejected', async () => {
+    mockLanding({ requiresPassword: true });
+    shareAPI.open.mockRejectedValue({ response: { data: { error: 'Incorrect password' } } });
+    renderPage();
+
+    const input = await screen.findByLabelText('Password');
+    fireEvent.change(input, { target: { value: 'guess' } });
+    fireEvent.click(screen.getByRole('button', { name: /watch/i }));
+
+    expect(await screen.findByText('Incorrect password')).toBeInTheDocument();
+    expect(shareAPI.open).toHaveBeenCalledWith(TOKEN, 'guess');
+  });
+
+  it('should offer a download when the link allows it', async () => {
+    mockLanding({ allowDownload: true });
+    mockAccess({ downloadUrl: `/api/share/${TOKEN}/download?${streamQuery}` });
+    renderPage();
+
+    fireEvent.click(await screen.findByRole('button', { name: /watch/i }));
+
+    const link = await screen.findByText('Download');
+    expect(link.getAttribute('href')).toContain(`/api/share/${TOKEN}/download?${streamQuery}`);
+  });
+
+  it('should show the views left and disable opening when none are', async () => {
+    mockLanding({ viewsLeft: 0 });
+    renderPage();
+
+    expect(await screen.findByText('This link can be opened 0 more times.')).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: /watch/i })).toBeDisabled();
+  });
+
+  it('should keep playing and show a notice when a renewal fails', async () => {
+    mockLanding();
+    // About to expire, so the renewal is due right away
+    mockAccess({ expiresAt: new Date(Date.now() + 200).toISOString() });
+    shareAPI.renew.mockRejectedValue({ response: { data: { error: 'Too many requests, please try again later' } } });
+    renderPage();
+
+    fireEvent.click(await screen.findByRole('button', { name: /watch/i }));
+
+    expect(await screen.findByRole('status')).toHaveTextContent('Too many requests, please try again later');
+    expect(shareAPI.renew).toHaveBeenCalledWith(TOKEN, streamQuery);
+    expect(document.querySelector('video source')).not.toBeNull();
+    expect(screen.queryByText('Video unavailable')).not.toBeInTheDocument();
+  });
+
+  it('should stop the player once the stream itself fails', async () => {
+    mockLanding();
+    mockAccess();
+    renderPage();
+
+    fireEvent.click(await screen.findByRole('button', { name: /watch/i }));
+    await waitFor(() => {
+      expect(document.querySelector('video source')).not.toBeNull();
+    });
+    fireEvent.error(document.querySelector('video source'));
+
+    expect(await screen.findByText('Video unavailable')).toBeInTheDocument();
+    expect(screen.getByText('This video can no longer be played')).toBeInTheDocument();
+  });
+
+  it('should explain when the link is unavailable', async () => {
+    shareAPI.get.mockRejectedValue({ response: { data: { error: 'This share link has expired' } } });
+    renderPage();
+
+    expect(await screen.findByText('Video unavailable')).toBeInTheDocument();
+    expect(screen.getByText('This share link has expired')).toBeInTheDocument();
+  });
+});
@@ -1,9 +1,10 @@
 import { describe, it, expect, vi, beforeEach } from 'vitest';
-import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { act, render, screen, fireEvent, waitFor } from '@testing-library/react';
 import { BrowserRouter } from 'react-router-dom';
 import Upload from '../pages/Upload';
 import * as AuthContext from '../context/AuthContext';
 import api from '../utils/api';
+import socketService from '../services/socket';
 
 // Mock the API
 vi.mock('../utils/api', () => ({
@@ -13,6 +14,17 @@ vi.mock('../utils/api', () => ({
   },
 }));
 
+// Mock the socket; tests that need processing updates connect it
+vi.mock('../services/socket', () => ({
+  default: {
+    isConnected: vi.fn(() => false),
+    onProcessingProgress: vi.fn(),
+    onProcessingStatus: vi.fn(),
+    onProcessingError: vi.fn(),
+    off: vi.fn(),
+  },
+}));
+
 // Mock useNavigate
 const mockNavigate = vi.fn();
 vi.mock('react-router-dom', async () => {
@@ -207,6 +219,79 @@ describe('Upload Page', () => {
     });
   });
 
+  it('should warn when the same file was already uploaded', async () => {
+    api.post.mockResolvedValueOnce({
+      data: {
+        success: true,
+        warnings: [
+          {
+            type: 'duplicate',
+            message: 'This file is identical to 1 video(s) already uploaded',
+            videos: [{ _id: '456', title: 'Original Recording' }],
+          },
+        ],
+        data: {
+          video: { _id: '123', title: 'Renamed', status: 'uploaded', fileSizeFormatted: '1.00 MB' },
+        },
+      },
+    });
+
+    renderWithAuth(<Upload />);
+
+    const file = new File(['video content'], 'test-video.mp4', { type: 'video/mp4' });
+    const input = screen.getByLabelText(/Choose File/i, { selector: 'input[type="file"]' });
+    Object.defineProperty(input, 'files', { value: [file] });
+    fireEvent.change(input);
+
+    fireEvent.change(screen.getByLabelText(/Title/i), { target: { value: 'Renamed' } });
+    fireEvent.click(screen.getByRole('button', { name: /Upload Video/i }));
+
+    const warning = await screen.findByTestId('duplicate-warning');
+    expect(warning).toHaveTextContent('This file was already uploaded');
+    expect(screen.getByRole('link', { name: 'Original Recording' })).toHaveAttribute(
+      'href',
+      '/videos/456'
+    );
+  });
+
+  it('should show near-duplicates found while processing instead of redirecting', async () => {
+    socketService.isConnected.mockReturnValue(true);
+    api.post.mockResolvedValueOnce({
+      data: {
+        success: true,
+        data: {
+          video: { _id: '123', title: 'Trailer', status: 'uploaded', fileSizeFormatted: '1.00 MB' },
+        },
+      },
+    });
+
+    renderWithAuth(<Upload />);
+
+    const file = new File(['video content'], 'test-video.mp4', { type: 'video/mp4' });
+    const input = screen.getByLabelText(/Choose File/i, { selector: 'input[type="file"]' });
+    Object.defineProperty(input, 'files', { value: [file] });
+    fireEvent.change(input);
+
+    fireEvent.change(screen.getByLabelText(/Title/i), { target: { value: 'Trailer' } });
+    fireEvent.click(screen.getByRole('button', { name: /Upload Video/i }));
+
+    await waitFor(() => expect(socketService.onProcessingStatus).toHaveBeenCalled());
+    const onStatus = socketService.onProcessingStatus.mock.calls.at(-1)[0];
+    act(() => {
+      onStatus('123', 'ready', 'safe', [], new Date().toISOString(), [
+        { _id: '456', title: 'Trailer (720p)', similarity: 0.94 },
+      ]);
+    });
+
+    const warning = await screen.findByTestId('near-duplicate-warning');
+    expect(warning).toHaveTextContent('This video looks like a copy of');
+    expect(warning).toHaveTextContent('94% similar');
+    expect(screen.getByRole('link', { name: 'Trailer (720p)' })).toHaveAttribute('href', '/videos/456');
+    expect(screen.queryByText(/Redirecting to your videos/)).not.toBeInTheDocument();
+
+    socketService.isConnected.mockReturnValue(false);
+  });
+
   it('should show error message on upload failure', async () => {
     api.post.mockRejectedValueOnce({
       response: {
@@ -1,6 +1,7 @@
-import { render, screen, waitFor } from '@testing-library/react';
+import { act, fireEvent, render, screen, waitFor } from '@testing-library/react';
 import { BrowserRouter } from 'react-router-dom';
 import { vi } from 'vitest';
+import Hls from 'hls.js';
 import VideoDetail from '../pages/VideoDetail';
 import AuthContext from '../context/AuthContext';
 import api from '../utils/api';
@@ -19,6 +20,20 @@ vi.mock('react-router-dom', async () => {
 // Mock api
 vi.mock('../utils/api');
 
+// Share links are covered by ShareLinks.test.jsx
+vi.mock('../components/ShareLinks', () => ({
+  default: () => <div data-testid="share-links" />,
+}));
+
+// Mock hls.js
+const mockHls = { loadSource: vi.fn(), attachMedia: vi.fn(), on: vi.fn(), destroy: vi.fn() };
+vi.mock('hls.js', () => {
+  const Hls = vi.fn(() => mockHls);
+  Hls.isSupported = vi.fn(() => true);
+  Hls.Events = { ERROR: 'hlsError' };
+  return { default: Hls };
+});
+
 describe('VideoDetail Component', () => {
   const mockAuthValue = {
     user: { _id: 'user-123', email: 'test@example.com', role: 'editor' },
@@ -42,6 +57,19 @@ describe('VideoDetail Component', () => {
     sensitivityFlags: [],
   };
 
+  const streamQuery = 'uid=user-123&exp=1767225900&sig=signed';
+
+  // Answers the signed stream URL request; every other GET gets the video
+  const mockVideoWithStreamAccess = (video, details = {}) => {
+    api.get.mockImplementation(url =>
+      Promise.resolve(
+        url.endsWith('/stream-url')
+          ? { data: { data: { query: streamQuery, expiresAt: new Date(Date.now() + 5 * 60 * 1000).toISOString() } } }
+          : { data: { data: { video, ...details } } },
+      ),
+    );
+  };
+
   const renderComponent = (authValue = mockAuthValue) => {
     return render(
       <AuthContext.Provider value={authValue}>
@@ -416,4 +444,518 @@ describe('VideoDetail Component', () => {
       });
     });
   });
+
+  describe('HLS Playback', () => {
+    const hlsVideo = {
+      ...mockVideo,
+      hls: { status: 'ready', renditions: [{ name: '720p', width: 1280, height: 720 }] },
+    };
+
+    test('should play the master playlist when renditions are ready', async () => {
+      mockVideoWithStreamAccess(hlsVideo);
+
+      const { container } = renderComponent();
+
+      await waitFor(() => {
+        expect(mockHls.loadSource).toHaveBeenCalledWith(
+          expect.stringContaining(`/api/videos/test-video-id-123/hls/master.m3u8?${streamQuery}`),
+        );
+      });
+      expect(mockHls.attachMedia).toHaveBeenCalledWith(container.querySelector('video'));
+      expect(container.querySelector('source')).toBeNull();
+    });
+
+    test('should stream the original upload without renditions', async () => {
+      api.get.mockResolvedValue({
+        data: { data: { video: mockVideo } },
+      });
+
+      const { container } = renderComponent();
+
+      await waitFor(() => {
+        expect(container.querySelector('source')).not.toBeNull();
+      });
+      expect(mockHls.loadSource).not.toHaveBeenCalled();
+    });
+
+    test('should sign media URLs instead of adding the session token', async () => {
+      mockVideoWithStreamAccess(mockVideo);
+
+      const { container } = renderComponent();
+
+      await waitFor(() => {
+        expect(container.querySelector('source')).not.toBeNull();
+      });
+      expect(api.get).toHaveBeenCalledWith('/videos/test-video-id-123/stream-url');
+      const src = container.querySelector('source').getAttribute('src');
+      expect(src).toMatch(new RegExp(`/api/videos/test-video-id-123/stream\\?${streamQuery}$`));
+      expect(src).not.toContain('mock-token');
+    });
+
+    test('should give each hls.js request the latest signature', async () => {
+      mockVideoWithStreamAccess(hlsVideo);
+
+      renderComponent();
+
+      await waitFor(() => {
+        expect(mockHls.loadSource).toHaveBeenCalled();
+      });
+      const [{ xhrSetup }] = Hls.mock.calls[0];
+      const xhr = { open: vi.fn() };
+      xhrSetup(xhr, 'http://localhost:5000/api/videos/test-video-id-123/hls/720p/seg.ts?uid=user-123&exp=1&sig=old');
+      expect(xhr.open).toHaveBeenCalledWith(
+        'GET',
+        `http://localhost:5000/api/videos/test-video-id-123/hls/720p/seg.ts?${streamQuery}`,
+        true,
+      );
+    });
+
+    test('should fall back to the original upload after a fatal HLS error', async () => {
+      api.get.mockResolvedValue({
+        data: { data: { video: hlsVideo } },
+      });
+
+      const { container } = renderComponent();
+
+      await waitFor(() => {
+        expect(mockHls.on).toHaveBeenCalled();
+      });
+      const [, onError] = mockHls.on.mock.calls[0];
+      act(() => onError('hlsError', { fatal: true }));
+
+      await waitFor(() => {
+        expect(container.querySelector('source').getAttribute('src')).toContain(
+          '/api/videos/test-video-id-123/stream',
+        );
+      });
+      expect(mockHls.destroy).toHaveBeenCalled();
+    });
+  });
+
+  describe('Storyboard Previews', () => {
+    const storyboardVideo = {
+      ...mockVideo,
+      storyboard: { status: 'ready' },
+    };
+    const track = 'WEBVTT\n\n00:00:00.000 --> 00:02:00.000\nstoryboard/0.jpg?uid=user-123&exp=1767225900&sig=signed#xywh=160,90,160,90\n';
+
+    const mockApi = () => {
+      api.get.mockImplementation(url =>
+        Promise.resolve(
+          url.endsWith('storyboard.vtt')
+            ? { data: track }
+            : { data: { data: { video: storyboardVideo } } },
+        ),
+      );
+    };
+
+    test('should load the thumbnails track', async () => {
+      mockApi();
+
+      renderComponent();
+
+      await waitFor(() => {
+        expect(api.get).toHaveBeenCalledWith('/videos/test-video-id-123/storyboard.vtt', {
+          responseType: 'text',
+        });
+      });
+    });
+
+    test('should preview the sprite under the pointer', async () => {
+      mockApi();
+
+      renderComponent();
+
+      const scrubber = await screen.findByTestId('storyboard-scrubber');
+      fireEvent.mouseMove(scrubber, { clientX: 10 });
+
+      const preview = await screen.findByTestId('storyboard-preview');
+      expect(preview.style.backgroundImage).toContain('/api/videos/test-video-id-123/storyboard/0.jpg');
+      expect(preview.style.backgroundPosition).toBe('-160px -90px');
+    });
+
+    test('should not show the scrubber without a storyboard', async () => {
+      api.get.mockResolvedValue({
+        data: { data: { video: mockVideo } },
+      });
+
+      renderComponent();
+
+      await waitFor(() => {
+        expect(screen.getByText('Test Video')).toBeInTheDocument();
+      });
+      expect(screen.queryByTestId('storyboard-scrubber')).not.toBeInTheDocument();
+    });
+  });
+
+  describe('Moderation', () => {
+    const viewerAuth = {
+      user: { _id: 'viewer-123', email: 'viewer@example.com', role: 'viewer' },
+      token: 'mock-token',
+    };
+
+    test('should hold back the player from viewers while the video awaits review', async () => {
+      api.get.mockResolvedValue({
+        data: { data: { video: { ...mockVideo, sensitivity: 'flagged', moderation: { status: 'pending' } } } },
+      });
+
+      const { container } = renderComponent(viewerAuth);
+
+      await waitFor(() => {
+        expect(screen.getByText('Awaiting Review')).toBeInTheDocument();
+      });
+      expect(container.querySelector('video')).not.toBeInTheDocument();
+    });
+
+    test('should still play for the owner and show the review state', async () => {
+      api.get.mockResolvedValue({
+        data: { data: { video: { ...mockVideo, sensitivity: 'flagged', moderation: { status: 'in_review' } } } },
+      });
+
+      const { container } = renderComponent();
+
+      await waitFor(() => {
+        expect(screen.getByTestId('moderation-badge')).toHaveTextContent('In review');
+      });
+      expect(container.querySelector('video')).toBeInTheDocument();
+    });
+
+    test('should play for viewers once the video is approved', async () => {
+      api.get.mockResolvedValue({
+        data: { data: { video: { ...mockVideo, moderation: { status: 'approved' } } } },
+      });
+
+      const { container } = renderComponent(viewerAuth);
+
+      await waitFor(() => {
+        expect(container.querySelector('video')).toBeInTheDocument();
+      });
+    });
+  });
+
+  describe('Frame Analysis', () => {
+    test('should list the top labels of each sampled frame', async () => {
+      api.get.mockResolvedValue({
+        data: {
+          data: {
+            video: {
+              ...mockVideo,
+              frameAnalysis: {
+                status: 'ready',
+                frames: [
+                  { time: 15, labels: [{ label: 'violence', score: 0.91 }, { label: 'outdoor', score: 0.4 }] },
+                  { time: 45, labels: [] },
+                ],
+              },
+            },
+          },
+        },
+      });
+
+      renderComponent();
+
+      const card = await screen.findByTestId('frame-analysis');
+      expect(card).toHaveTextContent('0:15');
+      expect(card).toHaveTextContent('violence 91%, outdoor 40%');
+      expect(card).toHaveTextContent('No labels');
+    });
+  });
+
+  describe('Timeline Markers', () => {
+    test('should mark detected black, frozen and silent stretches on the seek bar', async () => {
+      api.get.mockResolvedValue({
+        data: {
+          data: {
+            video: {
+              ...mockVideo,
+              detection: {
+                status: 'ready',
+                black: [{ start: 0, end: 30, duration: 30 }],
+                freeze: [],
+                silence: [{ start: 60, end: 90, duration: 30 }],
+              },
+            },
+          },
+        },
+      });
+
+      renderComponent();
+
+      const markers = await screen.findAllByTestId('timeline-marker');
+      expect(markers).toHaveLength(2);
+      expect(markers[0].style.left).toBe('0%');
+      expect(markers[0].style.width).toBe('25%');
+      expect(markers[1].style.left).toBe('50%');
+      expect(markers[1]).toHaveAttribute('title', 'Silence');
+
+      const legend = screen.getByTestId('timeline-legend');
+      expect(legend).toHaveTextContent('Black frames');
+      expect(legend).toHaveTextContent('Silence');
+      expect(legend).not.toHaveTextContent('Frozen frames');
+    });
+  });
+
+  describe('Loudness', () => {
+    test('should show the measured loudness with clipping and normalization', async () => {
+      api.get.mockResolvedValue({
+        data: {
+          data: {
+            video: {
+              ...mockVideo,
+              loudness: {
+                status: 'ready',
+                integrated: -14.04,
+                truePeak: 0.3,
+                range: 6.2,
+                clipped: true,
+                nearSilent: false,
+                normalizedTo: -16,
+              },
+            },
+          },
+        },
+      });
+
+      renderComponent();
+
+      const loudness = await screen.findByTestId('loudness');
+      expect(loudness).toHaveTextContent('-14.0 LUFS · peak 0.3 dBTP · range 6.2 LU');
+      expect(loudness).toHaveTextContent('Clipped');
+      expect(loudness).not.toHaveTextContent('Near silent');
+      expect(loudness).toHaveTextContent('Normalized to -16 LUFS for streaming');
+    });
+
+    test('should describe digital silence', async () => {
+      api.get.mockResolvedValue({
+        data: {
+          data: {
+            video: {
+              ...mockVideo,
+              loudness: { status: 'ready', integrated: null, truePeak: null, nearSilent: true },
+            },
+          },
+        },
+      });
+
+      renderComponent();
+
+      expect(await screen.findByTestId('loudness')).toHaveTextContent('Silent');
+    });
+  });
+
+  describe('Technical metadata', () => {
+    test('should describe the picture and every audio track', async () => {
+      api.get.mockResolvedValue({
+        data: {
+          data: {
+            video: {
+              ...mockVideo,
+              technicalMetadata: {
+                video: {
+                  frameRate: 59.94,
+                  pixelFormat: 'yuv420p10le',
+                  bitDepth: 10,
+                  rotation: 90,
+                  hdr: true,
+                  hdrFormat: 'HLG',
+                },
+                streams: [
+                  { index: 0, type: 'video', codec: 'hevc' },
+                  { index: 1, type: 'audio', codec: 'aac', language: 'eng', channels: 2 },
+                  { index: 2, type: 'audio', codec: 'ac3', language: 'fra', channels: 6 },
+                ],
+              },
+            },
+          },
+        },
+      });
+
+      renderComponent();
+
+      const picture = await screen.findByTestId('technical-video');
+      expect(picture).toHaveTextContent('59.94 fps · yuv420p10le · 10-bit · rotated 90°');
+      expect(picture).toHaveTextContent('HLG');
+      const audio = screen.getByTestId('audio-tracks');
+      expect(audio).toHaveTextContent('Audio (2 tracks)');
+      expect(audio).toHaveTextContent('eng AAC 2 ch, fra AC3 6 ch');
+    });
+  });
+
+  describe('Chapters', () => {
+    const chapterVideo = {
+      ...mockVideo,
+      chapters: [
+        { _id: 'c1', start: 0, title: 'Introduction', source: 'auto' },
+        { _id: 'c2', start: 60, title: 'Safety', source: 'manual' },
+      ],
+    };
+    const track =
+      'WEBVTT\n\nchapter-1\n00:00:00.000 --> 00:01:00.000\nIntroduction\n\n' +
+      'chapter-2\n00:01:00.000 --> 00:02:00.000\nSafety\n';
+
+    test('should list chapters from the chapters track and mark the seek bar segments', async () => {
+      api.get.mockImplementation(url =>
+        Promise.resolve(
+          url.endsWith('chapters.vtt')
+            ? { data: track }
+            : { data: { data: { video: chapterVideo } } },
+        ),
+      );
+
+      renderComponent();
+
+      const list = await screen.findByTestId('chapter-list');
+      expect(api.get).toHaveBeenCalledWith('/videos/test-video-id-123/chapters.vtt', {
+        responseType: 'text',
+      });
+      expect(list).toHaveTextContent('Introduction');
+      expect(list).toHaveTextContent('0:00');
+      expect(list).toHaveTextContent('Safety');
+      expect(list).toHaveTextContent('1:00');
+      expect(screen.getByRole('button', { name: /Introduction/ })).toHaveAttribute('aria-current', 'true');
+
+      const segments = screen.getAllByTestId('chapter-segment');
+      expect(segments).toHaveLength(1);
+      expect(segments[0].style.left).toBe('50%');
+    });
+
+    test('should not fetch a chapters track for a video without chapters', async () => {
+      api.get.mockResolvedValue({ data: { data: { video: mockVideo } } });
+
+      renderComponent();
+
+      await screen.findByText('Test Video');
+      expect(api.get).not.toHaveBeenCalledWith(
+        '/videos/test-video-id-123/chapters.vtt',
+        expect.anything(),
+      );
+      expect(screen.queryByTestId('chapter-list')).not.toBeInTheDocument();
+    });
+  });
+
+  describe('Captions', () => {
+    test('should add a track for each caption and list them', async () => {
+      mockVideoWithStreamAccess({
+        ...mockVideo,
+        captions: [
+          { _id: 'cap-en', language: 'en', label: 'English', kind: 'subtitles' },
+          { _id: 'cap-fr', language: 'fr', label: 'French', kind: 'captions' },
+        ],
+      });
+
+      const { container } = renderComponent();
+
+      expect(await screen.findByTestId('captions')).toHaveTextContent('English, French (CC)');
+
+      await waitFor(() => {
+        expect(container.querySelectorAll('video track')).toHaveLength(2);
+      });
+      const tracks = container.querySelectorAll('video track');
+      expect(tracks[0]).toHaveAttribute('kind', 'subtitles');
+      expect(tracks[0]).toHaveAttribute('srclang', 'en');
+      expect(tracks[0]).toHaveAttribute('label', 'English');
+      expect(tracks[0].getAttribute('src')).toMatch(
+        /\/api\/videos\/test-video-id-123\/captions\/cap-en\.vtt\?uid=user-123&exp=1767225900&sig=signed$/,
+      );
+      expect(tracks[1]).toHaveAttribute('kind', 'captions');
+      expect(container.querySelector('video')).toHaveAttribute('crossorigin', 'anonymous');
+    });
+  });
+
+  describe('Clips', () => {
+    test('should create a clip from the chosen range and open it', async () => {
+      api.get.mockResolvedValue({ data: { data: { video: mockVideo } } });
+      api.post.mockResolvedValue({ data: { data: { video: { _id: 'clip-456' } } } });
+
+      renderComponent();
+
+      const form = await screen.findByTestId('create-clip');
+      fireEvent.change(screen.getByLabelText('Start (seconds)'), { target: { value: '30' } });
+      fireEvent.change(screen.getByLabelText('End (seconds)'), { target: { value: '90' } });
+      fireEvent.change(screen.getByLabelText('Clip title (optional)'), { target: { value: 'Highlight' } });
+      fireEvent.submit(form);
+
+      await waitFor(() => expect(mockNavigate).toHaveBeenCalledWith('/videos/clip-456'));
+      expect(api.post).toHaveBeenCalledWith('/videos/test-video-id-123/clips', {
+        start: 30,
+        end: 90,
+        title: 'Highlight',
+      });
+    });
+
+    test('should show the server error when the clip is rejected', async () => {
+      api.get.mockResolvedValue({ data: { data: { video: mockVideo } } });
+      api.post.mockRejectedValue({ response: { data: { error: 'Clip must end before the end of the video' } } });
+
+      renderComponent();
+
+      const form = await screen.findByTestId('create-clip');
+      fireEvent.change(screen.getByLabelText('Start (seconds)'), { target: { value: '100' } });
+      fireEvent.change(screen.getByLabelText('End (seconds)'), { target: { value: '200' } });
+      fireEvent.submit(form);
+
+      expect(await screen.findByText('Clip must end before the end of the video')).toBeInTheDocument();
+      expect(mockNavigate).not.toHaveBeenCalled();
+    });
+
+    test('should link a clip to the video it was cut from', async () => {
+      api.get.mockResolvedValue({
+        data: {
+          data: {
+            video: {
+              ...mockVideo,
+              parentVideoId: { _id: 'parent-789', title: 'All-hands' },
+              clip: { start: 600, end: 720 },
+            },
+          },
+        },
+      });
+
+      renderComponent();
+
+      const source = await screen.findByTestId('clip-source');
+      expect(source).toHaveTextContent('All-hands (10:00–12:00)');
+      expect(screen.getByRole('link', { name: 'All-hands' })).toHaveAttribute('href', '/videos/parent-789');
+    });
+  });
+
+  describe('Downloads', () => {
+    test('should link to the signed download when the owner allows it', async () => {
+      mockVideoWithStreamAccess(mockVideo, { canDownload: true });
+
+      renderComponent();
+
+      const link = await screen.findByRole('link', { name: 'Download' });
+      expect(link).toHaveAttribute('href', expect.stringContaining(`/api/videos/test-video-id-123/download?${streamQuery}`));
+      expect(link).toHaveAttribute('download');
+    });
+
+    test('should not offer downloads otherwise', async () => {
+      mockVideoWithStreamAccess(mockVideo, { canDownload: false });
+
+      renderComponent();
+
+      await screen.findByText('Test Video');
+      expect(screen.queryByRole('link', { name: 'Download' })).not.toBeInTheDocument();
+    });
+  });
+
+  describe('Share Links', () => {
+    test('should let editors manage public links of a ready video', async () => {
+      api.get.mockResolvedValue({ data: { data: { video: mockVideo } } });
+
+      renderComponent();
+
+      expect(await screen.findByTestId('share-links')).toBeInTheDocument();
+    });
+
+    test('should not show public links to viewers', async () => {
+      api.get.mockResolvedValue({ data: { data: { video: mockVideo } } });
+
+      renderComponent({ ...mockAuthValue, user: { _id: 'viewer-123', email: 'viewer@example.com', role: 'viewer' } });
+
+      await screen.findByText('Test Video');
+      expect(screen.queryByTestId('share-links')).not.toBeInTheDocument();
+    });
+  });
 });
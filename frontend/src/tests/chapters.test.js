@@ -0,0 +1,29 @@
+import { describe, it, expect } from 'vitest';
+import { parseChaptersVtt } from '../utils/chapters';
+
+describe('parseChaptersVtt', () => {
+  it('should read each cue as a chapter', () => {
+    const vtt = [
+      'WEBVTT',
+      '',
+      'chapter-1',
+      '00:00:00.000 --> 00:04:00.000',
+      'Introduction',
+      '',
+      'chapter-2',
+      '00:04:00.000 --> 01:02:05.500',
+      'Safety',
+      'procedures',
+      '',
+    ].join('\n');
+
+    expect(parseChaptersVtt(vtt)).toEqual([
+      { start: 0, end: 240, title: 'Introduction' },
+      { start: 240, end: 3725.5, title: 'Safety procedures' },
+    ]);
+  });
+
+  it('should skip cues without a title', () => {
+    expect(parseChaptersVtt('WEBVTT\n\n00:00:00.000 --> 00:00:10.000\n\n')).toEqual([]);
+  });
+});
@@ -0,0 +1,160 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { uploadResumable, fingerprint } from '../services/resumableUpload';
+import api from '../utils/api';
+
+vi.mock('../utils/api', () => ({
+  default: {
+    post: vi.fn(),
+    head: vi.fn(),
+    patch: vi.fn(),
+  },
+}));
+
+// Body of the response to the last chunk
+const completed = { success: true, data: { video: { _id: 'video1', title: 'Clip' } } };
+
+const createFile = (size = 1024) =>
+  new File([new Uint8Array(size)], 'clip.mp4', { type: 'video/mp4', lastModified: 1700000000000 });
+
+describe('uploadResumable', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    localStorage.clear();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('should create an upload, send the file and return the created video', async () => {
+    const file = createFile();
+    api.post.mockResolvedValue({ headers: { location: '/api/videos/uploads/abc123' } });
+    api.patch.mockResolvedValue({
+      headers: { 'upload-offset': String(file.size), 'upload-video-id': 'video1' },
+      data: completed,
+    });
+    const onProgress = vi.fn();
+
+    const result = await uploadResumable(file, { title: 'Clip', onProgress });
+
+    expect(result).toBe(completed);
+    expect(api.post).toHaveBeenCalledWith(
+      '/videos/uploads',
+      null,
+      expect.objectContaining({
+        headers: expect.objectContaining({
+          'Tus-Resumable': '1.0.0',
+          'Upload-Length': String(file.size),
+        }),
+      }),
+    );
+    expect(api.patch).toHaveBeenCalledWith(
+      '/videos/uploads/abc123',
+      expect.any(Blob),
+      expect.objectContaining({
+        headers: expect.objectContaining({ 'Upload-Offset': '0' }),
+      }),
+    );
+    expect(onProgress).toHaveBeenLastCalledWith(file.size, file.size);
+    expect(localStorage.getItem(fingerprint(file))).toBeNull();
+  });
+
+  it('should resume a stored upload from the server offset', async () => {
+    const file = createFile();
+    localStorage.setItem(fingerprint(file), 'abc123');
+    api.head.mockResolvedValue({ headers: { 'upload-offset': '512' } });
+    api.patch.mockResolvedValue({
+      headers: { 'upload-offset': String(file.size), 'upload-video-id': 'video1' },
+      data: completed,
+    });
+
+    await uploadResumable(file, { title: 'Clip' });
+
+    expect(api.post).not.toHaveBeenCalled();
+    const [, chunk, config] = api.patch.mock.calls[0];
+    expect(chunk.size).toBe(512);
+    expect(config.headers['Upload-Offset']).toBe('512');
+  });
+
+  it('should start over when the stored upload is gone', async () => {
+    const file = createFile();
+    localStorage.setItem(fingerprint(file), 'expired');
+    api.head.mockRejectedValue({ status: 410 });
+    api.post.mockResolvedValue({ headers: { location: '/api/videos/uploads/fresh' } });
+    api.patch.mockResolvedValue({
+      headers: { 'upload-offset': String(file.size), 'upload-video-id': 'video1' },
+      data: completed,
+    });
+
+    await uploadResumable(file, { title: 'Clip' });
+
+    expect(api.patch.mock.calls[0][0]).toBe('/videos/uploads/fresh');
+  });
+
+  it('should wait for the video while the server is finalizing the upload', async () => {
+    vi.useFakeTimers();
+    const file = createFile();
+    localStorage.setItem(fingerprint(file), 'abc123');
+    api.head.mockRejectedValue({ status: 409 });
+    api.patch
+      .mockRejectedValueOnce({ status: 409 })
+      .mockResolvedValueOnce({
+        headers: { 'upload-offset': String(file.size), 'upload-video-id': 'video1' },
+        data: completed,
+      });
+
+    const promise = uploadResumable(file, { title: 'Clip' });
+    await vi.runAllTimersAsync();
+
+    await expect(promise).resolves.toBe(completed);
+    expect(api.post).not.toHaveBeenCalled();
+    const [, chunk, config] = api.patch.mock.calls[1];
+    expect(chunk.size).toBe(0);
+    expect(config.headers['Upload-Offset']).toBe(String(file.size));
+  });
+
+  it('should re-sync the offset and retry after a failed chunk', async () => {
+    vi.useFakeTimers();
+    const file = createFile();
+    api.post.mockResolvedValue({ headers: { location: '/api/videos/uploads/abc123' } });
+    api.patch
+      .mockRejectedValueOnce({ message: 'No response from server' })
+      .mockResolvedValueOnce({
+        headers: { 'upload-offset': String(file.size), 'upload-video-id': 'video1' },
+        data: completed,
+      });
+    api.head.mockResolvedValue({ headers: { 'upload-offset': '256' } });
+
+    const promise = uploadResumable(file, { title: 'Clip' });
+    await vi.runAllTimersAsync();
+
+    await expect(promise).resolves.toBe(completed);
+    expect(api.patch.mock.calls[1][2].headers['Upload-Offset']).toBe('256');
+  });
+
+  it('should collect the result of an upload the server already completed', async () => {
+    const file = createFile();
+    localStorage.setItem(fingerprint(file), 'abc123');
+    api.head.mockResolvedValue({
+      headers: { 'upload-offset': String(file.size), 'upload-video-id': 'video1' },
+    });
+    api.patch.mockResolvedValue({
+      headers: { 'upload-offset': String(file.size), 'upload-video-id': 'video1' },
+      data: completed,
+    });
+
+    await expect(uploadResumable(file, { title: 'Clip' })).resolves.toBe(completed);
+    const [, chunk, config] = api.patch.mock.calls[0];
+    expect(chunk.size).toBe(0);
+    expect(config.headers['Upload-Offset']).toBe(String(file.size));
+  });
+
+  it('should give up and forget the upload on a client error', async () => {
+    const file = createFile();
+    api.post.mockResolvedValue({ headers: { location: '/api/videos/uploads/abc123' } });
+    api.patch.mockRejectedValue({ status: 400, message: 'Bad chunk' });
+
+    await expect(uploadResumable(file, { title: 'Clip' })).rejects.toMatchObject({ status: 400 });
+    expect(localStorage.getItem(fingerprint(file))).toBeNull();
+  });
+});
@@ -0,0 +1,57 @@
+import { describe, it, expect } from 'vitest';
+import { parseThumbnailsVtt, findCue } from '../utils/storyboard';
+
+const TRACK_URL = 'http://localhost:5000/api/videos/abc/storyboard.vtt';
+
+const track = [
+  'WEBVTT',
+  '',
+  '00:00:00.000 --> 00:00:05.000',
+  'storyboard/0.jpg?token=t1#xywh=0,0,160,90',
+  '',
+  '00:00:05.000 --> 00:00:10.000',
+  'storyboard/0.jpg?token=t1#xywh=160,0,160,90',
+  '',
+  '01:00:00.000 --> 01:00:02.500',
+  'storyboard/1.jpg?token=t1#xywh=0,90,160,90',
+  '',
+].join('\n');
+
+describe('parseThumbnailsVtt', () => {
+  it('should parse cue times and sprite coordinates', () => {
+    const cues = parseThumbnailsVtt(track, TRACK_URL);
+
+    expect(cues).toHaveLength(3);
+    expect(cues[1]).toEqual({
+      start: 5,
+      end: 10,
+      url: 'http://localhost:5000/api/videos/abc/storyboard/0.jpg?token=t1',
+      x: 160,
+      y: 0,
+      width: 160,
+      height: 90,
+    });
+    expect(cues[2]).toMatchObject({ start: 3600, end: 3602.5, y: 90 });
+  });
+
+  it('should skip cues without sprite coordinates', () => {
+    const cues = parseThumbnailsVtt('WEBVTT\n\n00:00:00.000 --> 00:00:05.000\nchapter one\n', TRACK_URL);
+
+    expect(cues).toEqual([]);
+  });
+});
+
+describe('findCue', () => {
+  const cues = parseThumbnailsVtt(track, TRACK_URL);
+
+  it('should find the cue covering a time', () => {
+    expect(findCue(cues, 0).x).toBe(0);
+    expect(findCue(cues, 7.5).x).toBe(160);
+    expect(findCue(cues, 3601).y).toBe(90);
+  });
+
+  it('should return null between or after cues', () => {
+    expect(findCue(cues, 100)).toBeNull();
+    expect(findCue(cues, 4000)).toBeNull();
+  });
+});
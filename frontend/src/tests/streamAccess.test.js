@@ -0,0 +1,38 @@
+import { describe, it, expect } from 'vitest';
+import { withStreamQuery, getRenewalDelay } from '../utils/streamAccess';
+
+describe('withStreamQuery', () => {
+  it('should add the signature to a media URL', () => {
+    expect(withStreamQuery('http://localhost:5000/api/videos/abc/stream', 'uid=u1&exp=600&sig=s1')).toBe(
+      'http://localhost:5000/api/videos/abc/stream?uid=u1&exp=600&sig=s1',
+    );
+  });
+
+  it('should replace an older signature and keep other parameters', () => {
+    expect(
+      withStreamQuery(
+        'http://localhost:5000/api/videos/abc/hls/720p/seg.ts?uid=u1&exp=600&sig=old&v=2',
+        'uid=u1&exp=900&sig=new',
+      ),
+    ).toBe('http://localhost:5000/api/videos/abc/hls/720p/seg.ts?v=2&uid=u1&exp=900&sig=new');
+  });
+
+  it('should leave the URL alone without a signature', () => {
+    expect(withStreamQuery('http://localhost:5000/api/videos/abc/stream', '')).toBe(
+      'http://localhost:5000/api/videos/abc/stream',
+    );
+  });
+});
+
+describe('getRenewalDelay', () => {
+  const now = Date.UTC(2026, 0, 1, 12, 0, 0);
+
+  it('should renew a minute before expiry', () => {
+    expect(getRenewalDelay(new Date(now + 8 * 60 * 1000), now)).toBe(7 * 60 * 1000);
+  });
+
+  it('should wait at least half the remaining lifetime', () => {
+    expect(getRenewalDelay(new Date(now + 80 * 1000), now)).toBe(40 * 1000);
+    expect(getRenewalDelay(new Date(now - 1000), now)).toBe(0);
+  });
+});
@@ -0,0 +1,24 @@
+import { describe, it, expect } from 'vitest';
+import { getDetectionMarkers } from '../utils/timelineMarkers';
+
+describe('getDetectionMarkers', () => {
+  it('should merge every kind of interval in start order', () => {
+    const markers = getDetectionMarkers({
+      status: 'ready',
+      black: [{ start: 40, end: 45, duration: 5 }],
+      freeze: [{ start: 10, end: 20, duration: 10 }],
+      silence: [{ start: 0, end: 12, duration: 12 }],
+    });
+
+    expect(markers).toEqual([
+      { type: 'silence', label: 'Silence', start: 0, end: 12 },
+      { type: 'freeze', label: 'Frozen frames', start: 10, end: 20 },
+      { type: 'black', label: 'Black frames', start: 40, end: 45 },
+    ]);
+  });
+
+  it('should return no markers until detection has run', () => {
+    expect(getDetectionMarkers(undefined)).toEqual([]);
+    expect(getDetectionMarkers({ status: 'failed', error: 'boom' })).toEqual([]);
+  });
+});
@@ -1,8 +1,19 @@
 import axios from 'axios';
 
+const baseURL = import.meta.env.VITE_API_URL ? `${import.meta.env.VITE_API_URL}/api` : 'http://localhost:5000/api';
+
 // Create axios instance with base configuration
 const api = axios.create({
-  baseURL: import.meta.env.VITE_API_URL ? `${import.meta.env.VITE_API_URL}/api` : 'http://localhost:5000/api',
+  baseURL,
+  timeout: 10000,
+  headers: {
+    'Content-Type': 'application/json',
+  },
+});
+
+// Instance for public pages: sends no session token and never redirects to login
+export const publicApi = axios.create({
+  baseURL,
   timeout: 10000,
   headers: {
     'Content-Type': 'application/json',
@@ -63,6 +74,14 @@ export const authAPI = {
   getCurrentUser: () => api.get('/auth/me'),
 };
 
+// Share link API endpoints (public)
+export const shareAPI = {
+  get: (token) => publicApi.get(`/share/${token}`),
+  open: (token, password) => publicApi.post(`/share/${token}/access`, password ? { password } : {}),
+  renew: (token, signedQuery) =>
+    publicApi.post(`/share/${token}/renew`, Object.fromEntries(new URLSearchParams(signedQuery))),
+};
+
 // Health API endpoints
 export const healthAPI = {
   check: () => api.get('/health'),
@@ -0,0 +1,34 @@
+// Parses WebVTT chapters tracks for the chapter list and seek bar segments
+
+const parseTimestamp = value => {
+  const parts = value.trim().split(':').map(Number);
+  return parts.reduce((seconds, part) => seconds * 60 + part, 0);
+};
+
+/**
+ * Parse a WebVTT chapters track
+ * @param {string} text - Track contents
+ * @returns {Array} Chapters as { start, end, title }, in start order
+ */
+export const parseChaptersVtt = text => {
+  const chapters = [];
+  const lines = text.split(/\r?\n/);
+
+  for (let i = 0; i < lines.length; i++) {
+    if (!lines[i].includes('-->')) continue;
+
+    const [start, end] = lines[i].split('-->').map(parseTimestamp);
+    const titleLines = [];
+    for (let j = i + 1; j < lines.length && lines[j].trim() !== ''; j++) {
+      titleLines.push(lines[j].trim());
+    }
+
+    if (Number.isFinite(start) && Number.isFinite(end) && titleLines.length > 0) {
+      chapters.push({ start, end, title: titleLines.join(' ') });
+    }
+  }
+
+  return chapters.sort((a, b) => a.start - b.start);
+};
+
+export default parseChaptersVtt;
@@ -0,0 +1,27 @@
+// Human-readable names for the stages reported in processing:progress events
+const STAGE_LABELS = {
+  starting: 'Starting',
+  clip: 'Cutting clip',
+  download: 'Fetching video',
+  probe: 'Reading metadata',
+  thumbnail: 'Generating thumbnail',
+  loudness: 'Measuring loudness',
+  analysis: 'Analyzing content',
+  transcode: 'Transcoding',
+  storyboard: 'Building previews',
+  detect: 'Detecting black frames and silence',
+  scenes: 'Finding chapters',
+  subtitles: 'Extracting subtitles',
+  classify: 'Classifying frames',
+  fingerprint: 'Checking for duplicates',
+  complete: 'Finishing up',
+};
+
+/**
+ * Get the label to show for a processing stage
+ * @param {string} stage - Stage name from the server
+ * @returns {string}
+ */
+export const getStageLabel = stage => STAGE_LABELS[stage] || 'Processing';
+
+export default getStageLabel;
@@ -0,0 +1,53 @@
+// Parses WebVTT thumbnails tracks ("<sprite>#xywh=x,y,w,h" cues) for seek bar previews
+
+const parseTimestamp = value => {
+  const parts = value.trim().split(':').map(Number);
+  return parts.reduce((seconds, part) => seconds * 60 + part, 0);
+};
+
+/**
+ * Parse a WebVTT thumbnails track
+ * @param {string} text - Track contents
+ * @param {string} baseUrl - URL of the track, for resolving relative sprite URLs
+ * @returns {Array} Cues as { start, end, url, x, y, width, height }
+ */
+export const parseThumbnailsVtt = (text, baseUrl) => {
+  const cues = [];
+  const lines = text.split(/\r?\n/);
+
+  for (let i = 0; i < lines.length; i++) {
+    if (!lines[i].includes('-->')) continue;
+
+    const [start, end] = lines[i].split('-->').map(parseTimestamp);
+    const [url, fragment = ''] = (lines[i + 1] || '').trim().split('#xywh=');
+    const [x, y, width, height] = fragment.split(',').map(Number);
+
+    if (url && [x, y, width, height].every(Number.isFinite)) {
+      cues.push({ start, end, url: new URL(url, baseUrl).toString(), x, y, width, height });
+    }
+  }
+
+  return cues;
+};
+
+/**
+ * Find the cue covering a point in time
+ * @param {Array} cues - Cues sorted by start time
+ * @param {number} time - Time in seconds
+ * @returns {Object|null}
+ */
+export const findCue = (cues, time) => {
+  let low = 0;
+  let high = cues.length - 1;
+
+  while (low <= high) {
+    const mid = Math.floor((low + high) / 2);
+    if (time < cues[mid].start) high = mid - 1;
+    else if (time >= cues[mid].end) low = mid + 1;
+    else return cues[mid];
+  }
+
+  return null;
+};
+
+export default { parseThumbnailsVtt, findCue };
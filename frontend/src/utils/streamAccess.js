@@ -0,0 +1,35 @@
+// Short-lived signed query strings for media URLs (stream, HLS, tracks, thumbnails)
+
+const SIGNED_PARAMS = ['uid', 'exp', 'sig'];
+
+// Renew this long before a signature expires
+const RENEW_BEFORE_MS = 60 * 1000;
+
+/**
+ * Put a signed query on a media URL, replacing the signature it already has
+ * @param {string} url - Absolute URL
+ * @param {string} query - Signed query (uid, exp, sig)
+ * @returns {string}
+ */
+export const withStreamQuery = (url, query) => {
+  if (!query) return url;
+
+  const parsed = new URL(url);
+  SIGNED_PARAMS.forEach(name => parsed.searchParams.delete(name));
+  new URLSearchParams(query).forEach((value, name) => parsed.searchParams.set(name, value));
+  return parsed.toString();
+};
+
+/**
+ * How long to wait before renewing a signature
+ * A minute before it expires, but never before half its remaining lifetime
+ * @param {string|Date} expiresAt
+ * @param {number} now - Current time in milliseconds
+ * @returns {number} Milliseconds
+ */
+export const getRenewalDelay = (expiresAt, now = Date.now()) => {
+  const remaining = new Date(expiresAt).getTime() - now;
+  return Math.max(remaining - RENEW_BEFORE_MS, remaining / 2, 0);
+};
+
+export default { withStreamQuery, getRenewalDelay };
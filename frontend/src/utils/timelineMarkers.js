@@ -0,0 +1,29 @@
+// Markers shown on the seek bar for stretches found by the detection stage
+
+export const MARKER_TYPES = {
+  black: { label: 'Black frames', className: 'bg-gray-900' },
+  freeze: { label: 'Frozen frames', className: 'bg-cyan-400' },
+  silence: { label: 'Silence', className: 'bg-yellow-400' },
+};
+
+/**
+ * Turn a video's detection results into seek bar markers
+ * @param {Object} detection - video.detection from the API
+ * @returns {Array} Markers as { type, label, start, end }, in start order
+ */
+export const getDetectionMarkers = detection => {
+  if (detection?.status !== 'ready') return [];
+
+  return Object.keys(MARKER_TYPES)
+    .flatMap(type =>
+      (detection[type] || []).map(({ start, end }) => ({
+        type,
+        label: MARKER_TYPES[type].label,
+        start,
+        end,
+      })),
+    )
+    .sort((a, b) => a.start - b.start);
+};
+
+export default getDetectionMarkers;